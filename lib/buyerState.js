@@ -0,0 +1,216 @@
+// Buyer state for persona chat.
+//
+// Each session tracks how the buyer feels about the call on three 0-100
+// scales: interest (do they want what's offered), trust (do they believe the
+// rep) and patience (how much longer they'll stay on the call). Every rep
+// message moves them up or down, the persona's tone follows them, and the
+// call ends in one of DEAL_OUTCOMES. Stored per session as JSON in
+// Sessions.buyerState:
+//
+//   { interest, trust, patience, outcome, outcomeAtTurn,
+//     timeline: [{ turnIndex, interest, trust, patience, reasons }] }
+
+const DEAL_OUTCOMES = ['meeting_booked', 'follow_up', 'lost'];
+
+const INITIAL_STATE = { interest: 40, trust: 40, patience: 80 };
+
+// Thresholds for the buyer agreeing to a meeting when the rep asks for one
+const MEETING_MIN_INTEREST = 65;
+const MEETING_MIN_TRUST = 55;
+// Below these the buyer ends the call
+const LOST_MAX_PATIENCE = 0;
+const LOST_MAX_TRUST = 10;
+// Outcome when the session ends without a decision during the call
+const FOLLOW_UP_MIN_INTEREST = 50;
+const FOLLOW_UP_MIN_TRUST = 40;
+
+const QUESTION_WORDS = ['how', 'what', 'why', 'when', 'where', 'which', 'tell me'];
+const VALUE_PHRASES = ['roi', 'return', 'revenue', 'growth', 'customers', 'profit', 'increase', 'results', 'save'];
+const EMPATHY_PHRASES = ['understand', 'i hear you', 'makes sense', 'i see your point', 'good question', 'fair'];
+const NEXT_STEP_PHRASES = ['meeting', 'schedule', 'book a', 'demo', 'calendar', 'next week', 'follow up', 'follow-up', 'set up a call'];
+const PUSHY_PHRASES = ['sign up today', 'buy now', 'today only', 'limited time', 'sign today', 'right now', 'commit today'];
+
+const includesAny = (text, phrases) => phrases.some(phrase => text.includes(phrase));
+const clamp = value => Math.max(0, Math.min(100, value));
+
+// A stored level, or its initial value when missing or not a number (0 is a
+// real level: a buyer at 0 patience has hung up)
+function storedLevel(saved, key) {
+  const value = saved[key];
+  if (value === null || value === undefined || value === '' || !Number.isFinite(Number(value))) {
+    return INITIAL_STATE[key];
+  }
+  return clamp(Number(value));
+}
+
+function loadBuyerState(stored) {
+  let saved = null;
+  if (stored) {
+    try {
+      saved = JSON.parse(stored);
+    } catch {
+      saved = null;
+    }
+  }
+  if (!saved || typeof saved !== 'object') {
+    return { ...INITIAL_STATE, outcome: null, outcomeAtTurn: null, timeline: [] };
+  }
+  return {
+    interest: storedLevel(saved, 'interest'),
+    trust: storedLevel(saved, 'trust'),
+    patience: storedLevel(saved, 'patience'),
+    outcome: DEAL_OUTCOMES.includes(saved.outcome) ? saved.outcome : null,
+    outcomeAtTurn: saved.outcomeAtTurn ?? null,
+    timeline: Array.isArray(saved.timeline) ? saved.timeline : []
+  };
+}
+
+// How a rep message moves the buyer. objectionClosed is the objection the
+// message resolved or failed to resolve (see lib/objections.js), if any.
+function scoreRepMove(message, objectionClosed) {
+  const text = message.toLowerCase();
+  const wordCount = text.split(/\s+/).filter(word => word.length > 0).length;
+  const delta = { interest: 0, trust: 0, patience: -2 };
+  const reasons = [];
+
+  if (text.includes('?') && includesAny(text, QUESTION_WORDS)) {
+    delta.interest += 4;
+    delta.trust += 3;
+    reasons.push('asked a discovery question');
+  }
+  if (includesAny(text, VALUE_PHRASES)) {
+    delta.interest += 8;
+    reasons.push('talked about business value');
+  }
+  if (includesAny(text, EMPATHY_PHRASES)) {
+    delta.trust += 6;
+    reasons.push('acknowledged the buyer');
+  }
+  if (objectionClosed && objectionClosed.status === 'resolved') {
+    delta.trust += 10;
+    delta.interest += 5;
+    reasons.push('answered an objection');
+  } else if (objectionClosed) {
+    delta.trust -= 8;
+    delta.patience -= 10;
+    reasons.push('left an objection unanswered');
+  }
+  if (includesAny(text, PUSHY_PHRASES)) {
+    delta.trust -= 12;
+    delta.patience -= 10;
+    reasons.push('pushed for a commitment');
+  }
+  if (wordCount > 80) {
+    delta.patience -= 8;
+    reasons.push('talked for too long');
+  } else if (wordCount < 4) {
+    delta.patience -= 4;
+    reasons.push('gave a very short reply');
+  }
+
+  return { delta, reasons };
+}
+
+// Apply a rep message and decide whether the call is over. Returns the
+// outcome reached this turn, or null.
+function applyRepMove(state, message, { turnIndex, objectionClosed }) {
+  if (state.outcome) return null;
+
+  const { delta, reasons } = scoreRepMove(message, objectionClosed);
+  state.interest = clamp(state.interest + delta.interest);
+  state.trust = clamp(state.trust + delta.trust);
+  state.patience = clamp(state.patience + delta.patience);
+
+  let outcome = null;
+  if (state.patience <= LOST_MAX_PATIENCE || state.trust <= LOST_MAX_TRUST) {
+    outcome = 'lost';
+  } else if (includesAny(message.toLowerCase(), NEXT_STEP_PHRASES)) {
+    if (state.interest >= MEETING_MIN_INTEREST && state.trust >= MEETING_MIN_TRUST) {
+      outcome = 'meeting_booked';
+    } else {
+      reasons.push('asked for a next step too early');
+    }
+  }
+
+  state.timeline.push({
+    turnIndex,
+    interest: state.interest,
+    trust: state.trust,
+    patience: state.patience,
+    reasons
+  });
+
+  if (outcome) {
+    state.outcome = outcome;
+    state.outcomeAtTurn = turnIndex;
+  }
+  return outcome;
+}
+
+function describeLevel(value, low, mid, high) {
+  if (value >= 65) return high;
+  if (value >= 35) return mid;
+  return low;
+}
+
+// Persona instructions reflecting the buyer's current state
+function buyerGuidance(state, outcomeThisTurn) {
+  if (outcomeThisTurn === 'meeting_booked') {
+    return '- You are convinced enough to meet again. Agree to the meeting the salesperson proposed';
+  }
+  if (outcomeThisTurn === 'lost') {
+    return '- You have had enough of this call. Politely but firmly end the conversation';
+  }
+  if (state.outcome) {
+    return '- The call is effectively over. If the salesperson keeps talking, wrap up briefly';
+  }
+
+  const lines = [
+    `- Your interest: ${describeLevel(state.interest, 'you doubt this is relevant to you', 'curious but unconvinced', 'genuinely interested')}`,
+    `- Your trust in the salesperson: ${describeLevel(state.trust, 'low, you are guarded and skeptical', 'neutral', 'high, you are open and candid')}`,
+    `- Your patience: ${describeLevel(state.patience, 'running out, keep answers short and hint that you need to go', 'moderate', 'plenty, you are happy to keep talking')}`
+  ];
+  const last = state.timeline[state.timeline.length - 1];
+  if (last && last.reasons.includes('asked for a next step too early')) {
+    lines.push('- The salesperson asked for a next step, but you are not ready. Decline for now');
+  }
+  return lines.join('\n');
+}
+
+// Outcome for a session that ended without one being reached during the call
+function finalizeOutcome(state) {
+  if (state.outcome) return state.outcome;
+  state.outcome = state.interest >= FOLLOW_UP_MIN_INTEREST && state.trust >= FOLLOW_UP_MIN_TRUST
+    ? 'follow_up'
+    : 'lost';
+  return state.outcome;
+}
+
+function buyerSnapshot(state) {
+  return {
+    interest: state.interest,
+    trust: state.trust,
+    patience: state.patience,
+    outcome: state.outcome
+  };
+}
+
+// Buyer state for the end-of-session analysis
+function summarizeBuyerState(state) {
+  return {
+    outcome: state.outcome,
+    outcomeAtTurn: state.outcomeAtTurn,
+    final: { interest: state.interest, trust: state.trust, patience: state.patience },
+    timeline: state.timeline
+  };
+}
+
+module.exports = {
+  DEAL_OUTCOMES,
+  loadBuyerState,
+  applyRepMove,
+  buyerGuidance,
+  finalizeOutcome,
+  buyerSnapshot,
+  summarizeBuyerState
+};
@@ -0,0 +1,172 @@
+// Inbound Daily.co webhooks (https://docs.daily.co/reference/rest-api/webhooks).
+//
+// Daily signs every delivery with the webhook's HMAC secret:
+//
+//   X-Webhook-Timestamp  unix time of the delivery
+//   X-Webhook-Signature  base64 HMAC-SHA256 of `${timestamp}.${raw body}`,
+//                        keyed with the base64-decoded secret
+//
+// Events are matched to sessions by room name. Handled types:
+//   participant.joined / participant.left   join and leave times per participant
+//   recording.ready-to-download             cloud recording id and length
+//   transcript.ready-to-download            transcript id; the WebVTT file is
+//                                           fetched and stored as segments
+//
+// Configuration:
+//   DAILY_WEBHOOK_SECRET  the secret Daily returned when the webhook was created
+
+const crypto = require('crypto');
+
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const HANDLED_EVENTS = [
+  'participant.joined',
+  'participant.left',
+  'recording.ready-to-download',
+  'transcript.ready-to-download'
+];
+
+// Why the delivery can't be trusted, or null when the signature checks out
+function signatureError({ secret, timestamp, signature, rawBody, now = new Date() }) {
+  if (!timestamp || !signature) return 'Missing webhook signature headers';
+  if (!rawBody) return 'Missing request body';
+
+  const seconds = Number(timestamp) > 1e12 ? Number(timestamp) / 1000 : Number(timestamp);
+  if (isNaN(seconds) || Math.abs(now.getTime() / 1000 - seconds) > SIGNATURE_TOLERANCE_SECONDS) {
+    return 'Webhook timestamp is outside the allowed window';
+  }
+
+  const expected = crypto
+    .createHmac('sha256', Buffer.from(secret, 'base64'))
+    .update(`${timestamp}.${rawBody}`)
+    .digest();
+  const received = Buffer.from(signature, 'base64');
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return 'Invalid webhook signature';
+  }
+  return null;
+}
+
+// Room name an event refers to (Daily is not consistent across event types)
+function eventRoomName(event) {
+  const payload = event.payload || {};
+  return payload.room || payload.room_name || null;
+}
+
+// Daily times are unix seconds, sometimes fractional
+const toIso = seconds => (seconds ? new Date(seconds * 1000).toISOString() : null);
+
+function parseParticipants(session) {
+  try {
+    return session.participants ? JSON.parse(session.participants) : [];
+  } catch {
+    return [];
+  }
+}
+
+// Session fields to update for a participant or recording event, or null
+// when the event doesn't change the session. Transcripts are handled by the
+// caller since they need the WebVTT file.
+function sessionPatchForEvent(session, event) {
+  const payload = event.payload || {};
+
+  switch (event.type) {
+    case 'participant.joined':
+    case 'participant.left': {
+      const participants = parseParticipants(session);
+      const joinedAt = toIso(payload.joined_at) || toIso(event.event_ts);
+      let participant = participants.find(entry =>
+        entry.participantId === payload.session_id
+      );
+      if (!participant) {
+        participant = {
+          participantId: payload.session_id || null,
+          userId: payload.user_id || null,
+          userName: payload.user_name || null,
+          joinedAt,
+          leftAt: null,
+          duration: null
+        };
+        participants.push(participant);
+      }
+
+      const patch = {};
+      if (event.type === 'participant.left') {
+        participant.leftAt = toIso(event.event_ts) || new Date().toISOString();
+        participant.duration = payload.duration !== undefined ? Math.round(payload.duration) : null;
+      }
+      patch.participants = JSON.stringify(participants);
+
+      // The rep's own join and leave times go on the session record
+      if (participant.userId === session.userId) {
+        const repEntries = participants.filter(entry => entry.userId === session.userId);
+        patch.joinedAt = repEntries.map(entry => entry.joinedAt).filter(Boolean).sort()[0] || '';
+        const left = repEntries.map(entry => entry.leftAt).filter(Boolean).sort();
+        patch.leftAt = repEntries.every(entry => entry.leftAt) ? left[left.length - 1] : '';
+      }
+      return patch;
+    }
+
+    case 'recording.ready-to-download':
+      return {
+        recordingId: payload.recording_id,
+        recordingDuration: payload.duration !== undefined ? Math.round(payload.duration) : '',
+        recordingStartedAt: toIso(payload.start_ts) || ''
+      };
+
+    default:
+      return null;
+  }
+}
+
+// "00:01:02.500" or "01:02.500" -> seconds
+function parseTimestamp(value) {
+  const parts = value.trim().split(':').map(Number);
+  if (parts.some(isNaN)) return null;
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+// WebVTT transcript -> [{ start, end, speaker, text }] with times in seconds.
+// Speakers come from <v Name> voice tags or a "Name: " prefix.
+function parseWebVTT(vtt) {
+  const segments = [];
+  const blocks = String(vtt || '').replace(/\r/g, '').split(/\n{2,}/);
+
+  for (const block of blocks) {
+    const lines = block.split('\n').filter(line => line.trim());
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue;
+
+    const [startText, endText] = lines[timingIndex].split('-->');
+    const start = parseTimestamp(startText);
+    const end = parseTimestamp(endText.trim().split(/\s+/)[0]);
+    let text = lines.slice(timingIndex + 1).join(' ');
+    let speaker = null;
+
+    const voice = text.match(/^<v(?:\.[^\s>]+)?\s+([^>]+)>/);
+    if (voice) {
+      speaker = voice[1].trim();
+    } else {
+      const prefix = text.match(/^([^:<]{1,60}):\s+/);
+      if (prefix) {
+        speaker = prefix[1].trim();
+        text = text.slice(prefix[0].length);
+      }
+    }
+    text = text.replace(/<[^>]+>/g, '').trim();
+    if (!text || start === null || end === null) continue;
+
+    segments.push({ start, end, speaker, text });
+  }
+
+  return segments;
+}
+
+module.exports = {
+  HANDLED_EVENTS,
+  signatureError,
+  eventRoomName,
+  parseParticipants,
+  sessionPatchForEvent,
+  parseWebVTT
+};
@@ -0,0 +1,327 @@
+// Background jobs kept in storage, so queued work survives a restart.
+//
+//   queued -> running -> succeeded
+//                     -> queued again (retry after a backoff) -> ... -> failed
+//
+// Handlers are async functions (payload, job) keyed by job type. A handler
+// that throws is retried until the job has used maxAttempts; `job.attempt`
+// and `job.isLastAttempt` let it degrade gracefully on the final try instead
+// of failing. Whatever the handler resolves is stored as the job's result.
+//
+// Each job type runs in its own lane, JOB_CONCURRENCY jobs at a time (or
+// its entry in JOB_TYPE_CONCURRENCY), so a backlog of slow analyses doesn't
+// hold up webhook deliveries. A handler that runs past JOB_TIMEOUT_SECONDS
+// counts as a failed attempt; it gets `job.signal`, which is aborted then, to
+// stop its own work. Jobs are claimed with a compare-and-set on their status
+// and attempt count, so two instances (or a stale requeue) never run the
+// same attempt twice. Listeners passed to subscribe() hear every status
+// change of a job, which is what the SSE status endpoints use.
+//
+// Enqueued jobs start right away. Otherwise the queue is polled for due
+// retries and jobs queued by other instances: every JOB_POLL_SECONDS while
+// there is work, backing off to JOB_POLL_MAX_SECONDS while idle, and waking
+// up early for a retry that is due sooner.
+//
+// Configuration (read by loadJobConfig):
+//   JOB_MAX_ATTEMPTS        default 3
+//   JOB_RETRY_BASE_SECONDS  default 5; retries wait base * 2^(attempt - 1)
+//   JOB_POLL_SECONDS        default 5; 0 turns polling off
+//   JOB_POLL_MAX_SECONDS    default 60
+//   JOB_TIMEOUT_SECONDS     default 300
+//   JOB_CONCURRENCY         default 1; jobs of one type run at a time
+//   JOB_TYPE_CONCURRENCY    JSON { type: n } overriding JOB_CONCURRENCY
+
+const { EventEmitter } = require('events');
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+
+// A job still "running" this long after its timeout was cut off by a
+// restart or crash. Running jobs are checked for that at most this often.
+const STALE_GRACE_MS = 60 * 1000;
+const STALE_CHECK_INTERVAL_MS = 60 * 1000;
+
+function parseConcurrency(value) {
+  if (!value) return {};
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`JOB_TYPE_CONCURRENCY must be valid JSON: ${error.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed) ||
+    Object.values(parsed).some(limit => !Number.isInteger(limit) || limit < 1)) {
+    throw new Error('JOB_TYPE_CONCURRENCY must map job types to positive integers');
+  }
+  return parsed;
+}
+
+function loadJobConfig(env = process.env) {
+  const number = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return isNaN(parsed) || parsed < 0 ? fallback : parsed;
+  };
+  const pollIntervalMs = number(env.JOB_POLL_SECONDS, 5) * 1000;
+  return {
+    maxAttempts: Math.max(1, Math.round(number(env.JOB_MAX_ATTEMPTS, 3))),
+    retryBaseMs: number(env.JOB_RETRY_BASE_SECONDS, 5) * 1000,
+    pollIntervalMs,
+    maxPollIntervalMs: Math.max(pollIntervalMs, number(env.JOB_POLL_MAX_SECONDS, 60) * 1000),
+    timeoutMs: Math.max(1, number(env.JOB_TIMEOUT_SECONDS, 300)) * 1000,
+    concurrency: Math.max(1, Math.round(number(env.JOB_CONCURRENCY, 1))),
+    typeConcurrency: parseConcurrency(env.JOB_TYPE_CONCURRENCY)
+  };
+}
+
+// Shape returned by the API
+function formatJob(job) {
+  let result = null;
+  try {
+    result = job.result ? JSON.parse(job.result) : null;
+  } catch {
+    result = null;
+  }
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    attempts: parseInt(job.attempts) || 0,
+    maxAttempts: parseInt(job.maxAttempts) || 0,
+    lastError: job.lastError || null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null,
+    nextAttemptAt: job.status === 'queued' ? job.runAt : null,
+    result
+  };
+}
+
+const isFinished = job => job.status === 'succeeded' || job.status === 'failed';
+
+// Rejects with a timeout error once `ms` pass, aborting `controller`
+function withTimeout(promise, ms, controller) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`Timed out after ${ms / 1000}s`));
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function createJobQueue({ repo, handlers, config = loadJobConfig() }) {
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  config = { ...loadJobConfig({}), ...config };
+  const running = new Map();
+  let started = false;
+  let timer = null;
+  let idleDelay = config.pollIntervalMs;
+  let lastStaleCheck = 0;
+  let draining = false;
+  let drainAgain = false;
+
+  const laneLimit = type => config.typeConcurrency[type] || config.concurrency;
+
+  // Compare-and-set: `expected` is what the job must still look like.
+  // Resolves null (and tells nobody) when it has changed.
+  async function update(job, expected, patch) {
+    const updated = await repo.update({ id: job.id, ...expected }, patch);
+    if (updated) events.emit(job.id, formatJob(updated));
+    return updated;
+  }
+
+  async function runJob(job) {
+    const attempt = (parseInt(job.attempts) || 0) + 1;
+    const maxAttempts = parseInt(job.maxAttempts) || config.maxAttempts;
+    const claimed = await update(job, { status: 'queued', attempts: job.attempts || '' }, {
+      status: 'running',
+      attempts: attempt,
+      startedAt: new Date().toISOString()
+    });
+    if (!claimed) return;
+    job = claimed;
+    const stillOurs = { status: 'running', attempts: job.attempts };
+
+    const handler = handlers[job.type];
+    const controller = new AbortController();
+    try {
+      if (!handler) {
+        throw new Error(`No handler for job type ${job.type}`);
+      }
+      const payload = job.payload ? JSON.parse(job.payload) : {};
+      const context = { ...job, attempt, isLastAttempt: attempt >= maxAttempts, signal: controller.signal };
+      const result = await withTimeout(Promise.resolve().then(() => handler(payload, context)), config.timeoutMs, controller);
+      const finished = await update(job, stillOurs, {
+        status: 'succeeded',
+        result: result === undefined ? '' : JSON.stringify(result),
+        lastError: '',
+        finishedAt: new Date().toISOString()
+      });
+      if (finished) console.log(`✅ Job ${job.id} (${job.type}) succeeded on attempt ${attempt}`);
+    } catch (error) {
+      if (handler && attempt < maxAttempts) {
+        const delay = config.retryBaseMs * 2 ** (attempt - 1);
+        const requeued = await update(job, stillOurs, {
+          status: 'queued',
+          lastError: error.message,
+          runAt: new Date(Date.now() + delay).toISOString()
+        });
+        if (requeued) console.log(`⚠️ Job ${job.id} (${job.type}) attempt ${attempt} failed, retrying in ${delay / 1000}s:`, error.message);
+      } else {
+        const failed = await update(job, stillOurs, { status: 'failed', lastError: error.message, finishedAt: new Date().toISOString() });
+        if (failed) console.error(`❌ Job ${job.id} (${job.type}) failed after ${attempt} attempts:`, error.message);
+      }
+    }
+  }
+
+  // Start a job in its type's lane and look for more work when it's done
+  function startJob(job) {
+    running.set(job.type, (running.get(job.type) || 0) + 1);
+    runJob(job)
+      .catch(error => console.error(`❌ Error running job ${job.id}:`, error))
+      .finally(() => {
+        running.set(job.type, running.get(job.type) - 1);
+        setImmediate(drain);
+      });
+  }
+
+  // Jobs left running by a process that stopped mid-job go back in the queue
+  async function requeueStale() {
+    const cutoff = Date.now() - config.timeoutMs - STALE_GRACE_MS;
+    const stale = (await repo.list({ status: 'running' }))
+      .filter(job => new Date(job.startedAt).getTime() < cutoff);
+    for (const job of stale) {
+      await update(job, { status: 'running', attempts: job.attempts || '', startedAt: job.startedAt || '' }, {
+        status: 'queued',
+        lastError: 'Interrupted before finishing',
+        runAt: new Date().toISOString()
+      });
+    }
+  }
+
+  function schedule(delayMs) {
+    if (!started) return;
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(drain, Math.max(0, delayMs));
+    timer.unref();
+  }
+
+  // Start every due job its lane has room for, oldest first
+  async function drain() {
+    if (draining) {
+      drainAgain = true;
+      return;
+    }
+    draining = true;
+    let nextRetryAt = Infinity;
+    let foundWork = false;
+    try {
+      if (Date.now() - lastStaleCheck >= STALE_CHECK_INTERVAL_MS) {
+        lastStaleCheck = Date.now();
+        await requeueStale();
+      }
+      do {
+        drainAgain = false;
+        const now = Date.now();
+        const queued = await repo.list({ status: 'queued' });
+        const due = [];
+        for (const job of queued) {
+          const runAt = job.runAt ? new Date(job.runAt).getTime() : now;
+          if (runAt <= now) due.push(job);
+          else nextRetryAt = Math.min(nextRetryAt, runAt);
+        }
+        due.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        for (const job of due) {
+          if ((running.get(job.type) || 0) < laneLimit(job.type)) startJob(job);
+        }
+        foundWork = foundWork || due.length > 0;
+      } while (drainAgain);
+    } catch (error) {
+      console.error('❌ Error processing job queue:', error);
+    } finally {
+      draining = false;
+    }
+
+    // Poll quickly while there is work, back off while idle
+    const busy = foundWork || [...running.values()].some(count => count > 0);
+    idleDelay = busy ? config.pollIntervalMs : Math.min(idleDelay * 2, config.maxPollIntervalMs);
+    const pollDelay = config.pollIntervalMs > 0 ? idleDelay : Infinity;
+    const delay = Math.min(pollDelay, nextRetryAt - Date.now());
+    if (delay !== Infinity) schedule(delay);
+  }
+
+  return {
+    async enqueue(type, payload, { maxAttempts = config.maxAttempts, id } = {}) {
+      const now = new Date().toISOString();
+      const job = await repo.insert({
+        id: id || `job_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        type,
+        status: 'queued',
+        payload: JSON.stringify(payload),
+        attempts: 0,
+        maxAttempts,
+        createdAt: now,
+        runAt: now
+      });
+      idleDelay = config.pollIntervalMs;
+      setImmediate(drain);
+      return formatJob(job);
+    },
+
+    async get(id) {
+      const job = await repo.findOne({ id });
+      return job ? formatJob(job) : null;
+    },
+
+    // listener(job) on every status change; returns an unsubscribe function
+    subscribe(id, listener) {
+      events.on(id, listener);
+      return () => events.off(id, listener);
+    },
+
+    // Resolves with the job once it succeeds or fails, or null on timeout
+    waitFor(id, timeoutMs) {
+      return new Promise(resolve => {
+        const timeout = setTimeout(() => {
+          unsubscribe();
+          resolve(null);
+        }, timeoutMs);
+        const unsubscribe = this.subscribe(id, job => {
+          if (!isFinished(job)) return;
+          clearTimeout(timeout);
+          unsubscribe();
+          resolve(job);
+        });
+        // It may have finished before we subscribed
+        this.get(id).then(job => {
+          if (job && isFinished(job)) {
+            clearTimeout(timeout);
+            unsubscribe();
+            resolve(job);
+          }
+        });
+      });
+    },
+
+    // Poll for due retries and jobs queued by other instances
+    start() {
+      started = true;
+      setImmediate(drain);
+    },
+
+    stop() {
+      started = false;
+      if (timer) clearTimeout(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = {
+  JOB_STATUSES,
+  loadJobConfig,
+  formatJob,
+  isFinished,
+  createJobQueue
+};
@@ -0,0 +1,253 @@
+// Learning paths: ordered scenarios a rep works through.
+//
+// Each step is a scenario plus the scores needed to complete it:
+//
+//   { scenarioId, title?, requirements: [{ score: 'discovery_score', min: 4 }] }
+//
+// A step is completed once the rep's best score on that scenario meets every
+// requirement (a step without requirements just needs one scored session).
+// Step 1 is always unlocked; every later step unlocks when all the steps
+// before it are completed. Scores are the evaluation's per-criterion scores
+// (see lib/llmEvaluator.js), overall_effectiveness_score and confidenceScore
+// from the session's Feedback row.
+//
+// Paths are assigned to reps directly or to a whole team.
+
+const MAX_NAME_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_STEPS = 50;
+const MAX_REQUIREMENTS = 10;
+
+// Rubric criteria score 1-5, confidenceScore 0-100
+const SCORE_KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+const MAX_THRESHOLD = 100;
+
+const STEP_STATUSES = ['completed', 'unlocked', 'locked'];
+
+// Fields a request may set; anything else is rejected rather than dropped,
+// so a typo such as `requirement` doesn't silently make a step free
+const PATH_FIELDS = ['name', 'description', 'steps', 'is_active'];
+// Returned by formatPath and ignored, so a fetched path can be sent back
+const READ_ONLY_PATH_FIELDS = ['id', 'createdBy', 'createdAt', 'updatedAt'];
+const STEP_FIELDS = ['scenarioId', 'title', 'requirements'];
+const REQUIREMENT_FIELDS = ['score', 'min'];
+
+function unknownFieldErrors(object, allowed, path) {
+  return Object.keys(object)
+    .filter(key => !allowed.includes(key))
+    .map(key => ({ field: path ? `${path}.${key}` : key, message: `Unknown field ${key}` }));
+}
+
+const parseJSON = (value, fallback) => {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+function validateStep(step, index, errors) {
+  const field = `steps[${index}]`;
+  if (!step || typeof step !== 'object' || Array.isArray(step)) {
+    errors.push({ field, message: 'Each step must be an object' });
+    return null;
+  }
+  errors.push(...unknownFieldErrors(step, STEP_FIELDS, field));
+  if (typeof step.scenarioId !== 'string' || !step.scenarioId.trim()) {
+    errors.push({ field: `${field}.scenarioId`, message: 'scenarioId is required' });
+  }
+  if (step.title !== undefined && (typeof step.title !== 'string' || step.title.length > MAX_NAME_LENGTH)) {
+    errors.push({ field: `${field}.title`, message: `title must be a string of at most ${MAX_NAME_LENGTH} characters` });
+  }
+
+  const requirements = step.requirements === undefined ? [] : step.requirements;
+  if (!Array.isArray(requirements) || requirements.length > MAX_REQUIREMENTS) {
+    errors.push({ field: `${field}.requirements`, message: `requirements must be an array of at most ${MAX_REQUIREMENTS} entries` });
+    return null;
+  }
+  requirements.forEach((requirement, requirementIndex) => {
+    const path = `${field}.requirements[${requirementIndex}]`;
+    if (requirement && typeof requirement === 'object' && !Array.isArray(requirement)) {
+      errors.push(...unknownFieldErrors(requirement, REQUIREMENT_FIELDS, path));
+    }
+    if (!requirement || typeof requirement.score !== 'string' || !SCORE_KEY_PATTERN.test(requirement.score)) {
+      errors.push({ field: `${path}.score`, message: 'score must be a score key such as discovery_score' });
+    }
+    if (!requirement || typeof requirement.min !== 'number' || requirement.min < 0 || requirement.min > MAX_THRESHOLD) {
+      errors.push({ field: `${path}.min`, message: `min must be a number between 0 and ${MAX_THRESHOLD}` });
+    }
+  });
+
+  return {
+    scenarioId: typeof step.scenarioId === 'string' ? step.scenarioId.trim() : step.scenarioId,
+    ...(step.title && { title: step.title.trim() }),
+    requirements: requirements.map(requirement => ({ score: requirement && requirement.score, min: requirement && requirement.min }))
+  };
+}
+
+// Validate a create (every field) or update (fields present) request.
+// Returns { values, errors }; scenario ids are checked by the caller.
+function validatePathInput(input, { partial = false } = {}) {
+  const values = {};
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { values, errors: [{ field: null, message: 'Request body must be an object' }] };
+  }
+  errors.push(...unknownFieldErrors(input, [...PATH_FIELDS, ...READ_ONLY_PATH_FIELDS]));
+
+  if (input.name !== undefined || !partial) {
+    if (typeof input.name !== 'string' || !input.name.trim() || input.name.length > MAX_NAME_LENGTH) {
+      errors.push({ field: 'name', message: `name is required (at most ${MAX_NAME_LENGTH} characters)` });
+    } else {
+      values.name = input.name.trim();
+    }
+  }
+
+  if (input.description !== undefined) {
+    if (typeof input.description !== 'string' || input.description.length > MAX_DESCRIPTION_LENGTH) {
+      errors.push({ field: 'description', message: `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters` });
+    } else {
+      values.description = input.description.trim();
+    }
+  }
+
+  if (input.steps !== undefined || !partial) {
+    if (!Array.isArray(input.steps) || input.steps.length === 0 || input.steps.length > MAX_STEPS) {
+      errors.push({ field: 'steps', message: `steps must be an array of 1 to ${MAX_STEPS} steps` });
+    } else {
+      const steps = input.steps.map((step, index) => validateStep(step, index, errors));
+      values.steps = JSON.stringify(steps);
+    }
+  }
+
+  if (input.is_active !== undefined) {
+    if (typeof input.is_active !== 'boolean') {
+      errors.push({ field: 'is_active', message: 'is_active must be a boolean' });
+    } else {
+      values.is_active = input.is_active;
+    }
+  }
+
+  return { values, errors };
+}
+
+const parseSteps = record => parseJSON(record.steps, []);
+
+const formatPath = record => ({
+  id: record.id,
+  name: record.name,
+  description: record.description || '',
+  steps: parseSteps(record),
+  is_active: record.is_active !== 'FALSE',
+  createdBy: record.createdBy,
+  createdAt: record.createdAt,
+  updatedAt: record.updatedAt || null
+});
+
+const formatAssignment = record => ({
+  id: record.id,
+  pathId: record.pathId,
+  userId: record.userId || null,
+  teamId: record.teamId || null,
+  assignedBy: record.assignedBy,
+  createdAt: record.createdAt
+});
+
+// Every score a scored session earned, keyed like the requirements
+function sessionScores(feedback) {
+  const scores = {};
+  const analysis = parseJSON(feedback.keyMetrics, {});
+  for (const result of analysis.rubric_results || []) {
+    scores[result.key] = result.score;
+  }
+  // The LLM evaluation, when there was one, replaces the keyword scores
+  const evaluation = parseJSON(feedback.evaluation, null);
+  for (const dimension of (evaluation && evaluation.dimensions) || []) {
+    scores[dimension.key] = dimension.score;
+  }
+  if (analysis.overall_effectiveness_score !== undefined) {
+    scores.overall_effectiveness_score = analysis.overall_effectiveness_score;
+  }
+  const confidence = parseFloat(feedback.confidenceScore);
+  if (!isNaN(confidence)) scores.confidenceScore = confidence;
+  return scores;
+}
+
+// One rep's progress through a path.
+//   steps     the path's steps, each with `scenarioIds` (every id its scenario
+//             is known by) and `scenarioTitle`
+//   sessions  the rep's session records
+//   feedback  the rep's Feedback records
+function computePathProgress({ path, steps, sessions, feedback }) {
+  const feedbackBySession = new Map(feedback.map(row => [row.sessionId, row]));
+  const scored = sessions
+    .filter(session => feedbackBySession.has(session.id))
+    .map(session => ({ session, scores: sessionScores(feedbackBySession.get(session.id)) }));
+
+  let previousCompleted = true;
+  const stepProgress = steps.map((step, index) => {
+    const attempts = scored.filter(entry => step.scenarioIds.includes(entry.session.scenarioId));
+
+    // Best score per key across every attempt at this step's scenario
+    const best = {};
+    for (const { scores } of attempts) {
+      for (const [key, value] of Object.entries(scores)) {
+        if (typeof value === 'number' && (best[key] === undefined || value > best[key])) best[key] = value;
+      }
+    }
+
+    const requirements = step.requirements.map(requirement => ({
+      score: requirement.score,
+      min: requirement.min,
+      best: best[requirement.score] ?? null,
+      met: best[requirement.score] !== undefined && best[requirement.score] >= requirement.min
+    }));
+    const passed = attempts.length > 0 && requirements.every(requirement => requirement.met);
+
+    const status = !previousCompleted ? 'locked' : passed ? 'completed' : 'unlocked';
+    previousCompleted = previousCompleted && passed;
+
+    const last = attempts
+      .map(entry => entry.session.endTime || entry.session.startTime)
+      .filter(Boolean)
+      .sort()
+      .pop();
+
+    return {
+      index,
+      scenarioId: step.scenarioId,
+      title: step.title || step.scenarioTitle || null,
+      status,
+      attempts: attempts.length,
+      lastAttemptAt: last || null,
+      requirements
+    };
+  });
+
+  const completedSteps = stepProgress.filter(step => step.status === 'completed').length;
+  const current = stepProgress.find(step => step.status === 'unlocked') || null;
+
+  return {
+    pathId: path.id,
+    pathName: path.name,
+    totalSteps: stepProgress.length,
+    completedSteps,
+    percentComplete: stepProgress.length > 0 ? Math.round((completedSteps / stepProgress.length) * 100) : 0,
+    completed: stepProgress.length > 0 && completedSteps === stepProgress.length,
+    // Zero-based index of the step the rep is working on; null once finished
+    position: current ? current.index : null,
+    currentStep: current,
+    steps: stepProgress
+  };
+}
+
+module.exports = {
+  STEP_STATUSES,
+  validatePathInput,
+  parseSteps,
+  formatPath,
+  formatAssignment,
+  sessionScores,
+  computePathProgress
+};
@@ -0,0 +1,237 @@
+// LLM-graded session evaluation.
+//
+// The model scores each rubric criterion 1-5, justifies the score and cites
+// the salesperson turns it relied on. The JSON reply is validated against
+// EVALUATION_SCHEMA plus the transcript itself: cited turns must be salesperson
+// turns and each quote must appear in its turn, ignoring case. Invalid replies
+// are retried with the validation errors; after the last attempt callers fall
+// back to the keyword scores via heuristicEvaluation().
+
+const EVALUATION_SCHEMA = {
+  type: 'object',
+  required: ['dimensions', 'summary'],
+  properties: {
+    summary: { type: 'string' },
+    dimensions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['key', 'score', 'justification', 'evidence'],
+        properties: {
+          key: { type: 'string' },
+          score: { type: 'integer', minimum: 1, maximum: 5 },
+          justification: { type: 'string' },
+          evidence: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['turnIndex', 'quote'],
+              properties: {
+                turnIndex: { type: 'integer' },
+                quote: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const DEFAULT_MAX_ATTEMPTS = 2;
+
+function formatTranscript(turns) {
+  return turns
+    .map(turn => `[${turn.turnIndex}] ${turn.speaker === 'user' ? 'Salesperson' : 'Customer'}: ${turn.message}`)
+    .join('\n');
+}
+
+function buildPrompt(rubric, turns) {
+  const dimensions = rubric.criteria
+    .map(criterion => `- ${criterion.key}: ${criterion.name}`)
+    .join('\n');
+
+  return [{
+    role: 'system',
+    content: `You are a sales coach grading a sales roleplay. Score the salesperson on each dimension from 1 (poor) to 5 (excellent).
+
+Dimensions:
+${dimensions}
+
+Reply with a single JSON object matching this JSON schema:
+${JSON.stringify(EVALUATION_SCHEMA)}
+
+Rules:
+- Include every dimension exactly once, using the keys above
+- justification: one or two sentences explaining the score
+- evidence: the salesperson turns that support the score. turnIndex is the number in brackets; quote must be copied exactly from that turn. Use an empty array if there is no relevant turn
+- summary: two or three sentences of overall coaching feedback`
+  }, {
+    role: 'user',
+    content: `Transcript:\n${formatTranscript(turns)}`
+  }];
+}
+
+// Returns a list of problems; empty when the evaluation is usable
+function validateEvaluation(evaluation, { rubric, turns }) {
+  const errors = [];
+
+  if (!evaluation || typeof evaluation !== 'object' || Array.isArray(evaluation)) {
+    return ['Response must be a JSON object'];
+  }
+  if (typeof evaluation.summary !== 'string' || !evaluation.summary.trim()) {
+    errors.push('summary must be a non-empty string');
+  }
+  if (!Array.isArray(evaluation.dimensions)) {
+    errors.push('dimensions must be an array');
+    return errors;
+  }
+
+  const expectedKeys = rubric.criteria.map(criterion => criterion.key);
+  const userTurns = new Map(turns.filter(turn => turn.speaker === 'user').map(turn => [turn.turnIndex, turn.message]));
+  const seen = new Set();
+
+  evaluation.dimensions.forEach((dimension, index) => {
+    const label = dimension && dimension.key ? dimension.key : `dimensions[${index}]`;
+    if (!dimension || typeof dimension !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (!expectedKeys.includes(dimension.key)) {
+      errors.push(`${label} is not one of ${expectedKeys.join(', ')}`);
+    } else if (seen.has(dimension.key)) {
+      errors.push(`${label} appears more than once`);
+    }
+    seen.add(dimension.key);
+
+    if (!Number.isInteger(dimension.score) || dimension.score < 1 || dimension.score > 5) {
+      errors.push(`${label}.score must be an integer from 1 to 5`);
+    }
+    if (typeof dimension.justification !== 'string' || !dimension.justification.trim()) {
+      errors.push(`${label}.justification must be a non-empty string`);
+    }
+    if (!Array.isArray(dimension.evidence)) {
+      errors.push(`${label}.evidence must be an array`);
+      return;
+    }
+    dimension.evidence.forEach((item, evidenceIndex) => {
+      const evidenceLabel = `${label}.evidence[${evidenceIndex}]`;
+      if (!item || !Number.isInteger(item.turnIndex) || typeof item.quote !== 'string' || !item.quote.trim()) {
+        errors.push(`${evidenceLabel} must have an integer turnIndex and a quote`);
+      } else if (!userTurns.has(item.turnIndex)) {
+        errors.push(`${evidenceLabel} cites turn ${item.turnIndex}, which is not a salesperson turn`);
+      } else if (!userTurns.get(item.turnIndex).toLowerCase().includes(item.quote.trim().toLowerCase())) {
+        errors.push(`${evidenceLabel} quote does not appear in turn ${item.turnIndex}`);
+      }
+    });
+  });
+
+  expectedKeys
+    .filter(key => !seen.has(key))
+    .forEach(key => errors.push(`Missing dimension ${key}`));
+
+  return errors;
+}
+
+function normalizeEvaluation(evaluation, rubric) {
+  const order = rubric.criteria.map(criterion => criterion.key);
+  return {
+    summary: evaluation.summary.trim(),
+    dimensions: [...evaluation.dimensions]
+      .sort((a, b) => order.indexOf(a.key) - order.indexOf(b.key))
+      .map(dimension => ({
+        key: dimension.key,
+        score: dimension.score,
+        justification: dimension.justification.trim(),
+        evidence: dimension.evidence.map(item => ({ turnIndex: item.turnIndex, quote: item.quote.trim() }))
+      }))
+  };
+}
+
+// Raised for replies that parse or validate badly, which are worth retrying
+class EvaluationFormatError extends Error {
+  constructor(problems) {
+    super(problems.join('; '));
+    this.name = 'EvaluationFormatError';
+    this.problems = problems;
+  }
+}
+
+// Ask the model for a structured evaluation through the `evaluation` use case
+// of an llm/ client (`meta` is passed through for usage metering). Resolves to
+// { source: 'llm', model, attempts, summary, dimensions } or null when every
+// attempt failed (errors are logged). An aborted `signal` stops the retries.
+async function evaluateWithLLM({ llm, rubric, turns, meta, signal, maxAttempts = DEFAULT_MAX_ATTEMPTS }) {
+  const messages = buildPrompt(rubric, turns);
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    signal?.throwIfAborted();
+    let content = '';
+    try {
+      const completion = await llm.complete({ useCase: 'evaluation', messages, json: true, meta, signal });
+      content = completion.content;
+
+      let parsed;
+      try {
+        parsed = JSON.parse(content);
+      } catch (parseError) {
+        throw new EvaluationFormatError([`Response is not valid JSON: ${parseError.message}`]);
+      }
+
+      const errors = validateEvaluation(parsed, { rubric, turns });
+      if (errors.length > 0) {
+        throw new EvaluationFormatError(errors);
+      }
+
+      return { source: 'llm', model: completion.model, attempts: attempt, ...normalizeEvaluation(parsed, rubric) };
+    } catch (error) {
+      if (!(error instanceof EvaluationFormatError)) {
+        console.error(`❌ LLM evaluation request failed (attempt ${attempt}/${maxAttempts}):`, error.message);
+        continue;
+      }
+
+      console.log(`⚠️ LLM evaluation invalid (attempt ${attempt}/${maxAttempts}):`, error.problems);
+      // Show the model what was wrong before the next attempt
+      messages.push(
+        { role: 'assistant', content },
+        { role: 'user', content: `That response was invalid:\n- ${error.problems.join('\n- ')}\nReply again with corrected JSON only.` }
+      );
+    }
+  }
+
+  return null;
+}
+
+// Same shape as an LLM evaluation, built from the keyword rubric results
+function heuristicEvaluation(analysis) {
+  return {
+    source: 'heuristic',
+    summary: null,
+    dimensions: (analysis.rubric_results || []).map(result => ({
+      key: result.key,
+      score: result.score,
+      justification: result.matched.length > 0
+        ? `Keyword score from ${result.count} match(es): ${result.matched.join(', ')}`
+        : `Keyword score from ${result.count} match(es)`,
+      evidence: []
+    }))
+  };
+}
+
+// Evaluation stored with a Feedback row, or null for rows saved before it existed
+function parseStoredEvaluation(feedback) {
+  if (!feedback || !feedback.evaluation) return null;
+  try {
+    return JSON.parse(feedback.evaluation);
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  EVALUATION_SCHEMA,
+  validateEvaluation,
+  evaluateWithLLM,
+  heuristicEvaluation,
+  parseStoredEvaluation
+};
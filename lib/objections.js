@@ -0,0 +1,165 @@
+// Objection playbook for persona chat.
+//
+// The persona raises the scenario's key_objections one at a time, starting
+// after the opening exchange. An objection stays open until the rep answers
+// it convincingly (resolved) or fails to within MAX_REP_ATTEMPTS replies
+// (unresolved), and the next one is raised a turn after that. Progress is
+// stored per session as JSON in Sessions.objections:
+//
+//   [{ objection, status: 'pending' | 'raised' | 'resolved' | 'unresolved',
+//      raisedAtTurn, closedAtTurn, repAttempts }]
+//
+// Turn numbers are the turnIndex of the stored conversation turns.
+
+const FIRST_RAISE_AT_REP_TURN = 2;
+const MAX_REP_ATTEMPTS = 2;
+
+const ACKNOWLEDGEMENTS = [
+  'understand', 'i hear you', 'fair', 'good question', 'great question', 'makes sense',
+  'i see your point', 'valid', 'concern', 'totally', 'appreciate'
+];
+
+// Something concrete behind the answer: evidence, numbers, risk reducers
+const SUBSTANCE = [
+  'for example', 'for instance', 'case study', 'customers like', 'similar business',
+  'roi', 'return', 'results', 'data', 'track', 'measure', 'guarantee', 'trial',
+  'no contract', 'cancel', 'pilot', 'start small', 'let me show you', 'let me explain'
+];
+
+const STOP_WORDS = new Set([
+  'about', 'after', 'again', 'already', 'because', 'being', 'could', 'doesn', 'don\'t',
+  'have', 'just', 'like', 'might', 'much', 'need', 'really', 'should', 'sounds',
+  'that', 'their', 'there', 'these', 'they', 'this', 'those', 'what', 'when', 'where',
+  'which', 'will', 'with', 'would', 'your'
+]);
+
+function topicWords(text) {
+  return (text.toLowerCase().match(/[a-z']{4,}/g) || []).filter(word => !STOP_WORDS.has(word));
+}
+
+function createObjectionTracker(objections) {
+  return objections.map(objection => ({
+    objection,
+    status: 'pending',
+    raisedAtTurn: null,
+    closedAtTurn: null,
+    repAttempts: 0
+  }));
+}
+
+// Stored tracker for the session, rebuilt when the scenario's objections
+// changed since it was saved (progress is kept for objections still listed)
+function loadObjectionTracker(stored, objections) {
+  let saved = [];
+  if (stored) {
+    try {
+      saved = JSON.parse(stored);
+    } catch {
+      saved = [];
+    }
+  }
+  if (!Array.isArray(saved)) saved = [];
+
+  return createObjectionTracker(objections).map(entry =>
+    saved.find(item => item && item.objection === entry.objection) || entry
+  );
+}
+
+// Whether a rep message answers the objection: it has to engage with the
+// concern (acknowledge it or talk about the same thing) and back the answer up
+function addressesObjection(objection, message) {
+  const text = message.toLowerCase();
+  const objectionWords = new Set(topicWords(objection));
+
+  const engages = ACKNOWLEDGEMENTS.some(phrase => text.includes(phrase)) ||
+    topicWords(text).some(word => objectionWords.has(word));
+  const substantiates = SUBSTANCE.some(phrase => text.includes(phrase)) || /\d/.test(text);
+
+  return engages && substantiates;
+}
+
+// Score the rep's reply against the open objection. Returns the objection it
+// closed this turn, if any.
+function applyRepTurn(tracker, message, turnIndex) {
+  const open = tracker.find(entry => entry.status === 'raised');
+  if (!open) return null;
+
+  open.repAttempts += 1;
+  if (addressesObjection(open.objection, message)) {
+    open.status = 'resolved';
+  } else if (open.repAttempts >= MAX_REP_ATTEMPTS) {
+    open.status = 'unresolved';
+  } else {
+    return null;
+  }
+  open.closedAtTurn = turnIndex;
+  return open;
+}
+
+// Next objection the persona should raise in its reply, or null. repTurnCount
+// includes the message being answered.
+function nextObjectionToRaise(tracker, repTurnCount, closedThisTurn) {
+  if (closedThisTurn || repTurnCount < FIRST_RAISE_AT_REP_TURN) return null;
+  if (tracker.some(entry => entry.status === 'raised')) return null;
+  return tracker.find(entry => entry.status === 'pending') || null;
+}
+
+function markRaised(entry, turnIndex) {
+  entry.status = 'raised';
+  entry.raisedAtTurn = turnIndex;
+}
+
+// Extra persona instructions for this reply
+function objectionGuidance(tracker, toRaise, closedThisTurn) {
+  const open = tracker.find(entry => entry.status === 'raised');
+
+  if (closedThisTurn && closedThisTurn.status === 'resolved') {
+    return `- The salesperson just answered your concern ("${closedThisTurn.objection}") well. Acknowledge that it helps`;
+  }
+  if (closedThisTurn) {
+    return `- You're still not convinced about "${closedThisTurn.objection}". Say so briefly, then let the conversation move on`;
+  }
+  if (toRaise) {
+    return `- In this reply, naturally raise this concern in your own words: "${toRaise.objection}"`;
+  }
+  if (open) {
+    return `- You are still waiting for a real answer to your concern: "${open.objection}". If the salesperson is vague or dodges it, press them on it`;
+  }
+  return '';
+}
+
+// Per-objection outcome for the end-of-session analysis
+function summarizeObjections(tracker) {
+  const raised = tracker.filter(entry => entry.status !== 'pending');
+  const resolved = raised.filter(entry => entry.status === 'resolved');
+
+  return {
+    objections: tracker.map(entry => ({
+      objection: entry.objection,
+      status: entry.status === 'raised' ? 'open' : entry.status,
+      raisedAtTurn: entry.raisedAtTurn,
+      closedAtTurn: entry.closedAtTurn
+    })),
+    raised_count: raised.length,
+    resolved_count: resolved.length,
+    resolution_rate: raised.length > 0 ? Math.round((resolved.length / raised.length) * 100) : null
+  };
+}
+
+function objectionRecommendations(summary) {
+  if (!summary) return [];
+  return summary.objections
+    .filter(entry => entry.status === 'unresolved' || entry.status === 'open')
+    .map(entry => `Prepare a stronger answer to "${entry.objection}": acknowledge it, then back your response with an example or numbers`);
+}
+
+module.exports = {
+  loadObjectionTracker,
+  addressesObjection,
+  applyRepTurn,
+  nextObjectionToRaise,
+  markRaised,
+  objectionGuidance,
+  summarizeObjections,
+  objectionRecommendations
+};
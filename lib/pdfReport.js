@@ -0,0 +1,173 @@
+// Minimal PDF writer for printable text reports, so exports need no native or
+// third-party PDF dependency.
+//
+// Pages are US Letter with the standard Helvetica fonts (no embedding). Text
+// is wrapped by an approximate character width and flows onto new pages as
+// needed. Characters outside WinAnsi (Latin-1) are printed as "?".
+//
+//   const doc = createPdfDocument({ title: 'Session report' });
+//   doc.heading('Scores');
+//   doc.keyValue('Confidence', '72');
+//   doc.paragraph('Long text that wraps...');
+//   const buffer = doc.toBuffer();
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 54;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+// Average Helvetica glyph width as a fraction of the font size
+const AVERAGE_CHAR_WIDTH = 0.5;
+
+const FONTS = { regular: 'F1', bold: 'F2' };
+
+// PDF string literal: escape delimiters and drop what Latin-1 can't show
+function pdfString(text) {
+  return String(text)
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/…/g, '...')
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+}
+
+function wrapText(text, size, width) {
+  const maxChars = Math.max(10, Math.floor(width / (size * AVERAGE_CHAR_WIDTH)));
+  const lines = [];
+
+  for (const paragraph of String(text ?? '').replace(/\r/g, '').split('\n')) {
+    let line = '';
+    for (let word of paragraph.split(/\s+/).filter(Boolean)) {
+      // Break words longer than a whole line (URLs, tokens)
+      while (word.length > maxChars) {
+        if (line) {
+          lines.push(line);
+          line = '';
+        }
+        lines.push(word.slice(0, maxChars));
+        word = word.slice(maxChars);
+      }
+      if (!line) {
+        line = word;
+      } else if (line.length + 1 + word.length <= maxChars) {
+        line += ` ${word}`;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+function createPdfDocument({ title = '' } = {}) {
+  const pages = [];
+  let current = null;
+  let y = 0;
+
+  function newPage() {
+    current = [];
+    pages.push(current);
+    y = PAGE_HEIGHT - MARGIN;
+  }
+
+  function ensureSpace(height) {
+    if (!current || y - height < MARGIN) newPage();
+  }
+
+  function writeLines(text, { size = 10, bold = false, indent = 0, gapAfter = 4 } = {}) {
+    const leading = size * 1.35;
+    for (const line of wrapText(text, size, CONTENT_WIDTH - indent)) {
+      ensureSpace(leading);
+      y -= leading;
+      if (line) {
+        current.push(`BT /${bold ? FONTS.bold : FONTS.regular} ${size} Tf ${MARGIN + indent} ${y.toFixed(2)} Td (${pdfString(line)}) Tj ET`);
+      }
+    }
+    y -= gapAfter;
+  }
+
+  const doc = {
+    title(text) {
+      writeLines(text, { size: 18, bold: true, gapAfter: 8 });
+      return doc;
+    },
+
+    heading(text) {
+      // Keep a heading with at least a couple of lines of its section
+      ensureSpace(60);
+      y -= 6;
+      writeLines(text, { size: 13, bold: true, gapAfter: 4 });
+      return doc;
+    },
+
+    paragraph(text, options = {}) {
+      writeLines(text, options);
+      return doc;
+    },
+
+    keyValue(label, value) {
+      writeLines(`${label}: ${value ?? '-'}`, { gapAfter: 1 });
+      return doc;
+    },
+
+    bullet(text) {
+      writeLines(`- ${text}`, { indent: 12, gapAfter: 2 });
+      return doc;
+    },
+
+    gap(height = 8) {
+      y -= height;
+      return doc;
+    },
+
+    toBuffer() {
+      if (pages.length === 0) newPage();
+
+      const objects = [];
+      const add = body => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      const catalogId = add(null);
+      const pagesId = add(null);
+      const regularId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+      const infoId = add(`<< /Title (${pdfString(title)}) /Producer (sales-roleplay-backend) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`);
+
+      const pageIds = pages.map((commands, index) => {
+        // Page number footer
+        commands.push(`BT /${FONTS.regular} 8 Tf ${PAGE_WIDTH - MARGIN - 40} ${MARGIN / 2} Td (Page ${index + 1} of ${pages.length}) Tj ET`);
+        const content = commands.join('\n');
+        const contentId = add(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+        return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /${FONTS.regular} ${regularId} 0 R /${FONTS.bold} ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+      });
+
+      objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+      objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+      let output = '%PDF-1.4\n';
+      const offsets = objects.map((body, index) => {
+        const offset = Buffer.byteLength(output, 'latin1');
+        output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+
+      const xrefOffset = Buffer.byteLength(output, 'latin1');
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Buffer.from(output, 'latin1');
+    }
+  };
+
+  return doc;
+}
+
+module.exports = {
+  createPdfDocument
+};
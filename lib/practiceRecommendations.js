@@ -0,0 +1,267 @@
+// "What should I practice next": picks scenarios for a rep from their score
+// history on each rubric dimension (discovery_score, objection_handling_score,
+// ...), read from the Feedback rows of their scored sessions.
+//
+// Each dimension gets a status:
+//   weak         recency-weighted average below MASTERY_SCORE
+//   review_due   mastered, but not practiced for its review interval. The
+//                interval starts at REVIEW_BASE_DAYS and doubles with every
+//                session in a row at mastery level (spaced repetition), up to
+//                REVIEW_MAX_DAYS
+//   mastered     nothing to do yet; nextReviewAt says when it comes back
+//
+// Weak dimensions come first (lowest average first), then overdue reviews.
+// For each one, scenarios are matched on sales_skill_area and coaching_focus
+// against the dimension's terms, and the difficulty is chosen from how weak
+// the skill is: easy scenarios for scores under 2.5, harder ones for reviews.
+// Reps with no scored sessions get the easiest scenarios to start with.
+
+const { sessionScores } = require('./learningPaths');
+
+const MASTERY_SCORE = 4;
+const REVIEW_BASE_DAYS = 3;
+const REVIEW_MAX_DAYS = 60;
+// Each older session counts this much less than the one after it
+const RECENCY_DECAY = 0.7;
+// Scenarios practiced this recently are passed over while others fit
+const RECENTLY_PRACTICED_HOURS = 24;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Scores that are not skills to practice
+const NON_SKILL_SCORES = ['overall_effectiveness_score', 'confidenceScore'];
+
+// Extra words a skill area or coaching focus may use for the built-in
+// dimensions; other rubric criteria match on their key and name
+const DIMENSION_TERMS = {
+  discovery_score: ['discovery', 'question', 'needs', 'qualif', 'listening'],
+  product_knowledge_score: ['product', 'google ads', 'knowledge', 'technical', 'campaign'],
+  objection_handling_score: ['objection', 'pushback', 'concern', 'negotiat', 'pricing'],
+  business_value_score: ['value', 'roi', 'business outcome', 'results', 'closing'],
+  solution_fit_score: ['solution', 'fit', 'recommend', 'tailor'],
+  clarity_confidence_score: ['clarity', 'confidence', 'communication', 'presence']
+};
+
+const DIFFICULTY_LEVELS = [
+  { level: 1, words: ['easy', 'beginner', 'basic', 'intro'] },
+  { level: 2, words: ['medium', 'intermediate', 'moderate'] },
+  { level: 3, words: ['hard', 'advanced', 'expert', 'difficult'] }
+];
+
+const round1 = value => Math.round(value * 10) / 10;
+
+function difficultyLevel(value) {
+  const text = String(value || '').toLowerCase();
+  const match = DIFFICULTY_LEVELS.find(entry => entry.words.some(word => text.includes(word)));
+  return match ? match.level : 2;
+}
+
+function dimensionTerms(key, name) {
+  const fromKey = key.replace(/_score$/, '').replace(/_/g, ' ');
+  return [...new Set([fromKey, name, ...(DIMENSION_TERMS[key] || [])]
+    .filter(Boolean)
+    .map(term => term.toLowerCase()))];
+}
+
+// How strongly a scenario targets a dimension: skill area matches count
+// double a coaching focus match. 0 means unrelated.
+function scenarioRelevance(scenario, terms) {
+  const skillArea = String(scenario.sales_skill_area || '').toLowerCase();
+  const focus = String(scenario.coaching_focus || '').toLowerCase();
+  let relevance = 0;
+  if (terms.some(term => skillArea.includes(term))) relevance += 2;
+  if (terms.some(term => focus.includes(term))) relevance += 1;
+  return relevance;
+}
+
+const parseNames = feedback => {
+  try {
+    const analysis = JSON.parse(feedback.keyMetrics || '{}');
+    return (analysis.rubric_results || []).map(result => [result.key, result.name]);
+  } catch {
+    return [];
+  }
+};
+
+// Per-dimension score history, oldest session first.
+//   sessions  the rep's session records
+//   feedback  the rep's Feedback records
+function buildSkillHistory({ sessions, feedback }) {
+  const sessionsById = new Map(sessions.map(session => [session.id, session]));
+  const history = new Map();
+
+  const scored = feedback
+    .map(row => ({ row, session: sessionsById.get(row.sessionId) }))
+    .filter(entry => entry.session)
+    .map(entry => ({ ...entry, at: entry.session.endTime || entry.session.startTime || entry.row.createdAt }))
+    .sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  for (const { row, session, at } of scored) {
+    const names = new Map(parseNames(row));
+    for (const [key, score] of Object.entries(sessionScores(row))) {
+      if (NON_SKILL_SCORES.includes(key) || typeof score !== 'number') continue;
+      if (!history.has(key)) history.set(key, { key, name: names.get(key) || key, entries: [] });
+      history.get(key).entries.push({ score, at, scenarioId: session.scenarioId });
+    }
+  }
+  return [...history.values()];
+}
+
+function assessSkill({ key, name, entries }, now) {
+  // Recency-weighted average: the latest session counts most
+  let weightTotal = 0;
+  let weighted = 0;
+  entries.forEach((entry, index) => {
+    const weight = RECENCY_DECAY ** (entries.length - 1 - index);
+    weightTotal += weight;
+    weighted += entry.score * weight;
+  });
+  const averageScore = round1(weighted / weightTotal);
+  const latest = entries[entries.length - 1];
+  const previous = entries[entries.length - 2];
+
+  // Sessions in a row at mastery level, counting back from the latest
+  let streak = 0;
+  for (let index = entries.length - 1; index >= 0 && entries[index].score >= MASTERY_SCORE; index--) {
+    streak++;
+  }
+
+  const lastPracticed = new Date(latest.at);
+  const daysSince = (now - lastPracticed) / DAY_MS;
+  let status = 'weak';
+  let nextReviewAt = null;
+  let priority = 1 + (MASTERY_SCORE - averageScore);
+
+  if (averageScore >= MASTERY_SCORE && streak > 0) {
+    const intervalDays = Math.min(REVIEW_MAX_DAYS, REVIEW_BASE_DAYS * 2 ** (streak - 1));
+    nextReviewAt = new Date(lastPracticed.getTime() + intervalDays * DAY_MS).toISOString();
+    if (daysSince >= intervalDays) {
+      status = 'review_due';
+      // 0.5 when just due, up to 1 when a full interval overdue
+      priority = 0.5 + Math.min(1, (daysSince - intervalDays) / intervalDays) * 0.5;
+    } else {
+      status = 'mastered';
+      priority = 0;
+    }
+  }
+
+  return {
+    dimension: key,
+    name,
+    attempts: entries.length,
+    latestScore: latest.score,
+    averageScore,
+    trend: previous ? Math.sign(latest.score - previous.score) : 0,
+    lastPracticedAt: isNaN(lastPracticed) ? null : lastPracticed.toISOString(),
+    status,
+    nextReviewAt,
+    priority: round1(priority)
+  };
+}
+
+// Difficulty to aim for: build up weak skills on easier scenarios
+function targetDifficulty(skill) {
+  if (skill.status !== 'weak') return 3;
+  return skill.averageScore < 2.5 ? 1 : 2;
+}
+
+function reasonFor(skill, scenario) {
+  const area = scenario.sales_skill_area ? ` (${scenario.sales_skill_area})` : '';
+  if (skill.status === 'review_due') {
+    return `Review ${skill.name}${area}: you mastered it, but last practiced it on ${skill.lastPracticedAt.slice(0, 10)}`;
+  }
+  return `Work on ${skill.name}${area}: your recent average is ${skill.averageScore}/5 over ${skill.attempts} session(s)`;
+}
+
+const formatScenarioSummary = scenario => ({
+  id: scenario.id,
+  title: scenario.title,
+  difficulty: scenario.difficulty || null,
+  sales_skill_area: scenario.sales_skill_area || null,
+  coaching_focus: scenario.coaching_focus || null
+});
+
+// scenarios: the published, active scenarios a rep can start
+function recommendPractice({ sessions, feedback, scenarios, now = new Date(), limit = 3 }) {
+  const skills = buildSkillHistory({ sessions, feedback })
+    .map(skill => assessSkill(skill, now))
+    .sort((a, b) => b.priority - a.priority || a.averageScore - b.averageScore);
+
+  const recentCutoff = now.getTime() - RECENTLY_PRACTICED_HOURS * 60 * 60 * 1000;
+  const lastPlayed = new Map();
+  for (const session of sessions) {
+    const at = new Date(session.startTime).getTime();
+    if (!isNaN(at) && at > (lastPlayed.get(session.scenarioId) || 0)) lastPlayed.set(session.scenarioId, at);
+  }
+  const playedAt = scenario => Math.max(lastPlayed.get(scenario.id) || 0, lastPlayed.get(scenario.scenario_id) || 0);
+
+  const chosen = new Set();
+  const recommendations = [];
+
+  for (const skill of skills.filter(entry => entry.status !== 'mastered')) {
+    if (recommendations.length >= limit) break;
+    const terms = dimensionTerms(skill.dimension, skill.name);
+    const target = targetDifficulty(skill);
+
+    const ranked = scenarios
+      .filter(scenario => !chosen.has(scenario.id))
+      .map(scenario => ({ scenario, relevance: scenarioRelevance(scenario, terms) }))
+      .filter(entry => entry.relevance > 0)
+      .map(entry => ({
+        ...entry,
+        rank: entry.relevance * 2
+          - Math.abs(difficultyLevel(entry.scenario.difficulty) - target)
+          - (playedAt(entry.scenario) > recentCutoff ? 2 : 0)
+          + (playedAt(entry.scenario) === 0 ? 0.5 : 0)
+      }))
+      .sort((a, b) => b.rank - a.rank);
+
+    if (ranked.length === 0) continue;
+    const { scenario } = ranked[0];
+    chosen.add(scenario.id);
+    recommendations.push({
+      scenario: formatScenarioSummary(scenario),
+      dimension: skill.dimension,
+      dimensionName: skill.name,
+      status: skill.status,
+      reason: reasonFor(skill, scenario),
+      priority: skill.priority
+    });
+  }
+
+  // Nothing to go on yet: start with the easiest scenarios
+  if (skills.length === 0) {
+    scenarios
+      .slice()
+      .sort((a, b) => difficultyLevel(a.difficulty) - difficultyLevel(b.difficulty))
+      .slice(0, limit)
+      .forEach(scenario => recommendations.push({
+        scenario: formatScenarioSummary(scenario),
+        dimension: null,
+        dimensionName: null,
+        status: 'new',
+        reason: 'Start here: complete a session so we can find the skills to focus on',
+        priority: 0
+      }));
+  }
+
+  return {
+    generatedAt: now.toISOString(),
+    skills,
+    recommendations
+  };
+}
+
+// Plan entries as coaching tips
+const practiceTips = recommendations => recommendations
+  .filter(recommendation => recommendation.dimension)
+  .map(recommendation => `Practice next: "${recommendation.scenario.title}". ${recommendation.reason}`);
+
+module.exports = {
+  MASTERY_SCORE,
+  REVIEW_BASE_DAYS,
+  REVIEW_MAX_DAYS,
+  buildSkillHistory,
+  recommendPractice,
+  practiceTips
+};
@@ -0,0 +1,238 @@
+// PII redaction pipeline.
+//
+// Detectors run over the original text and their matches are replaced in one
+// pass, earlier detectors winning where matches overlap. Each match becomes a
+// placeholder derived from an HMAC of the value, e.g. [EMAIL_3f9a1c], so the
+// same value gets the same token throughout a session (the `scope`) without
+// the value itself being stored anywhere. Allow-listed terms (product names,
+// the persona's own name, a scenario's pii_allow_list) are never redacted.
+//
+// Configuration (see createRedactorFromEnv):
+//   PII_DISABLED_DETECTORS  comma-separated detector ids to turn off
+//   PII_ALLOW_LIST          comma-separated extra terms to leave alone
+//   PII_TOKEN_SECRET        HMAC key. Required unless NODE_ENV is development
+//                           or test, where a random per-process key is used
+
+const crypto = require('crypto');
+
+const DEFAULT_ALLOW_LIST = [
+  'Google Ads', 'Performance Max', 'Smart Campaigns', 'Search Campaigns',
+  'Display Network', 'YouTube Ads', 'Shopping Campaigns', 'Quality Score',
+  'Google Analytics', 'Merchant Center', 'Keyword Planner', 'Google Business Profile'
+];
+
+// Capitalized words that start "First Last" lookalikes but aren't names
+const NOT_NAMES = new Set([
+  'hi', 'hello', 'hey', 'thanks', 'thank', 'dear', 'good', 'great', 'yes', 'no',
+  'okay', 'ok', 'sure', 'well', 'so', 'and', 'but', 'the', 'this', 'that', 'our',
+  'your', 'my', 'we', 'i', 'it', 'monday', 'tuesday', 'wednesday', 'thursday',
+  'friday', 'saturday', 'sunday', 'january', 'february', 'march', 'april', 'may',
+  'june', 'july', 'august', 'september', 'october', 'november', 'december'
+]);
+
+// Job titles, departments and business terms. Capitalized pairs that contain
+// one ("Sales Manager", "Marketing Director", "Account Executive") are roles
+// or topics, not people.
+const ROLE_WORDS = new Set([
+  'sales', 'manager', 'managers', 'director', 'head', 'lead', 'chief', 'officer', 'president',
+  'vice', 'vp', 'executive', 'account', 'accounts', 'marketing', 'business', 'development',
+  'owner', 'founder', 'partner', 'associate', 'assistant', 'coordinator', 'specialist',
+  'representative', 'rep', 'consultant', 'analyst', 'engineer', 'administrator', 'admin',
+  'operations', 'finance', 'financial', 'customer', 'customers', 'client', 'clients',
+  'success', 'support', 'service', 'services', 'team', 'department', 'office', 'practice',
+  'clinic', 'company', 'group', 'agency', 'store', 'shop', 'restaurant', 'center', 'centre',
+  'product', 'products', 'strategy', 'growth', 'revenue', 'budget', 'campaign', 'campaigns',
+  'ads', 'ad', 'search', 'display', 'video', 'media', 'social', 'digital', 'online', 'local',
+  'objection', 'objections', 'handling', 'discovery', 'value', 'solution', 'fit', 'roi',
+  'inc', 'llc', 'ltd', 'corp', 'co', 'street', 'avenue', 'road'
+]);
+
+// Words that can follow a name cue ("speak with ...") without being a name
+const NOT_NAME_FOLLOWERS = new Set([
+  'and', 'from', 'with', 'at', 'here', 'calling', 'about', 'on', 'in', 'for', 'to',
+  'the', 'a', 'an', 'our', 'your', 'my', 'someone', 'somebody', 'you', 'me', 'him',
+  'her', 'them', 'us', 'team', 'sales', 'support', 'manager', 'owner', 'i', 'is',
+  'back', 'later', 'tomorrow', 'today', 'now', 'anytime', 'when', 'if', 'soon'
+]);
+
+const DETECTORS = [
+  {
+    id: 'email',
+    token: 'EMAIL',
+    find: text => matchAll(text, /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g)
+  },
+  {
+    id: 'card',
+    token: 'CARD',
+    find: text => matchAll(text, /\b\d{4}[-\s]?\d{4}[-\s]?\d{4}[-\s]?\d{4}\b/g)
+  },
+  {
+    id: 'ssn',
+    token: 'SSN',
+    find: text => matchAll(text, /\b\d{3}-?\d{2}-?\d{4}\b/g)
+  },
+  {
+    id: 'phone',
+    token: 'PHONE',
+    find: text => matchAll(text, /(?:\+?1[-.\s]?)?(?:\(\d{3}\)|\b\d{3})[-.\s]?\d{3}[-.\s]?\d{4}\b/g)
+  },
+  {
+    id: 'name',
+    token: 'NAME',
+    find: text => [...findCuedNames(text), ...findCapitalizedNames(text)]
+  }
+];
+
+const DETECTOR_IDS = DETECTORS.map(detector => detector.id);
+
+function matchAll(text, pattern) {
+  return [...text.matchAll(pattern)].map(match => ({
+    start: match.index,
+    end: match.index + match[0].length,
+    value: match[0]
+  }));
+}
+
+// "my name is jane doe", "ask for Jane": names introduced by a cue, in any case
+function findCuedNames(text) {
+  const cue = /\b(?:my name is|my name's|call me|ask for|speak (?:with|to)|talk to|reach out to)\s+([A-Za-z][A-Za-z'-]+)(?:\s+([A-Za-z][A-Za-z'-]+))?/gid;
+  const found = [];
+  for (const match of text.matchAll(cue)) {
+    const [, first, second] = match;
+    if (NOT_NAME_FOLLOWERS.has(first.toLowerCase())) continue;
+
+    const start = match.indices[1][0];
+    const end = second && !NOT_NAME_FOLLOWERS.has(second.toLowerCase()) ? match.indices[2][1] : match.indices[1][1];
+    found.push({ start, end, value: text.slice(start, end) });
+  }
+  return found;
+}
+
+// "Jane Doe": two or more capitalized words that aren't obviously something
+// else (a greeting, a date, a job title or business term). Such words split
+// a run, so "Account Executive Jane Doe" still finds "Jane Doe".
+function findCapitalizedNames(text) {
+  const found = [];
+  for (const run of matchAll(text, /\b[A-Z][a-z]+(?:\s+[A-Z][a-z]+)+\b/g)) {
+    let words = [];
+    const flush = () => {
+      if (words.length >= 2) {
+        const start = words[0].start;
+        const end = words[words.length - 1].end;
+        found.push({ start, end, value: text.slice(start, end) });
+      }
+      words = [];
+    };
+    for (const word of matchAll(run.value, /[A-Za-z]+/g)) {
+      const lower = word.value.toLowerCase();
+      if (NOT_NAMES.has(lower) || ROLE_WORDS.has(lower)) {
+        flush();
+      } else {
+        words.push({ start: run.start + word.start, end: run.start + word.end });
+      }
+    }
+    flush();
+  }
+  return found;
+}
+
+// Character ranges covered by allow-listed terms (case-insensitive, whole words)
+function allowedSpans(text, terms) {
+  const spans = [];
+  for (const term of terms) {
+    if (!term) continue;
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    spans.push(...matchAll(text, new RegExp(`\\b${escaped}\\b`, 'gi')));
+  }
+  return spans;
+}
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(item => item.length > 0);
+}
+
+function createRedactor({ disabled = [], allowList = [], secret } = {}) {
+  const unknown = disabled.filter(id => !DETECTOR_IDS.includes(id));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown PII detector(s): ${unknown.join(', ')}. Known detectors: ${DETECTOR_IDS.join(', ')}`);
+  }
+
+  const enabled = DETECTORS.filter(detector => !disabled.includes(detector.id));
+  const terms = [...DEFAULT_ALLOW_LIST, ...allowList];
+  const key = secret || crypto.randomBytes(32).toString('hex');
+
+  function tokenFor(detector, value, scope) {
+    const digest = crypto.createHmac('sha256', key)
+      .update(`${scope || ''}:${value.toLowerCase()}`)
+      .digest('hex');
+    return `[${detector.token}_${digest.slice(0, 6)}]`;
+  }
+
+  // Returns { text, detections } where detections counts matches per detector id.
+  // options.scope keeps tokens consistent (e.g. the session id); options.allow
+  // adds terms to leave alone for this call.
+  function redact(text, { scope, allow = [] } = {}) {
+    if (!text || typeof text !== 'string') return { text, detections: {} };
+
+    const allowed = allowedSpans(text, [...terms, ...allow]);
+    const accepted = [];
+    for (const detector of enabled) {
+      for (const match of detector.find(text)) {
+        if (allowed.some(span => overlaps(span, match))) continue;
+        if (accepted.some(existing => overlaps(existing, match))) continue;
+        accepted.push({ ...match, detector });
+      }
+    }
+
+    const detections = {};
+    let output = '';
+    let position = 0;
+    for (const match of accepted.sort((a, b) => a.start - b.start)) {
+      output += text.slice(position, match.start) + tokenFor(match.detector, match.value, scope);
+      position = match.end;
+      detections[match.detector.id] = (detections[match.detector.id] || 0) + 1;
+    }
+    output += text.slice(position);
+
+    return { text: output, detections };
+  }
+
+  return { detectors: enabled.map(detector => detector.id), redact };
+}
+
+const DEVELOPMENT_ENVS = ['development', 'test'];
+
+// Throws when PII_TOKEN_SECRET is missing outside development: with a random
+// key every restart would give the same value a new token
+function createRedactorFromEnv(env = process.env) {
+  if (!env.PII_TOKEN_SECRET) {
+    if (!DEVELOPMENT_ENVS.includes(env.NODE_ENV)) {
+      throw new Error('PII_TOKEN_SECRET is required (set NODE_ENV=development to use a random key locally)');
+    }
+    console.log('⚠️ PII_TOKEN_SECRET not set, redaction tokens will change when the server restarts');
+  }
+  return createRedactor({
+    disabled: parseList(env.PII_DISABLED_DETECTORS),
+    allowList: parseList(env.PII_ALLOW_LIST),
+    secret: env.PII_TOKEN_SECRET
+  });
+}
+
+// Add one redaction's detector counts to a running total
+function mergeDetections(total, detections) {
+  const merged = { ...total };
+  for (const [id, count] of Object.entries(detections || {})) {
+    merged[id] = (merged[id] || 0) + count;
+  }
+  return merged;
+}
+
+module.exports = {
+  DETECTOR_IDS,
+  DEFAULT_ALLOW_LIST,
+  createRedactor,
+  createRedactorFromEnv,
+  mergeDetections
+};
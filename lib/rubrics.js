@@ -0,0 +1,457 @@
+// Scoring rubrics as data.
+//
+// A rubric is a list of criteria scored 1-5 from the rep's messages:
+//
+//   {
+//     key: 'discovery_score',            // analysis field the score is written to
+//     name: 'Discovery',
+//     weight: 1,                         // weight in the overall score (0 = not counted)
+//     count: 'messages' | 'signals',     // count matching messages, or distinct signals found
+//     requires: [signal],                // every one must appear in a message (messages mode)
+//     signals: [signal],                 // any one must appear; empty matches every message
+//     thresholds: [{ min: 0, score: 1 }, ...],  // highest score whose min <= count
+//     recommendation: 'text',            // coaching tip when the score is below recommendBelow
+//     recommendBelow: 3
+//   }
+//
+// A signal is { phrase } (case-insensitive substring) or { regex, flags }.
+// Regexes are checked by regexSafetyError() when a rubric is saved: patterns
+// that can backtrack catastrophically (a repeated group that itself repeats
+// or alternates, backreferences) are rejected, and any that slipped into
+// storage earlier are skipped when scoring.
+// `overall` picks how overall_effectiveness_score is derived: the weighted
+// average of criterion scores, or the average of raw counts ('count_average').
+
+const MAX_CRITERIA = 20;
+const MAX_SIGNALS = 100;
+const MAX_PATTERN_LENGTH = 200;
+const ALLOWED_FLAGS = /^[imsu]*$/;
+
+const phrases = list => list.map(phrase => ({ phrase }));
+
+// Default rubric used by /api/sessions/end; reproduces the original keyword scoring
+const DEFAULT_RUBRIC = {
+  id: 'default',
+  name: 'Google Ads sales conversation (default)',
+  criteria: [
+    {
+      key: 'discovery_score',
+      name: 'Discovery',
+      weight: 1,
+      count: 'messages',
+      requires: phrases(['?']),
+      signals: phrases(['goal', 'currently', 'budget', 'target', 'competition', 'challenge', 'how', 'what', 'why', 'when', 'where']),
+      thresholds: [{ min: 0, score: 1 }, { min: 1, score: 2 }, { min: 3, score: 3 }, { min: 5, score: 4 }, { min: 7, score: 5 }],
+      recommendation: 'Practice asking more discovery questions about client goals and current marketing'
+    },
+    {
+      key: 'product_knowledge_score',
+      name: 'Product knowledge',
+      weight: 1,
+      count: 'signals',
+      signals: phrases([
+        'quality score', 'cpc', 'ctr', 'roas', 'performance max', 'smart campaigns',
+        'search campaigns', 'display network', 'youtube ads', 'shopping campaigns',
+        'keyword research', 'negative keywords', 'bidding strategy', 'ad extensions',
+        'conversion tracking', 'remarketing', 'audience targeting', 'budget optimization',
+        'google ads', 'advertising', 'marketing', 'campaigns', 'keywords', 'budget'
+      ]),
+      thresholds: [{ min: 0, score: 1 }, { min: 1, score: 2 }, { min: 2, score: 3 }, { min: 3, score: 4 }, { min: 4, score: 5 }],
+      recommendation: 'Study Google Ads products: Performance Max, Smart Campaigns, and Search Campaigns'
+    },
+    {
+      key: 'objection_handling_score',
+      name: 'Objection handling',
+      weight: 1,
+      count: 'messages',
+      signals: phrases(['understand', 'let me explain', 'for example', 'actually', 'what i mean', 'let me show you', 'i see your point', 'that makes sense']),
+      thresholds: [{ min: 0, score: 1 }, { min: 1, score: 3 }, { min: 2, score: 4 }, { min: 3, score: 5 }],
+      recommendation: 'Work on addressing budget and ROI concerns with examples and case studies'
+    },
+    {
+      key: 'business_value_score',
+      name: 'Business value',
+      weight: 1,
+      count: 'messages',
+      signals: phrases(['roi', 'return', 'revenue', 'growth', 'customers', 'sales', 'profit', 'increase', 'improve', 'results']),
+      thresholds: [{ min: 0, score: 1 }, { min: 1, score: 3 }, { min: 2, score: 4 }, { min: 3, score: 5 }],
+      recommendation: 'Focus more on business outcomes and ROI rather than just features'
+    }
+  ],
+  overall: { method: 'weighted_average', rounding: 'ceil' }
+};
+
+// Rubric used by /api/sessions/analyze-google-ads; reproduces its original scoring
+const GOOGLE_ADS_COACHING_RUBRIC = {
+  id: 'google_ads_coaching',
+  name: 'Google Ads coaching',
+  criteria: [
+    {
+      key: 'discovery_score',
+      name: 'Discovery',
+      weight: 1,
+      count: 'messages',
+      requires: phrases(['?']),
+      signals: phrases(['goal', 'currently', 'budget', 'target', 'competition', 'challenge', 'measure', 'success']),
+      thresholds: [{ min: 0, score: 1 }, { min: 3, score: 2 }, { min: 5, score: 3 }, { min: 7, score: 4 }, { min: 9, score: 5 }],
+      recommendation: 'Practice asking more discovery questions about client goals and current marketing'
+    },
+    {
+      key: 'product_knowledge_score',
+      name: 'Product knowledge',
+      weight: 1,
+      count: 'signals',
+      signals: phrases([
+        'quality score', 'cpc', 'ctr', 'roas', 'performance max', 'smart campaigns',
+        'search campaigns', 'display network', 'youtube ads', 'shopping campaigns',
+        'keyword research', 'negative keywords', 'bidding strategy', 'ad extensions',
+        'conversion tracking', 'remarketing', 'audience targeting', 'budget optimization'
+      ]),
+      thresholds: [{ min: 0, score: 1 }, { min: 2, score: 2 }, { min: 3, score: 3 }, { min: 4, score: 4 }, { min: 5, score: 5 }],
+      recommendation: 'Study Google Ads products: Performance Max, Smart Campaigns, and Search Campaigns'
+    },
+    {
+      key: 'objection_handling_score',
+      name: 'Objection handling',
+      weight: 1,
+      count: 'messages',
+      signals: phrases(['understand', 'let me explain', 'for example', 'actually', 'what i mean', 'let me show you']),
+      thresholds: [{ min: 0, score: 1 }, { min: 2, score: 2 }, { min: 3, score: 3 }, { min: 4, score: 4 }, { min: 5, score: 5 }],
+      recommendation: 'Work on addressing budget and ROI concerns with examples and case studies'
+    },
+    {
+      key: 'solution_fit_score',
+      name: 'Solution fit',
+      weight: 0,
+      count: 'signals',
+      signals: phrases(['performance max', 'smart campaigns']),
+      thresholds: [{ min: 0, score: 2 }, { min: 1, score: 4 }]
+    },
+    {
+      key: 'clarity_confidence_score',
+      name: 'Clarity and confidence',
+      weight: 0,
+      count: 'messages',
+      signals: [],
+      thresholds: [{ min: 0, score: 1 }, { min: 4, score: 2 }, { min: 7, score: 3 }, { min: 10, score: 4 }, { min: 13, score: 5 }]
+    },
+    {
+      key: 'business_value_score',
+      name: 'Business value',
+      weight: 1,
+      count: 'messages',
+      signals: phrases(['roi', 'return', 'revenue', 'growth', 'customers', 'sales']),
+      thresholds: [{ min: 0, score: 1 }, { min: 2, score: 2 }, { min: 3, score: 3 }, { min: 4, score: 4 }, { min: 5, score: 5 }],
+      recommendation: 'Focus more on business outcomes and ROI rather than just features'
+    }
+  ],
+  overall: { method: 'count_average', rounding: 'ceil' }
+};
+
+const clampScore = score => Math.min(5, Math.max(1, score));
+
+function signalLabel(signal) {
+  return signal.phrase !== undefined ? signal.phrase : signal.regex;
+}
+
+// Repeat counts beyond one make a quantifier "repeating": *, +, {n,} and {n,m} with m > 1
+function readQuantifier(source, index) {
+  const char = source[index];
+  if (char === '*' || char === '+') return { length: 1, repeats: true };
+  if (char === '?') return { length: 1, repeats: false };
+  if (char === '{') {
+    const match = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(index));
+    if (match) {
+      const max = match[2] === undefined ? Number(match[1]) : match[3] === '' ? Infinity : Number(match[3]);
+      return { length: match[0].length, repeats: max > 1 };
+    }
+  }
+  return null;
+}
+
+// Why a regex could take exponential time, or null when it is safe to run
+// on user text. Conservative: a group that repeats may not contain another
+// quantifier or an alternation, which covers (a+)+, (a|a)* and (\w+\s?)*.
+function regexSafetyError(source) {
+  const groups = [{ quantified: false, alternation: false }];
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+    let atomEnd = index + 1;
+    let closed = null;
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(source[index + 1] || '')) return 'backreferences are not allowed';
+      atomEnd = index + 2;
+    } else if (char === '[') {
+      // Character class: skip to its closing bracket
+      atomEnd = index + 1;
+      while (atomEnd < source.length && source[atomEnd] !== ']') {
+        atomEnd += source[atomEnd] === '\\' ? 2 : 1;
+      }
+      atomEnd += 1;
+    } else if (char === '(') {
+      groups.push({ quantified: false, alternation: false });
+      index += 1;
+      continue;
+    } else if (char === ')') {
+      closed = groups.length > 1 ? groups.pop() : { quantified: false, alternation: false };
+    } else if (char === '|') {
+      groups[groups.length - 1].alternation = true;
+      index += 1;
+      continue;
+    }
+
+    const quantifier = readQuantifier(source, atomEnd);
+    const current = groups[groups.length - 1];
+    if (closed) {
+      if (quantifier && quantifier.repeats && (closed.quantified || closed.alternation)) {
+        return 'a repeated group may not contain another quantifier or an alternation (nested quantifiers)';
+      }
+      if (closed.quantified) current.quantified = true;
+    }
+    if (quantifier) {
+      current.quantified = true;
+      atomEnd += quantifier.length;
+      // Lazy or possessive marker
+      if (source[atomEnd] === '?') atomEnd += 1;
+    }
+    index = atomEnd;
+  }
+  return null;
+}
+
+// Compiled regex per signal source; null when the pattern is unsafe or invalid
+const compiledSignals = new Map();
+
+function compileSignal(signal) {
+  const cacheKey = `${signal.flags || 'i'}/${signal.regex}`;
+  if (!compiledSignals.has(cacheKey)) {
+    let regex = null;
+    if (!regexSafetyError(signal.regex) && ALLOWED_FLAGS.test(signal.flags || '')) {
+      try {
+        regex = new RegExp(signal.regex, signal.flags || 'i');
+      } catch {
+        regex = null;
+      }
+    }
+    compiledSignals.set(cacheKey, regex);
+  }
+  return compiledSignals.get(cacheKey);
+}
+
+function signalMatches(signal, text) {
+  if (signal.phrase !== undefined) {
+    return text.toLowerCase().includes(signal.phrase.toLowerCase());
+  }
+  const regex = compileSignal(signal);
+  return regex ? regex.test(text) : false;
+}
+
+function scoreForCount(thresholds, count) {
+  let score = 1;
+  for (const threshold of thresholds) {
+    if (count >= threshold.min) score = threshold.score;
+  }
+  return clampScore(score);
+}
+
+function evaluateCriterion(criterion, userMessages) {
+  const signals = criterion.signals || [];
+  const requires = criterion.requires || [];
+
+  if (criterion.count === 'signals') {
+    const allText = userMessages.join(' ');
+    const matched = signals.filter(signal => signalMatches(signal, allText)).map(signalLabel);
+    return { count: matched.length, matched };
+  }
+
+  const matchedMessages = userMessages.filter(message =>
+    requires.every(signal => signalMatches(signal, message)) &&
+    (signals.length === 0 || signals.some(signal => signalMatches(signal, message)))
+  );
+  const matched = signals
+    .filter(signal => matchedMessages.some(message => signalMatches(signal, message)))
+    .map(signalLabel);
+  return { count: matchedMessages.length, matched };
+}
+
+function roundOverall(value, rounding) {
+  if (rounding === 'round') return Math.round(value);
+  if (rounding === 'none') return Math.round(value * 10) / 10;
+  return Math.ceil(value);
+}
+
+// Score the rep's messages (array of strings) against a rubric. Returns the
+// per-criterion scores keyed by criterion key, overall_effectiveness_score
+// and a rubric_results breakdown.
+function evaluateRubric(rubric, userMessages) {
+  const scores = {};
+  const results = rubric.criteria.map(criterion => {
+    const { count, matched } = evaluateCriterion(criterion, userMessages);
+    const score = scoreForCount(criterion.thresholds, count);
+    scores[criterion.key] = score;
+    return { key: criterion.key, name: criterion.name, weight: criterion.weight, score, count, matched };
+  });
+
+  const counted = results.filter(result => result.weight > 0);
+  const overall = rubric.overall || { method: 'weighted_average', rounding: 'ceil' };
+  let overallValue = 1;
+  if (counted.length > 0) {
+    if (overall.method === 'count_average') {
+      overallValue = counted.reduce((sum, result) => sum + result.count, 0) / counted.length;
+    } else {
+      const totalWeight = counted.reduce((sum, result) => sum + result.weight, 0);
+      overallValue = counted.reduce((sum, result) => sum + result.score * result.weight, 0) / totalWeight;
+    }
+  }
+
+  return {
+    ...scores,
+    overall_effectiveness_score: clampScore(roundOverall(overallValue, overall.rounding)),
+    rubric: { id: rubric.id, name: rubric.name },
+    rubric_results: results
+  };
+}
+
+// Coaching tips for criteria that scored below their threshold
+function rubricRecommendations(rubric, analysis) {
+  return rubric.criteria
+    .filter(criterion => criterion.recommendation && analysis[criterion.key] < (criterion.recommendBelow || 3))
+    .map(criterion => criterion.recommendation);
+}
+
+function validateSignals(list, path, errors) {
+  if (list === undefined) return;
+  if (!Array.isArray(list) || list.length > MAX_SIGNALS) {
+    errors.push({ field: path, message: `${path} must be an array of at most ${MAX_SIGNALS} signals` });
+    return;
+  }
+  list.forEach((signal, index) => {
+    const signalPath = `${path}[${index}]`;
+    if (!signal || typeof signal !== 'object') {
+      errors.push({ field: signalPath, message: 'signal must be an object with phrase or regex' });
+    } else if (typeof signal.phrase === 'string') {
+      if (!signal.phrase || signal.phrase.length > MAX_PATTERN_LENGTH) {
+        errors.push({ field: signalPath, message: `phrase must be 1-${MAX_PATTERN_LENGTH} characters` });
+      }
+    } else if (typeof signal.regex === 'string') {
+      if (!signal.regex || signal.regex.length > MAX_PATTERN_LENGTH) {
+        errors.push({ field: signalPath, message: `regex must be 1-${MAX_PATTERN_LENGTH} characters` });
+        return;
+      }
+      if (signal.flags !== undefined && (typeof signal.flags !== 'string' || !ALLOWED_FLAGS.test(signal.flags))) {
+        errors.push({ field: `${signalPath}.flags`, message: 'flags may only contain i, m, s and u' });
+        return;
+      }
+      try {
+        new RegExp(signal.regex, signal.flags || 'i');
+      } catch (error) {
+        errors.push({ field: signalPath, message: `Invalid regex: ${error.message}` });
+        return;
+      }
+      const unsafe = regexSafetyError(signal.regex);
+      if (unsafe) {
+        errors.push({ field: signalPath, message: `Unsafe regex: ${unsafe}` });
+      }
+    } else {
+      errors.push({ field: signalPath, message: 'signal must have a phrase or regex string' });
+    }
+  });
+}
+
+// Validate a rubric definition ({ name, criteria, overall }); returns a list of { field, message }
+function validateRubricDefinition(definition) {
+  const errors = [];
+
+  if (!definition || typeof definition !== 'object') {
+    return [{ field: null, message: 'Rubric must be an object' }];
+  }
+
+  if (typeof definition.name !== 'string' || !definition.name.trim()) {
+    errors.push({ field: 'name', message: 'name is required' });
+  }
+
+  const { criteria } = definition;
+  if (!Array.isArray(criteria) || criteria.length === 0 || criteria.length > MAX_CRITERIA) {
+    errors.push({ field: 'criteria', message: `criteria must be an array of 1-${MAX_CRITERIA} criteria` });
+    return errors;
+  }
+
+  const keys = new Set();
+  criteria.forEach((criterion, index) => {
+    const path = `criteria[${index}]`;
+    if (!criterion || typeof criterion !== 'object') {
+      errors.push({ field: path, message: 'criterion must be an object' });
+      return;
+    }
+
+    if (typeof criterion.key !== 'string' || !/^[a-z][a-z0-9_]*$/.test(criterion.key)) {
+      errors.push({ field: `${path}.key`, message: 'key must be snake_case, e.g. discovery_score' });
+    } else if (criterion.key === 'overall_effectiveness_score') {
+      errors.push({ field: `${path}.key`, message: 'overall_effectiveness_score is computed from the other criteria' });
+    } else if (keys.has(criterion.key)) {
+      errors.push({ field: `${path}.key`, message: `Duplicate criterion key ${criterion.key}` });
+    } else {
+      keys.add(criterion.key);
+    }
+
+    if (typeof criterion.name !== 'string' || !criterion.name.trim()) {
+      errors.push({ field: `${path}.name`, message: 'name is required' });
+    }
+    if (typeof criterion.weight !== 'number' || criterion.weight < 0 || criterion.weight > 10) {
+      errors.push({ field: `${path}.weight`, message: 'weight must be a number between 0 and 10' });
+    }
+    if (!['messages', 'signals'].includes(criterion.count)) {
+      errors.push({ field: `${path}.count`, message: 'count must be messages or signals' });
+    }
+
+    validateSignals(criterion.signals, `${path}.signals`, errors);
+    validateSignals(criterion.requires, `${path}.requires`, errors);
+
+    const { thresholds } = criterion;
+    const validThresholds = Array.isArray(thresholds) && thresholds.length > 0 && thresholds.every(threshold =>
+      threshold && Number.isInteger(threshold.min) && threshold.min >= 0 &&
+      Number.isInteger(threshold.score) && threshold.score >= 1 && threshold.score <= 5
+    );
+    if (!validThresholds) {
+      errors.push({ field: `${path}.thresholds`, message: 'thresholds must be a non-empty array of { min: integer >= 0, score: 1-5 }' });
+    } else if (thresholds.some((threshold, i) => i > 0 && threshold.min <= thresholds[i - 1].min)) {
+      errors.push({ field: `${path}.thresholds`, message: 'thresholds must be sorted by ascending min' });
+    }
+
+    if (criterion.recommendation !== undefined && typeof criterion.recommendation !== 'string') {
+      errors.push({ field: `${path}.recommendation`, message: 'recommendation must be a string' });
+    }
+    if (criterion.recommendBelow !== undefined &&
+      (!Number.isInteger(criterion.recommendBelow) || criterion.recommendBelow < 2 || criterion.recommendBelow > 5)) {
+      errors.push({ field: `${path}.recommendBelow`, message: 'recommendBelow must be an integer between 2 and 5' });
+    }
+  });
+
+  if (definition.overall !== undefined) {
+    const { method, rounding } = definition.overall || {};
+    if (!['weighted_average', 'count_average'].includes(method)) {
+      errors.push({ field: 'overall.method', message: 'overall.method must be weighted_average or count_average' });
+    }
+    if (rounding !== undefined && !['ceil', 'round', 'none'].includes(rounding)) {
+      errors.push({ field: 'overall.rounding', message: 'overall.rounding must be ceil, round or none' });
+    }
+  }
+
+  if (criteria.every(criterion => !criterion || !(criterion.weight > 0))) {
+    errors.push({ field: 'criteria', message: 'At least one criterion needs a weight above 0' });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  DEFAULT_RUBRIC,
+  GOOGLE_ADS_COACHING_RUBRIC,
+  evaluateRubric,
+  rubricRecommendations,
+  regexSafetyError,
+  validateRubricDefinition
+};
@@ -0,0 +1,251 @@
+// Scenario formatting and validation for the scenario authoring API.
+//
+// Scenarios move draft -> published -> archived. Drafts may be incomplete;
+// publishing requires every field reps and the AI persona depend on. Rows
+// written by hand in the sheet have no status and are treated as published.
+
+const { VOICE_STYLES, MIN_RATE, MAX_RATE, resolveVoiceProfile } = require('./voiceProfiles');
+
+const SCENARIO_STATUSES = ['draft', 'published', 'archived'];
+
+// Free-text fields and their maximum lengths
+const STRING_FIELDS = {
+  title: 200,
+  description: 2000,
+  difficulty: 50,
+  category: 100,
+  ai_character_name: 100,
+  ai_character_role: 100,
+  ai_character_personality: 500,
+  ai_character_background: 2000,
+  sales_skill_area: 100,
+  buyer_persona: 200,
+  google_ads_focus: 200,
+  business_vertical: 100,
+  campaign_complexity: 50,
+  success_metrics: 2000,
+  coaching_focus: 500,
+  scenario_objectives: 2000,
+  ai_prompts: 4000,
+  voice_id: 100
+};
+
+// Flags stored as TRUE/FALSE
+const BOOLEAN_FIELDS = ['is_active', 'enable_recording', 'enable_transcription'];
+
+// Fields set by the server, never by authors
+const READ_ONLY_FIELDS = ['id', 'scenario_id', 'usage_count', 'createdBy', 'createdAt', 'updatedAt'];
+
+const REQUIRED_FOR_PUBLISH = [
+  'title', 'description', 'difficulty', 'ai_character_name', 'ai_character_role',
+  'ai_character_personality', 'business_vertical', 'sales_skill_area',
+  'key_objections', 'estimated_duration'
+];
+
+const MAX_OBJECTIONS = 20;
+const MAX_OBJECTION_LENGTH = 300;
+// pii_allow_list: terms PII redaction leaves alone in this scenario's
+// sessions, e.g. the fictional company or product names it mentions
+const MAX_ALLOW_LIST_TERMS = 50;
+const MAX_ALLOW_LIST_TERM_LENGTH = 100;
+const MAX_DURATION_MINUTES = 180;
+
+// key_objections is stored as a JSON array. Rows edited by hand may hold
+// single-quoted or bracket-less lists, so fall back to the lenient parse.
+function parseKeyObjections(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) return parsed;
+  } catch {
+    // Not strict JSON, try the lenient format below
+  }
+
+  // Replace single quotes with double quotes
+  let cleanValue = value.replace(/'/g, '"');
+  // Remove any extra brackets
+  cleanValue = cleanValue.replace(/^\[|\]$/g, '');
+  // Split by comma if it's not proper JSON
+  if (!cleanValue.startsWith('[')) {
+    cleanValue = `[${cleanValue}]`;
+  }
+  return JSON.parse(cleanValue);
+}
+
+// Stored as a JSON array of strings; anything else reads as empty
+function parsePiiAllowList(value) {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed.filter(term => typeof term === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+function getScenarioStatus(row) {
+  return SCENARIO_STATUSES.includes(row.status) ? row.status : 'published';
+}
+
+// Map a stored scenario record to the shape the frontend expects
+function formatScenario(row) {
+  let keyObjections = [];
+  try {
+    keyObjections = parseKeyObjections(row.key_objections);
+  } catch (parseError) {
+    console.log('⚠️ Could not parse key_objections for row', row._rowNumber, ':', row.key_objections);
+    keyObjections = []; // Default to empty array
+  }
+
+  return {
+    // Basic info (safe with fallbacks)
+    scenario_id: row.scenario_id || row.id || `scenario_${row._rowNumber}`,
+    id: row.id || row.scenario_id || row._rowNumber.toString(),
+    title: row.title,
+    description: row.description || 'No description provided',
+    difficulty: row.difficulty || 'Medium',
+    category: row.category || 'General',
+
+    // AI Character details (safe with fallbacks)
+    ai_character_name: row.ai_character_name || 'Sarah Mitchell',
+    ai_character_role: row.ai_character_role || 'Business Professional',
+    ai_character_personality: row.ai_character_personality || 'Professional, helpful',
+    ai_character_background: row.ai_character_background || 'Works in business',
+
+    // Google Ads specific (safe with fallbacks)
+    sales_skill_area: row.sales_skill_area || 'General Sales',
+    buyer_persona: row.buyer_persona || 'Business Professional',
+    google_ads_focus: row.google_ads_focus || 'General Marketing',
+    business_vertical: row.business_vertical || 'General Business',
+    campaign_complexity: row.campaign_complexity || 'Beginner',
+
+    // Training details (safe with fallbacks)
+    key_objections: keyObjections,
+    pii_allow_list: parsePiiAllowList(row.pii_allow_list),
+    success_metrics: row.success_metrics || 'Complete the conversation successfully',
+    coaching_focus: row.coaching_focus || 'General communication skills',
+    scenario_objectives: row.scenario_objectives || 'Practice sales conversation',
+    estimated_duration: parseInt(row.estimated_duration) || 10,
+    ai_prompts: row.ai_prompts || `You are a professional business person having a conversation.`,
+    usage_count: parseInt(row.usage_count) || 0,
+    is_active: row.is_active !== 'FALSE', // Default to active unless explicitly FALSE
+    // Daily.co cloud recording / transcription for the session's video room (off unless set)
+    enable_recording: row.enable_recording === 'TRUE',
+    enable_transcription: row.enable_transcription === 'TRUE',
+    // Persona voice as authored, and as resolved for text-to-speech
+    voice_id: row.voice_id || null,
+    voice_rate: parseFloat(row.voice_rate) || null,
+    voice_style: row.voice_style || null,
+    voice: resolveVoiceProfile(row),
+    status: getScenarioStatus(row)
+  };
+}
+
+// Validate the fields present in `input`. Returns { values, errors } where
+// values are ready to store (key_objections serialized, numbers and booleans
+// coerced) and errors is a list of { field, message }.
+function validateScenarioInput(input) {
+  const values = {};
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { values, errors: [{ field: null, message: 'Request body must be an object' }] };
+  }
+
+  for (const [field, value] of Object.entries(input)) {
+    if (READ_ONLY_FIELDS.includes(field)) {
+      errors.push({ field, message: `${field} is managed by the server` });
+    } else if (STRING_FIELDS[field]) {
+      if (typeof value !== 'string') {
+        errors.push({ field, message: `${field} must be a string` });
+      } else if (value.trim().length > STRING_FIELDS[field]) {
+        errors.push({ field, message: `${field} must be at most ${STRING_FIELDS[field]} characters` });
+      } else {
+        values[field] = value.trim();
+      }
+    } else if (field === 'key_objections') {
+      if (!Array.isArray(value)) {
+        errors.push({ field, message: 'key_objections must be an array of strings' });
+      } else if (value.length > MAX_OBJECTIONS) {
+        errors.push({ field, message: `key_objections can have at most ${MAX_OBJECTIONS} entries` });
+      } else if (value.some(objection => typeof objection !== 'string' || !objection.trim())) {
+        errors.push({ field, message: 'key_objections entries must be non-empty strings' });
+      } else if (value.some(objection => objection.trim().length > MAX_OBJECTION_LENGTH)) {
+        errors.push({ field, message: `key_objections entries must be at most ${MAX_OBJECTION_LENGTH} characters` });
+      } else {
+        values.key_objections = JSON.stringify(value.map(objection => objection.trim()));
+      }
+    } else if (field === 'pii_allow_list') {
+      if (!Array.isArray(value) || value.length > MAX_ALLOW_LIST_TERMS) {
+        errors.push({ field, message: `pii_allow_list must be an array of at most ${MAX_ALLOW_LIST_TERMS} strings` });
+      } else if (value.some(term => typeof term !== 'string' || !term.trim() || term.trim().length > MAX_ALLOW_LIST_TERM_LENGTH)) {
+        errors.push({ field, message: `pii_allow_list entries must be non-empty strings of at most ${MAX_ALLOW_LIST_TERM_LENGTH} characters` });
+      } else {
+        values.pii_allow_list = JSON.stringify(value.map(term => term.trim()));
+      }
+    } else if (field === 'estimated_duration') {
+      if (!Number.isInteger(value) || value < 1 || value > MAX_DURATION_MINUTES) {
+        errors.push({ field, message: `estimated_duration must be a whole number of minutes between 1 and ${MAX_DURATION_MINUTES}` });
+      } else {
+        values.estimated_duration = value;
+      }
+    } else if (field === 'voice_rate') {
+      if (typeof value !== 'number' || value < MIN_RATE || value > MAX_RATE) {
+        errors.push({ field, message: `voice_rate must be a number between ${MIN_RATE} and ${MAX_RATE}` });
+      } else {
+        values.voice_rate = value;
+      }
+    } else if (field === 'voice_style') {
+      if (!VOICE_STYLES.includes(value)) {
+        errors.push({ field, message: `voice_style must be one of ${VOICE_STYLES.join(', ')}` });
+      } else {
+        values.voice_style = value;
+      }
+    } else if (BOOLEAN_FIELDS.includes(field)) {
+      if (typeof value !== 'boolean') {
+        errors.push({ field, message: `${field} must be a boolean` });
+      } else {
+        values[field] = value;
+      }
+    } else if (field === 'status') {
+      if (!['draft', 'published'].includes(value)) {
+        errors.push({ field, message: 'status must be draft or published (use DELETE to archive)' });
+      } else {
+        values.status = value;
+      }
+    } else {
+      errors.push({ field, message: `Unknown field ${field}` });
+    }
+  }
+
+  return { values, errors };
+}
+
+// Fields that must be filled in before a scenario can be published. `record`
+// is the stored scenario merged with any pending changes.
+function getPublishErrors(record) {
+  return REQUIRED_FOR_PUBLISH
+    .filter(field => {
+      if (field === 'key_objections') {
+        try {
+          return parseKeyObjections(record.key_objections).length === 0;
+        } catch {
+          return true;
+        }
+      }
+      return record[field] === undefined || record[field] === null || String(record[field]).trim() === '';
+    })
+    .map(field => ({ field, message: `${field} is required to publish` }));
+}
+
+module.exports = {
+  SCENARIO_STATUSES,
+  parseKeyObjections,
+  parsePiiAllowList,
+  getScenarioStatus,
+  formatScenario,
+  validateScenarioInput,
+  getPublishErrors
+};
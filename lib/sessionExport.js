@@ -0,0 +1,269 @@
+// Session exports for sharing results outside the app (1:1s, coaching notes).
+//
+// buildSessionReport() gathers one session's transcript, scores, AI feedback
+// and coaching recommendations into a single object that the JSON, CSV and
+// PDF formats are all rendered from. Every free-text field goes through the
+// caller's redact function, so nothing leaves in an export that the PII
+// pipeline (lib/redaction.js) would have caught, including persona turns and
+// text stored before redaction existed.
+//
+// Formats:
+//   json  the report object (bulk: the reports under `sessions`)
+//   csv   one session: section,key,value,detail rows
+//         bulk: one row per session
+//   pdf   one session only; a printable report (lib/pdfReport.js)
+
+const { createPdfDocument } = require('./pdfReport');
+
+const SESSION_EXPORT_FORMATS = ['json', 'csv', 'pdf'];
+const HISTORY_EXPORT_FORMATS = ['json', 'csv'];
+
+const parseJSON = (value, fallback) => {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const toNumber = value => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? null : parsed;
+};
+
+// ?from=&to= as dates or timestamps; `to` given as a bare date covers that
+// whole day. Returns { from, to } (Dates or null) or { error }.
+function parseDateRange({ from, to } = {}) {
+  const parse = (value, endOfDay) => {
+    if (value === undefined || value === '') return null;
+    const date = new Date(value);
+    if (isNaN(date)) return undefined;
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      date.setUTCHours(23, 59, 59, 999);
+    }
+    return date;
+  };
+
+  const range = { from: parse(from, false), to: parse(to, true) };
+  if (range.from === undefined || range.to === undefined) {
+    return { error: 'from and to must be dates (YYYY-MM-DD) or ISO timestamps' };
+  }
+  if (range.from && range.to && range.to < range.from) {
+    return { error: 'to must not be before from' };
+  }
+  return range;
+}
+
+function inDateRange(session, { from, to }) {
+  const started = new Date(session.startTime);
+  if (isNaN(started)) return !from && !to;
+  return (!from || started >= from) && (!to || started <= to);
+}
+
+// `recommend(analysis)` turns the stored analysis into coaching tips; `redact`
+// is applied to every piece of free text.
+function buildSessionReport({ session, scenario, feedback, turns = [], recommend, redact = text => text }) {
+  const clean = text => (text ? redact(String(text)) : text ?? null);
+
+  const analysis = parseJSON(feedback && feedback.keyMetrics, null);
+  const evaluation = parseJSON(feedback && feedback.evaluation, null);
+  const names = new Map(((analysis && analysis.rubric_results) || []).map(result => [result.key, result.name]));
+
+  let scores = null;
+  if (feedback) {
+    scores = {
+      overallScore: analysis ? analysis.overall_effectiveness_score ?? null : null,
+      confidenceScore: toNumber(feedback.confidenceScore),
+      talkTimeRatio: toNumber(feedback.talkTimeRatio),
+      fillerWordCount: toNumber(feedback.fillerWordCount),
+      evaluationSource: (evaluation && evaluation.source) || feedback.evaluationSource || null,
+      dimensions: ((evaluation && evaluation.dimensions) || []).map(dimension => ({
+        key: dimension.key,
+        name: names.get(dimension.key) || dimension.key,
+        score: dimension.score,
+        justification: clean(dimension.justification)
+      })),
+      talkMetrics: parseJSON(feedback.talkMetrics, null)
+    };
+  }
+
+  return {
+    exportedAt: new Date().toISOString(),
+    session: {
+      id: session.id,
+      userId: session.userId,
+      scenarioId: session.scenarioId || null,
+      startTime: session.startTime || null,
+      endTime: session.endTime || null,
+      duration: parseInt(session.duration) || 0,
+      status: session.status || 'completed',
+      outcome: session.outcome || null
+    },
+    scenario: scenario ? {
+      title: clean(scenario.title),
+      difficulty: scenario.difficulty || null,
+      category: scenario.category || null,
+      skillArea: scenario.sales_skill_area || null
+    } : null,
+    scores,
+    aiFeedback: clean(feedback && feedback.aiFeedback),
+    evaluationSummary: clean(evaluation && evaluation.summary),
+    coachingRecommendations: analysis && recommend ? recommend(analysis).map(clean) : [],
+    transcript: turns.map(turn => ({
+      turnIndex: turn.turnIndex,
+      speaker: turn.speaker === 'user' ? 'salesperson' : 'customer',
+      message: clean(turn.message),
+      timestamp: turn.timestamp || null
+    }))
+  };
+}
+
+// RFC 4180 field; leading =+-@ is prefixed so spreadsheets don't run it as a formula
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@]/.test(text) && isNaN(Number(text))) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(columns, rows) {
+  return [columns, ...rows]
+    .map(row => row.map(csvField).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+function sessionReportCSV(report) {
+  const rows = [];
+  const add = (section, key, value, detail = '') => rows.push([section, key, value, detail]);
+
+  Object.entries(report.session).forEach(([key, value]) => add('session', key, value));
+  if (report.scenario) {
+    Object.entries(report.scenario).forEach(([key, value]) => add('scenario', key, value));
+  }
+  if (report.scores) {
+    ['overallScore', 'confidenceScore', 'talkTimeRatio', 'fillerWordCount', 'evaluationSource']
+      .forEach(key => add('score', key, report.scores[key]));
+    report.scores.dimensions.forEach(dimension =>
+      add('dimension', dimension.name, dimension.score, dimension.justification)
+    );
+    Object.entries(report.scores.talkMetrics || {}).forEach(([key, value]) => add('talk_metric', key, value));
+  }
+  add('feedback', 'aiFeedback', report.aiFeedback);
+  if (report.evaluationSummary) add('feedback', 'evaluationSummary', report.evaluationSummary);
+  report.coachingRecommendations.forEach((recommendation, index) =>
+    add('recommendation', index + 1, recommendation)
+  );
+  report.transcript.forEach(turn => add('transcript', `${turn.turnIndex}:${turn.speaker}`, turn.message, turn.timestamp));
+
+  return toCSV(['section', 'key', 'value', 'detail'], rows);
+}
+
+const HISTORY_COLUMNS = [
+  'sessionId', 'scenarioId', 'scenarioTitle', 'startTime', 'endTime', 'durationMs', 'status', 'outcome',
+  'overallScore', 'confidenceScore', 'talkTimeRatio', 'fillerWordCount', 'evaluationSource',
+  'dimensionScores', 'aiFeedback', 'coachingRecommendations', 'transcript'
+];
+
+function historyCSV(reports) {
+  return toCSV(HISTORY_COLUMNS, reports.map(report => {
+    const scores = report.scores || {};
+    return [
+      report.session.id,
+      report.session.scenarioId,
+      report.scenario ? report.scenario.title : null,
+      report.session.startTime,
+      report.session.endTime,
+      report.session.duration,
+      report.session.status,
+      report.session.outcome,
+      scores.overallScore,
+      scores.confidenceScore,
+      scores.talkTimeRatio,
+      scores.fillerWordCount,
+      scores.evaluationSource,
+      (scores.dimensions || []).map(dimension => `${dimension.name}: ${dimension.score}`).join('; '),
+      report.aiFeedback,
+      report.coachingRecommendations.join(' | '),
+      report.transcript.map(turn => `${turn.speaker}: ${turn.message}`).join('\n')
+    ];
+  }));
+}
+
+const formatDuration = ms => {
+  const seconds = Math.round((ms || 0) / 1000);
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+};
+
+function renderSessionReportPDF(report) {
+  const title = report.scenario && report.scenario.title
+    ? `Roleplay report: ${report.scenario.title}`
+    : 'Roleplay session report';
+  const doc = createPdfDocument({ title });
+
+  doc.title(title);
+  doc.keyValue('Session', report.session.id);
+  doc.keyValue('Started', report.session.startTime);
+  doc.keyValue('Duration', formatDuration(report.session.duration));
+  doc.keyValue('Status', report.session.status);
+  if (report.session.outcome) doc.keyValue('Outcome', report.session.outcome);
+  if (report.scenario) {
+    doc.keyValue('Difficulty', report.scenario.difficulty);
+    if (report.scenario.skillArea) doc.keyValue('Skill area', report.scenario.skillArea);
+  }
+
+  doc.heading('Scores');
+  if (!report.scores) {
+    doc.paragraph('This session has not been scored yet.');
+  } else {
+    if (report.scores.overallScore !== null) doc.keyValue('Overall effectiveness', `${report.scores.overallScore} / 5`);
+    doc.keyValue('Confidence', report.scores.confidenceScore);
+    if (report.scores.talkTimeRatio !== null) doc.keyValue('Talk time', `${report.scores.talkTimeRatio}%`);
+    doc.keyValue('Filler words', report.scores.fillerWordCount);
+    doc.gap(4);
+    report.scores.dimensions.forEach(dimension => {
+      doc.paragraph(`${dimension.name}: ${dimension.score} / 5`, { bold: true, gapAfter: 1 });
+      if (dimension.justification) doc.paragraph(dimension.justification, { indent: 12 });
+    });
+
+    const metrics = report.scores.talkMetrics;
+    if (metrics) {
+      doc.heading('Talk metrics');
+      if (metrics.talkListenRatio !== null) doc.keyValue('Talk/listen ratio', `${metrics.talkListenRatio}%`);
+      if (metrics.wordsPerMinute !== null) doc.keyValue('Pace', `${metrics.wordsPerMinute} words per minute`);
+      doc.keyValue('Longest monologue', `${metrics.longestMonologueSeconds}s`);
+      if (metrics.averageResponseLatencySeconds !== null) doc.keyValue('Average response time', `${metrics.averageResponseLatencySeconds}s`);
+      doc.keyValue('Interruptions', metrics.interruptions);
+    }
+  }
+
+  doc.heading('Feedback');
+  doc.paragraph(report.aiFeedback || 'No feedback yet.');
+  if (report.evaluationSummary) doc.paragraph(report.evaluationSummary);
+
+  if (report.coachingRecommendations.length > 0) {
+    doc.heading('Coaching recommendations');
+    report.coachingRecommendations.forEach(recommendation => doc.bullet(recommendation));
+  }
+
+  doc.heading('Transcript');
+  if (report.transcript.length === 0) {
+    doc.paragraph('No conversation was recorded.');
+  }
+  report.transcript.forEach(turn => {
+    doc.paragraph(turn.speaker === 'salesperson' ? 'Salesperson' : 'Customer', { bold: true, gapAfter: 0 });
+    doc.paragraph(turn.message, { indent: 12 });
+  });
+
+  return doc.toBuffer();
+}
+
+module.exports = {
+  SESSION_EXPORT_FORMATS,
+  HISTORY_EXPORT_FORMATS,
+  parseDateRange,
+  inDateRange,
+  buildSessionReport,
+  sessionReportCSV,
+  historyCSV,
+  renderSessionReportPDF
+};
@@ -0,0 +1,98 @@
+// Practice session lifecycle.
+//
+//   active -> paused -> active          pause / resume an interrupted session
+//   active | paused -> completed        ended by the rep (/api/sessions/end)
+//   active -> abandoned                 no activity for the idle timeout
+//   paused -> expired                   not resumed within the pause timeout
+//
+// completed, abandoned and expired are final. Abandoned and expired sessions
+// are set by the sweeper (see sweepStaleSessions in server.js).
+//
+// Configuration:
+//   SESSION_IDLE_TIMEOUT_MINUTES    default 30
+//   SESSION_PAUSE_TIMEOUT_MINUTES   default 1440 (a day)
+//   SESSION_SWEEP_INTERVAL_SECONDS  default 60; 0 disables the sweeper
+
+const SESSION_STATES = ['active', 'paused', 'completed', 'abandoned', 'expired'];
+
+const TRANSITIONS = {
+  active: ['paused', 'completed', 'abandoned'],
+  paused: ['active', 'completed', 'expired'],
+  completed: [],
+  abandoned: [],
+  expired: []
+};
+
+const MINUTE = 60 * 1000;
+
+function loadLifecycleConfig(env = process.env) {
+  const number = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return isNaN(parsed) || parsed < 0 ? fallback : parsed;
+  };
+  return {
+    idleTimeoutMs: number(env.SESSION_IDLE_TIMEOUT_MINUTES, 30) * MINUTE,
+    pauseTimeoutMs: number(env.SESSION_PAUSE_TIMEOUT_MINUTES, 24 * 60) * MINUTE,
+    sweepIntervalMs: number(env.SESSION_SWEEP_INTERVAL_SECONDS, 60) * 1000
+  };
+}
+
+// Sessions written before statuses were enforced count as active
+function getSessionState(session) {
+  return SESSION_STATES.includes(session.status) ? session.status : 'active';
+}
+
+// Why `session` can't move to `to`, or null when it can
+function transitionError(session, to) {
+  const from = getSessionState(session);
+  if (TRANSITIONS[from].includes(to)) return null;
+  if (TRANSITIONS[from].length === 0) return `Session is already ${from}`;
+  return `Cannot change session from ${from} to ${to}`;
+}
+
+// Latest of the start, the last resume and the last recorded turn
+function lastActivityAt(session, turns = []) {
+  const times = [session.startTime, session.resumedAt, ...turns.map(turn => turn.timestamp)]
+    .map(value => new Date(value).getTime())
+    .filter(time => !isNaN(time));
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+// The status a stale session should move to, or null if it isn't stale
+function staleTransition(session, turns, config, now = new Date()) {
+  const state = getSessionState(session);
+
+  if (state === 'active') {
+    const lastActivity = lastActivityAt(session, turns);
+    if (lastActivity && now - lastActivity >= config.idleTimeoutMs) {
+      return { to: 'abandoned', reason: `No activity for ${Math.round(config.idleTimeoutMs / MINUTE)} minutes` };
+    }
+  } else if (state === 'paused') {
+    const pausedAt = new Date(session.pausedAt).getTime();
+    if (!isNaN(pausedAt) && now - pausedAt >= config.pauseTimeoutMs) {
+      return { to: 'expired', reason: `Not resumed within ${Math.round(config.pauseTimeoutMs / MINUTE)} minutes` };
+    }
+  }
+  return null;
+}
+
+// Practice time in ms: wall-clock time since the start minus time spent paused
+function activeDuration(session, now = new Date()) {
+  const start = new Date(session.startTime).getTime();
+  if (isNaN(start)) return 0;
+  let paused = parseInt(session.pausedMs) || 0;
+  if (getSessionState(session) === 'paused' && session.pausedAt) {
+    paused += now - new Date(session.pausedAt);
+  }
+  return Math.max(0, now - start - paused);
+}
+
+module.exports = {
+  SESSION_STATES,
+  loadLifecycleConfig,
+  getSessionState,
+  transitionError,
+  lastActivityAt,
+  staleTransition,
+  activeDuration
+};
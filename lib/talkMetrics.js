@@ -0,0 +1,140 @@
+// Talk-time, pace and interruption metrics from when things were actually said.
+//
+// analyzeSession's talkTimeRatio is estimated from message counts. These
+// metrics use real timings instead, from (in order of preference):
+//   daily_transcript  the Daily.co transcript segments (see lib/dailyWebhooks.js)
+//   turns             turns with startedAt/endedAt: spoken turns from
+//                     /api/sessions/:sessionId/audio, or timings the client
+//                     reported for typed messages and played persona audio
+// Turns without both timestamps are left out. When no rep speech is timed the
+// metrics are null.
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+const wordCount = text => String(text || '').split(/\s+/).filter(Boolean).length;
+
+// Check client-reported timings. Returns { startedAt, endedAt } as ISO
+// strings (both null when neither was sent) or { error }.
+function parseTurnTiming({ startedAt, endedAt } = {}) {
+  if (startedAt === undefined && endedAt === undefined) {
+    return { startedAt: null, endedAt: null };
+  }
+  const start = new Date(startedAt);
+  const end = new Date(endedAt);
+  if (!startedAt || !endedAt || isNaN(start) || isNaN(end)) {
+    return { error: 'startedAt and endedAt must both be ISO timestamps' };
+  }
+  if (end < start) {
+    return { error: 'endedAt must not be before startedAt' };
+  }
+  return { startedAt: start.toISOString(), endedAt: end.toISOString() };
+}
+
+// Timed speech as [{ speaker: 'rep' | 'buyer', start, end, words }] in ms,
+// with the source it came from
+function collectTimedSpeech(turns = [], videoTranscript = null) {
+  if (Array.isArray(videoTranscript) && videoTranscript.some(segment => segment.speaker === 'salesperson')) {
+    return {
+      source: 'daily_transcript',
+      speech: videoTranscript.map(segment => ({
+        speaker: segment.speaker === 'salesperson' ? 'rep' : 'buyer',
+        start: segment.start * 1000,
+        end: segment.end * 1000,
+        words: wordCount(segment.text)
+      }))
+    };
+  }
+
+  const speech = turns
+    .filter(turn => turn.startedAt && turn.endedAt)
+    .map(turn => ({
+      speaker: turn.speaker === 'user' ? 'rep' : 'buyer',
+      start: new Date(turn.startedAt).getTime(),
+      end: new Date(turn.endedAt).getTime(),
+      words: wordCount(turn.message)
+    }))
+    .filter(entry => !isNaN(entry.start) && !isNaN(entry.end) && entry.end >= entry.start);
+  return { source: 'turns', speech };
+}
+
+function computeTalkMetrics(turns = [], videoTranscript = null) {
+  const { source, speech } = collectTimedSpeech(turns, videoTranscript);
+  const sorted = [...speech].sort((a, b) => a.start - b.start || a.end - b.end);
+  const rep = sorted.filter(entry => entry.speaker === 'rep');
+  if (rep.length === 0) return null;
+
+  const total = entries => entries.reduce((sum, entry) => sum + (entry.end - entry.start), 0);
+  const repTalkMs = total(rep);
+  const buyerTalkMs = total(sorted.filter(entry => entry.speaker === 'buyer'));
+  const repWords = rep.reduce((sum, entry) => sum + entry.words, 0);
+
+  let longestMonologueMs = 0;
+  let monologueStart = null;
+  let monologueEnd = null;
+  const latencies = [];
+  let interruptions = 0;
+  let interruptedByBuyer = 0;
+  let overlapMs = 0;
+
+  sorted.forEach((entry, index) => {
+    const previous = sorted[index - 1];
+
+    // Consecutive rep speech with no buyer speech in between is one monologue
+    if (entry.speaker === 'rep') {
+      if (monologueStart === null || (previous && previous.speaker !== 'rep')) {
+        monologueStart = entry.start;
+        monologueEnd = entry.end;
+      } else {
+        monologueEnd = Math.max(monologueEnd, entry.end);
+      }
+      longestMonologueMs = Math.max(longestMonologueMs, monologueEnd - monologueStart);
+    }
+
+    if (!previous || previous.speaker === entry.speaker) return;
+
+    // Starting before the other side finished is an interruption
+    if (entry.start < previous.end) {
+      overlapMs += Math.min(previous.end, entry.end) - entry.start;
+      if (entry.speaker === 'rep') {
+        interruptions++;
+      } else {
+        interruptedByBuyer++;
+      }
+    } else if (entry.speaker === 'rep') {
+      latencies.push(entry.start - previous.end);
+    }
+  });
+
+  const talkMs = repTalkMs + buyerTalkMs;
+  return {
+    source,
+    timedTurns: sorted.length,
+    repTalkSeconds: round(repTalkMs / 1000),
+    buyerTalkSeconds: round(buyerTalkMs / 1000),
+    talkListenRatio: talkMs > 0 ? Math.round((repTalkMs / talkMs) * 100) : null,
+    wordsPerMinute: repTalkMs > 0 ? Math.round(repWords / (repTalkMs / 60000)) : null,
+    longestMonologueSeconds: round(longestMonologueMs / 1000),
+    averageResponseLatencySeconds: latencies.length > 0
+      ? round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length / 1000)
+      : null,
+    interruptions,
+    interruptedByBuyer,
+    overlapSeconds: round(overlapMs / 1000)
+  };
+}
+
+// Stored Feedback.talkMetrics, or null for sessions without timings
+function parseStoredTalkMetrics(feedback) {
+  if (!feedback || !feedback.talkMetrics) return null;
+  try {
+    return JSON.parse(feedback.talkMetrics);
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  parseTurnTiming,
+  computeTalkMetrics,
+  parseStoredTalkMetrics
+};
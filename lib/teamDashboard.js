@@ -0,0 +1,103 @@
+// Aggregates rep performance for the manager team dashboard.
+//
+// Scores come from the keyMetrics JSON saved with each Feedback row by
+// /api/sessions/end. Weeks start on Monday 00:00 UTC.
+
+const DASHBOARD_SCORES = ['discovery_score', 'objection_handling_score', 'business_value_score'];
+
+function parseKeyMetrics(feedback) {
+  if (!feedback || !feedback.keyMetrics) return {};
+  try {
+    return JSON.parse(feedback.keyMetrics);
+  } catch {
+    return {};
+  }
+}
+
+function startOfWeek(date) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+  start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+  return start;
+}
+
+const round1 = value => Math.round(value * 10) / 10;
+
+// Average each score over the sessions that have it; null when none do
+function averageScores(completed) {
+  const averages = {};
+  for (const score of DASHBOARD_SCORES) {
+    const values = completed
+      .map(entry => parseFloat(entry.metrics[score]))
+      .filter(value => !isNaN(value));
+    averages[score] = values.length > 0
+      ? round1(values.reduce((sum, value) => sum + value, 0) / values.length)
+      : null;
+  }
+  return averages;
+}
+
+// members: user records; sessions/feedback: records for those members
+function buildTeamDashboard({ team, members, sessions, feedback, now = new Date(), weeks = 8 }) {
+  const feedbackBySession = new Map(feedback.map(row => [row.sessionId, row]));
+  const weekStart = startOfWeek(now);
+
+  const completed = sessions
+    .filter(session => session.status === 'completed')
+    .map(session => ({
+      session,
+      metrics: parseKeyMetrics(feedbackBySession.get(session.id)),
+      endedAt: new Date(session.endTime || session.startTime || 0)
+    }));
+
+  const reps = members.map(member => {
+    const repSessions = completed.filter(entry => entry.session.userId === member.uid);
+    const lastPracticedAt = repSessions.reduce(
+      (latest, entry) => (!latest || entry.endedAt > latest ? entry.endedAt : latest),
+      null
+    );
+    const sessionsThisWeek = repSessions.filter(entry => entry.endedAt >= weekStart).length;
+
+    return {
+      uid: member.uid,
+      email: member.email,
+      sessionsCompleted: repSessions.length,
+      sessionsThisWeek,
+      lastPracticedAt: lastPracticedAt ? lastPracticedAt.toISOString() : null,
+      averages: averageScores(repSessions)
+    };
+  });
+
+  // Weekly trend, oldest first
+  const trends = [];
+  for (let i = weeks - 1; i >= 0; i--) {
+    const from = new Date(weekStart);
+    from.setUTCDate(from.getUTCDate() - i * 7);
+    const to = new Date(from);
+    to.setUTCDate(to.getUTCDate() + 7);
+
+    const inWeek = completed.filter(entry => entry.endedAt >= from && entry.endedAt < to);
+    trends.push({
+      weekStart: from.toISOString().slice(0, 10),
+      sessionsCompleted: inWeek.length,
+      activeReps: new Set(inWeek.map(entry => entry.session.userId)).size,
+      averages: averageScores(inWeek)
+    });
+  }
+
+  return {
+    team: { id: team.id, name: team.name, managerId: team.managerId },
+    summary: {
+      repCount: members.length,
+      sessionsCompleted: completed.length,
+      averages: averageScores(completed)
+    },
+    reps,
+    trends,
+    notPracticedThisWeek: reps
+      .filter(rep => rep.sessionsThisWeek === 0)
+      .map(rep => ({ uid: rep.uid, email: rep.email, lastPracticedAt: rep.lastPracticedAt }))
+  };
+}
+
+module.exports = { DASHBOARD_SCORES, parseKeyMetrics, startOfWeek, buildTeamDashboard };
@@ -0,0 +1,233 @@
+// AI usage metering: pricing, per-role quotas and the admin cost report.
+//
+// Every completion, transcription and speech synthesis adds a row to the Usage ledger (see
+// recordUsage in server.js) keyed by user, session and endpoint, and is added to the user's
+// running totals for the current day and month (UsageTotals). Quotas are
+// checked against those totals before AI endpoints run, so a check reads one
+// row instead of the user's whole ledger.
+//
+// Configuration:
+//   LLM_PRICING   JSON { model: { input, output } } in USD per 1M tokens, or
+//                 { perMinute } in USD per minute of audio for speech-to-text
+//                 models, or { perMillionCharacters } for text-to-speech
+//                 models, merged over DEFAULT_PRICING
+//   USAGE_QUOTAS  JSON { role: { period: 'day' | 'month', tokens, costUsd } | null },
+//                 merged over DEFAULT_QUOTAS; null means unlimited
+//
+// Transcription and speech don't use tokens, so the token quota counts them
+// as the tokens their text comes to: TOKENS_PER_AUDIO_SECOND for audio
+// (speech runs about 150 words, some 200 tokens, a minute) and
+// TOKENS_PER_CHARACTER for synthesized text (about 4 characters a token).
+// That way they are limited under the default quotas too, including with
+// providers that have no price.
+
+const DEFAULT_PRICING = {
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'whisper-1': { perMinute: 0.006 },
+  'tts-1': { perMillionCharacters: 15 },
+  'tts-1-hd': { perMillionCharacters: 30 }
+};
+
+const DEFAULT_QUOTAS = {
+  learner: { period: 'day', tokens: 100000 },
+  manager: { period: 'day', tokens: 300000 },
+  admin: null
+};
+
+const QUOTA_PERIODS = ['day', 'month'];
+
+const TOKENS_PER_AUDIO_SECOND = 4;
+const TOKENS_PER_CHARACTER = 0.25;
+
+function parseJsonEnv(value, name) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`${name} must be valid JSON: ${error.message}`);
+  }
+}
+
+function loadUsageConfig(env = process.env) {
+  const pricing = { ...DEFAULT_PRICING, ...parseJsonEnv(env.LLM_PRICING, 'LLM_PRICING') };
+  const quotas = { ...DEFAULT_QUOTAS, ...parseJsonEnv(env.USAGE_QUOTAS, 'USAGE_QUOTAS') };
+
+  for (const [role, quota] of Object.entries(quotas)) {
+    if (quota && !QUOTA_PERIODS.includes(quota.period)) {
+      throw new Error(`USAGE_QUOTAS.${role}.period must be one of ${QUOTA_PERIODS.join(', ')}`);
+    }
+  }
+
+  return { pricing, quotas };
+}
+
+// Price for a model name; dated variants (gpt-4o-mini-2024-07-18) use the
+// longest matching base name
+function findPrice(pricing, model) {
+  if (!model) return null;
+  if (pricing[model]) return pricing[model];
+  const base = Object.keys(pricing)
+    .filter(name => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return base ? pricing[base] : null;
+}
+
+const roundCost = value => Math.round(value * 1000000) / 1000000;
+
+// Cost in USD, or null for models without a price
+function estimateCost(pricing, model, usage) {
+  const price = findPrice(pricing, model);
+  if (!price || !usage) return null;
+  const cost = ((usage.prompt_tokens || 0) * (price.input || 0) + (usage.completion_tokens || 0) * (price.output || 0)) / 1000000 +
+    ((usage.audio_seconds || 0) / 60) * (price.perMinute || 0) +
+    ((usage.characters || 0) / 1000000) * (price.perMillionCharacters || 0);
+  return roundCost(cost);
+}
+
+// Current quota window in UTC
+function quotaWindow(period, now = new Date()) {
+  const start = period === 'month'
+    ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const resetAt = new Date(start);
+  if (period === 'month') {
+    resetAt.setUTCMonth(resetAt.getUTCMonth() + 1);
+  } else {
+    resetAt.setUTCDate(resetAt.getUTCDate() + 1);
+  }
+  return { start, resetAt };
+}
+
+function sumUsage(entries) {
+  return entries.reduce((total, entry) => ({
+    calls: total.calls + 1,
+    promptTokens: total.promptTokens + (parseInt(entry.promptTokens) || 0),
+    completionTokens: total.completionTokens + (parseInt(entry.completionTokens) || 0),
+    totalTokens: total.totalTokens + (parseInt(entry.totalTokens) || 0),
+    audioSeconds: Math.round((total.audioSeconds + (parseFloat(entry.audioSeconds) || 0)) * 10) / 10,
+    characters: total.characters + (parseInt(entry.characters) || 0),
+    costUsd: roundCost(total.costUsd + (parseFloat(entry.costUsd) || 0))
+  }), { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, audioSeconds: 0, characters: 0, costUsd: 0 });
+}
+
+// Id of a user's running totals row for the window starting at `start`
+const usageTotalsId = (userId, period, start) => `${userId}:${period}:${start.toISOString()}`;
+
+// Patch adding one call's usage to a totals row (null when there is none yet)
+function addToTotals(current, { totalTokens = 0, audioSeconds = 0, characters = 0, costUsd = 0 }) {
+  return {
+    calls: (current ? parseInt(current.calls) || 0 : 0) + 1,
+    totalTokens: (current ? parseInt(current.totalTokens) || 0 : 0) + (parseInt(totalTokens) || 0),
+    audioSeconds: Math.round(((current ? parseFloat(current.audioSeconds) || 0 : 0) + (parseFloat(audioSeconds) || 0)) * 10) / 10,
+    characters: (current ? parseInt(current.characters) || 0 : 0) + (parseInt(characters) || 0),
+    costUsd: roundCost((current ? parseFloat(current.costUsd) || 0 : 0) + (parseFloat(costUsd) || 0))
+  };
+}
+
+// Tokens a totals row counts for against a token quota
+function quotaTokens(totals) {
+  return Math.round(
+    (parseInt(totals.totalTokens) || 0) +
+    (parseFloat(totals.audioSeconds) || 0) * TOKENS_PER_AUDIO_SECOND +
+    (parseInt(totals.characters) || 0) * TOKENS_PER_CHARACTER
+  );
+}
+
+// totals: the user's UsageTotals row for the current window, or null.
+// pending: the user's calls still in flight. The check runs before a call,
+// so each of those is counted at the user's average call size; otherwise a
+// burst of parallel requests would all pass and overshoot the quota.
+// Returns the quota status for their role; `limited` is false for roles
+// without a quota.
+function checkQuota(quotas, role, totals, { pending = 0, now = new Date() } = {}) {
+  const quota = quotas[role];
+  if (!quota) {
+    return { limited: false, exceeded: false };
+  }
+
+  const { start, resetAt } = quotaWindow(quota.period, now);
+  const current = totals && totals.periodStart === start.toISOString() ? totals : null;
+  const calls = current ? parseInt(current.calls) || 0 : 0;
+  const tokens = current ? quotaTokens(current) : 0;
+  const costUsd = current ? roundCost(parseFloat(current.costUsd) || 0) : 0;
+
+  const inFlightShare = calls > 0 ? pending / calls : 0;
+  const exceeded = (quota.tokens !== undefined && tokens * (1 + inFlightShare) >= quota.tokens) ||
+    (quota.costUsd !== undefined && costUsd * (1 + inFlightShare) >= quota.costUsd);
+
+  return {
+    limited: true,
+    exceeded,
+    period: quota.period,
+    limit: { tokens: quota.tokens ?? null, costUsd: quota.costUsd ?? null },
+    used: { tokens, costUsd },
+    resetAt: resetAt.toISOString()
+  };
+}
+
+function groupBy(entries, keyFor) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = keyFor(entry);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+  return groups;
+}
+
+const byCostDesc = (a, b) => b.costUsd - a.costUsd || b.totalTokens - a.totalTokens;
+
+// Roll ledger rows up by user, team and model. users/teams are the stored
+// records, used for emails, team membership and names.
+function buildCostReport({ entries, users, teams, from, to }) {
+  const usersById = new Map(users.map(user => [user.uid, user]));
+  const teamsById = new Map(teams.map(team => [team.id, team]));
+  const teamFor = entry => (usersById.get(entry.userId) || {}).teamId || null;
+
+  const byUser = [...groupBy(entries, entry => entry.userId)].map(([userId, rows]) => ({
+    userId,
+    email: (usersById.get(userId) || {}).email || null,
+    teamId: teamFor(rows[0]),
+    ...sumUsage(rows)
+  }));
+
+  const byTeam = [...groupBy(entries, teamFor)].map(([teamId, rows]) => ({
+    teamId,
+    name: teamId ? (teamsById.get(teamId) || {}).name || null : 'No team',
+    ...sumUsage(rows)
+  }));
+
+  const byModel = [...groupBy(entries, entry => entry.model || 'unknown')].map(([model, rows]) => ({
+    model,
+    priced: rows.every(entry => entry.costUsd !== undefined && entry.costUsd !== ''),
+    ...sumUsage(rows)
+  }));
+
+  return {
+    from: from ? from.toISOString() : null,
+    to: to ? to.toISOString() : null,
+    totals: sumUsage(entries),
+    byUser: byUser.sort(byCostDesc),
+    byTeam: byTeam.sort(byCostDesc),
+    byModel: byModel.sort(byCostDesc)
+  };
+}
+
+module.exports = {
+  DEFAULT_PRICING,
+  DEFAULT_QUOTAS,
+  QUOTA_PERIODS,
+  TOKENS_PER_AUDIO_SECOND,
+  TOKENS_PER_CHARACTER,
+  loadUsageConfig,
+  estimateCost,
+  quotaWindow,
+  usageTotalsId,
+  addToTotals,
+  checkQuota,
+  buildCostReport
+};
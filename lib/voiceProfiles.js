@@ -0,0 +1,48 @@
+// Voice profiles for the buyer persona's text-to-speech (see tts/index.js).
+//
+// Scenarios can set voice_id (a provider voice name), voice_rate (0.5 - 2,
+// 1 is normal speed) and voice_style. Anything left unset is derived from
+// ai_character_personality, so a "busy, impatient" owner talks faster and
+// more briskly than a "cautious, analytical" one.
+
+const VOICE_STYLES = ['neutral', 'brisk', 'warm', 'measured', 'curt'];
+
+const MIN_RATE = 0.5;
+const MAX_RATE = 2;
+
+// First match wins
+const PERSONALITY_VOICES = [
+  { pattern: /impatient|busy|rushed|hurried|direct/i, style: 'brisk', rate: 1.1 },
+  { pattern: /gruff|blunt|stern|annoyed|frustrated|dismissive/i, style: 'curt', rate: 1.05 },
+  { pattern: /skeptic|cautious|analytical|detail|careful|methodical/i, style: 'measured', rate: 0.95 },
+  { pattern: /friendly|warm|enthusiastic|open|curious|cheerful/i, style: 'warm', rate: 1 }
+];
+
+function resolveVoiceProfile(scenario) {
+  const personality = (scenario && scenario.ai_character_personality) || '';
+  const derived = PERSONALITY_VOICES.find(entry => entry.pattern.test(personality)) ||
+    { style: 'neutral', rate: 1 };
+
+  const rate = parseFloat(scenario && scenario.voice_rate);
+  const style = scenario && VOICE_STYLES.includes(scenario.voice_style) ? scenario.voice_style : derived.style;
+
+  return {
+    voice: (scenario && scenario.voice_id) || null,
+    rate: !isNaN(rate) && rate >= MIN_RATE && rate <= MAX_RATE ? rate : derived.rate,
+    style
+  };
+}
+
+// Delivery notes for TTS models that take instructions
+function voiceInstructions(profile, persona) {
+  return `You are ${persona.characterName}, a ${persona.characterRole} taking a sales call. ` +
+    `Personality: ${persona.characterPersonality}. Speak in a ${profile.style} tone, naturally, like a real phone conversation.`;
+}
+
+module.exports = {
+  VOICE_STYLES,
+  MIN_RATE,
+  MAX_RATE,
+  resolveVoiceProfile,
+  voiceInstructions
+};
@@ -0,0 +1,251 @@
+// Outbound webhooks: admins subscribe URLs to events, and every event is
+// POSTed to each matching subscription as JSON:
+//
+//   { id: 'evt_...', type: 'session.completed', createdAt, data: { ... } }
+//
+// Each request is signed with the subscription's secret so receivers can
+// check it came from us and wasn't replayed later:
+//
+//   X-Webhook-Id         delivery id (unique per attempt series, new on replay)
+//   X-Webhook-Event      event type
+//   X-Webhook-Timestamp  unix seconds when the request was sent
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of `${timestamp}.${raw body}`>
+//
+// Deliveries run on the job queue (lib/jobQueue.js): non-2xx responses and
+// network errors are retried with backoff up to WEBHOOK_MAX_ATTEMPTS (default
+// 5), and every attempt is written to the delivery log.
+//
+// Targets must be https URLs on public addresses. Host names are resolved
+// when a subscription is saved and again on every delivery, and the
+// connection itself only goes to an address that passed the check, so a
+// receiver can't later point its name at a private, loopback or link-local
+// address (e.g. cloud metadata at 169.254.169.254). WEBHOOK_ALLOW_PRIVATE_URLS
+// lifts both rules outside production, for testing against a local receiver.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const WEBHOOK_EVENTS = ['session.started', 'session.completed', 'feedback.ready'];
+
+// Subscribe to every event, including ones added later
+const ALL_EVENTS = '*';
+
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// Response bodies kept in the delivery log
+const MAX_LOGGED_RESPONSE = 2000;
+
+// Private, loopback, link-local, shared, multicast and reserved ranges. Kept
+// per family: a BlockList also matches IPv4 addresses against IPv4-mapped
+// IPv6 rules, and mapped addresses are refused outright instead.
+const BLOCKED_IPV4 = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_IPV4.addSubnet(network, prefix, 'ipv4'));
+const BLOCKED_IPV6 = new net.BlockList();
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_IPV6.addSubnet(network, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+  switch (net.isIP(address)) {
+    case 4:
+      return BLOCKED_IPV4.check(address, 'ipv4');
+    case 6:
+      return /^::ffff:/i.test(address) || BLOCKED_IPV6.check(address, 'ipv6');
+    default:
+      return true;
+  }
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function buildEvent(type, data) {
+  return {
+    id: `evt_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+    type,
+    createdAt: new Date().toISOString(),
+    data
+  };
+}
+
+function parseEvents(value) {
+  try {
+    const events = JSON.parse(value || '[]');
+    return Array.isArray(events) ? events : [];
+  } catch {
+    return [];
+  }
+}
+
+function subscriptionMatches(subscription, type) {
+  if (subscription.active === 'FALSE') return false;
+  const events = parseEvents(subscription.events);
+  return events.includes(ALL_EVENTS) || events.includes(type);
+}
+
+// Validate a create (every field) or update (fields present) request.
+// Returns { values, errors } like validateScenarioInput. The URL's addresses
+// are checked separately by webhookTargetError.
+function validateSubscriptionInput(input, { partial = false, allowPrivate = false } = {}) {
+  const values = {};
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { values, errors: [{ field: null, message: 'Request body must be an object' }] };
+  }
+
+  if (input.url !== undefined || !partial) {
+    let url = null;
+    try {
+      url = new URL(input.url);
+    } catch {
+      url = null;
+    }
+    const protocols = allowPrivate ? ['http:', 'https:'] : ['https:'];
+    if (!url || !protocols.includes(url.protocol)) {
+      errors.push({ field: 'url', message: allowPrivate ? 'url must be an http(s) URL' : 'url must be an https URL' });
+    } else {
+      values.url = url.toString();
+    }
+  }
+
+  if (input.events !== undefined || !partial) {
+    const events = input.events;
+    if (!Array.isArray(events) || events.length === 0) {
+      errors.push({ field: 'events', message: `events must be a non-empty array of ${WEBHOOK_EVENTS.join(', ')} or ${ALL_EVENTS}` });
+    } else {
+      const unknown = events.filter(event => event !== ALL_EVENTS && !WEBHOOK_EVENTS.includes(event));
+      if (unknown.length > 0) {
+        errors.push({ field: 'events', message: `Unknown events: ${unknown.join(', ')}` });
+      } else {
+        values.events = JSON.stringify([...new Set(events)]);
+      }
+    }
+  }
+
+  if (input.description !== undefined) {
+    if (typeof input.description !== 'string' || input.description.length > MAX_DESCRIPTION_LENGTH) {
+      errors.push({ field: 'description', message: `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters` });
+    } else {
+      values.description = input.description.trim();
+    }
+  }
+
+  if (input.active !== undefined) {
+    if (typeof input.active !== 'boolean') {
+      errors.push({ field: 'active', message: 'active must be a boolean' });
+    } else {
+      values.active = input.active;
+    }
+  }
+
+  return { values, errors };
+}
+
+// Why `url` may not be delivered to, or null when it may. Every address the
+// host resolves to has to be public.
+async function webhookTargetError(url, { allowPrivate = false, lookup = dns.promises.lookup } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'url is not a valid URL';
+  }
+  if (allowPrivate) return null;
+  if (parsed.protocol !== 'https:') return 'url must be an https URL';
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = await lookup(hostname, { all: true, verbatim: true });
+  } catch (error) {
+    return `Could not resolve ${hostname}: ${error.code || error.message}`;
+  }
+  const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+  return blocked ? `${hostname} resolves to a private, loopback or link-local address (${blocked.address})` : null;
+}
+
+// axios agents whose DNS lookups refuse blocked addresses, so the address a
+// delivery connects to is the one that was checked
+function createWebhookAgents({ allowPrivate = false } = {}) {
+  if (allowPrivate) return {};
+  const lookup = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) return callback(error);
+      const entries = Array.isArray(address) ? address : [{ address, family }];
+      const blocked = entries.find(entry => isBlockedAddress(entry.address));
+      if (blocked) {
+        return callback(new Error(`${hostname} resolves to a private, loopback or link-local address (${blocked.address})`));
+      }
+      callback(null, address, family);
+    });
+  };
+  return { httpAgent: new http.Agent({ lookup }), httpsAgent: new https.Agent({ lookup }) };
+}
+
+// The secret is only shown when a subscription is created or rotated
+function formatSubscription(record, { includeSecret = false } = {}) {
+  return {
+    id: record.id,
+    url: record.url,
+    events: parseEvents(record.events),
+    description: record.description || '',
+    active: record.active !== 'FALSE',
+    createdBy: record.createdBy,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt || null,
+    ...(includeSecret && { secret: record.secret })
+  };
+}
+
+function formatDelivery(record) {
+  return {
+    id: record.id,
+    subscriptionId: record.subscriptionId,
+    eventId: record.eventId,
+    event: record.event,
+    url: record.url,
+    status: record.status,
+    attempts: parseInt(record.attempts) || 0,
+    responseStatus: parseInt(record.responseStatus) || null,
+    responseBody: record.responseBody || null,
+    error: record.error || null,
+    durationMs: parseInt(record.durationMs) || null,
+    replayOf: record.replayOf || null,
+    createdAt: record.createdAt,
+    lastAttemptAt: record.lastAttemptAt || null,
+    deliveredAt: record.deliveredAt || null
+  };
+}
+
+const truncateResponse = body => {
+  const text = typeof body === 'string' ? body : JSON.stringify(body ?? '');
+  return text.length > MAX_LOGGED_RESPONSE ? `${text.slice(0, MAX_LOGGED_RESPONSE)}…` : text;
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  ALL_EVENTS,
+  generateSecret,
+  signPayload,
+  buildEvent,
+  subscriptionMatches,
+  validateSubscriptionInput,
+  isBlockedAddress,
+  webhookTargetError,
+  createWebhookAgents,
+  formatSubscription,
+  formatDelivery,
+  truncateResponse
+};
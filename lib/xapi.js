@@ -0,0 +1,286 @@
+// xAPI (Experience API) statements for a learning record store, so roleplay
+// practice shows up alongside the rest of a rep's training.
+//
+// When a session has been scored, two statements are sent for the rep:
+//   attempted  at the session's start time
+//   completed  at its end time, with the scores, outcome and duration as the
+//              result
+// The scenario is the activity. Statement ids and the context registration
+// are derived from the session id, so a resend is recognised by the LRS
+// instead of being recorded twice. Sending goes through the job queue and is
+// retried with backoff.
+//
+// Configuration (read by loadXapiConfig):
+//   XAPI_LRS_ENDPOINT       LRS base URL (statements go to <endpoint>/statements);
+//                           xAPI is off when unset
+//   XAPI_LRS_USERNAME       Basic auth key/username
+//   XAPI_LRS_PASSWORD       Basic auth secret/password
+//   XAPI_ACTIVITY_BASE_URL  IRI prefix for activities and extensions
+//   XAPI_MAX_ATTEMPTS       default 5
+//   XAPI_MAPPING            JSON activity mapping (merged over the default below)
+//   XAPI_MAPPING_FILE       path to a JSON file with the same
+//
+// The mapping turns scenario fields into the activity definition:
+//   activityType  the activity's definition.type
+//   extensions    { scenarioField: extension IRI } copied into definition.extensions
+//   values        { scenarioField: { 'Scenario value': 'value sent' } } to
+//                 translate values, e.g. difficulty Easy -> beginner
+//   categories    { scenarioField: IRI prefix } adds a context category
+//                 activity per value, e.g. one activity per sales skill area
+
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+
+const XAPI_VERSION = '1.0.3';
+const DEFAULT_ACTIVITY_BASE_URL = 'https://sales-roleplay.app/xapi';
+const LRS_TIMEOUT_MS = 15000;
+
+const VERBS = {
+  attempted: { id: 'http://adlnet.gov/expapi/verbs/attempted', display: { 'en-US': 'attempted' } },
+  completed: { id: 'http://adlnet.gov/expapi/verbs/completed', display: { 'en-US': 'completed' } }
+};
+
+// Overall effectiveness is scored 1-5 (see lib/rubrics.js)
+const SCORE_MIN = 1;
+const SCORE_MAX = 5;
+
+const SUCCESS_BY_OUTCOME = { meeting_booked: true, follow_up: true, lost: false };
+
+function defaultMapping(baseUrl) {
+  return {
+    activityType: 'http://adlnet.gov/expapi/activities/simulation',
+    extensions: {
+      sales_skill_area: `${baseUrl}/extensions/sales-skill-area`,
+      difficulty: `${baseUrl}/extensions/difficulty`,
+      business_vertical: `${baseUrl}/extensions/business-vertical`
+    },
+    values: {},
+    categories: {
+      sales_skill_area: `${baseUrl}/skills/`
+    }
+  };
+}
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Returns a list of problems; empty when the mapping is usable
+function validateMapping(mapping) {
+  const errors = [];
+  if (!isPlainObject(mapping)) return ['mapping must be an object'];
+
+  if (mapping.activityType !== undefined && typeof mapping.activityType !== 'string') {
+    errors.push('activityType must be an IRI string');
+  }
+  for (const key of ['extensions', 'categories']) {
+    if (mapping[key] === undefined) continue;
+    if (!isPlainObject(mapping[key]) || Object.values(mapping[key]).some(value => typeof value !== 'string')) {
+      errors.push(`${key} must map scenario fields to IRI strings`);
+    }
+  }
+  if (mapping.values !== undefined) {
+    if (!isPlainObject(mapping.values) || Object.values(mapping.values).some(table => !isPlainObject(table))) {
+      errors.push('values must map scenario fields to { value: replacement } objects');
+    }
+  }
+  return errors;
+}
+
+function readMapping(env) {
+  if (env.XAPI_MAPPING) return JSON.parse(env.XAPI_MAPPING);
+  if (env.XAPI_MAPPING_FILE) return JSON.parse(fs.readFileSync(env.XAPI_MAPPING_FILE, 'utf8'));
+  return {};
+}
+
+// Returns null when no LRS is configured. Throws on an invalid mapping so a
+// typo is caught at startup rather than on the first session.
+function loadXapiConfig(env = process.env) {
+  if (!env.XAPI_LRS_ENDPOINT) return null;
+
+  const activityBaseUrl = (env.XAPI_ACTIVITY_BASE_URL || DEFAULT_ACTIVITY_BASE_URL).replace(/\/+$/, '');
+  const custom = readMapping(env);
+  const errors = validateMapping(custom);
+  if (errors.length > 0) {
+    throw new Error(`Invalid xAPI mapping: ${errors.join('; ')}`);
+  }
+
+  // Field tables are replaced as a whole so a custom mapping can drop defaults
+  const mapping = { ...defaultMapping(activityBaseUrl), ...custom };
+
+  return {
+    endpoint: env.XAPI_LRS_ENDPOINT.replace(/\/+$/, ''),
+    username: env.XAPI_LRS_USERNAME || '',
+    password: env.XAPI_LRS_PASSWORD || '',
+    activityBaseUrl,
+    maxAttempts: Math.max(1, parseInt(env.XAPI_MAX_ATTEMPTS) || 5),
+    mapping
+  };
+}
+
+// Name-based UUID (v5 layout) so the same session always gets the same ids
+function stableUuid(name) {
+  const bytes = crypto.createHash('sha1').update(`sales-roleplay:${name}`).digest().subarray(0, 16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x50;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = bytes.toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// Milliseconds -> ISO 8601 duration, e.g. PT4M12.5S
+function isoDuration(ms) {
+  const totalSeconds = Math.max(0, Math.round((ms || 0) / 100) / 10);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = Math.round((totalSeconds % 60) * 10) / 10;
+  return `PT${hours ? `${hours}H` : ''}${minutes ? `${minutes}M` : ''}${seconds || (!hours && !minutes) ? `${seconds}S` : ''}`;
+}
+
+const slug = value => String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+function mappedValue(mapping, field, value) {
+  const table = (mapping.values || {})[field] || {};
+  return Object.prototype.hasOwnProperty.call(table, value) ? table[value] : value;
+}
+
+function buildActivity(config, scenario, scenarioId) {
+  const { mapping, activityBaseUrl } = config;
+  const definition = { type: mapping.activityType };
+
+  if (scenario) {
+    definition.name = { 'en-US': scenario.title || `Scenario ${scenarioId}` };
+    if (scenario.description) definition.description = { 'en-US': scenario.description };
+
+    const extensions = {};
+    for (const [field, iri] of Object.entries(mapping.extensions || {})) {
+      if (scenario[field]) extensions[iri] = mappedValue(mapping, field, scenario[field]);
+    }
+    if (Object.keys(extensions).length > 0) definition.extensions = extensions;
+  }
+
+  return {
+    objectType: 'Activity',
+    id: `${activityBaseUrl}/scenarios/${encodeURIComponent(scenarioId || 'unknown')}`,
+    definition
+  };
+}
+
+function buildCategories(config, scenario) {
+  if (!scenario) return [];
+  return Object.entries(config.mapping.categories || {})
+    .filter(([field]) => scenario[field])
+    .map(([field, prefix]) => {
+      const value = mappedValue(config.mapping, field, scenario[field]);
+      return {
+        objectType: 'Activity',
+        id: `${prefix}${slug(value)}`,
+        definition: { name: { 'en-US': String(value) } }
+      };
+    });
+}
+
+// Mailbox when we know the rep's email, otherwise their account id
+function buildActor(config, user) {
+  if (user.email) {
+    return { objectType: 'Agent', mbox: `mailto:${user.email}` };
+  }
+  return { objectType: 'Agent', account: { homePage: config.activityBaseUrl, name: user.uid } };
+}
+
+// The attempted/completed pair for a scored session.
+//   session   stored session record
+//   scenario  stored scenario record (or null if it was deleted)
+//   user      stored user record ({ uid, email })
+//   scores    { overallScore, confidenceScore, talkTimeRatio, dimensions: { key: score } }
+function buildSessionStatements(config, { session, scenario, user, scores }) {
+  const base = config.activityBaseUrl;
+  const actor = buildActor(config, user);
+  const object = buildActivity(config, scenario, session.scenarioId);
+  const context = {
+    registration: stableUuid(`registration:${session.id}`),
+    platform: 'Sales Roleplay',
+    language: 'en-US',
+    extensions: { [`${base}/extensions/session-id`]: session.id }
+  };
+  const categories = buildCategories(config, scenario);
+  if (categories.length > 0) context.contextActivities = { category: categories };
+
+  const result = {
+    completion: true,
+    duration: isoDuration(parseInt(session.duration) || 0),
+    extensions: {
+      [`${base}/extensions/confidence-score`]: scores.confidenceScore,
+      [`${base}/extensions/talk-time-ratio`]: scores.talkTimeRatio,
+      [`${base}/extensions/dimension-scores`]: scores.dimensions
+    }
+  };
+  if (typeof scores.overallScore === 'number') {
+    result.score = {
+      raw: scores.overallScore,
+      min: SCORE_MIN,
+      max: SCORE_MAX,
+      scaled: Math.round((scores.overallScore / SCORE_MAX) * 100) / 100
+    };
+  }
+  if (session.outcome && SUCCESS_BY_OUTCOME[session.outcome] !== undefined) {
+    result.success = SUCCESS_BY_OUTCOME[session.outcome];
+    result.extensions[`${base}/extensions/outcome`] = session.outcome;
+  }
+
+  return [
+    {
+      id: stableUuid(`attempted:${session.id}`),
+      actor,
+      verb: VERBS.attempted,
+      object,
+      context,
+      timestamp: session.startTime || new Date().toISOString()
+    },
+    {
+      id: stableUuid(`completed:${session.id}`),
+      actor,
+      verb: VERBS.completed,
+      object,
+      result,
+      context,
+      timestamp: session.endTime || new Date().toISOString()
+    }
+  ];
+}
+
+function createLrsClient(config) {
+  const http = axios.create({
+    baseURL: config.endpoint,
+    timeout: LRS_TIMEOUT_MS,
+    headers: {
+      'X-Experience-API-Version': XAPI_VERSION,
+      'Content-Type': 'application/json'
+    },
+    ...(config.username && { auth: { username: config.username, password: config.password } })
+  });
+
+  return {
+    // Resolves with the stored statement ids; rejects on any other non-2xx
+    // response. 409 means the LRS already holds statements with these ids,
+    // which for a resend is success. `signal` aborts the request.
+    async sendStatements(statements, { signal } = {}) {
+      try {
+        const response = await http.post('/statements', statements, { signal });
+        return { stored: response.data };
+      } catch (error) {
+        if (error.response && error.response.status === 409) return { alreadyStored: true };
+        throw error;
+      }
+    }
+  };
+}
+
+module.exports = {
+  XAPI_VERSION,
+  VERBS,
+  validateMapping,
+  loadXapiConfig,
+  stableUuid,
+  isoDuration,
+  buildSessionStatements,
+  createLrsClient
+};
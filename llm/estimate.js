@@ -0,0 +1,11 @@
+// Rough token counts (about four characters per token) for providers that
+// don't report usage, so metering still has something to count
+const estimateTokens = text => Math.ceil((text || '').length / 4);
+
+function estimateUsage(messages, completionText) {
+  const prompt = estimateTokens(messages.map(message => message.content).join('\n'));
+  const completion = estimateTokens(completionText);
+  return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion, estimated: true };
+}
+
+module.exports = { estimateUsage };
@@ -0,0 +1,140 @@
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createMockProvider } = require('./mockProvider');
+const { estimateUsage } = require('./estimate');
+
+// LLM entry point. Routes use one completion interface whatever the backend:
+//
+//   complete({ useCase, messages, json, signal, meta }) -> { content, model, usage }
+//   stream({ useCase, messages, signal, meta })         -> async iterable of text chunks
+//
+// `useCase` picks the model and sampling parameters from USE_CASES. Override
+// the model for a use case with LLM_MODEL_<USE_CASE>, e.g. LLM_MODEL_PERSONA.
+// `json` asks for a JSON object reply. After every call the onUsage hook gets
+// { useCase, model, provider, usage, meta }, where `meta` is whatever the
+// caller passed (user, session, endpoint). Usage is estimated when the
+// provider doesn't report it, including for streams cut short.
+//
+// LLM_PROVIDER selects the backend (default openai):
+//   openai             OPENAI_API_KEY
+//   azure              AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT,
+//                      AZURE_OPENAI_API_VERSION; models are deployment names
+//   openai_compatible  LLM_BASE_URL (e.g. http://localhost:11434/v1 for
+//                      Ollama), optional LLM_API_KEY
+//   mock               scripted offline replies, see ./mockProvider
+
+const USE_CASES = {
+  // Buyer persona in /api/ai/chat
+  persona: {
+    model: 'gpt-4',
+    params: {
+      max_tokens: 150,
+      temperature: 0.9, // Higher temperature for more varied responses
+      presence_penalty: 0.6, // Encourage new topics
+      frequency_penalty: 0.8, // Strongly discourage repetition
+      stop: ['Salesperson:', 'User:', '\n\n'] // Stop tokens
+    }
+  },
+  // Free-text coaching feedback in /api/sessions/end
+  feedback: {
+    model: 'gpt-3.5-turbo',
+    params: { max_tokens: 300 }
+  },
+  // Google Ads coaching in /api/sessions/analyze-google-ads
+  coaching: {
+    model: 'gpt-3.5-turbo',
+    params: { max_tokens: 400 }
+  },
+  // Structured rubric evaluation (lib/llmEvaluator.js)
+  evaluation: {
+    model: 'gpt-4o-mini',
+    params: { max_tokens: 1200, temperature: 0 }
+  }
+};
+
+function resolveModels(env) {
+  const models = {};
+  for (const [useCase, config] of Object.entries(USE_CASES)) {
+    models[useCase] = env[`LLM_MODEL_${useCase.toUpperCase()}`] || config.model;
+  }
+  // EVALUATOR_MODEL predates the per-use-case settings
+  if (!env.LLM_MODEL_EVALUATION && env.EVALUATOR_MODEL) {
+    models.evaluation = env.EVALUATOR_MODEL;
+  }
+  return models;
+}
+
+function createProvider(name, env) {
+  switch (name) {
+    case 'openai':
+      return createOpenAIProvider('openai', { apiKey: env.OPENAI_API_KEY });
+    case 'azure':
+      return createOpenAIProvider('azure', {
+        apiKey: env.AZURE_OPENAI_API_KEY,
+        endpoint: env.AZURE_OPENAI_ENDPOINT,
+        apiVersion: env.AZURE_OPENAI_API_VERSION || '2024-06-01'
+      });
+    case 'openai_compatible':
+      return createOpenAIProvider('openai_compatible', {
+        apiKey: env.LLM_API_KEY,
+        baseURL: env.LLM_BASE_URL
+      });
+    case 'mock':
+      return createMockProvider({ scriptPath: env.LLM_MOCK_SCRIPT });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER: ${name}`);
+  }
+}
+
+// `provider` can be passed in directly (e.g. a mock with an inline script)
+function createLLM({ env = process.env, provider, onUsage } = {}) {
+  const backend = provider || createProvider((env.LLM_PROVIDER || 'openai').toLowerCase(), env);
+  const models = resolveModels(env);
+
+  function resolve(useCase) {
+    const config = USE_CASES[useCase];
+    if (!config) {
+      throw new Error(`Unknown LLM use case: ${useCase}`);
+    }
+    return { model: models[useCase], params: config.params };
+  }
+
+  // Metering must never break the call it measures
+  async function report(useCase, model, usage, meta) {
+    if (!onUsage) return;
+    try {
+      await onUsage({ useCase, model, provider: backend.name, usage, meta: meta || {} });
+    } catch (error) {
+      console.error('❌ Error recording LLM usage:', error);
+    }
+  }
+
+  return {
+    provider: backend.name,
+    models,
+
+    async complete({ useCase, messages, json = false, signal, meta }) {
+      const resolved = resolve(useCase);
+      const result = await backend.complete({ useCase, messages, json, signal, ...resolved });
+      await report(useCase, result.model || resolved.model, result.usage || estimateUsage(messages, result.content), meta);
+      return result;
+    },
+
+    async *stream({ useCase, messages, signal, meta }) {
+      const resolved = resolve(useCase);
+      let text = '';
+      let usage = null;
+      try {
+        for await (const chunk of backend.stream({
+          useCase, messages, signal, ...resolved, onUsage: reported => { usage = reported; }
+        })) {
+          text += chunk;
+          yield chunk;
+        }
+      } finally {
+        await report(useCase, resolved.model, usage || estimateUsage(messages, text), meta);
+      }
+    }
+  };
+}
+
+module.exports = { createLLM, USE_CASES };
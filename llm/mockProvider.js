@@ -0,0 +1,121 @@
+// Scripted offline provider. Replies come from a script keyed by use case, so
+// the whole roleplay flow runs without network access and gives the same
+// answers every run:
+//
+//   {
+//     "persona": [
+//       { "when": "price", "reply": "That sounds expensive." },   // last user message contains "price"
+//       "Hi, what is this about?",                                 // otherwise used in turn
+//       "Tell me more."
+//     ],
+//     "evaluation": [{ "summary": "...", "dimensions": [...] }]    // objects are sent as JSON
+//   }
+//
+// Unconditional replies are used in order and wrap around. LLM_MOCK_SCRIPT
+// points at a JSON file in this format; use cases it leaves out keep the
+// defaults below. Without a script, evaluation replies with a schema-valid
+// evaluation of the rubric dimensions named in the prompt (see
+// defaultEvaluation); any other use case replies with "OK".
+
+const fs = require('fs');
+const { estimateUsage } = require('./estimate');
+
+const DEFAULT_SCRIPT = {
+  persona: [
+    'Hi there. What is this regarding?',
+    'Interesting. How would that work for a business like mine?',
+    "I'm not sure about the cost. What kind of budget are we talking about?",
+    'That makes sense. What results have similar businesses seen?',
+    "Okay, I'd be open to a follow-up conversation."
+  ],
+  feedback: [
+    "Good start. Ask more open questions about the customer's goals, tie your answers to business results, and finish by agreeing a clear next step."
+  ],
+  coaching: [
+    '1. Product knowledge: mention the specific campaign types that fit the customer. 2. Objection handling: acknowledge concerns before answering them. 3. Discovery: ask about current marketing and goals first. 4. Clarity: explain terms in plain language. 5. Business value: connect features to revenue and new customers.'
+  ]
+};
+
+// A middling score on every dimension listed in the evaluation prompt
+// (lib/llmEvaluator.js), citing the salesperson's first turn as evidence
+function defaultEvaluation(messages) {
+  const prompt = messages.map(message => message.content).join('\n');
+  const listed = /Dimensions:\n((?:- .*\n?)+)/.exec(prompt);
+  const keys = listed ? [...listed[1].matchAll(/^- ([a-z][a-z0-9_]*): /gm)].map(match => match[1]) : [];
+  const firstTurn = /^\[(\d+)\] Salesperson: (.+)$/m.exec(prompt);
+  const evidence = firstTurn
+    ? [{ turnIndex: Number(firstTurn[1]), quote: firstTurn[2].trim().slice(0, 40) }]
+    : [];
+
+  return {
+    summary: 'Solid practice session. Keep asking open questions and tie the offer to business results.',
+    dimensions: [...new Set(keys)].map(key => ({
+      key,
+      score: 3,
+      justification: 'Mock evaluation: an average performance on this dimension.',
+      evidence
+    }))
+  };
+}
+
+function loadScript(scriptPath) {
+  if (!scriptPath) return DEFAULT_SCRIPT;
+  const script = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+  return { ...DEFAULT_SCRIPT, ...script };
+}
+
+const asText = reply => (typeof reply === 'string' ? reply : JSON.stringify(reply));
+
+function createMockProvider({ script, scriptPath } = {}) {
+  const replies = script ? { ...DEFAULT_SCRIPT, ...script } : loadScript(scriptPath);
+  const positions = {};
+
+  function nextReply(useCase, messages) {
+    const entries = replies[useCase] || [];
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    const text = (lastUserMessage ? lastUserMessage.content : '').toLowerCase();
+
+    const matched = entries.find(entry =>
+      entry && typeof entry === 'object' && typeof entry.when === 'string' && text.includes(entry.when.toLowerCase())
+    );
+    if (matched) return asText(matched.reply);
+
+    const plain = entries.filter(entry => !(entry && typeof entry === 'object' && 'when' in entry));
+    if (plain.length === 0) {
+      return useCase === 'evaluation' ? asText(defaultEvaluation(messages)) : 'OK';
+    }
+
+    const position = positions[useCase] || 0;
+    positions[useCase] = position + 1;
+    return asText(plain[position % plain.length]);
+  }
+
+  return {
+    name: 'mock',
+
+    async complete({ useCase, model, messages }) {
+      const content = nextReply(useCase, messages);
+      return { content, model, usage: estimateUsage(messages, content) };
+    },
+
+    async *stream({ useCase, messages, signal, onUsage }) {
+      const content = nextReply(useCase, messages);
+      for (const word of content.match(/\S+\s*/g) || []) {
+        if (signal && signal.aborted) {
+          const error = new Error('Request was aborted');
+          error.name = 'AbortError';
+          throw error;
+        }
+        yield word;
+      }
+      if (onUsage) onUsage(estimateUsage(messages, content));
+    },
+
+    // Start every script from the beginning again
+    reset() {
+      for (const useCase of Object.keys(positions)) delete positions[useCase];
+    }
+  };
+}
+
+module.exports = { createMockProvider, DEFAULT_SCRIPT };
@@ -0,0 +1,74 @@
+// Provider for anything that speaks the OpenAI chat completions API: OpenAI
+// itself, Azure OpenAI (where `model` is the deployment name) and
+// OpenAI-compatible servers such as Ollama, vLLM or LM Studio. The SDK is
+// required lazily so the mock provider runs without it being configured.
+
+function createClient(kind, options) {
+  switch (kind) {
+    case 'openai': {
+      const OpenAI = require('openai');
+      return new OpenAI({ apiKey: options.apiKey });
+    }
+    case 'azure': {
+      const { AzureOpenAI } = require('openai');
+      return new AzureOpenAI({
+        apiKey: options.apiKey,
+        endpoint: options.endpoint,
+        apiVersion: options.apiVersion
+      });
+    }
+    case 'openai_compatible': {
+      const OpenAI = require('openai');
+      if (!options.baseURL) {
+        throw new Error('LLM_BASE_URL is required for the openai_compatible provider');
+      }
+      // Local servers usually ignore the key, but the SDK insists on one
+      return new OpenAI({ apiKey: options.apiKey || 'not-needed', baseURL: options.baseURL });
+    }
+    default:
+      throw new Error(`Unknown OpenAI provider kind: ${kind}`);
+  }
+}
+
+function createOpenAIProvider(kind, options = {}) {
+  const client = createClient(kind, options);
+
+  return {
+    name: kind,
+
+    async complete({ model, messages, params, json, signal }) {
+      const completion = await client.chat.completions.create({
+        ...params,
+        model,
+        messages,
+        ...(json && { response_format: { type: 'json_object' } })
+      }, { signal });
+
+      return {
+        content: completion.choices[0].message.content || '',
+        model: completion.model || model,
+        usage: completion.usage || null
+      };
+    },
+
+    async *stream({ model, messages, params, signal, onUsage }) {
+      const stream = await client.chat.completions.create({
+        ...params,
+        model,
+        messages,
+        stream: true,
+        // OpenAI and Azure send token usage in a final chunk; not every
+        // compatible server accepts the option
+        ...(kind !== 'openai_compatible' && { stream_options: { include_usage: true } })
+      }, { signal });
+
+      for await (const chunk of stream) {
+        const text = chunk.choices[0]?.delta?.content;
+        if (text) yield text;
+        if (chunk.usage && onUsage) onUsage(chunk.usage);
+      }
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider };
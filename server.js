@@ -1,10 +1,107 @@
 const express = require('express');
 const cors = require('cors');
-const { GoogleSpreadsheet } = require('google-spreadsheet');
-const { JWT } = require('google-auth-library');
 const admin = require('firebase-admin');
-const OpenAI = require('openai');
 const axios = require('axios');
+const { createStorage, isDuplicateKey } = require('./storage');
+const { createLLM } = require('./llm');
+const { createVideoClient } = require('./video');
+const { createSTT } = require('./stt');
+const { createTTS } = require('./tts');
+const {
+  SCENARIO_STATUSES,
+  parseKeyObjections,
+  parsePiiAllowList,
+  getScenarioStatus,
+  formatScenario,
+  validateScenarioInput,
+  getPublishErrors
+} = require('./lib/scenarios');
+const { parseKeyMetrics, buildTeamDashboard } = require('./lib/teamDashboard');
+const { recommendPractice, practiceTips } = require('./lib/practiceRecommendations');
+const {
+  validatePathInput,
+  parseSteps,
+  formatPath,
+  formatAssignment,
+  computePathProgress
+} = require('./lib/learningPaths');
+const {
+  DEFAULT_RUBRIC,
+  GOOGLE_ADS_COACHING_RUBRIC,
+  evaluateRubric,
+  rubricRecommendations,
+  validateRubricDefinition
+} = require('./lib/rubrics');
+const { evaluateWithLLM, heuristicEvaluation, parseStoredEvaluation } = require('./lib/llmEvaluator');
+const {
+  loadObjectionTracker,
+  applyRepTurn,
+  nextObjectionToRaise,
+  markRaised,
+  objectionGuidance,
+  summarizeObjections,
+  objectionRecommendations
+} = require('./lib/objections');
+const {
+  loadBuyerState,
+  applyRepMove,
+  buyerGuidance,
+  finalizeOutcome,
+  buyerSnapshot,
+  summarizeBuyerState
+} = require('./lib/buyerState');
+const { createRedactorFromEnv, mergeDetections } = require('./lib/redaction');
+const { loadXapiConfig, buildSessionStatements, createLrsClient } = require('./lib/xapi');
+const {
+  SESSION_EXPORT_FORMATS,
+  HISTORY_EXPORT_FORMATS,
+  parseDateRange,
+  inDateRange,
+  buildSessionReport,
+  sessionReportCSV,
+  historyCSV,
+  renderSessionReportPDF
+} = require('./lib/sessionExport');
+const {
+  HANDLED_EVENTS: DAILY_WEBHOOK_EVENTS,
+  signatureError,
+  eventRoomName,
+  parseParticipants,
+  sessionPatchForEvent,
+  parseWebVTT
+} = require('./lib/dailyWebhooks');
+const { resolveVoiceProfile, voiceInstructions } = require('./lib/voiceProfiles');
+const { parseTurnTiming, computeTalkMetrics, parseStoredTalkMetrics } = require('./lib/talkMetrics');
+const { loadJobConfig, createJobQueue, isFinished } = require('./lib/jobQueue');
+const {
+  generateSecret,
+  signPayload,
+  buildEvent,
+  subscriptionMatches,
+  validateSubscriptionInput,
+  webhookTargetError,
+  createWebhookAgents,
+  formatSubscription,
+  formatDelivery,
+  truncateResponse
+} = require('./lib/webhooks');
+const {
+  QUOTA_PERIODS,
+  loadUsageConfig,
+  estimateCost,
+  quotaWindow,
+  usageTotalsId,
+  addToTotals,
+  checkQuota,
+  buildCostReport
+} = require('./lib/usage');
+const {
+  loadLifecycleConfig,
+  getSessionState,
+  transitionError,
+  staleTransition,
+  activeDuration
+} = require('./lib/sessionLifecycle');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -25,7 +122,8 @@ app.use(cors(corsOptions));
 
 // Add explicit OPTIONS handler
 app.options('*', cors(corsOptions));
-app.use(express.json());
+// Keep the raw body around for webhook signature checks
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf.toString('utf8'); } }));
 
 // Initialize Firebase Admin
 let serviceAccount;
@@ -41,62 +139,629 @@ if (serviceAccount) {
   });
 }
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
+// Initialize the LLM provider (OpenAI, Azure OpenAI, OpenAI-compatible or mock, see llm/index.js)
+// Every completion is metered into the Usage ledger (see lib/usage.js)
+const usageConfig = loadUsageConfig(process.env);
+const llm = createLLM({ onUsage: recordUsage });
+
+// Structured end-of-session evaluation (see lib/llmEvaluator.js)
+const LLM_EVALUATION_ENABLED = process.env.LLM_EVALUATION_ENABLED !== 'false';
+
+// Initialize storage (Google Sheets, SQLite/Postgres or in-memory, see storage/index.js)
+const db = createStorage({ serviceAccount });
+
+// Session lifecycle timeouts (see lib/sessionLifecycle.js)
+const lifecycleConfig = loadLifecycleConfig(process.env);
+
+// Background jobs (see lib/jobQueue.js). Post-session analysis runs here so
+// /api/sessions/end doesn't wait on the LLM.
+const jobs = createJobQueue({
+  repo: db.jobs,
+  handlers: {
+    session_analysis: (payload, job) => runSessionAnalysis(payload, job),
+    webhook_delivery: (payload, job) => deliverWebhook(payload, job),
+    xapi_statements: (payload, job) => sendXapiStatements(payload, job)
+  },
+  config: loadJobConfig(process.env)
 });
+const ANALYSIS_WAIT_SECONDS = parseInt(process.env.ANALYSIS_WAIT_SECONDS) || 30;
+
+// Outbound webhooks (see lib/webhooks.js)
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_TIMEOUT_MS = 10000;
+// Lets subscriptions target http and private addresses; ignored in production
+const WEBHOOK_ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true' && process.env.NODE_ENV !== 'production';
+const webhookAgents = createWebhookAgents({ allowPrivate: WEBHOOK_ALLOW_PRIVATE_URLS });
+
+// Video rooms (Daily.co or an in-memory fake, see video/index.js). Rooms are
+// private, expire after VIDEO_ROOM_TTL_MINUTES and only admit holders of a
+// meeting token issued by /api/video/create-room. null when no provider is
+// configured.
+const video = createVideoClient({ env: process.env });
+const VIDEO_ROOM_TTL_MINUTES = parseInt(process.env.VIDEO_ROOM_TTL_MINUTES) || 60;
+const VIDEO_MAX_PARTICIPANTS = parseInt(process.env.VIDEO_MAX_PARTICIPANTS) || 2;
+
+// Speech-to-text for voice practice (Whisper API, whisper.cpp or mock, see
+// stt/index.js); null when no provider is configured
+const stt = createSTT({ env: process.env });
+const STT_MAX_UPLOAD_MB = parseInt(process.env.STT_MAX_UPLOAD_MB) || 25;
+
+// Text-to-speech for persona replies (OpenAI, local espeak-ng or mock, see tts/index.js)
+const tts = createTTS({ env: process.env });
+
+// Look up a scenario by scenario_id, id, or sheet row number (the fallback id
+// GET /api/scenarios hands out for rows without one)
+async function findScenario(scenarioId) {
+  if (!scenarioId) return null;
+
+  const scenario = await db.scenarios.findOne({ scenario_id: scenarioId }) ||
+    await db.scenarios.findOne({ id: scenarioId });
+  if (scenario) return scenario;
+
+  return matchScenario(await db.scenarios.list(), scenarioId);
+}
+
+// findScenario over rows already loaded: scenario_id, then id, then row number
+function matchScenario(rows, scenarioId) {
+  if (!scenarioId) return null;
+  const id = scenarioId.toString();
+  return rows.find(row => row.scenario_id === id) ||
+    rows.find(row => row.id === id) ||
+    rows.find(row => row._rowNumber !== undefined && row._rowNumber.toString() === id) ||
+    null;
+}
+
+// Why a scenario can't be practiced, as { status, error }, or null when it
+// can. Drafts, archived and deactivated scenarios are only for authors.
+function scenarioPracticeError(scenario) {
+  if (!scenario) {
+    return { status: 404, error: 'Scenario not found' };
+  }
+  if (getScenarioStatus(scenario) !== 'published' || scenario.is_active === 'FALSE') {
+    return { status: 409, error: 'Scenario is not published' };
+  }
+  return null;
+}
+
+// Conversation turns are stored server-side as they happen, so chat context,
+// analysis and session details never depend on a client-supplied transcript
+async function getSessionTurns(sessionId) {
+  return formatTurns(await db.turns.list({ sessionId }));
+}
+
+// Turns of several sessions in one query, by session id
+async function getTurnsBySession(sessionIds) {
+  const bySession = new Map(sessionIds.map(id => [id, []]));
+  if (sessionIds.length === 0) return bySession;
+  for (const turn of await db.turns.list({ sessionId: sessionIds })) {
+    if (bySession.has(turn.sessionId)) bySession.get(turn.sessionId).push(turn);
+  }
+  for (const [sessionId, turns] of bySession) {
+    bySession.set(sessionId, formatTurns(turns));
+  }
+  return bySession;
+}
+
+function formatTurns(turns) {
+  return turns
+    .map(turn => ({
+      speaker: turn.speaker,
+      message: turn.message,
+      timestamp: turn.timestamp,
+      turnIndex: parseInt(turn.turnIndex) || 0,
+      // Spoken turns (see /api/sessions/:sessionId/audio) carry when they were said
+      source: turn.source || 'text',
+      startedAt: turn.startedAt || null,
+      endedAt: turn.endedAt || null
+    }))
+    .sort((a, b) => a.turnIndex - b.turnIndex);
+}
+
+// Claim the session's next turn number. The counter lives on the session
+// and is bumped with a compare-and-set, so two messages arriving together
+// can't get the same index and nothing has to count the stored turns.
+const TURN_INDEX_ATTEMPTS = 10;
+
+async function nextTurnIndex(sessionId) {
+  for (let attempt = 0; attempt < TURN_INDEX_ATTEMPTS; attempt++) {
+    const session = await db.sessions.findOne({ id: sessionId });
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+    
+    // Sessions started before the counter existed start from their stored turns
+    const current = session.turnCount === undefined || session.turnCount === ''
+      ? (await db.turns.list({ sessionId })).length
+      : parseInt(session.turnCount) || 0;
+    
+    const claimed = await db.sessions.update(
+      { id: sessionId, turnCount: session.turnCount || '' },
+      { turnCount: current + 1 }
+    );
+    if (claimed) return current + 1;
+  }
+  throw new Error(`Could not allocate a turn number for session ${sessionId}`);
+}
+
+// `details` adds optional fields such as source, startedAt and endedAt
+async function recordTurn(session, speaker, message, details = {}) {
+  const turnIndex = await nextTurnIndex(session.id);
+  
+  return db.turns.insert({
+    id: `${session.id}_turn_${turnIndex}`,
+    sessionId: session.id,
+    userId: session.userId,
+    turnIndex,
+    speaker,
+    message,
+    timestamp: new Date().toISOString(),
+    ...details
+  });
+}
+
+// Apply a validated status change (see lib/sessionLifecycle.js).
+// Returns { session } or { status, error } when the transition isn't allowed.
+// The update is a compare-and-set on the status that was read (plus any
+// `expected` fields), so when a pause, resume, end or the sweeper races with
+// another, only the first one applies and the others get a 409.
+async function transitionSession(session, to, patch = {}, expected = {}) {
+  const error = transitionError(session, to);
+  if (error) {
+    return { status: 409, error };
+  }
+  
+  const updated = await db.sessions.update({ id: session.id, status: session.status || '', ...expected }, {
+    ...patch,
+    status: to,
+    statusUpdatedAt: new Date().toISOString()
+  });
+  if (!updated) {
+    const current = await db.sessions.findOne({ id: session.id });
+    return {
+      status: 409,
+      error: current ? `Session changed to ${getSessionState(current)} meanwhile` : 'Session no longer exists'
+    };
+  }
+  console.log(`🔁 Session ${session.id}: ${getSessionState(session)} -> ${to}`);
+  return { session: updated };
+}
+
+// Mark sessions nobody came back to as abandoned (idle while active) or
+// expired (paused too long)
+async function sweepStaleSessions(now = new Date()) {
+  const open = await db.sessions.list({ status: ['active', 'paused'] });
+  if (open.length === 0) return 0;
+  
+  const turns = await db.turns.list({ sessionId: open.map(session => session.id) });
+  let swept = 0;
+  for (const session of open) {
+    const stale = staleTransition(
+      session,
+      turns.filter(turn => turn.sessionId === session.id),
+      lifecycleConfig,
+      now
+    );
+    if (!stale) continue;
+    
+    // A turn recorded since the read bumps turnCount, so the session is
+    // left open
+    const result = await transitionSession(session, stale.to, {
+      endTime: now.toISOString(),
+      duration: activeDuration(session, now),
+      statusReason: stale.reason
+    }, { turnCount: session.turnCount || '' });
+    if (result.error) continue;
+    swept++;
+    await releaseSessionRoom(result.session);
+  }
+  return swept;
+}
+
+// Video routes answer 503 when no video provider is configured
+function requireVideo(req, res, next) {
+  if (!video) {
+    return res.status(503).json({
+      error: 'Video calls are not configured',
+      details: 'Set DAILY_API_KEY, or VIDEO_PROVIDER=fake for local development'
+    });
+  }
+  next();
+}
+
+// Speech input answers 503 when no STT provider is configured
+function requireSpeechToText(req, res, next) {
+  if (!stt) {
+    return res.status(503).json({
+      error: 'Speech input is not configured',
+      details: 'Set OPENAI_API_KEY or STT_PROVIDER (STT_PROVIDER=mock for local development)'
+    });
+  }
+  next();
+}
+
+// Recording and transcription are opt-in per scenario
+function scenarioVideoFeatures(scenario) {
+  return {
+    recording: !!scenario && scenario.enable_recording === 'TRUE',
+    transcription: !!scenario && scenario.enable_transcription === 'TRUE'
+  };
+}
 
-// Initialize Google Sheets
-const SHEET_ID = process.env.GOOGLE_SHEETS_ID;
-let doc;
+// Meeting token for `user` in the session's room, valid until the room
+// expires. The rep's token starts whatever the scenario records.
+function issueMeetingToken(session, user, features = {}) {
+  const isOwner = session.userId === user.uid;
+  return video.createMeetingToken({
+    room_name: session.roomName,
+    user_id: user.uid,
+    user_name: user.name || user.email || user.uid,
+    is_owner: isOwner,
+    exp: Math.floor(new Date(session.roomExpiresAt).getTime() / 1000),
+    eject_at_token_exp: true,
+    ...(isOwner && features.recording && { start_cloud_recording: true }),
+    ...(isOwner && features.transcription && { auto_start_transcription: true })
+  });
+}
+
+// Delete the session's video room once the session is over. Daily expires
+// rooms on its own as well, so a failure here is logged rather than fatal.
+async function releaseSessionRoom(session) {
+  if (!video || !session || !session.roomName || session.roomDeletedAt) return;
 
-async function initializeSheet() {
   try {
-    const jwt = new JWT({
-      email: serviceAccount.client_email,
-      key: serviceAccount.private_key,
-      scopes: ['https://www.googleapis.com/auth/spreadsheets']
+    const deleted = await video.deleteRoom(session.roomName);
+    await db.sessions.update({ id: session.id }, { roomDeletedAt: new Date().toISOString() });
+    console.log(`🗑️ Video room ${session.roomName} ${deleted ? 'deleted' : 'was already gone'}`);
+  } catch (error) {
+    console.error(`❌ Error deleting video room ${session.roomName}:`, error.response?.data || error.message);
+  }
+}
+
+const VIDEO_EVENT_ATTEMPTS = 10;
+
+// Attach a Daily webhook event to its session (see lib/dailyWebhooks.js).
+// Transcripts are downloaded, redacted and stored as timed segments; the
+// rep's segments are labelled salesperson.
+async function applyVideoEvent(session, event) {
+  if (event.type === 'transcript.ready-to-download') {
+    const transcriptId = event.payload.id || event.payload.transcript_id;
+    const segments = parseWebVTT(await video.getTranscript(transcriptId));
+    const repNames = parseParticipants(session)
+      .filter(participant => participant.userId === session.userId)
+      .map(participant => participant.userName);
+    
+    const allow = scenarioAllowList(await findScenario(session.scenarioId));
+    
+    const detections = [];
+    const redacted = segments.map(segment => {
+      const result = redactor.redact(segment.text, { scope: session.id, allow });
+      detections.push(result.detections);
+      return {
+        ...segment,
+        speaker: repNames.includes(segment.speaker) ? 'salesperson' : redactPII(segment.speaker || '', { scope: session.id }) || null,
+        text: result.text
+      };
     });
     
-    doc = new GoogleSpreadsheet(SHEET_ID, jwt);
-    await doc.loadInfo();
+    await db.sessions.update({ id: session.id }, {
+      transcriptId,
+      videoTranscript: JSON.stringify(redacted)
+    });
+    await recordPIIDetections(session, detections.reduce(mergeDetections, {}));
+    console.log(`📝 Stored ${redacted.length} transcript segments for session ${session.id}`);
+    return;
+  }
+  
+  // Participant events rewrite the whole participants list, so the update is
+  // a compare-and-set on the list that was read, retried on a fresh read when
+  // another event got there first
+  let current = session;
+  for (let attempt = 0; attempt < VIDEO_EVENT_ATTEMPTS; attempt++) {
+    const patch = sessionPatchForEvent(current, event);
+    if (!patch) return;
+    
+    const where = patch.participants === undefined
+      ? { id: current.id }
+      : { id: current.id, participants: current.participants || '' };
+    if (await db.sessions.update(where, patch)) return;
+    
+    current = await db.sessions.findOne({ id: session.id });
+    if (!current) return;
+  }
+  throw new Error(`Session ${session.id} kept changing while applying ${event.type}`);
+}
+
+// Queue a delivery of `event` to one subscription
+async function queueWebhookDelivery(subscription, event, replayOf = null) {
+  const delivery = await db.webhookDeliveries.insert({
+    id: `whd_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    subscriptionId: subscription.id,
+    eventId: event.id,
+    event: event.type,
+    url: subscription.url,
+    payload: JSON.stringify(event),
+    status: 'pending',
+    attempts: 0,
+    replayOf: replayOf || '',
+    createdAt: new Date().toISOString()
+  });
+  await jobs.enqueue('webhook_delivery', { deliveryId: delivery.id }, { maxAttempts: WEBHOOK_MAX_ATTEMPTS });
+  return delivery;
+}
+
+// Send an event to every subscription that wants it. Webhooks are a side
+// channel, so a failure here is logged and never fails the calling route.
+async function emitWebhookEvent(type, data) {
+  try {
+    const subscriptions = (await db.webhooks.list()).filter(subscription => subscriptionMatches(subscription, type));
+    if (subscriptions.length === 0) return;
     
-    // Create sheets if they don't exist
-    const sheetNames = ['Users', 'Sessions', 'Scenarios', 'Feedback'];
-    for (const name of sheetNames) {
-      try {
-        await doc.sheetsByTitle[name];
-      } catch {
-        await doc.addSheet({ title: name });
-      }
+    const event = buildEvent(type, data);
+    for (const subscription of subscriptions) {
+      await queueWebhookDelivery(subscription, event);
     }
-    
-    console.log('Google Sheets initialized successfully');
+    console.log(`📣 Queued ${type} for ${subscriptions.length} webhook(s)`);
   } catch (error) {
-    console.error('Error initializing Google Sheets:', error);
+    console.error(`❌ Error queueing ${type} webhooks:`, error);
   }
 }
 
-// PII Redaction Function
-function redactPII(text) {
-  if (!text || typeof text !== 'string') return text;
-  
-  // Email addresses
-  text = text.replace(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g, '[EMAIL_REDACTED]');
+// Job handler: POST one delivery and log the attempt. Throws on failure so
+// the job queue retries it.
+async function deliverWebhook({ deliveryId }, job) {
+  const delivery = await db.webhookDeliveries.findOne({ id: deliveryId });
+  if (!delivery) return { skipped: 'Delivery not found' };
   
-  // Phone numbers (various formats)
-  text = text.replace(/\b(?:\+?1[-.\s]?)?\(?([0-9]{3})\)?[-.\s]?([0-9]{3})[-.\s]?([0-9]{4})\b/g, '[PHONE_REDACTED]');
+  const subscription = await db.webhooks.findOne({ id: delivery.subscriptionId });
+  if (!subscription || subscription.active === 'FALSE') {
+    const reason = subscription ? 'Subscription is disabled' : 'Subscription was deleted';
+    await db.webhookDeliveries.update({ id: deliveryId }, { status: 'failed', error: reason });
+    return { skipped: reason };
+  }
   
-  // Social Security Numbers
-  text = text.replace(/\b\d{3}-?\d{2}-?\d{4}\b/g, '[SSN_REDACTED]');
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  let response = null;
+  let failure = null;
+  try {
+    // Checked again on every attempt: the name may resolve elsewhere by now
+    const targetError = await webhookTargetError(subscription.url, { allowPrivate: WEBHOOK_ALLOW_PRIVATE_URLS });
+    if (targetError) throw new Error(targetError);
+    
+    response = await axios.post(subscription.url, delivery.payload, {
+      ...webhookAgents,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'sales-roleplay-webhooks',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(subscription.secret, timestamp, delivery.payload)
+      },
+      timeout: WEBHOOK_TIMEOUT_MS,
+      signal: job.signal,
+      responseType: 'text',
+      transformResponse: [body => body],
+      maxRedirects: 0,
+      validateStatus: () => true
+    });
+    if (response.status < 200 || response.status >= 300) {
+      failure = `Endpoint responded ${response.status}`;
+    }
+  } catch (error) {
+    failure = error.message;
+  }
   
-  // Credit Card Numbers (basic pattern)
-  text = text.replace(/\b\d{4}[-\s]?\d{4}[-\s]?\d{4}[-\s]?\d{4}\b/g, '[CARD_REDACTED]');
+  const succeeded = !failure;
+  await db.webhookDeliveries.update({ id: deliveryId }, {
+    url: subscription.url,
+    attempts: job.attempt,
+    status: succeeded ? 'succeeded' : job.isLastAttempt ? 'failed' : 'retrying',
+    responseStatus: response ? response.status : '',
+    responseBody: response ? truncateResponse(response.data) : '',
+    error: failure || '',
+    durationMs: Date.now() - started,
+    lastAttemptAt: new Date().toISOString(),
+    ...(succeeded && { deliveredAt: new Date().toISOString() })
+  });
   
-  // Names (common patterns - this is basic)
-  text = text.replace(/\b[A-Z][a-z]+ [A-Z][a-z]+\b/g, '[NAME_REDACTED]');
+  if (!succeeded) {
+    throw new Error(`Webhook delivery ${deliveryId} failed: ${failure}`);
+  }
+  return { status: response.status };
+}
+
+// xAPI statements to the learning record store (see lib/xapi.js); off
+// unless XAPI_LRS_ENDPOINT is set
+const xapiConfig = loadXapiConfig(process.env);
+const lrs = xapiConfig ? createLrsClient(xapiConfig) : null;
+console.log(xapiConfig ? `📚 xAPI statements go to ${xapiConfig.endpoint}` : 'ℹ️ XAPI_LRS_ENDPOINT not set, xAPI statements are off');
+
+// Queue the attempted/completed statements for a scored session. Like
+// webhooks this never fails the caller.
+async function queueXapiStatements({ session, scenario, analysis, evaluation }) {
+  if (!xapiConfig) return;
+  try {
+    const user = await db.users.findOne({ uid: session.userId }) || { uid: session.userId };
+    const statements = buildSessionStatements(xapiConfig, {
+      session,
+      scenario,
+      user,
+      scores: {
+        overallScore: analysis.overall_effectiveness_score ?? null,
+        confidenceScore: analysis.confidenceScore,
+        talkTimeRatio: analysis.talkTimeRatio,
+        dimensions: Object.fromEntries(evaluation.dimensions.map(dimension => [dimension.key, dimension.score]))
+      }
+    });
+    const job = await jobs.enqueue('xapi_statements', { sessionId: session.id, statements }, {
+      maxAttempts: xapiConfig.maxAttempts
+    });
+    console.log('📚 Queued xAPI statements for session', session.id, 'job:', job.id);
+  } catch (error) {
+    console.error('❌ Error queueing xAPI statements:', error);
+  }
+}
+
+// Job handler: send the statements; a failure throws so the queue retries
+async function sendXapiStatements({ sessionId, statements }, job) {
+  if (!lrs) return { skipped: 'xAPI is not configured' };
+  try {
+    const result = await lrs.sendStatements(statements, { signal: job.signal });
+    console.log(`✅ Sent ${statements.length} xAPI statement(s) for session ${sessionId}`);
+    return result;
+  } catch (error) {
+    const detail = error.response ? `LRS responded ${error.response.status}` : error.message;
+    throw new Error(`xAPI statements for session ${sessionId} failed: ${detail}`);
+  }
+}
+
+// PII redaction (see lib/redaction.js). Rep messages and transcripts are
+// redacted before they are stored, logged or sent to OpenAI. Configured by
+// PII_TOKEN_SECRET (required unless NODE_ENV is development or test),
+// PII_DISABLED_DETECTORS and PII_ALLOW_LIST; set up in initServer so a
+// missing secret stops startup with a message.
+let redactor = null;
+
+function redactPII(text, options) {
+  return redactor.redact(text, options).text;
+}
+
+// Terms a scenario's sessions never redact: the persona's own (fictional)
+// name and whatever the author put in the scenario's pii_allow_list
+function scenarioAllowList(scenario) {
+  if (!scenario) return [];
+  return [scenario.ai_character_name, ...parsePiiAllowList(scenario.pii_allow_list)].filter(Boolean);
+}
+
+// Turns are redacted as they're recorded; this also covers turns stored
+// before that. Persona turns are generated text and are left alone.
+function redactTurns(turns, scope) {
+  return turns.map(turn => turn.speaker === 'user'
+    ? { ...turn, message: redactPII(turn.message, { scope }) }
+    : turn);
+}
+
+// Keep a per-session count of which detectors fired
+async function recordPIIDetections(session, detections) {
+  if (!session || Object.keys(detections).length === 0) return;
   
-  return text;
+  let total = {};
+  try {
+    total = JSON.parse(session.piiDetections || '{}');
+  } catch {
+    total = {};
+  }
+  session.piiDetections = JSON.stringify(mergeDetections(total, detections));
+  await db.sessions.update({ id: session.id }, { piiDetections: session.piiDetections });
+  console.log('🔒 PII redacted:', detections);
+}
+
+// AI usage metering
+async function recordUsage({ useCase, model, provider, usage, meta }) {
+  const costUsd = estimateCost(usageConfig.pricing, model, usage);
+  await db.usage.insert({
+    id: `usage_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    userId: meta.userId,
+    sessionId: meta.sessionId,
+    endpoint: meta.endpoint,
+    useCase,
+    provider,
+    model,
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    totalTokens: usage.total_tokens || 0,
+    audioSeconds: usage.audio_seconds || 0,
+    characters: usage.characters || 0,
+    estimated: Boolean(usage.estimated),
+    costUsd,
+    createdAt: new Date().toISOString()
+  });
+  if (meta.userId) {
+    await addUsageTotals(meta.userId, {
+      totalTokens: usage.total_tokens || 0,
+      audioSeconds: usage.audio_seconds || 0,
+      characters: usage.characters || 0,
+      costUsd: costUsd || 0
+    });
+  }
+}
+
+// Add a call to the user's running day and month totals. Rows are created
+// on first use (a unique id, so two instances can't both create one) and
+// bumped with a compare-and-set on the call count.
+const USAGE_TOTALS_ATTEMPTS = 10;
+
+async function addUsageTotals(userId, usage, now = new Date()) {
+  for (const period of QUOTA_PERIODS) {
+    const { start } = quotaWindow(period, now);
+    const id = usageTotalsId(userId, period, start);
+    
+    for (let attempt = 0; attempt < USAGE_TOTALS_ATTEMPTS; attempt++) {
+      const current = await db.usageTotals.findOne({ id });
+      const values = { ...addToTotals(current, usage), updatedAt: now.toISOString() };
+      
+      if (!current) {
+        try {
+          await db.usageTotals.insert({ id, userId, period, periodStart: start.toISOString(), ...values });
+          break;
+        } catch (error) {
+          if (!isDuplicateKey(error)) throw error;
+          continue;
+        }
+      }
+      if (await db.usageTotals.update({ id, calls: current.calls }, values)) break;
+    }
+  }
+}
+
+// Who and what an LLM call is billed to
+function usageMeta(req, sessionId) {
+  return { userId: req.user.uid, sessionId, endpoint: req.route.path };
+}
+
+async function getQuotaStatus(user, { pending = 0 } = {}) {
+  const role = user.role || await resolveUserRole(user);
+  const quota = usageConfig.quotas[role];
+  const totals = quota
+    ? await db.usageTotals.findOne({ id: usageTotalsId(user.uid, quota.period, quotaWindow(quota.period).start) })
+    : null;
+  return checkQuota(usageConfig.quotas, role, totals, { pending });
+}
+
+// Requests past the quota check that haven't finished yet, per user
+const inFlightUsage = new Map();
+
+// Quota Middleware (use after authenticateToken on routes that call the LLM)
+async function enforceUsageQuota(req, res, next) {
+  try {
+    const uid = req.user.uid;
+    const quota = await getQuotaStatus(req.user, { pending: inFlightUsage.get(uid) || 0 });
+    if (quota.exceeded) {
+      console.log('⛔ Usage quota exceeded for', req.user.uid, 'path:', req.path);
+      const retryAfter = Math.max(1, Math.ceil((new Date(quota.resetAt) - Date.now()) / 1000));
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Usage quota exceeded',
+        details: `Your ${quota.period === 'month' ? 'monthly' : 'daily'} AI usage limit has been reached. It resets at ${quota.resetAt}.`,
+        period: quota.period,
+        limit: quota.limit,
+        used: quota.used,
+        resetAt: quota.resetAt
+      });
+    }
+    
+    inFlightUsage.set(uid, (inFlightUsage.get(uid) || 0) + 1);
+    res.once('close', () => {
+      const remaining = (inFlightUsage.get(uid) || 1) - 1;
+      if (remaining > 0) inFlightUsage.set(uid, remaining);
+      else inFlightUsage.delete(uid);
+    });
+    next();
+  } catch (error) {
+    console.error('Usage quota check error:', error);
+    res.status(500).json({ error: 'Failed to check usage quota' });
+  }
 }
 
 // Authentication Middleware
@@ -118,65 +783,145 @@ async function authenticateToken(req, res, next) {
   }
 }
 
+// Role-based access control
+// Roles are stored on the user record and mirrored to Firebase custom claims.
+// The stored role wins because claims only refresh with the next ID token.
+// Emails listed in ADMIN_EMAILS are always admins, which bootstraps the first one.
+const ROLES = ['learner', 'manager', 'admin'];
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
 
-// Open AI Chat
-// Open AI Chat - FIXED TO PREVENT AI RESPONDING TO ITSELF
-app.post('/api/ai/chat', authenticateToken, async (req, res) => {
-  try {
-    const { sessionId, userMessage, scenarioId, conversationHistory = [] } = req.body;
-    
-    console.log('🤖 AI Chat Request:', {
-      sessionId,
-      userMessage: userMessage.substring(0, 100),
-      scenarioId,
-      historyLength: conversationHistory.length
-    });
-    
-    // Validate required fields
-    if (!userMessage || !scenarioId) {
-      console.error('❌ Missing required fields');
-      return res.status(400).json({ error: 'Missing userMessage or scenarioId' });
-    }
-    
-    const scenariosSheet = doc.sheetsByTitle['Scenarios'];
-    const rows = await scenariosSheet.getRows();
-    const scenario = rows.find(row => 
-      row.get('scenario_id') === scenarioId || 
-      row.get('id') === scenarioId
-    );
-    
-    if (!scenario) {
-      console.error('❌ Scenario not found:', scenarioId);
-      return res.status(404).json({ error: 'Scenario not found' });
-    }
-    
-    // Get character details from scenario
-    const characterName = scenario.get('ai_character_name') || 'Alex Johnson';
-    const characterRole = scenario.get('ai_character_role') || 'Business Professional';
-    const characterPersonality = scenario.get('ai_character_personality') || 'Professional, helpful';
-    const businessVertical = scenario.get('business_vertical') || 'General Business';
-    const keyObjections = scenario.get('key_objections') || '[]';
-    
-    // Parse key objections safely
-    let objections = [];
+function roleFor(decodedToken, userRecord) {
+  if (decodedToken.email && ADMIN_EMAILS.includes(decodedToken.email.toLowerCase())) return 'admin';
+  if (userRecord && ROLES.includes(userRecord.role)) return userRecord.role;
+  if (ROLES.includes(decodedToken.role)) return decodedToken.role;
+  return 'learner';
+}
+
+async function resolveUserRole(decodedToken) {
+  const user = await db.users.findOne({ uid: decodedToken.uid });
+  return roleFor(decodedToken, user);
+}
+
+// Authorization Middleware (use after authenticateToken)
+function requireRole(...allowedRoles) {
+  return async (req, res, next) => {
     try {
-      if (keyObjections && keyObjections !== '[]') {
-        objections = JSON.parse(keyObjections);
+      req.user.role = await resolveUserRole(req.user);
+      
+      if (!allowedRoles.includes(req.user.role)) {
+        console.log('⛔ Access denied for', req.user.uid, 'role:', req.user.role, 'path:', req.path);
+        return res.status(403).json({ error: 'Insufficient permissions' });
       }
-    } catch (e) {
-      objections = ["I'm not sure we need this", "It sounds expensive"];
+      
+      next();
+    } catch (error) {
+      console.error('Role lookup error:', error);
+      res.status(500).json({ error: 'Failed to check permissions' });
     }
-    
-    // Check if this is the first message or we have conversation history
-    const isFirstMessage = conversationHistory.length === 0;
-    const conversationContext = conversationHistory.length > 0 ? 
-      `Previous conversation context: ${conversationHistory.slice(-2).map(msg => 
-        `${msg.speaker === 'user' ? 'Salesperson' : characterName}: ${msg.message}`
-      ).join('. ')}` : 
-      'This is the beginning of the conversation.';
-    
-    // Build a comprehensive but flexible system prompt
-    const systemPrompt = `You are ${characterName}, a ${characterRole} at a ${businessVertical} company.
+  };
+}
+
+
+// Persona chat helpers shared by the plain and streaming chat routes
+
+// Validates a chat request and loads the session, scenario and stored turns.
+// Returns { status, error } when the request can't be served.
+async function loadChatContext(req) {
+  const { sessionId, userMessage } = req.body;
+  
+  // Validate required fields
+  if (!sessionId || !userMessage) {
+    return { status: 400, error: 'Missing sessionId or userMessage' };
+  }
+  
+  const session = await db.sessions.findOne({ id: sessionId, userId: req.user.uid });
+  if (!session) {
+    return { status: 404, error: 'Session not found' };
+  }
+  
+  const state = getSessionState(session);
+  if (state !== 'active') {
+    return {
+      status: 409,
+      error: state === 'paused' ? 'Session is paused, resume it to continue' : `Session is ${state}`
+    };
+  }
+  
+  // The scenario is the one the session was started with; a scenarioId in
+  // the body is only accepted when it names that same scenario. Sessions
+  // started without one are bound to the scenario of their first message.
+  const requestedId = req.body.scenarioId;
+  const scenario = await findScenario(session.scenarioId || requestedId);
+  if (scenario && requestedId && session.scenarioId &&
+      ![session.scenarioId, scenario.id, scenario.scenario_id].includes(String(requestedId))) {
+    return { status: 400, error: 'scenarioId does not match the session' };
+  }
+  const scenarioError = scenarioPracticeError(scenario);
+  if (scenarioError) {
+    return scenarioError;
+  }
+  if (!session.scenarioId) {
+    await db.sessions.update({ id: session.id, scenarioId: '' }, { scenarioId: requestedId });
+  }
+  
+  // When the message was said, if the client knows (see lib/talkMetrics.js)
+  const timing = parseTurnTiming(req.body);
+  if (timing.error) {
+    return { status: 400, error: timing.error };
+  }
+  
+  // Conversation so far comes from stored turns, not the client
+  const conversationHistory = await getSessionTurns(sessionId);
+  
+  // Redact before the message is stored, logged or sent to OpenAI. The
+  // persona's own name is fictional and stays readable.
+  const { text: redactedMessage, detections } = redactor.redact(userMessage, {
+    scope: sessionId,
+    allow: scenarioAllowList(scenario)
+  });
+  
+  return {
+    session,
+    scenario,
+    conversationHistory,
+    userMessage: redactedMessage,
+    userTiming: timing.startedAt ? { startedAt: timing.startedAt, endedAt: timing.endedAt } : {},
+    piiDetections: detections
+  };
+}
+
+function getPersonaDetails(scenario) {
+  // Parse key objections safely
+  let objections = [];
+  try {
+    objections = parseKeyObjections(scenario.key_objections);
+  } catch (e) {
+    objections = ["I'm not sure we need this", "It sounds expensive"];
+  }
+  
+  return {
+    characterName: scenario.ai_character_name || 'Alex Johnson',
+    characterRole: scenario.ai_character_role || 'Business Professional',
+    characterPersonality: scenario.ai_character_personality || 'Professional, helpful',
+    businessVertical: scenario.business_vertical || 'General Business',
+    objections
+  };
+}
+
+function buildPersonaMessages(persona, conversationHistory, userMessage, guidance = '') {
+  const { characterName, characterRole, characterPersonality, businessVertical } = persona;
+  
+  const conversationContext = conversationHistory.length > 0 ? 
+    `Previous conversation context: ${conversationHistory.slice(-2).map(msg => 
+      `${msg.speaker === 'user' ? 'Salesperson' : characterName}: ${msg.message}`
+    ).join('. ')}` : 
+    'This is the beginning of the conversation.';
+  
+  // Build a comprehensive but flexible system prompt
+  const systemPrompt = `You are ${characterName}, a ${characterRole} at a ${businessVertical} company.
 
 Character Profile:
 - Name: ${characterName}
@@ -195,87 +940,268 @@ Instructions:
 - Show appropriate interest or skepticism based on your personality
 - Ask relevant questions about their offering
 - Stay in character throughout
-
+${guidance ? `${guidance}\n` : ''}
 Respond as ${characterName} would naturally respond to what was just said.`;
 
-    // Build messages for OpenAI with proper conversation history
-    const messages = [
-      { role: "system", content: systemPrompt }
-    ];
-    
-    // Add recent conversation history to provide context
-    const recentHistory = conversationHistory.slice(-4); // Last 4 messages for context
-    recentHistory.forEach(msg => {
-      if (msg.speaker === 'user') {
-        messages.push({ role: "user", content: msg.message });
-      } else if (msg.speaker === 'ai') {
-        messages.push({ role: "assistant", content: msg.message });
+  // Build messages for OpenAI with proper conversation history
+  const messages = [
+    { role: "system", content: systemPrompt }
+  ];
+  
+  // Add recent conversation history to provide context
+  const recentHistory = conversationHistory.slice(-4); // Last 4 messages for context
+  recentHistory.forEach(msg => {
+    if (msg.speaker === 'user') {
+      messages.push({ role: "user", content: msg.message });
+    } else if (msg.speaker === 'ai') {
+      messages.push({ role: "assistant", content: msg.message });
+    }
+  });
+  
+  // Add the current user message
+  messages.push({ role: "user", content: userMessage });
+  
+  return messages;
+}
+
+// Per-session persona state: the objection playbook (lib/objections.js) and
+// the buyer's interest, trust and patience (lib/buyerState.js). Scores the
+// rep's message and returns the persona instructions for this reply.
+function planPersonaTurn(session, persona, conversationHistory, userMessage, userTurn) {
+  const turnIndex = parseInt(userTurn.turnIndex);
+  const { tracker, closedThisTurn, buyer, outcome } = applyRepMessage(session, persona.objections, userMessage, turnIndex);
+  if (closedThisTurn) {
+    console.log(`🎯 Objection ${closedThisTurn.status}:`, closedThisTurn.objection);
+  }
+  if (outcome) {
+    console.log('🤝 Deal outcome reached:', outcome);
+  }
+  const move = { objections: persona.objections, userMessage, turnIndex };
+  
+  // No new objections once the call is decided
+  if (buyer.outcome) {
+    return { tracker, toRaise: null, buyer, guidance: buyerGuidance(buyer, outcome), move };
+  }
+  
+  const repTurnCount = conversationHistory.filter(msg => msg.speaker === 'user').length + 1;
+  const toRaise = nextObjectionToRaise(tracker, repTurnCount, closedThisTurn);
+  const guidance = [buyerGuidance(buyer, outcome), objectionGuidance(tracker, toRaise, closedThisTurn)]
+    .filter(Boolean)
+    .join('\n');
+  
+  return { tracker, toRaise, buyer, guidance, move };
+}
+
+// The session's stored objection and buyer state with one rep message applied
+function applyRepMessage(session, objections, userMessage, turnIndex) {
+  const tracker = loadObjectionTracker(session.objections, objections);
+  const closedThisTurn = applyRepTurn(tracker, userMessage, turnIndex);
+  const buyer = loadBuyerState(session.buyerState);
+  const outcome = applyRepMove(buyer, userMessage, { turnIndex, objectionClosed: closedThisTurn });
+  return { tracker, closedThisTurn, buyer, outcome };
+}
+
+// aiTurn is the persona reply that raised plan.toRaise; pass null when the
+// reply was a fallback that never got the instruction.
+//
+// The write is a compare-and-set on the state the plan was made from. When
+// another message for the session saved first, the rep's message is applied
+// again on top of what it saved, so neither message's moves are lost.
+const PERSONA_STATE_ATTEMPTS = 10;
+
+async function savePersonaState(session, plan, aiTurn) {
+  if (plan.saved) return;
+  
+  let current = session;
+  let { tracker, buyer, toRaise } = plan;
+  for (let attempt = 0; attempt < PERSONA_STATE_ATTEMPTS; attempt++) {
+    if (attempt > 0) {
+      current = await db.sessions.findOne({ id: session.id });
+      if (!current) {
+        throw new Error(`Session ${session.id} not found`);
       }
-    });
-    
-    // Add the current user message
-    messages.push({ role: "user", content: userMessage });
-    
-    console.log('🤖 Sending to OpenAI with full context');
-    console.log('🤖 Messages count:', messages.length);
-    console.log('🤖 Current user message:', userMessage);
-    
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4",
-      messages: messages,
-      max_tokens: 150,
-      temperature: 0.9, // Higher temperature for more varied responses
-      presence_penalty: 0.6, // Encourage new topics
-      frequency_penalty: 0.8, // Strongly discourage repetition
-      stop: ["Salesperson:", "User:", "\n\n"] // Stop tokens
-    });
-    
-    let aiResponse = completion.choices[0].message.content.trim();
-    
-    // Clean up response
-    aiResponse = aiResponse.replace(/^(Customer:|AI:|Assistant:)\s*/i, '');
-    aiResponse = aiResponse.replace(/\[.*?\]/g, '');
-    
-    // Check for repetitive responses and replace them
-    const repetitivePatterns = [
-      "i'm sorry, i didn't quite hear you clearly",
-      "what company are you calling from",
-      "sorry, i didn't catch that",
-      "could you repeat that",
-      "i don't understand"
-    ];
+      ({ tracker, buyer } = applyRepMessage(current, plan.move.objections, plan.move.userMessage, plan.move.turnIndex));
+      // The reply raised its objection unless another reply has one open
+      toRaise = plan.toRaise && !buyer.outcome && !tracker.some(entry => entry.status === 'raised')
+        ? tracker.find(entry => entry.objection === plan.toRaise.objection && entry.status === 'pending') || null
+        : null;
+    }
+    if (toRaise && aiTurn) {
+      markRaised(toRaise, parseInt(aiTurn.turnIndex));
+    }
     
-    const isRepetitive = repetitivePatterns.some(pattern => 
-      aiResponse.toLowerCase().includes(pattern)
+    const saved = await db.sessions.update(
+      { id: session.id, objections: current.objections || '', buyerState: current.buyerState || '' },
+      {
+        objections: JSON.stringify(tracker),
+        buyerState: JSON.stringify(buyer),
+        ...(buyer.outcome && { outcome: buyer.outcome })
+      }
     );
-    
-    // If response is repetitive, create a more specific response based on user input
-    if (isRepetitive || aiResponse.length < 10) {
-      console.log('⚠️ Detected repetitive response, generating specific alternative');
-      
-      // Generate context-aware response based on what user actually said
-      if (userMessage.toLowerCase().includes('hello') || userMessage.toLowerCase().includes('hi')) {
-        aiResponse = `Hello. How can I help you today?`;
-      } else if (userMessage.toLowerCase().includes('google') || userMessage.toLowerCase().includes('ads') || userMessage.toLowerCase().includes('advertising')) {
-        aiResponse = `Advertising for my ${businessVertical} business? What exactly are you proposing?`;
-      } else if (userMessage.toLowerCase().includes('marketing') || userMessage.toLowerCase().includes('promotion')) {
-        aiResponse = `Marketing help? Tell me more about what you have in mind.`;
-      } else if (userMessage.toLowerCase().includes('business') || userMessage.toLowerCase().includes('company')) {
-        aiResponse = `What kind of business solution are you offering?`;
-      } else if (userMessage.toLowerCase().includes('help') || userMessage.toLowerCase().includes('improve')) {
-        aiResponse = `Help with what specifically? What are you suggesting?`;
-      } else {
-        // For any other input, give a generic but engaging response
-        aiResponse = `I'm listening. What is this regarding?`;
+    if (saved) {
+      if (toRaise && aiTurn) console.log('🎯 Objection raised:', toRaise.objection);
+      plan.saved = true;
+      return;
+    }
+  }
+  throw new Error(`Could not save persona state for session ${session.id}`);
+}
+
+// Outcome of each of the scenario's objections for a session's analysis
+function summarizeSessionObjections(session, scenario) {
+  if (!session || !scenario) return null;
+  return summarizeObjections(loadObjectionTracker(session.objections, getPersonaDetails(scenario).objections));
+}
+
+const PERSONA_PREFIX_PATTERN = /^(Customer:|AI:|Assistant:)\s*/i;
+
+// Clean up response: strip speaker prefixes and bracketed stage directions
+function cleanPersonaResponse(text) {
+  return text
+    .trim()
+    .replace(PERSONA_PREFIX_PATTERN, '')
+    .replace(/\[.*?\]/g, '');
+}
+
+// Check for repetitive responses and replace them with one based on what the
+// user actually said
+function replaceRepetitiveResponse(aiResponse, userMessage, businessVertical) {
+  const repetitivePatterns = [
+    "i'm sorry, i didn't quite hear you clearly",
+    "what company are you calling from",
+    "sorry, i didn't catch that",
+    "could you repeat that",
+    "i don't understand"
+  ];
+  
+  const isRepetitive = repetitivePatterns.some(pattern => 
+    aiResponse.toLowerCase().includes(pattern)
+  );
+  
+  if (!isRepetitive && aiResponse.length >= 10) {
+    return aiResponse;
+  }
+  
+  console.log('⚠️ Detected repetitive response, generating specific alternative');
+  
+  // Generate context-aware response based on what user actually said
+  const message = userMessage.toLowerCase();
+  if (message.includes('hello') || message.includes('hi')) {
+    return `Hello. How can I help you today?`;
+  } else if (message.includes('google') || message.includes('ads') || message.includes('advertising')) {
+    return `Advertising for my ${businessVertical} business? What exactly are you proposing?`;
+  } else if (message.includes('marketing') || message.includes('promotion')) {
+    return `Marketing help? Tell me more about what you have in mind.`;
+  } else if (message.includes('business') || message.includes('company')) {
+    return `What kind of business solution are you offering?`;
+  } else if (message.includes('help') || message.includes('improve')) {
+    return `Help with what specifically? What are you suggesting?`;
+  }
+  
+  // For any other input, give a generic but engaging response
+  return `I'm listening. What is this regarding?`;
+}
+
+// Incremental version of cleanPersonaResponse for streamed tokens. push()
+// returns the text that is safe to send so far: a possible speaker prefix is
+// held back until it can be ruled out, and so is anything after an unclosed
+// "[" until its "]" arrives.
+function createPersonaStreamCleaner() {
+  const prefixes = ['customer:', 'ai:', 'assistant:'];
+  let raw = '';
+  let emitted = '';
+  
+  function safeText(final) {
+    let text = raw.trimStart();
+    
+    const lower = text.toLowerCase();
+    const couldBePrefix = prefixes.some(prefix => prefix.startsWith(lower));
+    if (!final && text.length > 0 && couldBePrefix) return '';
+    text = text.replace(PERSONA_PREFIX_PATTERN, '');
+    
+    if (!final) {
+      const openBracket = text.lastIndexOf('[');
+      if (openBracket > text.lastIndexOf(']')) {
+        text = text.slice(0, openBracket);
       }
     }
     
+    return text.replace(/\[.*?\]/g, '').trimStart();
+  }
+  
+  function next(final) {
+    const text = safeText(final);
+    if (!text.startsWith(emitted)) return '';
+    const delta = text.slice(emitted.length);
+    emitted = text;
+    return delta;
+  }
+  
+  return {
+    push(chunk) {
+      raw += chunk;
+      return next(false);
+    },
+    flush() {
+      return next(true);
+    },
+    get emitted() {
+      return emitted;
+    }
+  };
+}
+
+// Open AI Chat
+// Open AI Chat - FIXED TO PREVENT AI RESPONDING TO ITSELF
+// Send audio: true to also get the reply as speech (see synthesizePersonaAudio)
+app.post('/api/ai/chat', authenticateToken, enforceUsageQuota, async (req, res) => {
+  let context;
+  let personaPlan;
+  let userTurnRecorded = false;
+  try {
+    context = await loadChatContext(req);
+    if (context.error) {
+      console.error('❌ Chat request rejected:', context.error);
+      return res.status(context.status).json({ error: context.error });
+    }
+    
+    const { session, scenario, conversationHistory, userMessage } = context;
+    const userTurn = await recordTurn(session, 'user', userMessage, context.userTiming);
+    userTurnRecorded = true;
+    await recordPIIDetections(session, context.piiDetections);
+    
+    console.log('🤖 AI Chat Request:', {
+      sessionId: session.id,
+      userMessage: userMessage.substring(0, 100),
+      scenarioId: req.body.scenarioId,
+      historyLength: conversationHistory.length
+    });
+    
+    // Get character details from scenario
+    const persona = getPersonaDetails(scenario);
+    personaPlan = planPersonaTurn(session, persona, conversationHistory, userMessage, userTurn);
+    const messages = buildPersonaMessages(persona, conversationHistory, userMessage, personaPlan.guidance);
+    
+    console.log('🤖 Sending to', llm.provider, 'with full context');
+    console.log('🤖 Messages count:', messages.length);
+    console.log('🤖 Current user message:', userMessage);
+    
+    const completion = await llm.complete({ useCase: 'persona', messages, meta: usageMeta(req, session.id) });
+    
+    const cleanedResponse = cleanPersonaResponse(completion.content);
+    const aiResponse = replaceRepetitiveResponse(cleanedResponse, userMessage, persona.businessVertical);
+    
     console.log('✅ Final AI response:', aiResponse);
     
+    const aiTurn = await recordTurn(session, 'ai', aiResponse);
+    await savePersonaState(session, personaPlan, aiResponse === cleanedResponse ? aiTurn : null);
+    
     res.json({
       response: aiResponse,
-      character: characterName,
-      characterRole: characterRole
+      character: persona.characterName,
+      characterRole: persona.characterRole,
+      buyer: buyerSnapshot(personaPlan.buyer),
+      ...(req.body.audio === true && { audio: await synthesizePersonaAudio(req, session, scenario, persona, aiResponse) })
     });
     
   } catch (error) {
@@ -284,15 +1210,182 @@ Respond as ${characterName} would naturally respond to what was just said.`;
     // Even the fallback should be context-aware
     let fallbackResponse = "Yes, I'm here. What did you want to discuss?";
     
+    // Keep the stored conversation complete even when the AI call failed
+    if (userTurnRecorded) {
+      try {
+        await recordTurn(context.session, 'ai', fallbackResponse);
+        if (personaPlan) await savePersonaState(context.session, personaPlan, null);
+      } catch (turnError) {
+        console.error('❌ Error recording fallback turns:', turnError);
+      }
+    }
+    
+    const audio = req.body.audio === true && context && context.scenario
+      ? await synthesizePersonaAudio(req, context.session, context.scenario, getPersonaDetails(context.scenario), fallbackResponse)
+      : undefined;
+    
     res.json({
       response: fallbackResponse,
-      character: "Customer"
+      character: "Customer",
+      ...(audio !== undefined && { audio })
+    });
+  }
+});
+
+// Persona reply as speech in the scenario's voice (see lib/voiceProfiles.js),
+// base64 encoded. A TTS failure leaves the reply text-only instead of
+// failing the chat, and so does a user who is past their usage quota once
+// the reply itself has been billed. Synthesis is metered by characters;
+// replies served from the audio cache cost nothing.
+async function synthesizePersonaAudio(req, session, scenario, persona, text) {
+  try {
+    // This request is still counted in flight; its completion is already billed
+    const quota = await getQuotaStatus(req.user, { pending: (inFlightUsage.get(req.user.uid) || 1) - 1 });
+    if (quota.exceeded) {
+      console.log('⛔ Usage quota exceeded, skipping persona audio for', req.user.uid);
+      return null;
+    }
+    
+    const profile = resolveVoiceProfile(scenario);
+    const result = await tts.synthesize({ text, ...profile, instructions: voiceInstructions(profile, persona) });
+    if (!result.cached) {
+      await recordUsage({
+        useCase: 'speech',
+        model: tts.model,
+        provider: tts.provider,
+        usage: { characters: text.length },
+        meta: usageMeta(req, session.id)
+      });
+    }
+    return {
+      mimeType: result.mimeType,
+      data: result.audio.toString('base64'),
+      cached: result.cached,
+      voice: profile
+    };
+  } catch (error) {
+    console.error('❌ Error synthesizing persona audio:', error.message);
+    return null;
+  }
+}
+
+// Streaming AI Chat over Server-Sent Events
+// Events: "token" { text } as cleaned text arrives, then "done" with the final
+// response and character metadata. If the repetitive-response guard replaced
+// the reply, "done" carries replaced: true and clients should show its
+// response instead of the streamed tokens. With audio: true in the body, an
+// "audio" event with the spoken reply comes just before "done".
+app.post('/api/ai/chat/stream', authenticateToken, enforceUsageQuota, async (req, res) => {
+  const context = await loadChatContext(req).catch(error => ({ status: 500, error: error.message }));
+  if (context.error) {
+    console.error('❌ Chat stream request rejected:', context.error);
+    return res.status(context.status).json({ error: context.error });
+  }
+  
+  const { session, scenario, conversationHistory, userMessage } = context;
+  const persona = getPersonaDetails(scenario);
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  // Cancel the upstream completion when the client goes away
+  const controller = new AbortController();
+  let finished = false;
+  res.on('close', () => {
+    if (!finished) {
+      console.log('⚠️ Chat stream client disconnected, cancelling completion');
+      controller.abort();
+    }
+  });
+  
+  const fallbackResponse = "Yes, I'm here. What did you want to discuss?";
+  const cleaner = createPersonaStreamCleaner();
+  let aiResponse;
+  let replaced = false;
+  let personaPlan;
+  let userTurn;
+  try {
+    userTurn = await recordTurn(session, 'user', userMessage, context.userTiming);
+    await recordPIIDetections(session, context.piiDetections);
+    personaPlan = planPersonaTurn(session, persona, conversationHistory, userMessage, userTurn);
+    
+    console.log('🤖 AI Chat Stream Request:', {
+      sessionId: session.id,
+      userMessage: userMessage.substring(0, 100),
+      historyLength: conversationHistory.length
+    });
+    
+    const messages = buildPersonaMessages(persona, conversationHistory, userMessage, personaPlan.guidance);
+    const stream = llm.stream({
+      useCase: 'persona',
+      messages,
+      signal: controller.signal,
+      meta: usageMeta(req, session.id)
     });
+    
+    for await (const chunk of stream) {
+      const text = cleaner.push(chunk);
+      if (text) sendEvent('token', { text });
+    }
+    const rest = cleaner.flush();
+    if (rest) sendEvent('token', { text: rest });
+    
+    const streamed = cleaner.emitted.trim();
+    aiResponse = replaceRepetitiveResponse(streamed, userMessage, persona.businessVertical);
+    replaced = aiResponse !== streamed;
+  } catch (error) {
+    if (controller.signal.aborted) {
+      // Whatever the client saw becomes the persona's turn, so the stored
+      // conversation and persona state stay consistent. A cut-off reply
+      // doesn't count as having raised the planned objection.
+      console.log('ℹ️ Chat stream cancelled for session:', session.id);
+      aiResponse = cleaner.emitted.trim() || fallbackResponse;
+    } else {
+      console.error('❌ Error in AI chat stream:', error);
+      aiResponse = fallbackResponse;
+    }
+    replaced = true;
+  }
+  
+  // Like the non-stream route, the user turn always gets a reply stored
+  if (userTurn) {
+    try {
+      const aiTurn = await recordTurn(session, 'ai', aiResponse);
+      if (personaPlan) await savePersonaState(session, personaPlan, replaced ? null : aiTurn);
+    } catch (turnError) {
+      console.error('❌ Error recording AI turn:', turnError);
+    }
+  }
+  
+  if (controller.signal.aborted) return;
+  
+  console.log('✅ Final streamed AI response:', aiResponse);
+  
+  if (req.body.audio === true) {
+    sendEvent('audio', await synthesizePersonaAudio(req, session, scenario, persona, aiResponse));
   }
+  
+  finished = true;
+  sendEvent('done', {
+    response: aiResponse,
+    replaced,
+    character: persona.characterName,
+    characterRole: persona.characterRole,
+    ...(personaPlan && { buyer: buyerSnapshot(personaPlan.buyer) })
+  });
+  res.end();
 });
 
 // Enhanced Session Analysis Function with Google Ads specific scoring
-function analyzeSession(transcript, conversationHistory = []) {
+function analyzeSession(transcript, conversationHistory = [], rubric = DEFAULT_RUBRIC) {
   console.log('🔍 ===== SESSION ANALYSIS START =====');
   console.log('🔍 Analyzing session with conversation length:', conversationHistory.length);
   console.log('🔍 Transcript length:', transcript?.length || 0);
@@ -306,11 +1399,9 @@ function analyzeSession(transcript, conversationHistory = []) {
       wordCount: 0,
       averageSentenceLength: 0,
       conversationLength: 0,
-      discovery_score: 2,
-      product_knowledge_score: 2,
-      objection_handling_score: 2,
-      business_value_score: 2,
-      overall_effectiveness_score: 2
+      ...Object.fromEntries(rubric.criteria.map(criterion => [criterion.key, 2])),
+      overall_effectiveness_score: 2,
+      rubric: { id: rubric.id, name: rubric.name }
     };
   }
   
@@ -355,71 +1446,9 @@ function analyzeSession(transcript, conversationHistory = []) {
   const estimatedTalkTime = totalMessages > 0 ? 
     Math.round((userMessages.length / totalMessages) * 100) : 50;
   
-  // Google Ads specific analysis
-  const allUserText = userMessages.map(msg => msg.message).join(' ').toLowerCase();
-  
-  // Google Ads concept recognition
-  const googleAdsConcepts = [
-    'quality score', 'cpc', 'ctr', 'roas', 'performance max', 'smart campaigns',
-    'search campaigns', 'display network', 'youtube ads', 'shopping campaigns',
-    'keyword research', 'negative keywords', 'bidding strategy', 'ad extensions',
-    'conversion tracking', 'remarketing', 'audience targeting', 'budget optimization',
-    'google ads', 'advertising', 'marketing', 'campaigns', 'keywords', 'budget'
-  ];
-  
-  const conceptsUsed = googleAdsConcepts.filter(concept => 
-    allUserText.includes(concept.toLowerCase())
-  );
-  
-  // Discovery questions analysis
-  const discoveryQuestions = userMessages.filter(msg => 
-    msg.message.includes('?') && (
-      msg.message.toLowerCase().includes('goal') ||
-      msg.message.toLowerCase().includes('currently') ||
-      msg.message.toLowerCase().includes('budget') ||
-      msg.message.toLowerCase().includes('target') ||
-      msg.message.toLowerCase().includes('competition') ||
-      msg.message.toLowerCase().includes('challenge') ||
-      msg.message.toLowerCase().includes('how') ||
-      msg.message.toLowerCase().includes('what') ||
-      msg.message.toLowerCase().includes('why') ||
-      msg.message.toLowerCase().includes('when') ||
-      msg.message.toLowerCase().includes('where')
-    )
-  ).length;
-  
-  // Objection handling detection
-  const objectionHandling = userMessages.filter(msg =>
-    msg.message.toLowerCase().includes('understand') ||
-    msg.message.toLowerCase().includes('let me explain') ||
-    msg.message.toLowerCase().includes('for example') ||
-    msg.message.toLowerCase().includes('actually') ||
-    msg.message.toLowerCase().includes('what i mean') ||
-    msg.message.toLowerCase().includes('let me show you') ||
-    msg.message.toLowerCase().includes('i see your point') ||
-    msg.message.toLowerCase().includes('that makes sense')
-  ).length;
-  
-  // Business value demonstration
-  const businessValueMentions = userMessages.filter(msg =>
-    msg.message.toLowerCase().includes('roi') ||
-    msg.message.toLowerCase().includes('return') ||
-    msg.message.toLowerCase().includes('revenue') ||
-    msg.message.toLowerCase().includes('growth') ||
-    msg.message.toLowerCase().includes('customers') ||
-    msg.message.toLowerCase().includes('sales') ||
-    msg.message.toLowerCase().includes('profit') ||
-    msg.message.toLowerCase().includes('increase') ||
-    msg.message.toLowerCase().includes('improve') ||
-    msg.message.toLowerCase().includes('results')
-  ).length;
-  
-  // Calculate scores (1-5 scale)
-  const discovery_score = Math.min(5, Math.max(1, Math.ceil(discoveryQuestions / 2) + 1));
-  const product_knowledge_score = Math.min(5, Math.max(1, conceptsUsed.length > 0 ? conceptsUsed.length + 1 : 1));
-  const objection_handling_score = Math.min(5, Math.max(1, objectionHandling > 0 ? objectionHandling + 2 : 1));
-  const business_value_score = Math.min(5, Math.max(1, businessValueMentions > 0 ? businessValueMentions + 2 : 1));
-  const overall_effectiveness_score = Math.min(5, Math.max(1, Math.ceil((discovery_score + product_knowledge_score + objection_handling_score + business_value_score) / 4)));
+  // Rubric scoring (1-5 scale per criterion)
+  const rubricScores = evaluateRubric(rubric, userMessages.map(msg => msg.message));
+  const rubricCount = key => rubricScores.rubric_results.find(result => result.key === key);
   
   const analysisResult = {
     talkTimeRatio: estimatedTalkTime,
@@ -428,15 +1457,11 @@ function analyzeSession(transcript, conversationHistory = []) {
     wordCount: words.length,
     averageSentenceLength: Math.round(averageSentenceLength * 10) / 10,
     conversationLength: conversationHistory.length,
-    discovery_score: discovery_score,
-    product_knowledge_score: product_knowledge_score,
-    objection_handling_score: objection_handling_score,
-    business_value_score: business_value_score,
-    overall_effectiveness_score: overall_effectiveness_score,
-    google_ads_concepts_used: conceptsUsed,
-    discovery_questions_count: discoveryQuestions,
-    objection_handling_count: objectionHandling,
-    business_value_mentions: businessValueMentions
+    ...rubricScores,
+    google_ads_concepts_used: rubricCount('product_knowledge_score')?.matched || [],
+    discovery_questions_count: rubricCount('discovery_score')?.count || 0,
+    objection_handling_count: rubricCount('objection_handling_score')?.count || 0,
+    business_value_mentions: rubricCount('business_value_score')?.count || 0
   };
   
   console.log('🔍 Analysis result:', analysisResult);
@@ -453,14 +1478,11 @@ app.get('/health', (req, res) => {
 // Get user profile
 app.get('/api/user/profile', authenticateToken, async (req, res) => {
   try {
-    const usersSheet = doc.sheetsByTitle['Users'];
-    const rows = await usersSheet.getRows();
-    
-    let user = rows.find(row => row.get('uid') === req.user.uid);
+    let user = await db.users.findOne({ uid: req.user.uid });
     
     if (!user) {
       // Create new user
-      user = await usersSheet.addRow({
+      user = await db.users.insert({
         uid: req.user.uid,
         email: req.user.email,
         createdAt: new Date().toISOString(),
@@ -468,14 +1490,16 @@ app.get('/api/user/profile', authenticateToken, async (req, res) => {
       });
     } else {
       // Update last active
-      user.set('lastActive', new Date().toISOString());
-      await user.save();
+      user = await db.users.update({ uid: req.user.uid }, {
+        lastActive: new Date().toISOString()
+      });
     }
     
     res.json({
-      uid: user.get('uid'),
-      email: user.get('email'),
-      createdAt: user.get('createdAt')
+      uid: user.uid,
+      email: user.email,
+      role: roleFor(req.user, user),
+      createdAt: user.createdAt
     });
   } catch (error) {
     console.error('Error fetching user profile:', error);
@@ -483,18 +1507,259 @@ app.get('/api/user/profile', authenticateToken, async (req, res) => {
   }
 });
 
-// Get scenarios
-app.get('/api/scenarios', authenticateToken, async (req, res) => {
+// Admin: list users with their roles
+app.get('/api/admin/users', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
-    console.log('🔍 Scenarios endpoint called by user:', req.user.uid);
+    const users = await db.users.list();
+    
+    res.json(users.map(user => ({
+      uid: user.uid,
+      email: user.email,
+      role: roleFor({ email: user.email }, user),
+      createdAt: user.createdAt,
+      lastActive: user.lastActive
+    })));
+  } catch (error) {
+    console.error('❌ Error listing users:', error);
+    res.status(500).json({ error: 'Failed to list users', details: error.message });
+  }
+});
+
+// Admin: assign a role
+app.put('/api/admin/users/:uid/role', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { uid } = req.params;
+    const { role } = req.body;
+    
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+    }
+    
+    // Stop admins locking themselves out
+    if (uid === req.user.uid && role !== 'admin') {
+      return res.status(400).json({ error: 'You cannot remove your own admin role' });
+    }
     
-    const scenariosSheet = doc.sheetsByTitle['Scenarios'];
-    if (!scenariosSheet) {
-      console.error('❌ Scenarios sheet not found');
-      return res.status(500).json({ error: 'Scenarios sheet not found' });
+    const user = await db.users.update({ uid }, {
+      role,
+      roleUpdatedBy: req.user.uid,
+      roleUpdatedAt: new Date().toISOString()
+    });
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    // Mirror to custom claims so the role travels with the user's ID token
+    let claimsUpdated = true;
+    try {
+      const firebaseUser = await admin.auth().getUser(uid);
+      await admin.auth().setCustomUserClaims(uid, { ...(firebaseUser.customClaims || {}), role });
+    } catch (claimsError) {
+      claimsUpdated = false;
+      console.error('⚠️ Role saved but custom claims update failed:', claimsError);
+    }
+    
+    console.log('✅ Role updated:', uid, '->', role, 'by', req.user.uid);
+    
+    res.json({
+      uid: user.uid,
+      email: user.email,
+      role: roleFor({ email: user.email }, user),
+      claimsUpdated
+    });
+  } catch (error) {
+    console.error('❌ Error updating role:', error);
+    res.status(500).json({ error: 'Failed to update role', details: error.message });
+  }
+});
+
+// Own AI usage and quota status
+app.get('/api/user/usage', authenticateToken, async (req, res) => {
+  try {
+    const quota = await getQuotaStatus(req.user);
+    res.json({ quota });
+  } catch (error) {
+    console.error('❌ Error fetching usage:', error);
+    res.status(500).json({ error: 'Failed to fetch usage', details: error.message });
+  }
+});
+
+// Admin: AI cost report rolled up by user, team and model.
+// ?from=&to= are ISO dates; defaults to the last 30 days.
+app.get('/api/admin/usage/report', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (isNaN(from) || isNaN(to) || from > to) {
+      return res.status(400).json({ error: 'Invalid date range', details: 'from and to must be ISO dates with from before to' });
+    }
+    
+    const [entries, users, teams] = await Promise.all([
+      db.usage.list(),
+      db.users.list(),
+      db.teams.list()
+    ]);
+    const inRange = entries.filter(entry => {
+      const createdAt = new Date(entry.createdAt);
+      return createdAt >= from && createdAt <= to;
+    });
+    
+    res.json(buildCostReport({ entries: inRange, users, teams, from, to }));
+  } catch (error) {
+    console.error('❌ Error building usage report:', error);
+    res.status(500).json({ error: 'Failed to build usage report', details: error.message });
+  }
+});
+
+// Admin: outbound webhook subscriptions (see lib/webhooks.js)
+app.get('/api/admin/webhooks', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const subscriptions = await db.webhooks.list();
+    res.json(subscriptions.map(subscription => formatSubscription(subscription)));
+  } catch (error) {
+    console.error('❌ Error listing webhooks:', error);
+    res.status(500).json({ error: 'Failed to list webhooks', details: error.message });
+  }
+});
+
+// Create a subscription; the response is the only time the secret is shown
+app.post('/api/admin/webhooks', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { values, errors } = validateSubscriptionInput(req.body, { allowPrivate: WEBHOOK_ALLOW_PRIVATE_URLS });
+    if (errors.length === 0 && values.url) {
+      const targetError = await webhookTargetError(values.url, { allowPrivate: WEBHOOK_ALLOW_PRIVATE_URLS });
+      if (targetError) errors.push({ field: 'url', message: targetError });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid webhook', details: errors });
+    }
+    
+    const subscription = await db.webhooks.insert({
+      id: `webhook_${Date.now()}`,
+      description: '',
+      active: true,
+      ...values,
+      secret: generateSecret(),
+      createdBy: req.user.uid,
+      createdAt: new Date().toISOString()
+    });
+    
+    console.log('✅ Webhook created:', subscription.id, subscription.url);
+    res.status(201).json(formatSubscription(subscription, { includeSecret: true }));
+  } catch (error) {
+    console.error('❌ Error creating webhook:', error);
+    res.status(500).json({ error: 'Failed to create webhook', details: error.message });
+  }
+});
+
+app.put('/api/admin/webhooks/:webhookId', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { values, errors } = validateSubscriptionInput(req.body, { partial: true, allowPrivate: WEBHOOK_ALLOW_PRIVATE_URLS });
+    if (errors.length === 0 && values.url) {
+      const targetError = await webhookTargetError(values.url, { allowPrivate: WEBHOOK_ALLOW_PRIVATE_URLS });
+      if (targetError) errors.push({ field: 'url', message: targetError });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid webhook', details: errors });
+    }
+    
+    const subscription = await db.webhooks.update({ id: req.params.webhookId }, {
+      ...values,
+      updatedAt: new Date().toISOString()
+    });
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    console.log('✅ Webhook updated:', subscription.id);
+    res.json(formatSubscription(subscription));
+  } catch (error) {
+    console.error('❌ Error updating webhook:', error);
+    res.status(500).json({ error: 'Failed to update webhook', details: error.message });
+  }
+});
+
+// Issue a new signing secret; the old one stops working immediately
+app.post('/api/admin/webhooks/:webhookId/rotate-secret', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const subscription = await db.webhooks.update({ id: req.params.webhookId }, {
+      secret: generateSecret(),
+      updatedAt: new Date().toISOString()
+    });
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    console.log('✅ Webhook secret rotated:', subscription.id);
+    res.json(formatSubscription(subscription, { includeSecret: true }));
+  } catch (error) {
+    console.error('❌ Error rotating webhook secret:', error);
+    res.status(500).json({ error: 'Failed to rotate webhook secret', details: error.message });
+  }
+});
+
+// Delete a subscription; its delivery log is kept
+app.delete('/api/admin/webhooks/:webhookId', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const removed = await db.webhooks.remove({ id: req.params.webhookId });
+    if (removed === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    console.log('✅ Webhook deleted:', req.params.webhookId);
+    res.json({ id: req.params.webhookId, deleted: true });
+  } catch (error) {
+    console.error('❌ Error deleting webhook:', error);
+    res.status(500).json({ error: 'Failed to delete webhook', details: error.message });
+  }
+});
+
+// Delivery log for a subscription, newest first. ?status=&event=&limit=
+app.get('/api/admin/webhooks/:webhookId/deliveries', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const where = { subscriptionId: req.params.webhookId };
+    if (req.query.status) where.status = req.query.status;
+    if (req.query.event) where.event = req.query.event;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    
+    const deliveries = await db.webhookDeliveries.list(where);
+    deliveries.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    
+    res.json(deliveries.slice(0, limit).map(formatDelivery));
+  } catch (error) {
+    console.error('❌ Error listing webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to list webhook deliveries', details: error.message });
+  }
+});
+
+// Send a logged event again as a new delivery (same event id and payload)
+app.post('/api/admin/webhooks/deliveries/:deliveryId/replay', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const original = await db.webhookDeliveries.findOne({ id: req.params.deliveryId });
+    if (!original) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    const subscription = await db.webhooks.findOne({ id: original.subscriptionId });
+    if (!subscription) {
+      return res.status(409).json({ error: 'Cannot replay delivery', details: 'Its webhook was deleted' });
     }
     
-    const rows = await scenariosSheet.getRows();
+    const delivery = await queueWebhookDelivery(subscription, JSON.parse(original.payload), original.id);
+    console.log('🔁 Webhook delivery replayed:', original.id, '->', delivery.id);
+    res.status(202).json(formatDelivery(delivery));
+  } catch (error) {
+    console.error('❌ Error replaying webhook delivery:', error);
+    res.status(500).json({ error: 'Failed to replay webhook delivery', details: error.message });
+  }
+});
+
+// Get scenarios (published and active only; drafts stay in the authoring view)
+app.get('/api/scenarios', authenticateToken, async (req, res) => {
+  try {
+    console.log('🔍 Scenarios endpoint called by user:', req.user.uid);
+    
+    const rows = await db.scenarios.list();
     console.log('📊 Found rows:', rows.length);
     
     const scenarios = [];
@@ -504,74 +1769,21 @@ app.get('/api/scenarios', authenticateToken, async (req, res) => {
       
       try {
         // Check if row has basic required data
-        const title = row.get('title');
-        if (!title) {
-          console.log('⚠️ Skipping row without title:', row.rowNumber);
+        if (!row.title) {
+          console.log('⚠️ Skipping row without title:', row._rowNumber);
           continue;
         }
         
-        // Parse key_objections safely
-        let keyObjections = [];
-        try {
-          const objectionsValue = row.get('key_objections');
-          if (objectionsValue) {
-            // Try to parse as JSON, with multiple fallback methods
-            let cleanValue = objectionsValue;
-            if (typeof cleanValue === 'string') {
-              // Replace single quotes with double quotes
-              cleanValue = cleanValue.replace(/'/g, '"');
-              // Remove any extra brackets
-              cleanValue = cleanValue.replace(/^\[|\]$/g, '');
-              // Split by comma if it's not proper JSON
-              if (!cleanValue.startsWith('[')) {
-                cleanValue = `[${cleanValue}]`;
-              }
-            }
-            keyObjections = JSON.parse(cleanValue);
-          }
-        } catch (parseError) {
-          console.log('⚠️ Could not parse key_objections for row', row.rowNumber, ':', row.get('key_objections'));
-          keyObjections = []; // Default to empty array
+        const scenario = formatScenario(row);
+        if (scenario.status !== 'published' || !scenario.is_active) {
+          continue;
         }
         
-        const scenario = {
-          // Basic info (safe with fallbacks)
-          scenario_id: row.get('scenario_id') || row.get('id') || `scenario_${row.rowNumber}`,
-          id: row.get('id') || row.get('scenario_id') || row.rowNumber.toString(),
-          title: title,
-          description: row.get('description') || 'No description provided',
-          difficulty: row.get('difficulty') || 'Medium',
-          category: row.get('category') || 'General',
-          
-          // AI Character details (safe with fallbacks)
-          ai_character_name: row.get('ai_character_name') || 'Sarah Mitchell',
-          ai_character_role: row.get('ai_character_role') || 'Business Professional',
-          ai_character_personality: row.get('ai_character_personality') || 'Professional, helpful',
-          ai_character_background: row.get('ai_character_background') || 'Works in business',
-          
-          // Google Ads specific (safe with fallbacks)
-          sales_skill_area: row.get('sales_skill_area') || 'General Sales',
-          buyer_persona: row.get('buyer_persona') || 'Business Professional',
-          google_ads_focus: row.get('google_ads_focus') || 'General Marketing',
-          business_vertical: row.get('business_vertical') || 'General Business',
-          campaign_complexity: row.get('campaign_complexity') || 'Beginner',
-          
-                   // Training details (safe with fallbacks)
-          key_objections: keyObjections,
-          success_metrics: row.get('success_metrics') || 'Complete the conversation successfully',
-          coaching_focus: row.get('coaching_focus') || 'General communication skills',
-          scenario_objectives: row.get('scenario_objectives') || 'Practice sales conversation',
-          estimated_duration: parseInt(row.get('estimated_duration')) || 10,
-          ai_prompts: row.get('ai_prompts') || `You are a professional business person having a conversation.`,
-          usage_count: parseInt(row.get('usage_count')) || 0,
-          is_active: row.get('is_active') !== 'FALSE' // Default to active unless explicitly FALSE
-        };
-        
         scenarios.push(scenario);
         console.log('✅ Successfully processed scenario:', scenario.title);
         
       } catch (rowError) {
-        console.error('❌ Error processing row', row.rowNumber, ':', rowError.message);
+        console.error('❌ Error processing row', row._rowNumber, ':', rowError.message);
         // Continue to next row instead of failing completely
         continue;
       }
@@ -588,95 +1800,400 @@ app.get('/api/scenarios', authenticateToken, async (req, res) => {
     });
   }
 });
-// Add this test endpoint to debug Google Sheets
-app.get('/api/test-sheets', authenticateToken, async (req, res) => {
+
+// Scenario authoring: every scenario including drafts, optionally filtered by status
+app.get('/api/scenarios/authoring', authenticateToken, requireRole('manager', 'admin'), async (req, res) => {
   try {
-    console.log('🧪 Testing Google Sheets connection...');
+    const { status } = req.query;
     
-    // Test sheet access
-    const sheets = doc.sheetsByTitle;
-    console.log('📊 Available sheets:', Object.keys(sheets));
-    
-    // Test Scenarios sheet specifically
-    const scenariosSheet = doc.sheetsByTitle['Scenarios'];
-    if (!scenariosSheet) {
-      return res.json({ error: 'Scenarios sheet not found', availableSheets: Object.keys(sheets) });
+    if (status && !SCENARIO_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${SCENARIO_STATUSES.join(', ')}` });
     }
     
-    const rows = await scenariosSheet.getRows();
-    console.log('📊 Raw rows count:', rows.length);
-    
-    // Show raw data for first few rows
-    const rawData = rows.slice(0, 3).map(row => ({
-      rowNumber: row.rowNumber,
-      rawData: row._rawData,
-      values: {
-        id: row.get('id'),
-        scenario_id: row.get('scenario_id'),
-        title: row.get('title'),
-        description: row.get('description')
-      }
-    }));
-    
-    res.json({
-      success: true,
-      sheetsFound: Object.keys(sheets),
-      rowsCount: rows.length,
-      sampleData: rawData
-    });
+    const rows = await db.scenarios.list();
+    const scenarios = rows
+      .map(formatScenario)
+      .filter(scenario => !status || scenario.status === status);
     
+    res.json(scenarios);
   } catch (error) {
-    console.error('❌ Sheets test error:', error);
-    res.status(500).json({ error: error.message });
+    console.error('❌ Error fetching authoring scenarios:', error);
+    res.status(500).json({ error: 'Failed to fetch scenarios', details: error.message });
   }
 });
 
-// Create Daily.co room
-app.post('/api/video/create-room', authenticateToken, async (req, res) => {
+// Where clause that identifies a stored scenario for updates
+function scenarioKey(scenario) {
+  if (scenario.scenario_id) return { scenario_id: scenario.scenario_id };
+  if (scenario.id) return { id: scenario.id };
+  return null;
+}
+
+// Create scenario (draft by default)
+app.post('/api/scenarios', authenticateToken, requireRole('manager', 'admin'), async (req, res) => {
   try {
-    console.log('Creating Daily.co room for user:', req.user.uid); // Debug log
+    const { values, errors } = validateScenarioInput(req.body);
+    if (errors.length === 0 && !values.title) {
+      errors.push({ field: 'title', message: 'title is required' });
+    }
     
-    const roomData = {
-      name: `roleplay-${req.user.uid}-${Date.now()}`,
-      privacy: 'public', // Changed from 'private' to 'public'
-      properties: {
-        max_participants: 10, // Increased from 2
-        enable_recording: false,
-        enable_transcription: false, // Disabled transcription
-        start_video_off: false,
-        start_audio_off: false,
-        enable_prejoin_ui: false
-      }
-    };
-
-    console.log('Room data being sent to Daily.co:', roomData); // Debug log
-
-    const response = await axios.post('https://api.daily.co/v1/rooms', roomData, {
-      headers: {
-        'Authorization': `Bearer ${process.env.DAILY_API_KEY}`,
-        'Content-Type': 'application/json'
-      }
-    });
+    const status = values.status || 'draft';
+    if (errors.length === 0 && status === 'published') {
+      errors.push(...getPublishErrors(values));
+    }
     
-    console.log('Daily.co API response:', response.data); // Debug log
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid scenario', details: errors });
+    }
     
-    res.json({
-      roomUrl: response.data.url,
-      roomName: response.data.name
+    const scenarioId = `scenario_${Date.now()}`;
+    const now = new Date().toISOString();
+    
+    const created = await db.scenarios.insert({
+      is_active: true,
+      ...values,
+      id: scenarioId,
+      scenario_id: scenarioId,
+      status,
+      usage_count: 0,
+      createdBy: req.user.uid,
+      createdAt: now,
+      updatedAt: now
     });
+    
+    console.log('✅ Scenario created:', scenarioId, 'status:', status);
+    res.status(201).json(formatScenario(created));
   } catch (error) {
-    console.error('Error creating Daily.co room:', error.response?.data || error.message);
-    res.status(500).json({ 
-      error: 'Failed to create video room',
-      details: error.response?.data || error.message 
-    });
+    console.error('❌ Error creating scenario:', error);
+    res.status(500).json({ error: 'Failed to create scenario', details: error.message });
+  }
+});
+
+// Update scenario; published scenarios must stay complete
+app.put('/api/scenarios/:scenarioId', authenticateToken, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const scenario = await findScenario(req.params.scenarioId);
+    if (!scenario) {
+      return res.status(404).json({ error: 'Scenario not found' });
+    }
+    
+    const key = scenarioKey(scenario);
+    if (!key) {
+      return res.status(409).json({ error: 'Scenario has no id; add one in the sheet before editing it here' });
+    }
+    
+    if (getScenarioStatus(scenario) === 'archived') {
+      return res.status(409).json({ error: 'Archived scenarios cannot be edited' });
+    }
+    
+    const { values, errors } = validateScenarioInput(req.body);
+    if (values.title === '') {
+      errors.push({ field: 'title', message: 'title cannot be empty' });
+    }
+    
+    const merged = { ...scenario, ...values };
+    if (errors.length === 0 && getScenarioStatus(merged) === 'published') {
+      errors.push(...getPublishErrors(merged));
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid scenario', details: errors });
+    }
+    
+    const updated = await db.scenarios.update(key, {
+      ...values,
+      updatedAt: new Date().toISOString()
+    });
+    
+    console.log('✅ Scenario updated:', req.params.scenarioId);
+    res.json(formatScenario(updated));
+  } catch (error) {
+    console.error('❌ Error updating scenario:', error);
+    res.status(500).json({ error: 'Failed to update scenario', details: error.message });
+  }
+});
+
+// Publish a draft once it passes full validation
+app.post('/api/scenarios/:scenarioId/publish', authenticateToken, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const scenario = await findScenario(req.params.scenarioId);
+    if (!scenario) {
+      return res.status(404).json({ error: 'Scenario not found' });
+    }
+    
+    const key = scenarioKey(scenario);
+    if (!key) {
+      return res.status(409).json({ error: 'Scenario has no id; add one in the sheet before editing it here' });
+    }
+    
+    if (getScenarioStatus(scenario) === 'archived') {
+      return res.status(409).json({ error: 'Archived scenarios cannot be published' });
+    }
+    
+    const errors = getPublishErrors(scenario);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Scenario is not ready to publish', details: errors });
+    }
+    
+    const updated = await db.scenarios.update(key, {
+      status: 'published',
+      updatedAt: new Date().toISOString()
+    });
+    
+    console.log('✅ Scenario published:', req.params.scenarioId);
+    res.json(formatScenario(updated));
+  } catch (error) {
+    console.error('❌ Error publishing scenario:', error);
+    res.status(500).json({ error: 'Failed to publish scenario', details: error.message });
+  }
+});
+
+// Delete scenario. Drafts are removed outright; published scenarios are
+// archived so existing sessions keep their scenario details.
+app.delete('/api/scenarios/:scenarioId', authenticateToken, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const scenario = await findScenario(req.params.scenarioId);
+    if (!scenario) {
+      return res.status(404).json({ error: 'Scenario not found' });
+    }
+    
+    const key = scenarioKey(scenario);
+    if (!key) {
+      return res.status(409).json({ error: 'Scenario has no id; add one in the sheet before editing it here' });
+    }
+    
+    if (getScenarioStatus(scenario) === 'draft') {
+      await db.scenarios.remove(key);
+      console.log('✅ Draft scenario deleted:', req.params.scenarioId);
+      return res.json({ id: req.params.scenarioId, deleted: true });
+    }
+    
+    await db.scenarios.update(key, {
+      status: 'archived',
+      is_active: false,
+      updatedAt: new Date().toISOString()
+    });
+    
+    console.log('✅ Scenario archived:', req.params.scenarioId);
+    res.json({ id: req.params.scenarioId, archived: true });
+  } catch (error) {
+    console.error('❌ Error deleting scenario:', error);
+    res.status(500).json({ error: 'Failed to delete scenario', details: error.message });
+  }
+});
+// Add this test endpoint to debug the storage backend
+app.get('/api/test-sheets', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    console.log('🧪 Testing storage connection, backend:', db.backend);
+    
+    // Sheet titles are only meaningful for the Google Sheets backend
+    const sheetsFound = db.backend === 'sheets' ? Object.keys(db.getDoc().sheetsByTitle) : undefined;
+    if (sheetsFound) {
+      console.log('📊 Available sheets:', sheetsFound);
+    }
+    
+    const rows = await db.scenarios.list();
+    console.log('📊 Raw rows count:', rows.length);
+    
+    // Show raw data for first few rows
+    const rawData = rows.slice(0, 3).map(row => ({
+      rowNumber: row._rowNumber,
+      rawData: row,
+      values: {
+        id: row.id,
+        scenario_id: row.scenario_id,
+        title: row.title,
+        description: row.description
+      }
+    }));
+    
+    res.json({
+      success: true,
+      backend: db.backend,
+      sheetsFound,
+      rowsCount: rows.length,
+      sampleData: rawData
+    });
+    
+  } catch (error) {
+    console.error('❌ Storage test error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create the video room for a session and a meeting token for its owner.
+// Calling it again while the room is still open issues a fresh token for the
+// same room (e.g. after a page reload).
+app.post('/api/video/create-room', authenticateToken, requireVideo, async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+    if (!sessionId) {
+      return res.status(400).json({ error: 'sessionId is required' });
+    }
+    
+    const session = await db.sessions.findOne({ id: sessionId, userId: req.user.uid });
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (getSessionState(session) !== 'active') {
+      return res.status(409).json({ error: 'Session is not active', details: `Session is ${getSessionState(session)}` });
+    }
+    
+    const features = scenarioVideoFeatures(await findScenario(session.scenarioId));
+    let room = session;
+    const roomOpen = session.roomName && !session.roomDeletedAt && new Date(session.roomExpiresAt) > new Date();
+    if (!roomOpen) {
+      const expiresAt = new Date(Date.now() + VIDEO_ROOM_TTL_MINUTES * 60 * 1000);
+      console.log('🎥 Creating video room for session:', sessionId);
+      
+      const created = await video.createRoom({
+        name: `roleplay-${req.user.uid}-${Date.now()}`,
+        privacy: 'private',
+        properties: {
+          max_participants: VIDEO_MAX_PARTICIPANTS,
+          exp: Math.floor(expiresAt.getTime() / 1000),
+          eject_at_room_exp: true,
+          enable_recording: features.recording ? 'cloud' : false,
+          enable_transcription_storage: features.transcription,
+          start_video_off: false,
+          start_audio_off: false,
+          enable_prejoin_ui: false
+        }
+      });
+      
+      room = await db.sessions.update({ id: session.id }, {
+        roomName: created.name,
+        roomUrl: created.url,
+        roomExpiresAt: expiresAt.toISOString(),
+        roomDeletedAt: ''
+      });
+      console.log('✅ Video room created:', created.name);
+    }
+    
+    const token = await issueMeetingToken(room, req.user, features);
+    
+    res.json({
+      roomUrl: room.roomUrl,
+      roomName: room.roomName,
+      token,
+      expiresAt: room.roomExpiresAt,
+      recording: features.recording,
+      transcription: features.transcription
+    });
+  } catch (error) {
+    console.error('❌ Error creating video room:', error.response?.data || error.message);
+    res.status(500).json({ 
+      error: 'Failed to create video room',
+      details: error.response?.data || error.message 
+    });
+  }
+});
+
+// Daily.co webhooks (see lib/dailyWebhooks.js). Not behind Firebase auth;
+// deliveries are verified against DAILY_WEBHOOK_SECRET instead.
+app.post('/api/webhooks/daily', requireVideo, async (req, res) => {
+  try {
+    // Daily checks the endpoint with a test request when the webhook is created
+    if (req.body && req.body.test) {
+      return res.json({ received: true });
+    }
+    
+    if (!process.env.DAILY_WEBHOOK_SECRET) {
+      return res.status(503).json({ error: 'Daily webhooks are not configured' });
+    }
+    const invalid = signatureError({
+      secret: process.env.DAILY_WEBHOOK_SECRET,
+      timestamp: req.get('X-Webhook-Timestamp'),
+      signature: req.get('X-Webhook-Signature'),
+      rawBody: req.rawBody
+    });
+    if (invalid) {
+      console.log('⚠️ Rejected Daily webhook:', invalid);
+      return res.status(401).json({ error: 'Invalid webhook', details: invalid });
+    }
+    
+    const event = req.body;
+    if (!event.id || !event.type) {
+      return res.status(400).json({ error: 'Webhook event must have an id and type' });
+    }
+    if (!DAILY_WEBHOOK_EVENTS.includes(event.type)) {
+      return res.json({ received: true, ignored: true });
+    }
+    const roomName = eventRoomName(event);
+    const session = roomName ? await db.sessions.findOne({ roomName }) : null;
+    
+    // Daily retries deliveries, so the same event can arrive more than once.
+    // The event id is unique: whichever delivery stores it first applies it,
+    // and a failed apply removes it again so Daily's retry gets another go.
+    try {
+      await db.videoEvents.insert({
+        id: event.id,
+        type: event.type,
+        roomName,
+        sessionId: session ? session.id : '',
+        payload: event.payload || {},
+        receivedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      if (!isDuplicateKey(error)) throw error;
+      return res.json({ received: true, duplicate: true });
+    }
+    
+    if (session) {
+      try {
+        await applyVideoEvent(session, event);
+      } catch (error) {
+        await db.videoEvents.remove({ id: event.id });
+        throw error;
+      }
+    } else {
+      console.log(`⚠️ Daily ${event.type} event for unknown room:`, roomName);
+    }
+    console.log(`📹 Daily ${event.type} event stored for session:`, session ? session.id : 'none');
+    
+    res.json({ received: true, sessionId: session ? session.id : null });
+  } catch (error) {
+    console.error('❌ Error handling Daily webhook:', error.response?.data || error.message);
+    res.status(500).json({ error: 'Failed to process webhook', details: error.message });
+  }
+});
+
+// Download link for a session's cloud recording
+app.get('/api/sessions/:sessionId/recording', authenticateToken, requireVideo, async (req, res) => {
+  try {
+    const session = await db.sessions.findOne({ id: req.params.sessionId });
+    if (!session || !(await canViewUserSessions(req.user, session.userId))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (!session.recordingId) {
+      return res.status(404).json({ error: 'No recording for this session' });
+    }
+    
+    const link = await video.getRecordingLink(session.recordingId);
+    res.json({
+      recordingId: session.recordingId,
+      duration: parseInt(session.recordingDuration) || null,
+      url: link.url,
+      expiresAt: link.expiresAt
+    });
+  } catch (error) {
+    console.error('❌ Error fetching recording link:', error.response?.data || error.message);
+    res.status(500).json({ error: 'Failed to fetch recording', details: error.message });
   }
 });
 
 // Start session
 app.post('/api/sessions/start', authenticateToken, async (req, res) => {
   try {
-    const { scenarioId, roomUrl } = req.body;
+    const { scenarioId } = req.body;
+    
+    // Same check as chat, so a session can't start on a draft or unknown scenario
+    if (scenarioId) {
+      const scenarioError = scenarioPracticeError(await findScenario(scenarioId));
+      if (scenarioError) {
+        return res.status(scenarioError.status).json({ error: scenarioError.error });
+      }
+    }
     
     const sessionId = `session_${Date.now()}_${req.user.uid}`;
     console.log('🔍 ===== SESSION START DEBUG =====');
@@ -684,24 +2201,25 @@ app.post('/api/sessions/start', authenticateToken, async (req, res) => {
     console.log('🔍 User ID:', req.user.uid);
     console.log('🔍 Scenario ID:', scenarioId);
     
-    const sessionsSheet = doc.sheetsByTitle['Sessions'];
-    if (!sessionsSheet) {
-      console.error('❌ Sessions sheet not found');
-      return res.status(500).json({ error: 'Sessions sheet not found' });
-    }
-    
-    const session = await sessionsSheet.addRow({
+    await db.sessions.insert({
       id: sessionId,
       userId: req.user.uid,
       scenarioId: scenarioId,
-      roomUrl: roomUrl,
       startTime: new Date().toISOString(),
-      status: 'active'
+      status: 'active',
+      turnCount: 0
     });
     
     console.log('✅ Session created successfully:', sessionId);
     console.log('🔍 ===== SESSION START COMPLETE =====');
     
+    await emitWebhookEvent('session.started', {
+      sessionId,
+      userId: req.user.uid,
+      scenarioId: scenarioId || null,
+      startTime: new Date().toISOString()
+    });
+    
     res.json({
       sessionId: sessionId,
       status: 'started'
@@ -711,501 +2229,1739 @@ app.post('/api/sessions/start', authenticateToken, async (req, res) => {
     res.status(500).json({ error: 'Failed to start session', details: error.message });
   }
 });
-// End session and analyze
-// /api/sessions/end endpoint:
-app.post('/api/sessions/end', authenticateToken, async (req, res) => {
+// Transcribe the rep's speech and add it to the session as turns, one per
+// segment. Send the audio as the raw request body with its Content-Type
+// (audio/webm, audio/wav, ...). Query parameters:
+//   kind      chunk (default): audio that just finished recording
+//             recording: a recording of the whole session so far
+//   offsetMs  where the audio starts, in ms from the session start. Defaults to
+//             0 for recordings and to "ended just now" for chunks.
+//   language  optional ISO-639-1 hint, e.g. en
+app.post('/api/sessions/:sessionId/audio',
+  authenticateToken,
+  requireSpeechToText,
+  enforceUsageQuota,
+  express.raw({ type: ['audio/*', 'video/webm', 'application/octet-stream'], limit: `${STT_MAX_UPLOAD_MB}mb` }),
+  async (req, res) => {
+    try {
+      const kind = req.query.kind || 'chunk';
+      if (!['chunk', 'recording'].includes(kind)) {
+        return res.status(400).json({ error: 'kind must be chunk or recording' });
+      }
+      const offsetMs = req.query.offsetMs !== undefined ? parseInt(req.query.offsetMs) : null;
+      if (offsetMs !== null && (isNaN(offsetMs) || offsetMs < 0)) {
+        return res.status(400).json({ error: 'offsetMs must be a non-negative number of milliseconds' });
+      }
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'Send the audio as the request body with an audio Content-Type' });
+      }
+      
+      const session = await db.sessions.findOne({ id: req.params.sessionId, userId: req.user.uid });
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      const state = getSessionState(session);
+      if (state !== 'active') {
+        return res.status(409).json({ error: 'Session is not active', details: `Session is ${state}` });
+      }
+      const scenario = await findScenario(session.scenarioId);
+      
+      console.log(`🎙️ Transcribing ${kind} (${req.body.length} bytes) with ${stt.provider} for session:`, session.id);
+      const transcript = await stt.transcribe({
+        audio: req.body,
+        mimeType: req.get('Content-Type'),
+        language: req.query.language
+      });
+      // Transcription is billed by the minute of audio
+      await recordUsage({
+        useCase: 'transcription',
+        model: stt.model,
+        provider: stt.provider,
+        usage: { audio_seconds: Math.round(transcript.duration * 10) / 10 },
+        meta: usageMeta(req, session.id)
+      });
+      
+      // Segment times are relative to the audio; anchor them to the session
+      const startTime = new Date(session.startTime).getTime();
+      const audioStart = offsetMs !== null
+        ? startTime + offsetMs
+        : kind === 'recording' ? startTime : Date.now() - transcript.duration * 1000;
+      
+      const segments = [];
+      let detections = {};
+      for (const segment of transcript.segments) {
+        const redacted = redactor.redact(segment.text, {
+          scope: session.id,
+          allow: scenarioAllowList(scenario)
+        });
+        detections = mergeDetections(detections, redacted.detections);
+        
+        const startedAt = new Date(audioStart + segment.start * 1000).toISOString();
+        const endedAt = new Date(audioStart + segment.end * 1000).toISOString();
+        const turn = await recordTurn(session, 'user', redacted.text, { source: 'speech', startedAt, endedAt });
+        segments.push({
+          turnIndex: parseInt(turn.turnIndex),
+          text: redacted.text,
+          start: segment.start,
+          end: segment.end,
+          startedAt,
+          endedAt
+        });
+      }
+      await recordPIIDetections(session, detections);
+      console.log(`✅ Added ${segments.length} spoken turns to session:`, session.id);
+      
+      res.json({
+        provider: stt.provider,
+        language: transcript.language,
+        duration: transcript.duration,
+        text: segments.map(segment => segment.text).join(' '),
+        segments
+      });
+    } catch (error) {
+      console.error('❌ Error transcribing audio:', error.response?.data || error.message);
+      res.status(500).json({ error: 'Failed to transcribe audio', details: error.message });
+    }
+  }
+);
+
+// Report when a turn was actually spoken, e.g. when the persona's audio
+// played or when the rep started and stopped talking. Body: { startedAt, endedAt }.
+app.post('/api/sessions/:sessionId/turns/:turnIndex/timing', authenticateToken, async (req, res) => {
+  try {
+    const timing = parseTurnTiming(req.body);
+    if (timing.error || !timing.startedAt) {
+      return res.status(400).json({ error: timing.error || 'startedAt and endedAt are required' });
+    }
+    
+    const session = await db.sessions.findOne({ id: req.params.sessionId, userId: req.user.uid });
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (!['active', 'paused'].includes(getSessionState(session))) {
+      return res.status(409).json({ error: 'Session is already over', details: `Session is ${getSessionState(session)}` });
+    }
+    
+    const turn = await db.turns.update(
+      { sessionId: session.id, turnIndex: req.params.turnIndex },
+      { startedAt: timing.startedAt, endedAt: timing.endedAt }
+    );
+    if (!turn) {
+      return res.status(404).json({ error: 'Turn not found' });
+    }
+    
+    res.json({
+      turnIndex: parseInt(turn.turnIndex),
+      speaker: turn.speaker,
+      startedAt: turn.startedAt,
+      endedAt: turn.endedAt
+    });
+  } catch (error) {
+    console.error('❌ Error recording turn timing:', error);
+    res.status(500).json({ error: 'Failed to record turn timing', details: error.message });
+  }
+});
+
+// Pause an active session (e.g. the rep was interrupted)
+app.post('/api/sessions/:sessionId/pause', authenticateToken, async (req, res) => {
+  try {
+    const session = await db.sessions.findOne({ id: req.params.sessionId, userId: req.user.uid });
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    const result = await transitionSession(session, 'paused', { pausedAt: new Date().toISOString() });
+    if (result.error) {
+      return res.status(result.status).json({ error: 'Session cannot be paused', details: result.error });
+    }
+    
+    res.json({ sessionId: session.id, status: result.session.status, pausedAt: result.session.pausedAt });
+  } catch (error) {
+    console.error('❌ Error pausing session:', error);
+    res.status(500).json({ error: 'Failed to pause session', details: error.message });
+  }
+});
+
+// Resume a paused session; time spent paused doesn't count towards its duration
+app.post('/api/sessions/:sessionId/resume', authenticateToken, async (req, res) => {
+  try {
+    const session = await db.sessions.findOne({ id: req.params.sessionId, userId: req.user.uid });
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    const now = new Date();
+    const pausedFor = session.pausedAt ? Math.max(0, now - new Date(session.pausedAt)) : 0;
+    const result = await transitionSession(session, 'active', {
+      resumedAt: now.toISOString(),
+      pausedMs: (parseInt(session.pausedMs) || 0) + pausedFor
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: 'Session cannot be resumed', details: result.error });
+    }
+    
+    res.json({ sessionId: session.id, status: result.session.status, resumedAt: result.session.resumedAt });
+  } catch (error) {
+    console.error('❌ Error resuming session:', error);
+    res.status(500).json({ error: 'Failed to resume session', details: error.message });
+  }
+});
+
+// Post-session analysis, run as a background job (see lib/jobQueue.js) so
+// /api/sessions/end returns straight away. Scores the stored turns, asks the
+// LLM for coaching feedback and a rubric evaluation, and saves the Feedback
+// row. A failed feedback call is retried; on the last attempt a canned note is
+// used instead so the rep always gets their scores.
+async function runSessionAnalysis({ sessionId, userId, role }, job) {
+  const sessionRecord = await db.sessions.findOne({ id: sessionId });
+  if (!sessionRecord) {
+    throw new Error(`Session ${sessionId} not found`);
+  }
+  const meta = { userId, sessionId, endpoint: '/api/sessions/end' };
+  
+  // Analyze the turns recorded server-side during the session
+  const conversationHistory = redactTurns(await getSessionTurns(sessionId), sessionId);
+  
+  console.log('🔍 ===== SESSION ANALYSIS JOB =====');
+  console.log('🔍 Session ID:', sessionId, 'attempt:', job.attempt);
+  console.log('🔍 Conversation length:', conversationHistory.length);
+  
+  // Score with the scenario's rubric when one is configured
+  const scenario = await findScenario(sessionRecord.scenarioId);
+  const rubric = await findRubricForScenario(scenario) || DEFAULT_RUBRIC;
+  
+  // Basic analysis
+  const analysis = analyzeSession(sessionRecord.transcript || '', conversationHistory, rubric);
+  analysis.objections = summarizeSessionObjections(sessionRecord, scenario);
+  analysis.talkMetrics = computeTalkMetrics(
+    conversationHistory,
+    sessionRecord.videoTranscript ? JSON.parse(sessionRecord.videoTranscript) : null
+  );
+  analysis.buyer = summarizeBuyerState(loadBuyerState(sessionRecord.buyerState));
+  console.log('🔍 Analysis result:', analysis);
+  
+  // Over-quota sessions are still scored, without further LLM calls
+  const quota = await getQuotaStatus({ uid: userId, role });
+  if (quota.exceeded) {
+    console.log('⚠️ Usage quota exceeded, skipping AI feedback for', userId);
+  }
+  
+  // Get AI feedback
+  let aiFeedback = '';
+  const conversationText = conversationHistory
+    .map(msg => `${msg.speaker === 'user' ? 'Salesperson' : 'Customer'}: ${msg.message}`)
+    .join('\n');
+  
+  if (quota.exceeded) {
+    aiFeedback = `Session completed. Detailed AI feedback is unavailable because your AI usage limit has been reached; it resets at ${quota.resetAt}.`;
+  } else if (conversationText.length > 10) {
+    try {
+      const completion = await llm.complete({
+        useCase: 'feedback',
+        meta,
+        signal: job.signal,
+        messages: [{
+          role: "system",
+          content: "You are a sales coach. Analyze this sales roleplay conversation and provide constructive feedback on communication skills, persuasion techniques, and areas for improvement. Keep it concise and actionable."
+        }, {
+          role: "user",
+          content: `Please analyze this sales conversation:\n\n${conversationText.substring(0, 2000)}`
+        }]
+      });
+      
+      aiFeedback = completion.content;
+      console.log('✅ AI feedback generated');
+    } catch (error) {
+      if (!job.isLastAttempt) throw error;
+      console.error('❌ LLM API error:', error);
+      aiFeedback = 'Session completed successfully. Keep practicing to improve your skills!';
+    }
+  } else {
+    aiFeedback = "Great job starting the conversation! Try to engage more with the customer to get detailed feedback.";
+    console.log('ℹ️ Using default feedback - conversation too short');
+  }
+  
+  // Structured LLM evaluation against the same rubric, falling back to the keyword scores
+  let evaluation = null;
+  if (LLM_EVALUATION_ENABLED && !quota.exceeded && conversationHistory.some(turn => turn.speaker === 'user')) {
+    evaluation = await evaluateWithLLM({ llm, rubric, turns: conversationHistory, meta, signal: job.signal });
+  }
+  if (!evaluation) {
+    console.log('ℹ️ Using keyword scores for evaluation');
+    evaluation = heuristicEvaluation(analysis);
+  }
+  
+  // Save feedback; a retried job replaces what an earlier attempt saved
+  const feedbackRecord = {
+    sessionId: sessionId,
+    userId: userId,
+    createdAt: new Date().toISOString(),
+    talkTimeRatio: analysis.talkTimeRatio,
+    fillerWordCount: analysis.fillerWordCount,
+    confidenceScore: analysis.confidenceScore,
+    aiFeedback: aiFeedback,
+    conversationLength: conversationHistory.length,
+    keyMetrics: JSON.stringify(analysis),
+    evaluationSource: evaluation.source,
+    evaluation: JSON.stringify(evaluation),
+    // Timing-based metrics (lib/talkMetrics.js); empty when nothing was timed
+    talkListenRatio: analysis.talkMetrics?.talkListenRatio,
+    wordsPerMinute: analysis.talkMetrics?.wordsPerMinute,
+    longestMonologueSeconds: analysis.talkMetrics?.longestMonologueSeconds,
+    responseLatencySeconds: analysis.talkMetrics?.averageResponseLatencySeconds,
+    interruptionCount: analysis.talkMetrics?.interruptions,
+    talkMetrics: analysis.talkMetrics ? JSON.stringify(analysis.talkMetrics) : ''
+  };
+  try {
+    await db.feedback.insert(feedbackRecord);
+  } catch (error) {
+    if (!isDuplicateKey(error)) throw error;
+    await db.feedback.update({ sessionId }, feedbackRecord);
+  }
+  console.log('✅ Feedback saved successfully to storage');
+  
+  await queueXapiStatements({ session: sessionRecord, scenario, analysis, evaluation });
+  
+  await emitWebhookEvent('feedback.ready', {
+    sessionId,
+    userId,
+    scenarioId: sessionRecord.scenarioId || null,
+    confidenceScore: analysis.confidenceScore,
+    overallScore: analysis.overall_effectiveness_score ?? null,
+    evaluationSource: evaluation.source,
+    scores: Object.fromEntries(evaluation.dimensions.map(dimension => [dimension.key, dimension.score])),
+    aiFeedback,
+    outcome: analysis.buyer ? analysis.buyer.outcome : null,
+    talkMetrics: analysis.talkMetrics
+  });
+  
+  return {
+    ...analysis,
+    evaluation,
+    aiFeedback: aiFeedback,
+    conversationLength: conversationHistory.length
+  };
+}
+
+// End session and queue its analysis
+// /api/sessions/end endpoint:
+// Responds 202 with the analysis job; follow it with
+// GET /api/sessions/:sessionId/analysis or its /events stream. Clients that
+// still need the analysis in the response can send wait: true, which holds
+// the request until the job finishes (up to ANALYSIS_WAIT_SECONDS).
+// The duration is computed from the session's start and pauses; a client
+// supplied duration is ignored.
+app.post('/api/sessions/end', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId, transcript, wait } = req.body;
+    
+    if (!sessionId) {
+      console.error('❌ No session ID provided');
+      return res.status(400).json({ error: 'Session ID required' });
+    }
+    
+    const sessionRecord = await db.sessions.findOne({ id: sessionId, userId: req.user.uid });
+    if (!sessionRecord) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    const endError = transitionError(sessionRecord, 'completed');
+    if (endError) {
+      return res.status(409).json({ error: 'Session cannot be ended', details: endError });
+    }
+    
+    console.log('🔍 ===== SESSION END DEBUG =====');
+    console.log('🔍 Session ID:', sessionId);
+    console.log('🔍 User ID:', req.user.uid);
+    const endTime = new Date();
+    const duration = activeDuration(sessionRecord, endTime);
+    console.log('🔍 Duration:', duration);
+    console.log('🔍 Transcript length:', transcript?.length || 0);
+    
+    // Redact PII from transcript
+    const { text: redactedTranscript, detections } = redactor.redact(transcript || '', { scope: sessionId });
+    await recordPIIDetections(sessionRecord, detections);
+    
+    // Decide the deal outcome if the call didn't reach one
+    const buyer = loadBuyerState(sessionRecord.buyerState);
+    finalizeOutcome(buyer);
+    
+    // Mark the session completed
+    console.log('🔍 Updating session in storage...');
+    const completed = await transitionSession(sessionRecord, 'completed', {
+      endTime: endTime.toISOString(),
+      duration,
+      transcript: redactedTranscript,
+      buyerState: JSON.stringify(buyer),
+      outcome: buyer.outcome
+    });
+    if (completed.error) {
+      return res.status(completed.status).json({ error: 'Session cannot be ended', details: completed.error });
+    }
+    console.log('✅ Session updated successfully in storage');
+    await releaseSessionRoom(completed.session);
+    
+    const job = await jobs.enqueue('session_analysis', {
+      sessionId,
+      userId: req.user.uid,
+      role: await resolveUserRole(req.user)
+    });
+    await db.sessions.update({ id: sessionId }, { analysisJobId: job.id });
+    console.log('🔍 ===== SESSION END COMPLETE, analysis job:', job.id);
+    
+    await emitWebhookEvent('session.completed', {
+      sessionId,
+      userId: req.user.uid,
+      scenarioId: completed.session.scenarioId || null,
+      startTime: completed.session.startTime,
+      endTime: completed.session.endTime,
+      duration: parseInt(completed.session.duration) || 0,
+      outcome: completed.session.outcome || null,
+      analysisJobId: job.id
+    });
+    
+    if (wait === true) {
+      const finished = await jobs.waitFor(job.id, ANALYSIS_WAIT_SECONDS * 1000);
+      if (finished && finished.status === 'succeeded') {
+        return res.json({ analysis: finished.result, job: analysisJobLinks(sessionId, finished) });
+      }
+    }
+    
+    res.status(202).json({
+      sessionId,
+      status: 'completed',
+      job: analysisJobLinks(sessionId, await jobs.get(job.id))
+    });
+  } catch (error) {
+    console.error('❌ Fatal error in session end:', error);
+    res.status(500).json({ 
+      error: 'Failed to end session', 
+      details: error.message 
+    });
+  }
+});
+
+function analysisJobLinks(sessionId, job) {
+  return {
+    id: job.id,
+    status: job.status,
+    statusUrl: `/api/sessions/${sessionId}/analysis`,
+    eventsUrl: `/api/sessions/${sessionId}/analysis/events`
+  };
+}
+
+// Look up a session's analysis job for the status routes below
+async function findAnalysisJob(req) {
+  const session = await db.sessions.findOne({ id: req.params.sessionId });
+  if (!session || !(await canViewUserSessions(req.user, session.userId))) {
+    return { status: 404, error: 'Session not found' };
+  }
+  const job = session.analysisJobId ? await jobs.get(session.analysisJobId) : null;
+  if (!job) {
+    return { status: 404, error: 'No analysis job for this session' };
+  }
+  return { session, job };
+}
+
+// Analysis job status, with the analysis once it has succeeded
+app.get('/api/sessions/:sessionId/analysis', authenticateToken, async (req, res) => {
+  try {
+    const found = await findAnalysisJob(req);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+    res.json(found.job);
+  } catch (error) {
+    console.error('❌ Error fetching analysis job:', error);
+    res.status(500).json({ error: 'Failed to fetch analysis status', details: error.message });
+  }
+});
+
+// Analysis job status over Server-Sent Events: a "status" event on every
+// change, then "done" with the finished job
+app.get('/api/sessions/:sessionId/analysis/events', authenticateToken, async (req, res) => {
+  let found;
+  try {
+    found = await findAnalysisJob(req);
+  } catch (error) {
+    console.error('❌ Error fetching analysis job:', error);
+    return res.status(500).json({ error: 'Failed to fetch analysis status', details: error.message });
+  }
+  if (found.error) {
+    return res.status(found.status).json({ error: found.error });
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  let closed = false;
+  const finish = job => {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    sendEvent('done', job);
+    res.end();
+  };
+  
+  // Subscribe before reading the status again, so a job that finishes in
+  // between is still seen (as in jobs.waitFor)
+  const unsubscribe = jobs.subscribe(found.job.id, job => {
+    if (closed) return;
+    if (isFinished(job)) {
+      finish(job);
+    } else {
+      sendEvent('status', job);
+    }
+  });
+  res.on('close', () => {
+    closed = true;
+    unsubscribe();
+  });
+  
+  try {
+    const job = await jobs.get(found.job.id) || found.job;
+    if (isFinished(job)) {
+      finish(job);
+    } else if (!closed) {
+      sendEvent('status', job);
+    }
+  } catch (error) {
+    console.error('❌ Error fetching analysis job:', error);
+    closed = true;
+    unsubscribe();
+    res.end();
+  }
+});
+
+// Google Ads-specific session analysis
+app.post('/api/sessions/analyze-google-ads', authenticateToken, enforceUsageQuota, async (req, res) => {
+  try {
+    const { sessionId, scenarioId } = req.body;
+    
+    const session = await db.sessions.findOne({ id: sessionId, userId: req.user.uid });
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    const conversationHistory = redactTurns(await getSessionTurns(sessionId), sessionId);
+    // Nothing the rep said means nothing to score or coach, so skip the LLM call
+    if (!conversationHistory.some(msg => msg.speaker === 'user')) {
+      return res.status(400).json({ error: 'No conversation to analyze', details: 'The session has no messages from the rep yet' });
+    }
+    
+    // Get scenario context
+    const scenario = await findScenario(scenarioId || session.scenarioId);
+    
+    // Google Ads specific analysis
+    const rubric = await findRubricForScenario(scenario) || GOOGLE_ADS_COACHING_RUBRIC;
+    const googleAdsAnalysis = analyzeGoogleAdsPerformance(conversationHistory, rubric);
+    googleAdsAnalysis.objections = summarizeSessionObjections(session, scenario);
+    
+    // Enhanced AI feedback with Google Ads coaching
+    const completion = await llm.complete({
+      useCase: 'coaching',
+      meta: usageMeta(req, sessionId),
+      messages: [{
+        role: "system",
+        content: `You are a Google Ads sales coach. Analyze this roleplay performance and provide specific feedback on:
+        
+        1. Google Ads product knowledge accuracy
+        2. Objection handling for digital advertising concerns  
+        3. Discovery questions for understanding client needs
+        4. Explanation clarity of technical concepts
+        5. Business value demonstration
+        
+        Be specific about what they did well and what to improve. Focus on Google Ads selling skills.
+        
+        Scenario: ${scenario?.title}
+        Skill Area: ${scenario?.sales_skill_area}
+        Buyer Persona: ${scenario?.buyer_persona}`
+      }, {
+        role: "user",
+        content: `Analyze this Google Ads sales conversation:\n\n${conversationHistory.map(msg => 
+          `${msg.speaker === 'user' ? 'Seller' : 'Buyer'}: ${msg.message}`
+        ).join('\n')}`
+      }]
+    });
+    
+    const aiFeedback = completion.content;
+    
+    res.json({
+      analysis: {
+        ...googleAdsAnalysis,
+        aiFeedback,
+        skillArea: scenario?.sales_skill_area,
+        coachingRecommendations: generateCoachingRecommendations(googleAdsAnalysis, rubric, await buildPracticePlan(req.user.uid))
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error analyzing Google Ads performance:', error);
+    res.status(500).json({ error: 'Failed to analyze performance' });
+  }
+});
+
+// Google Ads performance analysis function - scores come from the applicable rubric
+function analyzeGoogleAdsPerformance(conversationHistory, rubric = GOOGLE_ADS_COACHING_RUBRIC) {
+  const userMessages = conversationHistory.filter(msg => msg.speaker === 'user');
+  const rubricScores = evaluateRubric(rubric, userMessages.map(msg => msg.message));
+  const productKnowledge = rubricScores.rubric_results.find(result => result.key === 'product_knowledge_score');
+  
+  return {
+    ...rubricScores,
+    google_ads_concepts_used: productKnowledge ? productKnowledge.matched : [],
+    conversation_length: conversationHistory.length,
+    user_message_count: userMessages.length
+  };
+}
+
+// Text tips for this session, plus the scenarios to practice next when the
+// rep's practice plan is passed in (see buildPracticePlan)
+function generateCoachingRecommendations(analysis, rubric = DEFAULT_RUBRIC, practicePlan = null) {
+  return [
+    ...rubricRecommendations(rubric, analysis),
+    ...objectionRecommendations(analysis.objections),
+    ...(practicePlan ? practiceTips(practicePlan.recommendations) : [])
+  ];
+}
+
+// Scenarios a rep can start: published and active
+async function listPracticeScenarios() {
+  const rows = await db.scenarios.list();
+  return rows
+    .filter(row => row.title)
+    .map(row => {
+      try {
+        return formatScenario(row);
+      } catch {
+        return null;
+      }
+    })
+    .filter(scenario => scenario && scenario.status === 'published' && scenario.is_active);
+}
+
+// What a rep should practice next, from their score history per dimension
+// (see lib/practiceRecommendations.js)
+async function buildPracticePlan(uid, { limit = 3 } = {}) {
+  const [sessions, feedback, scenarios] = await Promise.all([
+    db.sessions.list({ userId: uid }),
+    db.feedback.list({ userId: uid }),
+    listPracticeScenarios()
+  ]);
+  return recommendPractice({ sessions, feedback, scenarios, limit });
+}
+// Get user sessions
+app.get('/api/sessions/history', authenticateToken, async (req, res) => {
+  try {
+    const { limit = 10, offset = 0 } = req.query;
+    
+    console.log('🔍 ===== SESSIONS HISTORY DEBUG =====');
+    console.log('🔍 User requesting history:', req.user.uid);
+    console.log('🔍 Query params:', { limit, offset });
+    
+    const [userSessions, feedbackRows] = await Promise.all([
+      db.sessions.list({ userId: req.user.uid }),
+      db.feedback.list({ userId: req.user.uid })
+    ]);
+    
+    console.log('🔍 User sessions found:', userSessions.length);
+    console.log('🔍 User feedback rows:', feedbackRows.length);
+    
+    // Map sessions with feedback
+    const sessionsWithFeedback = userSessions.map(session => {
+      const sessionId = session.id;
+      const feedback = feedbackRows.find(f => f.sessionId === sessionId);
+      
+      console.log('🔍 Processing session:', sessionId, 'has feedback:', !!feedback);
+      
+      return {
+        id: sessionId,
+        scenarioId: session.scenarioId || 'unknown',
+        scenarioTitle: `Practice Session ${sessionId.split('_')[1] || 'Unknown'}`,
+        scenarioCategory: 'General',
+        scenarioDifficulty: 'Medium',
+        startTime: session.startTime,
+        endTime: session.endTime,
+        duration: parseInt(session.duration) || 0,
+        status: session.status || 'completed',
+        feedback: feedback ? {
+          talkTimeRatio: parseInt(feedback.talkTimeRatio) || 50,
+          fillerWordCount: parseInt(feedback.fillerWordCount) || 0,
+          confidenceScore: parseInt(feedback.confidenceScore) || 50,
+          conversationLength: parseInt(feedback.conversationLength) || 0,
+          aiFeedback: feedback.aiFeedback,
+          talkMetrics: parseStoredTalkMetrics(feedback)
+        } : null
+      };
+    });
+    
+    // Sort by most recent first
+    sessionsWithFeedback.sort((a, b) => 
+      new Date(b.startTime || 0) - new Date(a.startTime || 0)
+    );
+    
+    // Calculate summary stats
+    const completedSessions = sessionsWithFeedback.filter(s => s.status === 'completed');
+    const avgConfidence = completedSessions.length > 0 && completedSessions.some(s => s.feedback?.confidenceScore)
+      ? Math.round(
+          completedSessions
+            .filter(s => s.feedback?.confidenceScore)
+            .reduce((sum, s) => sum + s.feedback.confidenceScore, 0) / 
+          completedSessions.filter(s => s.feedback?.confidenceScore).length
+        )
+      : 0;
+    
+    const avgDuration = completedSessions.length > 0
+      ? Math.round(
+          completedSessions.reduce((sum, s) => sum + s.duration, 0) / 
+          completedSessions.length / 60000
+        ) // Convert to minutes
+      : 0;
+    
+    // Apply pagination
+    const paginatedSessions = sessionsWithFeedback.slice(
+      parseInt(offset), 
+      parseInt(offset) + parseInt(limit)
+    );
+    
+    const result = {
+      sessions: paginatedSessions,
+      pagination: {
+        total: sessionsWithFeedback.length,
+        offset: parseInt(offset),
+        limit: parseInt(limit),
+        hasMore: sessionsWithFeedback.length > (parseInt(offset) + parseInt(limit))
+      },
+      summary: {
+        totalSessions: sessionsWithFeedback.length,
+        completedSessions: completedSessions.length,
+        avgConfidenceScore: avgConfidence,
+        avgDurationMinutes: avgDuration
+      }
+    };
+    
+    console.log('✅ Final result summary:', result.summary);
+    console.log('✅ Sessions being returned:', result.sessions.length);
+    console.log('🔍 ===== SESSIONS HISTORY COMPLETE =====');
+    
+    res.json(result);
+    
+  } catch (error) {
+    console.error('❌ Error fetching session history:', error);
+    res.status(500).json({ error: 'Failed to fetch session history', details: error.message });
+  }
+});
+app.get('/api/sessions/:sessionId/details', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    
+    const session = await db.sessions.findOne({ id: sessionId });
+    
+    // Reps see their own sessions; managers and admins can drill into their reps'
+    if (!session || !(await canViewUserSessions(req.user, session.userId))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    const [feedback, scenarioData] = await Promise.all([
+      db.feedback.list({ sessionId }),
+      findScenario(session.scenarioId)
+    ]);
+    
+    // Conversation as recorded turn by turn during the session
+    const conversationHistory = await getSessionTurns(sessionId);
+    
+    res.json({
+      session: {
+        id: session.id,
+        userId: session.userId,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        duration: parseInt(session.duration) || 0,
+        transcript: session.transcript,
+        status: getSessionState(session),
+        statusReason: session.statusReason || null,
+        piiDetections: session.piiDetections ? JSON.parse(session.piiDetections) : {}
+      },
+      // Join/leave times, recording and transcript reported by Daily.co webhooks
+      video: session.roomName ? {
+        roomName: session.roomName,
+        joinedAt: session.joinedAt || null,
+        leftAt: session.leftAt || null,
+        participants: parseParticipants(session),
+        recording: session.recordingId ? { duration: parseInt(session.recordingDuration) || null } : null,
+        transcript: session.videoTranscript ? JSON.parse(session.videoTranscript) : null
+      } : null,
+      scenario: scenarioData ? {
+        title: scenarioData.title,
+        description: scenarioData.description,
+        category: scenarioData.category,
+        difficulty: scenarioData.difficulty,
+        objectives: scenarioData.scenario_objectives
+      } : null,
+      feedback: feedback.length > 0 ? {
+        talkTimeRatio: parseInt(feedback[0].talkTimeRatio) || 0,
+        confidenceScore: parseInt(feedback[0].confidenceScore) || 0,
+        fillerWordCount: parseInt(feedback[0].fillerWordCount) || 0,
+        conversationLength: parseInt(feedback[0].conversationLength) || 0,
+        aiFeedback: feedback[0].aiFeedback,
+        evaluation: parseStoredEvaluation(feedback[0]),
+        talkMetrics: parseStoredTalkMetrics(feedback[0])
+      } : null,
+      conversationHistory
+    });
+  } catch (error) {
+    console.error('Error fetching session details:', error);
+    res.status(500).json({ error: 'Failed to fetch session details' });
+  }
+});
+
+
+// Exports (see lib/sessionExport.js). Everything is redacted on the way out.
+// `loaded` carries what a bulk export has already fetched for this session
+// ({ feedback, scenario, rubric, turns }); anything missing is looked up.
+async function loadSessionReport(session, practicePlan, loaded = null) {
+  const [feedbackRows, scenario, turns] = loaded
+    ? [loaded.feedback ? [loaded.feedback] : [], loaded.scenario, loaded.turns]
+    : await Promise.all([
+      db.feedback.list({ sessionId: session.id }),
+      findScenario(session.scenarioId),
+      getSessionTurns(session.id)
+    ]);
+  const rubric = (loaded ? loaded.rubric : await findRubricForScenario(scenario)) || DEFAULT_RUBRIC;
+  // Authored scenario text (persona name, titles, skill areas) isn't PII
+  const practiceScenarios = practicePlan ? practicePlan.recommendations.map(entry => entry.scenario) : [];
+  const allow = [scenario, ...practiceScenarios]
+    .filter(Boolean)
+    .flatMap(entry => [entry.title, entry.sales_skill_area, ...scenarioAllowList(entry)])
+    .filter(Boolean);
+  
+  return buildSessionReport({
+    session,
+    scenario,
+    feedback: feedbackRows[0] || null,
+    turns,
+    recommend: analysis => generateCoachingRecommendations(analysis, rubric, practicePlan),
+    redact: text => redactPII(text, { scope: session.id, allow })
+  });
+}
+
+const exportFilename = (name, format) => `${name.replace(/[^A-Za-z0-9_.-]/g, '_')}.${format}`;
+
+function sendExport(res, format, filename, body) {
+  const types = { json: 'application/json', csv: 'text/csv; charset=utf-8', pdf: 'application/pdf' };
+  res.setHeader('Content-Type', types[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(filename, format)}"`);
+  res.send(format === 'json' ? JSON.stringify(body, null, 2) : body);
+}
+
+// Bulk export of session history: ?format=csv|json&from=&to=. Managers and
+// admins can export a rep's history with ?userId=
+app.get('/api/sessions/history/export', authenticateToken, async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!HISTORY_EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: 'Invalid format', details: `format must be one of ${HISTORY_EXPORT_FORMATS.join(', ')}` });
+    }
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: 'Invalid date range', details: range.error });
+    }
+    
+    const userId = req.query.userId || req.user.uid;
+    if (!(await canViewUserSessions(req.user, userId))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const sessions = (await db.sessions.list({ userId }))
+      .filter(session => inDateRange(session, range))
+      .sort((a, b) => new Date(b.startTime || 0) - new Date(a.startTime || 0));
+    
+    // Everything the reports need, fetched once rather than per session
+    const sessionIds = sessions.map(session => session.id);
+    const [practicePlan, scenarioRows, rubricRows, feedbackRows, turnsBySession] = await Promise.all([
+      buildPracticePlan(userId),
+      db.scenarios.list(),
+      db.rubrics.list(),
+      sessionIds.length > 0 ? db.feedback.list({ sessionId: sessionIds }) : [],
+      getTurnsBySession(sessionIds)
+    ]);
+    const feedbackBySession = new Map();
+    for (const row of feedbackRows) {
+      if (!feedbackBySession.has(row.sessionId)) feedbackBySession.set(row.sessionId, row);
+    }
+    const reports = [];
+    for (const session of sessions) {
+      const scenario = matchScenario(scenarioRows, session.scenarioId);
+      reports.push(await loadSessionReport(session, practicePlan, {
+        feedback: feedbackBySession.get(session.id) || null,
+        scenario,
+        rubric: matchRubric(rubricRows, scenario),
+        turns: turnsBySession.get(session.id) || []
+      }));
+    }
+    
+    console.log(`📤 Exported ${reports.length} session(s) for ${userId} as ${format}`);
+    const filename = `session-history-${userId}-${new Date().toISOString().slice(0, 10)}`;
+    sendExport(res, format, filename, format === 'csv' ? historyCSV(reports) : {
+      userId,
+      from: range.from ? range.from.toISOString() : null,
+      to: range.to ? range.to.toISOString() : null,
+      exportedAt: new Date().toISOString(),
+      sessions: reports
+    });
+  } catch (error) {
+    console.error('❌ Error exporting session history:', error);
+    res.status(500).json({ error: 'Failed to export session history', details: error.message });
+  }
+});
+
+// One session as ?format=json|csv|pdf
+app.get('/api/sessions/:sessionId/export', authenticateToken, async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!SESSION_EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: 'Invalid format', details: `format must be one of ${SESSION_EXPORT_FORMATS.join(', ')}` });
+    }
+    
+    const session = await db.sessions.findOne({ id: req.params.sessionId });
+    if (!session || !(await canViewUserSessions(req.user, session.userId))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    const report = await loadSessionReport(session, await buildPracticePlan(session.userId));
+    const body = format === 'csv' ? sessionReportCSV(report)
+      : format === 'pdf' ? renderSessionReportPDF(report)
+      : report;
+    
+    console.log(`📤 Exported session ${session.id} as ${format}`);
+    sendExport(res, format, `session-${session.id}`, body);
+  } catch (error) {
+    console.error('❌ Error exporting session:', error);
+    res.status(500).json({ error: 'Failed to export session', details: error.message });
+  }
+});
+
+// Teams
+// Each team has one manager (Teams.managerId); reps belong to a team through
+// Users.teamId. Managers see the teams they manage, admins see every team.
+
+// Admins see everyone; managers see reps on teams they manage
+async function canViewUserSessions(requester, targetUid) {
+  if (requester.uid === targetUid) return true;
+  
+  const role = requester.role || await resolveUserRole(requester);
+  if (role === 'admin') return true;
+  if (role !== 'manager') return false;
+  
+  const target = await db.users.findOne({ uid: targetUid });
+  if (!target || !target.teamId) return false;
+  
+  const team = await db.teams.findOne({ id: target.teamId });
+  return !!team && team.managerId === requester.uid;
+}
+
+// Load a team the requester may manage (use after requireRole)
+async function findManagedTeam(req, teamId) {
+  const team = await db.teams.findOne({ id: teamId });
+  if (!team) return null;
+  if (req.user.role === 'admin' || team.managerId === req.user.uid) return team;
+  return null;
+}
+
+async function validateTeamManager(managerId) {
+  const manager = await db.users.findOne({ uid: managerId });
+  if (!manager) return 'Manager not found';
+  
+  const role = roleFor({ email: manager.email }, manager);
+  if (role !== 'manager' && role !== 'admin') {
+    return 'Assign the manager role before making this user a team manager';
+  }
+  return null;
+}
+
+const formatTeam = team => ({
+  id: team.id,
+  name: team.name,
+  managerId: team.managerId,
+  createdAt: team.createdAt
+});
+
+// List teams
+app.get('/api/teams', authenticateToken, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const teams = req.user.role === 'admin'
+      ? await db.teams.list()
+      : await db.teams.list({ managerId: req.user.uid });
+    
+    res.json(teams.map(formatTeam));
+  } catch (error) {
+    console.error('❌ Error listing teams:', error);
+    res.status(500).json({ error: 'Failed to list teams', details: error.message });
+  }
+});
+
+// Create team
+app.post('/api/teams', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { name, managerId } = req.body;
+    
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'Team name required' });
+    }
+    
+    if (!managerId) {
+      return res.status(400).json({ error: 'managerId required' });
+    }
+    
+    const managerError = await validateTeamManager(managerId);
+    if (managerError) {
+      return res.status(400).json({ error: managerError });
+    }
+    
+    const team = await db.teams.insert({
+      id: `team_${Date.now()}`,
+      name: name.trim(),
+      managerId,
+      createdBy: req.user.uid,
+      createdAt: new Date().toISOString()
+    });
+    
+    console.log('✅ Team created:', team.id, 'manager:', managerId);
+    res.status(201).json(formatTeam(team));
+  } catch (error) {
+    console.error('❌ Error creating team:', error);
+    res.status(500).json({ error: 'Failed to create team', details: error.message });
+  }
+});
+
+// Rename a team or change its manager
+app.put('/api/teams/:teamId', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { name, managerId } = req.body;
+    const changes = {};
+    
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'Team name cannot be empty' });
+      }
+      changes.name = name.trim();
+    }
+    
+    if (managerId !== undefined) {
+      const managerError = await validateTeamManager(managerId);
+      if (managerError) {
+        return res.status(400).json({ error: managerError });
+      }
+      changes.managerId = managerId;
+    }
+    
+    const team = await db.teams.update({ id: req.params.teamId }, changes);
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+    
+    res.json(formatTeam(team));
+  } catch (error) {
+    console.error('❌ Error updating team:', error);
+    res.status(500).json({ error: 'Failed to update team', details: error.message });
+  }
+});
+
+// List team members
+app.get('/api/teams/:teamId/members', authenticateToken, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const team = await findManagedTeam(req, req.params.teamId);
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+    
+    const members = await db.users.list({ teamId: team.id });
+    res.json(members.map(member => ({
+      uid: member.uid,
+      email: member.email,
+      role: roleFor({ email: member.email }, member),
+      lastActive: member.lastActive
+    })));
+  } catch (error) {
+    console.error('❌ Error listing team members:', error);
+    res.status(500).json({ error: 'Failed to list team members', details: error.message });
+  }
+});
+
+// Add a rep to a team (moves them if they were on another team)
+app.put('/api/teams/:teamId/members/:uid', authenticateToken, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const team = await findManagedTeam(req, req.params.teamId);
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+    
+    const user = await db.users.update({ uid: req.params.uid }, { teamId: team.id });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    console.log('✅ Added', user.uid, 'to team', team.id);
+    res.json({ uid: user.uid, email: user.email, teamId: team.id });
+  } catch (error) {
+    console.error('❌ Error adding team member:', error);
+    res.status(500).json({ error: 'Failed to add team member', details: error.message });
+  }
+});
+
+// Remove a rep from a team
+app.delete('/api/teams/:teamId/members/:uid', authenticateToken, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const team = await findManagedTeam(req, req.params.teamId);
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+    
+    const member = await db.users.findOne({ uid: req.params.uid, teamId: team.id });
+    if (!member) {
+      return res.status(404).json({ error: 'User is not on this team' });
+    }
+    
+    await db.users.update({ uid: member.uid }, { teamId: '' });
+    
+    console.log('✅ Removed', member.uid, 'from team', team.id);
+    res.json({ uid: member.uid, teamId: null });
+  } catch (error) {
+    console.error('❌ Error removing team member:', error);
+    res.status(500).json({ error: 'Failed to remove team member', details: error.message });
+  }
+});
+
+// Team dashboard: per-rep and team-wide performance, weekly trends and who
+// hasn't practiced this week
+app.get('/api/teams/:teamId/dashboard', authenticateToken, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const weeks = Math.min(52, Math.max(1, parseInt(req.query.weeks) || 8));
+    
+    const team = await findManagedTeam(req, req.params.teamId);
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+    
+    const members = await db.users.list({ teamId: team.id });
+    const memberIds = members.map(member => member.uid);
+    
+    const [sessions, feedback] = await Promise.all([
+      db.sessions.list({ userId: memberIds }),
+      db.feedback.list({ userId: memberIds })
+    ]);
+    
+    console.log('📊 Team dashboard:', team.id, 'reps:', members.length, 'sessions:', sessions.length);
+    
+    res.json(buildTeamDashboard({ team, members, sessions, feedback, weeks }));
+  } catch (error) {
+    console.error('❌ Error building team dashboard:', error);
+    res.status(500).json({ error: 'Failed to build team dashboard', details: error.message });
+  }
+});
+
+// A rep's sessions, for managers drilling in from the dashboard
+app.get('/api/teams/:teamId/members/:uid/sessions', authenticateToken, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const team = await findManagedTeam(req, req.params.teamId);
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+    
+    const member = await db.users.findOne({ uid: req.params.uid, teamId: team.id });
+    if (!member) {
+      return res.status(404).json({ error: 'User is not on this team' });
+    }
+    
+    const [sessions, feedback] = await Promise.all([
+      db.sessions.list({ userId: member.uid }),
+      db.feedback.list({ userId: member.uid })
+    ]);
+    
+    const result = sessions
+      .map(session => {
+        const metrics = parseKeyMetrics(feedback.find(f => f.sessionId === session.id));
+        return {
+          id: session.id,
+          scenarioId: session.scenarioId || 'unknown',
+          startTime: session.startTime,
+          endTime: session.endTime,
+          duration: parseInt(session.duration) || 0,
+          status: session.status || 'completed',
+          scores: {
+            discovery_score: metrics.discovery_score ?? null,
+            objection_handling_score: metrics.objection_handling_score ?? null,
+            business_value_score: metrics.business_value_score ?? null,
+            overall_effectiveness_score: metrics.overall_effectiveness_score ?? null
+          }
+        };
+      })
+      .sort((a, b) => new Date(b.startTime || 0) - new Date(a.startTime || 0));
+    
+    res.json({ uid: member.uid, email: member.email, sessions: result });
+  } catch (error) {
+    console.error('❌ Error fetching rep sessions:', error);
+    res.status(500).json({ error: 'Failed to fetch rep sessions', details: error.message });
+  }
+});
+
+
+// What should I practice next? Reps get their own plan; managers and admins
+// can look up a rep's with ?userId=
+app.get('/api/practice/next', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.query.userId || req.user.uid;
+    if (!(await canViewUserSessions(req.user, userId))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 3, 1), 10);
+    
+    const plan = await buildPracticePlan(userId, { limit });
+    console.log('🎯 Practice plan for', userId, ':', plan.recommendations.map(entry => entry.scenario.id));
+    res.json({ userId, ...plan });
+  } catch (error) {
+    console.error('❌ Error building practice plan:', error);
+    res.status(500).json({ error: 'Failed to build practice plan', details: error.message });
+  }
+});
+
+// Learning paths
+// Ordered scenarios with score thresholds (see lib/learningPaths.js).
+// Managers and admins author paths and assign them to reps or whole teams;
+// reps see their assigned paths with which steps they have unlocked.
+
+// Steps with every id their scenario is known by, since sessions store
+// whichever id the client started them with
+async function resolvePathSteps(record) {
+  return Promise.all(parseSteps(record).map(async step => {
+    const scenario = await findScenario(step.scenarioId);
+    return {
+      ...step,
+      scenarioIds: [...new Set([step.scenarioId, scenario?.id, scenario?.scenario_id].filter(Boolean).map(String))],
+      scenarioTitle: scenario ? scenario.title : null
+    };
+  }));
+}
+
+async function validatePathScenarios(values) {
+  if (!values.steps) return [];
+  const errors = [];
+  const steps = JSON.parse(values.steps);
+  for (const [index, step] of steps.entries()) {
+    if (!(await findScenario(step.scenarioId))) {
+      errors.push({ field: `steps[${index}].scenarioId`, message: `Scenario ${step.scenarioId} not found` });
+    }
+  }
+  return errors;
+}
+
+async function computeUserPathProgress(pathRecord, steps, uid) {
+  const [sessions, feedback] = await Promise.all([
+    db.sessions.list({ userId: uid }),
+    db.feedback.list({ userId: uid })
+  ]);
+  return { userId: uid, ...computePathProgress({ path: pathRecord, steps, sessions, feedback }) };
+}
+
+// Load a path the requester may change: admins can change any path,
+// managers the ones they created (use after requireRole)
+async function findManagedPath(req, pathId) {
+  const path = await db.learningPaths.findOne({ id: pathId });
+  if (!path) return null;
+  if (req.user.role === 'admin' || path.createdBy === req.user.uid) return path;
+  return null;
+}
+
+// Reps a path is assigned to, directly or through their team
+async function pathAssignees(pathId) {
+  const assignments = await db.learningPathAssignments.list({ pathId });
+  const uids = new Set(assignments.filter(assignment => assignment.userId).map(assignment => assignment.userId));
+  for (const assignment of assignments.filter(assignment => assignment.teamId)) {
+    const members = await db.users.list({ teamId: assignment.teamId });
+    members.forEach(member => uids.add(member.uid));
+  }
+  return [...uids];
+}
+
+// Paths assigned to a rep, directly or through their team
+async function assignedPathIds(uid) {
+  const user = await db.users.findOne({ uid });
+  const [direct, team] = await Promise.all([
+    db.learningPathAssignments.list({ userId: uid }),
+    user && user.teamId ? db.learningPathAssignments.list({ teamId: user.teamId }) : []
+  ]);
+  return [...new Set([...direct, ...team].map(assignment => assignment.pathId))];
+}
+
+// List paths
+app.get('/api/learning-paths', authenticateToken, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const paths = await db.learningPaths.list();
+    res.json(paths.map(formatPath));
+  } catch (error) {
+    console.error('❌ Error listing learning paths:', error);
+    res.status(500).json({ error: 'Failed to list learning paths', details: error.message });
+  }
+});
+
+// The requesting rep's assigned paths with their progress
+app.get('/api/learning-paths/mine', authenticateToken, async (req, res) => {
+  try {
+    const pathIds = await assignedPathIds(req.user.uid);
+    const results = [];
+    for (const pathId of pathIds) {
+      const record = await db.learningPaths.findOne({ id: pathId });
+      if (!record || record.is_active === 'FALSE') continue;
+      const steps = await resolvePathSteps(record);
+      results.push({
+        path: formatPath(record),
+        progress: await computeUserPathProgress(record, steps, req.user.uid)
+      });
+    }
+    res.json(results);
+  } catch (error) {
+    console.error('❌ Error fetching learning paths:', error);
+    res.status(500).json({ error: 'Failed to fetch learning paths', details: error.message });
+  }
+});
+
+// Create path
+app.post('/api/learning-paths', authenticateToken, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const { values, errors } = validatePathInput(req.body);
+    errors.push(...(errors.length === 0 ? await validatePathScenarios(values) : []));
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid learning path', details: errors });
+    }
+    
+    const path = await db.learningPaths.insert({
+      id: `path_${Date.now()}`,
+      description: '',
+      is_active: true,
+      ...values,
+      createdBy: req.user.uid,
+      createdAt: new Date().toISOString()
+    });
+    
+    console.log('✅ Learning path created:', path.id);
+    res.status(201).json(formatPath(path));
+  } catch (error) {
+    console.error('❌ Error creating learning path:', error);
+    res.status(500).json({ error: 'Failed to create learning path', details: error.message });
+  }
+});
+
+// Update path; progress is recomputed from scores, so edited steps apply straight away
+app.put('/api/learning-paths/:pathId', authenticateToken, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const { values, errors } = validatePathInput(req.body, { partial: true });
+    errors.push(...(errors.length === 0 ? await validatePathScenarios(values) : []));
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid learning path', details: errors });
+    }
+    
+    const existing = await findManagedPath(req, req.params.pathId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Learning path not found' });
+    }
+    
+    const path = await db.learningPaths.update({ id: existing.id }, {
+      ...values,
+      updatedAt: new Date().toISOString()
+    });
+    if (!path) {
+      return res.status(404).json({ error: 'Learning path not found' });
+    }
+    
+    console.log('✅ Learning path updated:', path.id);
+    res.json(formatPath(path));
+  } catch (error) {
+    console.error('❌ Error updating learning path:', error);
+    res.status(500).json({ error: 'Failed to update learning path', details: error.message });
+  }
+});
+
+// Delete path and its assignments
+app.delete('/api/learning-paths/:pathId', authenticateToken, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const path = await findManagedPath(req, req.params.pathId);
+    const removed = path ? await db.learningPaths.remove({ id: path.id }) : 0;
+    if (removed === 0) {
+      return res.status(404).json({ error: 'Learning path not found' });
+    }
+    await db.learningPathAssignments.remove({ pathId: req.params.pathId });
+    
+    console.log('✅ Learning path deleted:', req.params.pathId);
+    res.json({ id: req.params.pathId, deleted: true });
+  } catch (error) {
+    console.error('❌ Error deleting learning path:', error);
+    res.status(500).json({ error: 'Failed to delete learning path', details: error.message });
+  }
+});
+
+// List who a path is assigned to
+app.get('/api/learning-paths/:pathId/assignments', authenticateToken, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const path = await db.learningPaths.findOne({ id: req.params.pathId });
+    if (!path) {
+      return res.status(404).json({ error: 'Learning path not found' });
+    }
+    
+    const assignments = await db.learningPathAssignments.list({ pathId: path.id });
+    res.json(assignments.map(formatAssignment));
+  } catch (error) {
+    console.error('❌ Error listing learning path assignments:', error);
+    res.status(500).json({ error: 'Failed to list learning path assignments', details: error.message });
+  }
+});
+
+// Assign a path to a rep ({ userId }) or a team ({ teamId })
+app.post('/api/learning-paths/:pathId/assignments', authenticateToken, requireRole('manager', 'admin'), async (req, res) => {
   try {
-    const { sessionId, transcript, duration, conversationHistory = [] } = req.body;
-    
-    console.log('🔍 ===== SESSION END DEBUG =====');
-    console.log('🔍 Session ID:', sessionId);
-    console.log('🔍 User ID:', req.user.uid);
-    console.log('🔍 Duration:', duration);
-    console.log('🔍 Conversation length:', conversationHistory.length);
-    console.log('🔍 Transcript length:', transcript?.length || 0);
-    
-    if (!sessionId) {
-      console.error('❌ No session ID provided');
-      return res.status(400).json({ error: 'Session ID required' });
+    const { userId, teamId } = req.body;
+    if (!userId === !teamId) {
+      return res.status(400).json({ error: 'Invalid assignment', details: 'Provide either userId or teamId' });
     }
     
-    // Redact PII from transcript
-    const redactedTranscript = redactPII(transcript || '');
-    
-    // Basic analysis
-    const analysis = analyzeSession(redactedTranscript, conversationHistory);
-    console.log('🔍 Analysis result:', analysis);
-    
-    // Get AI feedback
-    let aiFeedback = '';
-    try {
-      const conversationText = conversationHistory
-        .map(msg => `${msg.speaker === 'user' ? 'Salesperson' : 'Customer'}: ${msg.message}`)
-        .join('\n');
-      
-      console.log('🔍 Conversation text length:', conversationText.length);
-      
-      if (conversationText.length > 10) {
-        const completion = await openai.chat.completions.create({
-          model: "gpt-3.5-turbo",
-          messages: [{
-            role: "system",
-            content: "You are a sales coach. Analyze this sales roleplay conversation and provide constructive feedback on communication skills, persuasion techniques, and areas for improvement. Keep it concise and actionable."
-          }, {
-            role: "user",
-            content: `Please analyze this sales conversation:\n\n${conversationText.substring(0, 2000)}`
-          }],
-          max_tokens: 300
-        });
-        
-        aiFeedback = completion.choices[0].message.content;
-        console.log('✅ AI feedback generated');
-      } else {
-        aiFeedback = "Great job starting the conversation! Try to engage more with the customer to get detailed feedback.";
-        console.log('ℹ️ Using default feedback - conversation too short');
-      }
-    } catch (error) {
-      console.error('❌ OpenAI API error:', error);
-      aiFeedback = 'Session completed successfully. Keep practicing to improve your skills!';
+    const path = await db.learningPaths.findOne({ id: req.params.pathId });
+    if (!path) {
+      return res.status(404).json({ error: 'Learning path not found' });
     }
     
-    // Update session in Google Sheets
-    console.log('🔍 Updating session in Google Sheets...');
-    try {
-      const sessionsSheet = doc.sheetsByTitle['Sessions'];
-      if (!sessionsSheet) {
-        console.error('❌ Sessions sheet not found');
-        throw new Error('Sessions sheet not found');
-      }
-      
-      const rows = await sessionsSheet.getRows();
-      console.log('🔍 Total rows in Sessions sheet:', rows.length);
-      
-      const session = rows.find(row => {
-        const rowId = row.get('id');
-        console.log('🔍 Checking row ID:', rowId, 'against session ID:', sessionId);
-        return rowId === sessionId;
-      });
-      
-      if (session) {
-        console.log('✅ Found session to update');
-        session.set('endTime', new Date().toISOString());
-        session.set('duration', duration);
-        session.set('status', 'completed');
-        session.set('transcript', redactedTranscript);
-        await session.save();
-        console.log('✅ Session updated successfully in sheets');
-      } else {
-        console.log('⚠️ Session not found in sheets. Available IDs:', 
-          rows.map(r => r.get('id')).slice(0, 5));
-        // Create new session if not found
-        await sessionsSheet.addRow({
-          id: sessionId,
-          userId: req.user.uid,
-          startTime: new Date(Date.now() - duration).toISOString(),
-          endTime: new Date().toISOString(),
-          duration: duration,
-          status: 'completed',
-          transcript: redactedTranscript
-        });
-        console.log('✅ Created new session row');
+    // Managers assign to their own teams and reps
+    if (teamId) {
+      if (!(await findManagedTeam(req, teamId))) {
+        return res.status(404).json({ error: 'Team not found' });
       }
-    } catch (sheetError) {
-      console.error('❌ Error updating session in sheets:', sheetError);
+    } else if (!(await db.users.findOne({ uid: userId })) || !(await canViewUserSessions(req.user, userId))) {
+      return res.status(404).json({ error: 'User not found' });
     }
     
-    // Save feedback
-    console.log('🔍 Saving feedback to Google Sheets...');
-    try {
-      const feedbackSheet = doc.sheetsByTitle['Feedback'];
-      if (!feedbackSheet) {
-        console.error('❌ Feedback sheet not found');
-        throw new Error('Feedback sheet not found');
-      }
-      
-      await feedbackSheet.addRow({
-        sessionId: sessionId,
-        userId: req.user.uid,
-        createdAt: new Date().toISOString(),
-        talkTimeRatio: analysis.talkTimeRatio,
-        fillerWordCount: analysis.fillerWordCount,
-        confidenceScore: analysis.confidenceScore,
-        aiFeedback: aiFeedback,
-        conversationLength: conversationHistory.length,
-        keyMetrics: JSON.stringify(analysis)
-      });
-      console.log('✅ Feedback saved successfully to sheets');
-    } catch (feedbackError) {
-      console.error('❌ Error saving feedback to sheets:', feedbackError);
+    const where = teamId ? { pathId: path.id, teamId } : { pathId: path.id, userId };
+    if (await db.learningPathAssignments.findOne(where)) {
+      return res.status(409).json({ error: 'Learning path is already assigned', details: teamId ? `Team ${teamId}` : `User ${userId}` });
     }
     
-    const finalAnalysis = {
-      ...analysis,
-      aiFeedback: aiFeedback,
-      conversationLength: conversationHistory.length
-    };
-    
-    console.log('✅ Final analysis being sent:', finalAnalysis);
-    console.log('🔍 ===== SESSION END COMPLETE =====');
-    
-    res.json({
-      analysis: finalAnalysis
+    const assignment = await db.learningPathAssignments.insert({
+      id: `assignment_${Date.now()}`,
+      pathId: path.id,
+      userId: userId || '',
+      teamId: teamId || '',
+      assignedBy: req.user.uid,
+      createdAt: new Date().toISOString()
     });
     
+    console.log('✅ Learning path assigned:', path.id, '->', teamId ? `team ${teamId}` : `user ${userId}`);
+    res.status(201).json(formatAssignment(assignment));
   } catch (error) {
-    console.error('❌ Fatal error in session end:', error);
-    res.status(500).json({ 
-      error: 'Failed to end session', 
-      details: error.message 
-    });
+    console.error('❌ Error assigning learning path:', error);
+    res.status(500).json({ error: 'Failed to assign learning path', details: error.message });
   }
 });
-// Google Ads-specific session analysis
-app.post('/api/sessions/analyze-google-ads', authenticateToken, async (req, res) => {
+
+// Remove an assignment; the rep's scores are kept. Managers can remove
+// assignments to their own teams and reps, like they can make them.
+app.delete('/api/learning-paths/:pathId/assignments/:assignmentId', authenticateToken, requireRole('manager', 'admin'), async (req, res) => {
   try {
-    const { sessionId, transcript, conversationHistory, scenarioId } = req.body;
-    
-    // Get scenario context
-    const scenariosSheet = doc.sheetsByTitle['Scenarios'];
-    const rows = await scenariosSheet.getRows();
-    const scenario = rows.find(row => row.get('scenario_id') === scenarioId);
-    
-    // Google Ads specific analysis
-    const googleAdsAnalysis = analyzeGoogleAdsPerformance(transcript, conversationHistory, scenario);
+    const where = { id: req.params.assignmentId, pathId: req.params.pathId };
+    const assignment = await db.learningPathAssignments.findOne(where);
+    const allowed = assignment && (assignment.teamId
+      ? await findManagedTeam(req, assignment.teamId)
+      : await canViewUserSessions(req.user, assignment.userId));
+    const removed = allowed ? await db.learningPathAssignments.remove(where) : 0;
+    if (removed === 0) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
     
-    // Enhanced AI feedback with Google Ads coaching
-    const completion = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [{
-        role: "system",
-        content: `You are a Google Ads sales coach. Analyze this roleplay performance and provide specific feedback on:
-        
-        1. Google Ads product knowledge accuracy
-        2. Objection handling for digital advertising concerns  
-        3. Discovery questions for understanding client needs
-        4. Explanation clarity of technical concepts
-        5. Business value demonstration
-        
-        Be specific about what they did well and what to improve. Focus on Google Ads selling skills.
-        
-        Scenario: ${scenario?.get('title')}
-        Skill Area: ${scenario?.get('sales_skill_area')}
-        Buyer Persona: ${scenario?.get('buyer_persona')}`
-      }, {
-        role: "user",
-        content: `Analyze this Google Ads sales conversation:\n\n${conversationHistory.map(msg => 
-          `${msg.speaker === 'user' ? 'Seller' : 'Buyer'}: ${msg.message}`
-        ).join('\n')}`
-      }],
-      max_tokens: 400
-    });
+    console.log('✅ Learning path assignment removed:', req.params.assignmentId);
+    res.json({ id: req.params.assignmentId, deleted: true });
+  } catch (error) {
+    console.error('❌ Error removing learning path assignment:', error);
+    res.status(500).json({ error: 'Failed to remove learning path assignment', details: error.message });
+  }
+});
+
+// Progress of every assigned rep the requester can see
+app.get('/api/learning-paths/:pathId/progress', authenticateToken, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const path = await db.learningPaths.findOne({ id: req.params.pathId });
+    if (!path) {
+      return res.status(404).json({ error: 'Learning path not found' });
+    }
     
-    const aiFeedback = completion.choices[0].message.content;
+    const steps = await resolvePathSteps(path);
+    const reps = [];
+    for (const uid of await pathAssignees(path.id)) {
+      if (!(await canViewUserSessions(req.user, uid))) continue;
+      reps.push(await computeUserPathProgress(path, steps, uid));
+    }
     
     res.json({
-      analysis: {
-        ...googleAdsAnalysis,
-        aiFeedback,
-        skillArea: scenario?.get('sales_skill_area'),
-        coachingRecommendations: generateCoachingRecommendations(googleAdsAnalysis)
+      path: formatPath(path),
+      reps,
+      summary: {
+        assignedReps: reps.length,
+        completedReps: reps.filter(rep => rep.completed).length,
+        averagePercentComplete: reps.length > 0
+          ? Math.round(reps.reduce((sum, rep) => sum + rep.percentComplete, 0) / reps.length)
+          : 0
       }
     });
+  } catch (error) {
+    console.error('❌ Error fetching learning path progress:', error);
+    res.status(500).json({ error: 'Failed to fetch learning path progress', details: error.message });
+  }
+});
+
+// One rep's progress; reps can see their own
+app.get('/api/learning-paths/:pathId/progress/:uid', authenticateToken, async (req, res) => {
+  try {
+    const { pathId, uid } = req.params;
+    const path = await db.learningPaths.findOne({ id: pathId });
+    if (!path || !(await canViewUserSessions(req.user, uid))) {
+      return res.status(404).json({ error: 'Learning path not found' });
+    }
+    if (!(await assignedPathIds(uid)).includes(path.id)) {
+      return res.status(404).json({ error: 'Learning path is not assigned to this user' });
+    }
     
+    const steps = await resolvePathSteps(path);
+    res.json(await computeUserPathProgress(path, steps, uid));
   } catch (error) {
-    console.error('Error analyzing Google Ads performance:', error);
-    res.status(500).json({ error: 'Failed to analyze performance' });
+    console.error('❌ Error fetching learning path progress:', error);
+    res.status(500).json({ error: 'Failed to fetch learning path progress', details: error.message });
   }
 });
 
-// Google Ads performance analysis function - UPDATED
-function analyzeGoogleAdsPerformance(transcript, conversationHistory, scenario) {
-  const userMessages = conversationHistory.filter(msg => msg.speaker === 'user');
-  const allUserText = userMessages.map(msg => msg.message).join(' ').toLowerCase();
-  
-  // Google Ads concept recognition
-  const googleAdsConcepts = [
-    'quality score', 'cpc', 'ctr', 'roas', 'performance max', 'smart campaigns',
-    'search campaigns', 'display network', 'youtube ads', 'shopping campaigns',
-    'keyword research', 'negative keywords', 'bidding strategy', 'ad extensions',
-    'conversion tracking', 'remarketing', 'audience targeting', 'budget optimization'
-  ];
-  
-  const conceptsUsed = googleAdsConcepts.filter(concept => 
-    allUserText.includes(concept.toLowerCase())
-  );
-  
-  // Discovery questions analysis
-  const discoveryQuestions = userMessages.filter(msg => 
-    msg.message.includes('?') && (
-      msg.message.toLowerCase().includes('goal') ||
-      msg.message.toLowerCase().includes('currently') ||
-      msg.message.toLowerCase().includes('budget') ||
-      msg.message.toLowerCase().includes('target') ||
-      msg.message.toLowerCase().includes('competition') ||
-      msg.message.toLowerCase().includes('challenge') ||
-      msg.message.toLowerCase().includes('measure') ||
-      msg.message.toLowerCase().includes('success')
-    )
-  ).length;
-  
-  // Objection handling detection
-  const objectionHandling = userMessages.filter(msg =>
-    msg.message.toLowerCase().includes('understand') ||
-    msg.message.toLowerCase().includes('let me explain') ||
-    msg.message.toLowerCase().includes('for example') ||
-    msg.message.toLowerCase().includes('actually') ||
-    msg.message.toLowerCase().includes('what i mean') ||
-    msg.message.toLowerCase().includes('let me show you')
-  ).length;
-  
-  // Business value demonstration
-  const businessValueMentions = userMessages.filter(msg =>
-    msg.message.toLowerCase().includes('roi') ||
-    msg.message.toLowerCase().includes('return') ||
-    msg.message.toLowerCase().includes('revenue') ||
-    msg.message.toLowerCase().includes('growth') ||
-    msg.message.toLowerCase().includes('customers') ||
-    msg.message.toLowerCase().includes('sales')
-  ).length;
-  
-  // Calculate scores (1-5 scale)
+// Scoring rubrics
+// Built-in rubrics live in lib/rubrics.js; trainers add their own here,
+// attached to a scenario or to a sales skill area.
+
+// null when the stored definition is not valid JSON (e.g. edited by hand in the sheet)
+function toRubric(record) {
+  let definition;
+  try {
+    definition = JSON.parse(record.definition || '{}');
+  } catch {
+    return null;
+  }
+  if (!definition || typeof definition !== 'object') return null;
   return {
-    discovery_score: Math.min(5, Math.max(1, Math.ceil(discoveryQuestions / 2))),
-    product_knowledge_score: Math.min(5, Math.max(1, conceptsUsed.length)),
-    objection_handling_score: Math.min(5, Math.max(1, objectionHandling)),
-    solution_fit_score: Math.min(5, Math.max(1, conceptsUsed.includes('performance max') || conceptsUsed.includes('smart campaigns') ? 4 : 2)),
-    clarity_confidence_score: Math.min(5, Math.max(1, Math.ceil(userMessages.length / 3))),
-    business_value_score: Math.min(5, Math.max(1, businessValueMentions)),
-    overall_effectiveness_score: Math.min(5, Math.max(1, Math.ceil((discoveryQuestions + conceptsUsed.length + objectionHandling + businessValueMentions) / 4))),
-    google_ads_concepts_used: conceptsUsed,
-    conversation_length: conversationHistory.length,
-    user_message_count: userMessages.length
+    id: record.id,
+    name: record.name,
+    criteria: Array.isArray(definition.criteria) ? definition.criteria : [],
+    overall: definition.overall
   };
 }
 
-function generateCoachingRecommendations(analysis) {
-  const recommendations = [];
+// A corrupt row is listed with invalid: true instead of failing the listing
+const formatRubric = record => ({
+  ...(toRubric(record) || { id: record.id, name: record.name, criteria: [], invalid: true }),
+  scenarioId: record.scenarioId || null,
+  skillArea: record.skillArea || null,
+  is_active: record.is_active !== 'FALSE',
+  builtIn: false,
+  updatedAt: record.updatedAt
+});
+
+// Scenario-specific rubric first, then one for the scenario's skill area
+async function findRubricForScenario(scenario) {
+  if (!scenario) return null;
+  return matchRubric(await db.rubrics.list(), scenario);
+}
+
+// findRubricForScenario over rubric rows already loaded
+function matchRubric(rows, scenario) {
+  if (!scenario) return null;
   
-  if (analysis.discovery_score < 3) {
-    recommendations.push("Practice asking more discovery questions about client goals and current marketing");
-  }
+  const rubrics = rows.filter(rubric => rubric.is_active !== 'FALSE');
+  const scenarioIds = [scenario.id, scenario.scenario_id].filter(Boolean);
+  const skillArea = (scenario.sales_skill_area || '').toLowerCase();
   
-  if (analysis.product_knowledge_score < 3) {
-    recommendations.push("Study Google Ads products: Performance Max, Smart Campaigns, and Search Campaigns");
-  }
+  const match = rubrics.find(rubric => rubric.scenarioId && scenarioIds.includes(rubric.scenarioId)) ||
+    rubrics.find(rubric => rubric.skillArea && skillArea && rubric.skillArea.toLowerCase() === skillArea);
+  
+  if (!match) return null;
   
-  if (analysis.objection_handling_score < 3) {
-    recommendations.push("Work on addressing budget and ROI concerns with examples and case studies");
+  const rubric = toRubric(match);
+  if (!rubric) {
+    console.error('❌ Invalid rubric definition, falling back to default:', match.id);
   }
+  return rubric;
+}
+
+async function validateRubricRequest(body) {
+  const errors = validateRubricDefinition(body);
   
-  if (analysis.business_value_score < 3) {
-    recommendations.push("Focus more on business outcomes and ROI rather than just features");
+  if (body.scenarioId !== undefined && body.scenarioId !== null) {
+    if (typeof body.scenarioId !== 'string' || !(await findScenario(body.scenarioId))) {
+      errors.push({ field: 'scenarioId', message: 'Scenario not found' });
+    }
+  }
+  if (body.skillArea !== undefined && body.skillArea !== null && typeof body.skillArea !== 'string') {
+    errors.push({ field: 'skillArea', message: 'skillArea must be a string' });
+  }
+  if (body.is_active !== undefined && typeof body.is_active !== 'boolean') {
+    errors.push({ field: 'is_active', message: 'is_active must be a boolean' });
   }
   
-  return recommendations;
+  return errors;
 }
-// Get user sessions
-app.get('/api/sessions/history', authenticateToken, async (req, res) => {
+
+const rubricValues = body => ({
+  name: body.name.trim(),
+  scenarioId: body.scenarioId || '',
+  skillArea: body.skillArea ? body.skillArea.trim() : '',
+  definition: JSON.stringify({ criteria: body.criteria, overall: body.overall }),
+  is_active: body.is_active !== false,
+  updatedAt: new Date().toISOString()
+});
+
+// List rubrics (built-in first)
+app.get('/api/rubrics', authenticateToken, requireRole('manager', 'admin'), async (req, res) => {
   try {
-    const { limit = 10, offset = 0 } = req.query;
-    
-    console.log('🔍 ===== SESSIONS HISTORY DEBUG =====');
-    console.log('🔍 User requesting history:', req.user.uid);
-    console.log('🔍 Query params:', { limit, offset });
-    
-    const sessionsSheet = doc.sheetsByTitle['Sessions'];
-    const feedbackSheet = doc.sheetsByTitle['Feedback'];
+    const builtIn = [DEFAULT_RUBRIC, GOOGLE_ADS_COACHING_RUBRIC].map(rubric => ({ ...rubric, builtIn: true }));
+    const rubrics = await db.rubrics.list();
     
-    if (!sessionsSheet) {
-      console.error('❌ Sessions sheet not found');
-      return res.status(500).json({ error: 'Sessions sheet not found' });
-    }
-    
-    if (!feedbackSheet) {
-      console.error('❌ Feedback sheet not found');
-      return res.status(500).json({ error: 'Feedback sheet not found' });
+    res.json([...builtIn, ...rubrics.map(formatRubric)]);
+  } catch (error) {
+    console.error('❌ Error listing rubrics:', error);
+    res.status(500).json({ error: 'Failed to list rubrics', details: error.message });
+  }
+});
+
+// Create rubric
+app.post('/api/rubrics', authenticateToken, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const errors = await validateRubricRequest(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid rubric', details: errors });
     }
     
-    const [sessionRows, feedbackRows] = await Promise.all([
-      sessionsSheet.getRows(),
-      feedbackSheet.getRows()
-    ]);
-    
-    console.log('🔍 Total session rows:', sessionRows.length);
-    console.log('🔍 Total feedback rows:', feedbackRows.length);
-    
-    // Filter sessions for this user
-    const userSessions = sessionRows.filter(row => {
-      const rowUserId = row.get('userId');
-      const isMatch = rowUserId === req.user.uid;
-      if (isMatch) {
-        console.log('✅ Found user session:', row.get('id'), 'status:', row.get('status'));
-      }
-      return isMatch;
-    });
-    
-    console.log('🔍 User sessions found:', userSessions.length);
-    
-    // Map sessions with feedback
-    const sessionsWithFeedback = userSessions.map(session => {
-      const sessionId = session.get('id');
-      const feedback = feedbackRows.find(f => f.get('sessionId') === sessionId);
-      
-      console.log('🔍 Processing session:', sessionId, 'has feedback:', !!feedback);
-      
-      return {
-        id: sessionId,
-        scenarioId: session.get('scenarioId') || 'unknown',
-        scenarioTitle: `Practice Session ${sessionId.split('_')[1] || 'Unknown'}`,
-        scenarioCategory: 'General',
-        scenarioDifficulty: 'Medium',
-        startTime: session.get('startTime'),
-        endTime: session.get('endTime'),
-        duration: parseInt(session.get('duration')) || 0,
-        status: session.get('status') || 'completed',
-        feedback: feedback ? {
-          talkTimeRatio: parseInt(feedback.get('talkTimeRatio')) || 50,
-          fillerWordCount: parseInt(feedback.get('fillerWordCount')) || 0,
-          confidenceScore: parseInt(feedback.get('confidenceScore')) || 50,
-          conversationLength: parseInt(feedback.get('conversationLength')) || 0,
-          aiFeedback: feedback.get('aiFeedback')
-        } : null
-      };
+    const rubric = await db.rubrics.insert({
+      id: `rubric_${Date.now()}`,
+      ...rubricValues(req.body),
+      createdBy: req.user.uid,
+      createdAt: new Date().toISOString()
     });
     
-    // Sort by most recent first
-    sessionsWithFeedback.sort((a, b) => 
-      new Date(b.startTime || 0) - new Date(a.startTime || 0)
-    );
-    
-    // Calculate summary stats
-    const completedSessions = sessionsWithFeedback.filter(s => s.status === 'completed');
-    const avgConfidence = completedSessions.length > 0 && completedSessions.some(s => s.feedback?.confidenceScore)
-      ? Math.round(
-          completedSessions
-            .filter(s => s.feedback?.confidenceScore)
-            .reduce((sum, s) => sum + s.feedback.confidenceScore, 0) / 
-          completedSessions.filter(s => s.feedback?.confidenceScore).length
-        )
-      : 0;
-    
-    const avgDuration = completedSessions.length > 0
-      ? Math.round(
-          completedSessions.reduce((sum, s) => sum + s.duration, 0) / 
-          completedSessions.length / 60000
-        ) // Convert to minutes
-      : 0;
-    
-    // Apply pagination
-    const paginatedSessions = sessionsWithFeedback.slice(
-      parseInt(offset), 
-      parseInt(offset) + parseInt(limit)
-    );
-    
-    const result = {
-      sessions: paginatedSessions,
-      pagination: {
-        total: sessionsWithFeedback.length,
-        offset: parseInt(offset),
-        limit: parseInt(limit),
-        hasMore: sessionsWithFeedback.length > (parseInt(offset) + parseInt(limit))
-      },
-      summary: {
-        totalSessions: sessionsWithFeedback.length,
-        completedSessions: completedSessions.length,
-        avgConfidenceScore: avgConfidence,
-        avgDurationMinutes: avgDuration
-      }
-    };
-    
-    console.log('✅ Final result summary:', result.summary);
-    console.log('✅ Sessions being returned:', result.sessions.length);
-    console.log('🔍 ===== SESSIONS HISTORY COMPLETE =====');
+    console.log('✅ Rubric created:', rubric.id);
+    res.status(201).json(formatRubric(rubric));
+  } catch (error) {
+    console.error('❌ Error creating rubric:', error);
+    res.status(500).json({ error: 'Failed to create rubric', details: error.message });
+  }
+});
+
+// Replace a rubric's definition
+app.put('/api/rubrics/:rubricId', authenticateToken, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const errors = await validateRubricRequest(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid rubric', details: errors });
+    }
     
-    res.json(result);
+    const rubric = await db.rubrics.update({ id: req.params.rubricId }, rubricValues(req.body));
+    if (!rubric) {
+      return res.status(404).json({ error: 'Rubric not found' });
+    }
     
+    console.log('✅ Rubric updated:', rubric.id);
+    res.json(formatRubric(rubric));
   } catch (error) {
-    console.error('❌ Error fetching session history:', error);
-    res.status(500).json({ error: 'Failed to fetch session history', details: error.message });
+    console.error('❌ Error updating rubric:', error);
+    res.status(500).json({ error: 'Failed to update rubric', details: error.message });
   }
 });
-app.get('/api/sessions/:sessionId/details', authenticateToken, async (req, res) => {
+
+// Delete rubric; scenarios fall back to the skill-area or default rubric
+app.delete('/api/rubrics/:rubricId', authenticateToken, requireRole('manager', 'admin'), async (req, res) => {
   try {
-    const { sessionId } = req.params;
-    
-    const sessionsSheet = doc.sheetsByTitle['Sessions'];
-    const feedbackSheet = doc.sheetsByTitle['Feedback'];
-    const scenariosSheet = doc.sheetsByTitle['Scenarios'];
+    const removed = await db.rubrics.remove({ id: req.params.rubricId });
+    if (removed === 0) {
+      return res.status(404).json({ error: 'Rubric not found' });
+    }
     
-    const [sessionRows, feedbackRows, scenarioRows] = await Promise.all([
-      sessionsSheet.getRows(),
-      feedbackSheet.getRows(),
-      scenariosSheet.getRows()
-    ]);
+    console.log('✅ Rubric deleted:', req.params.rubricId);
+    res.json({ id: req.params.rubricId, deleted: true });
+  } catch (error) {
+    console.error('❌ Error deleting rubric:', error);
+    res.status(500).json({ error: 'Failed to delete rubric', details: error.message });
+  }
+});
+
+// Try a rubric against a recorded session without saving anything
+app.post('/api/rubrics/:rubricId/evaluate', authenticateToken, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const { sessionId } = req.body;
     
-    const session = sessionRows.find(row => 
-      row.get('id') === sessionId && row.get('userId') === req.user.uid
-    );
+    const builtIn = [DEFAULT_RUBRIC, GOOGLE_ADS_COACHING_RUBRIC].find(rubric => rubric.id === req.params.rubricId);
+    const record = builtIn ? null : await db.rubrics.findOne({ id: req.params.rubricId });
+    if (!builtIn && !record) {
+      return res.status(404).json({ error: 'Rubric not found' });
+    }
+    const rubric = builtIn || toRubric(record);
+    if (!rubric) {
+      return res.status(422).json({ error: 'Rubric definition is invalid', details: 'Fix or replace the rubric before evaluating with it' });
+    }
     
-    if (!session) {
+    const session = sessionId ? await db.sessions.findOne({ id: sessionId }) : null;
+    if (!session || !(await canViewUserSessions(req.user, session.userId))) {
       return res.status(404).json({ error: 'Session not found' });
     }
     
-    const feedback = feedbackRows.filter(f => f.get('sessionId') === sessionId);
-    const scenarioData = scenarioRows.find(s => 
-      s.get('id') === session.get('scenarioId') || 
-      s.rowNumber.toString() === session.get('scenarioId')
-    );
-    
-    // Get conversation history from feedback
-    const conversationHistory = feedback
-      .filter(f => f.get('userMessage') && f.get('aiResponse'))
-      .map(f => ({
-        userMessage: f.get('userMessage'),
-        aiResponse: f.get('aiResponse'),
-        timestamp: f.get('timestamp')
-      }))
-      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const turns = await getSessionTurns(sessionId);
+    const analysis = analyzeSession(session.transcript, turns, rubric);
     
     res.json({
-      session: {
-        id: session.get('id'),
-        startTime: session.get('startTime'),
-        endTime: session.get('endTime'),
-        duration: parseInt(session.get('duration')) || 0,
-        transcript: session.get('transcript'),
-        status: session.get('status')
-      },
-      scenario: scenarioData ? {
-        title: scenarioData.get('title'),
-        description: scenarioData.get('description'),
-        category: scenarioData.get('category'),
-        difficulty: scenarioData.get('difficulty'),
-        objectives: scenarioData.get('scenario_objectives')
-      } : null,
-      feedback: feedback.length > 0 ? {
-        talkTimeRatio: parseInt(feedback[0].get('talkTimeRatio')) || 0,
-        confidenceScore: parseInt(feedback[0].get('confidenceScore')) || 0,
-        fillerWordCount: parseInt(feedback[0].get('fillerWordCount')) || 0,
-        conversationLength: parseInt(feedback[0].get('conversationLength')) || 0,
-        aiFeedback: feedback[0].get('aiFeedback')
-      } : null,
-      conversationHistory
+      analysis,
+      coachingRecommendations: generateCoachingRecommendations(analysis, rubric)
     });
   } catch (error) {
-    console.error('Error fetching session details:', error);
-    res.status(500).json({ error: 'Failed to fetch session details' });
+    console.error('❌ Error evaluating rubric:', error);
+    res.status(500).json({ error: 'Failed to evaluate rubric', details: error.message });
   }
 });
 
-
 // Initialize and start server
+// Configuration checks and storage setup. Throws when the server can't run.
+async function initServer() {
+  redactor = createRedactorFromEnv(process.env);
+
+  // A database that can't be migrated stops startup. Sheets keeps its old
+  // behaviour: the error is logged and the server still comes up.
+  try {
+    await db.init();
+    console.log(`Storage initialized (${db.backend})`);
+  } catch (error) {
+    if (db.backend !== 'sheets') throw error;
+    console.error('Error initializing Google Sheets:', error);
+  }
+}
+
 async function startServer() {
   try {
-    if (serviceAccount) {
-      await initializeSheet();
+    await initServer();
+
+    // Periodically close sessions that were left open
+    if (lifecycleConfig.sweepIntervalMs > 0) {
+      setInterval(() => {
+        sweepStaleSessions()
+          .then(swept => swept > 0 && console.log(`🧹 Closed ${swept} stale session(s)`))
+          .catch(error => console.error('❌ Error sweeping stale sessions:', error));
+      }, lifecycleConfig.sweepIntervalMs).unref();
     }
     
+    jobs.start();
+    
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
       console.log(`Health check: http://localhost:${PORT}/health`);
@@ -1216,4 +3972,9 @@ async function startServer() {
   }
 }
 
-startServer();
+// Started directly (npm start); tests require the app without listening
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { app, db, jobs, initServer };
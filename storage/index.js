@@ -0,0 +1,79 @@
+const { collections } = require('./schema');
+const { createMemoryStore } = require('./memoryStore');
+const { createSheetsStore } = require('./sheetsStore');
+const { createSqlStore } = require('./sqlStore');
+const { isDuplicateKey } = require('./records');
+
+// Storage layer entry point. Every backend exposes one repository per
+// collection in ./schema with the same async interface:
+//
+//   list(where)          -> records matching `where` (all when omitted)
+//   findOne(where)       -> first matching record or null
+//   insert(record)       -> inserted record; throws a DUPLICATE_KEY error
+//                           (see isDuplicateKey) on a `unique` field clash
+//   update(where, patch) -> first matching record after the patch, or null
+//   remove(where)        -> number of records removed
+//
+// Records are plain objects whose values are strings (see ./records), plus a
+// read-only `_rowNumber` giving the record's position like a sheet row.
+//
+// update() is a compare-and-set: it only patches a record that still matches
+// every field in `where`, so putting the value you read (a status, a counter)
+// in `where` and retrying on null makes a read-modify-write safe. The match
+// and the write are one statement on sqlite/postgres and one synchronous step
+// in memory. Sheets can only serialize writes within this process.
+//
+// STORAGE_BACKEND selects the backend: sheets | sqlite | postgres | memory.
+// It defaults to sheets when GOOGLE_SHEETS_ID is set. Memory keeps nothing
+// across restarts, so it is only the default when NODE_ENV is development or
+// test; anywhere else a missing configuration is an error.
+
+const DEVELOPMENT_ENVS = ['development', 'test'];
+
+function resolveBackend(env) {
+  if (env.STORAGE_BACKEND) return env.STORAGE_BACKEND.toLowerCase();
+  if (env.GOOGLE_SHEETS_ID) return 'sheets';
+  if (DEVELOPMENT_ENVS.includes(env.NODE_ENV)) return 'memory';
+  throw new Error('No storage configured: set GOOGLE_SHEETS_ID or STORAGE_BACKEND (sheets, sqlite, postgres, or memory to keep nothing across restarts)');
+}
+
+function createStorage({ env = process.env, serviceAccount } = {}) {
+  const backend = resolveBackend(env);
+
+  let store;
+  switch (backend) {
+    case 'sheets':
+      store = createSheetsStore(collections, {
+        sheetId: env.GOOGLE_SHEETS_ID,
+        serviceAccount
+      });
+      break;
+    case 'sqlite':
+      store = createSqlStore(collections, {
+        dialect: 'sqlite',
+        sqlitePath: env.SQLITE_PATH
+      });
+      break;
+    case 'postgres':
+      store = createSqlStore(collections, {
+        dialect: 'postgres',
+        databaseUrl: env.DATABASE_URL
+      });
+      break;
+    case 'memory':
+      store = createMemoryStore(collections);
+      break;
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  }
+
+  return {
+    ...store.repositories,
+    backend: store.backend,
+    init: () => store.init(),
+    close: () => (store.close ? store.close() : Promise.resolve()),
+    getDoc: store.getDoc
+  };
+}
+
+module.exports = { createStorage, collections, isDuplicateKey };
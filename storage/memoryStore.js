@@ -0,0 +1,78 @@
+const { normalizeRecord, matchesWhere, assertKnownFields, duplicateKeyError } = require('./records');
+
+// In-memory backend. Nothing is persisted; used for local development and
+// tests where no Google service account or database is available. Fields are
+// checked against the schema like the SQL backend, so tests catch a field
+// that is missing from ./schema.
+function createMemoryRepository(name, definition) {
+  const rows = [];
+  const columns = new Set(definition.columns);
+  const checkFields = keys => assertKnownFields(name, columns, keys);
+
+  const withRowNumber = (row, index) => ({ ...row, _rowNumber: index + 2 });
+
+  return {
+    name,
+
+    async list(where = {}) {
+      checkFields(Object.keys(where));
+      return rows
+        .map(withRowNumber)
+        .filter(row => matchesWhere(row, where));
+    },
+
+    async findOne(where = {}) {
+      checkFields(Object.keys(where));
+      const index = rows.findIndex(row => matchesWhere(row, where));
+      return index === -1 ? null : withRowNumber(rows[index], index);
+    },
+
+    async insert(record) {
+      const values = normalizeRecord(record);
+      checkFields(Object.keys(values));
+      for (const field of definition.unique || []) {
+        if (rows.some(row => row[field] === values[field])) {
+          throw duplicateKeyError(name, field, values[field]);
+        }
+      }
+      rows.push(values);
+      return withRowNumber(rows[rows.length - 1], rows.length - 1);
+    },
+
+    async update(where, patch) {
+      const values = normalizeRecord(patch);
+      checkFields([...Object.keys(values), ...Object.keys(where)]);
+      const index = rows.findIndex(row => matchesWhere(row, where));
+      if (index === -1) return null;
+      rows[index] = { ...rows[index], ...values };
+      return withRowNumber(rows[index], index);
+    },
+
+    async remove(where) {
+      checkFields(Object.keys(where));
+      let removed = 0;
+      for (let i = rows.length - 1; i >= 0; i--) {
+        if (matchesWhere(rows[i], where)) {
+          rows.splice(i, 1);
+          removed++;
+        }
+      }
+      return removed;
+    }
+  };
+}
+
+function createMemoryStore(collections) {
+  const repositories = {};
+  for (const [name, definition] of Object.entries(collections)) {
+    repositories[name] = createMemoryRepository(name, definition);
+  }
+
+  return {
+    backend: 'memory',
+    repositories,
+    async init() {}
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,62 @@
+// Helpers shared by the storage backends.
+//
+// Google Sheets hands every cell back as a string, and the routes were written
+// against that (parseInt on read, 'FALSE' checks, JSON.stringify for nested
+// data). Every backend therefore stores field values as strings so the routes
+// behave the same whichever one is configured.
+
+function toStoredValue(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function normalizeRecord(record = {}) {
+  const normalized = {};
+  for (const [key, value] of Object.entries(record)) {
+    if (value === undefined || key === '_rowNumber') continue;
+    normalized[key] = toStoredValue(value);
+  }
+  return normalized;
+}
+
+// `where` is a plain object of field -> value. An array value matches any of
+// its entries. Comparison is done on stored (string) values.
+function matchesWhere(record, where = {}) {
+  return Object.entries(where).every(([key, expected]) => {
+    const actual = record[key] === undefined ? '' : record[key];
+    if (Array.isArray(expected)) {
+      return expected.map(toStoredValue).includes(actual);
+    }
+    return actual === toStoredValue(expected);
+  });
+}
+
+// Fields outside the collection's columns. The SQL and memory backends reject
+// them rather than altering tables on the fly: new fields go in ./schema and
+// are created by init().
+function assertKnownFields(name, columns, keys) {
+  const unknown = keys.filter(key => !columns.has(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown field(s) for ${name}: ${unknown.join(', ')} (add them to storage/schema.js)`);
+  }
+}
+
+// Thrown by insert() when a `unique` field (see ./schema) already holds the value
+function duplicateKeyError(name, field, value) {
+  const error = new Error(`Duplicate ${field} for ${name}: ${value}`);
+  error.code = 'DUPLICATE_KEY';
+  return error;
+}
+
+const isDuplicateKey = error => Boolean(error) && error.code === 'DUPLICATE_KEY';
+
+module.exports = {
+  toStoredValue,
+  normalizeRecord,
+  matchesWhere,
+  assertKnownFields,
+  duplicateKeyError,
+  isDuplicateKey
+};
@@ -0,0 +1,131 @@
+// Collection definitions shared by every storage backend.
+// `sheet` is the worksheet title used by the Google Sheets backend, `columns`
+// are the known fields (Sheets header row / SQL columns) and `indexes` are the
+// fields we look records up by, which the SQL backend indexes. `unique` fields
+// can't repeat: insert() throws an error with code DUPLICATE_KEY instead.
+const collections = {
+  users: {
+    sheet: 'Users',
+    columns: [
+      'uid', 'email', 'createdAt', 'lastActive',
+      'role', 'roleUpdatedBy', 'roleUpdatedAt', 'teamId'
+    ],
+    indexes: ['uid', 'teamId']
+  },
+  teams: {
+    sheet: 'Teams',
+    columns: ['id', 'name', 'managerId', 'createdBy', 'createdAt'],
+    indexes: ['id', 'managerId']
+  },
+  sessions: {
+    sheet: 'Sessions',
+    columns: [
+      'id', 'userId', 'scenarioId', 'roomUrl', 'startTime', 'endTime',
+      'duration', 'status', 'transcript', 'objections',
+      'buyerState', 'outcome', 'piiDetections', 'pausedAt', 'resumedAt', 'pausedMs',
+      'statusReason', 'statusUpdatedAt', 'roomName', 'roomExpiresAt', 'roomDeletedAt',
+      'participants', 'joinedAt', 'leftAt', 'recordingId', 'recordingDuration',
+      'recordingStartedAt', 'transcriptId', 'videoTranscript', 'analysisJobId', 'turnCount'
+    ],
+    indexes: ['id', 'userId', 'roomName']
+  },
+  scenarios: {
+    sheet: 'Scenarios',
+    columns: [
+      'id', 'scenario_id', 'title', 'description', 'difficulty', 'category',
+      'ai_character_name', 'ai_character_role', 'ai_character_personality',
+      'ai_character_background', 'sales_skill_area', 'buyer_persona',
+      'google_ads_focus', 'business_vertical', 'campaign_complexity',
+      'key_objections', 'pii_allow_list', 'success_metrics', 'coaching_focus',
+      'scenario_objectives', 'estimated_duration', 'ai_prompts',
+      'usage_count', 'is_active', 'enable_recording', 'enable_transcription',
+      'voice_id', 'voice_rate', 'voice_style',
+      'status', 'createdBy', 'createdAt', 'updatedAt'
+    ],
+    indexes: ['id', 'scenario_id']
+  },
+  feedback: {
+    sheet: 'Feedback',
+    columns: [
+      'sessionId', 'userId', 'createdAt', 'talkTimeRatio', 'fillerWordCount',
+      'confidenceScore', 'aiFeedback', 'conversationLength', 'keyMetrics',
+      'evaluationSource', 'evaluation', 'talkListenRatio', 'wordsPerMinute',
+      'longestMonologueSeconds', 'responseLatencySeconds', 'interruptionCount', 'talkMetrics'
+    ],
+    indexes: ['sessionId', 'userId'],
+    // One row per session: an analysis job that runs twice replaces it
+    unique: ['sessionId']
+  },
+  rubrics: {
+    sheet: 'Rubrics',
+    columns: [
+      'id', 'name', 'scenarioId', 'skillArea', 'definition', 'is_active',
+      'createdBy', 'createdAt', 'updatedAt'
+    ],
+    indexes: ['id', 'scenarioId']
+  },
+  learningPaths: {
+    sheet: 'LearningPaths',
+    columns: ['id', 'name', 'description', 'steps', 'is_active', 'createdBy', 'createdAt', 'updatedAt'],
+    indexes: ['id']
+  },
+  learningPathAssignments: {
+    sheet: 'LearningPathAssignments',
+    columns: ['id', 'pathId', 'userId', 'teamId', 'assignedBy', 'createdAt'],
+    indexes: ['id', 'pathId', 'userId', 'teamId']
+  },
+  usage: {
+    sheet: 'Usage',
+    columns: [
+      'id', 'userId', 'sessionId', 'endpoint', 'useCase', 'provider', 'model',
+      'promptTokens', 'completionTokens', 'totalTokens', 'audioSeconds', 'characters', 'estimated', 'costUsd', 'createdAt'
+    ],
+    indexes: ['userId', 'sessionId']
+  },
+  // Running per-user totals for quota checks, one row per user and quota
+  // window (id: <userId>:<period>:<window start>)
+  usageTotals: {
+    sheet: 'UsageTotals',
+    columns: ['id', 'userId', 'period', 'periodStart', 'calls', 'totalTokens', 'audioSeconds', 'characters', 'costUsd', 'updatedAt'],
+    indexes: ['userId'],
+    unique: ['id']
+  },
+  jobs: {
+    sheet: 'Jobs',
+    columns: [
+      'id', 'type', 'status', 'payload', 'attempts', 'maxAttempts', 'lastError',
+      'result', 'createdAt', 'runAt', 'startedAt', 'finishedAt'
+    ],
+    indexes: ['id', 'status']
+  },
+  webhooks: {
+    sheet: 'Webhooks',
+    columns: ['id', 'url', 'events', 'description', 'secret', 'active', 'createdBy', 'createdAt', 'updatedAt'],
+    indexes: ['id']
+  },
+  webhookDeliveries: {
+    sheet: 'WebhookDeliveries',
+    columns: [
+      'id', 'subscriptionId', 'eventId', 'event', 'url', 'payload', 'status', 'attempts',
+      'responseStatus', 'responseBody', 'error', 'durationMs', 'replayOf',
+      'createdAt', 'lastAttemptAt', 'deliveredAt'
+    ],
+    indexes: ['id', 'subscriptionId']
+  },
+  videoEvents: {
+    sheet: 'VideoEvents',
+    columns: ['id', 'type', 'roomName', 'sessionId', 'payload', 'receivedAt'],
+    indexes: ['id', 'sessionId'],
+    unique: ['id']
+  },
+  turns: {
+    sheet: 'Turns',
+    columns: [
+      'id', 'sessionId', 'userId', 'turnIndex', 'speaker', 'message', 'timestamp',
+      'source', 'startedAt', 'endedAt'
+    ],
+    indexes: ['sessionId']
+  }
+};
+
+module.exports = { collections };
@@ -0,0 +1,170 @@
+const { GoogleSpreadsheet } = require('google-spreadsheet');
+const { JWT } = require('google-auth-library');
+const { normalizeRecord, matchesWhere, duplicateKeyError } = require('./records');
+
+// Google Sheets backend. Each collection maps to a worksheet whose header row
+// holds the column names. Lookups are full-sheet scans, so this backend suits
+// small deployments; use sqlite/postgres once the sheets grow.
+
+function rowToRecord(row) {
+  return { ...normalizeRecord(row.toObject()), _rowNumber: row.rowNumber };
+}
+
+// Append any unknown fields to the header row so addRow/save don't drop them
+async function ensureHeaders(sheet, keys) {
+  const missing = keys.filter(key => !sheet.headerValues.includes(key));
+  if (missing.length === 0) return;
+
+  const headers = [...sheet.headerValues, ...missing];
+  if (headers.length > sheet.columnCount) {
+    await sheet.resize({ rowCount: sheet.rowCount, columnCount: headers.length });
+  }
+  await sheet.setHeaderRow(headers);
+}
+
+function createSheetsRepository(name, definition, getDoc) {
+  const getSheet = () => {
+    const sheet = getDoc().sheetsByTitle[definition.sheet];
+    if (!sheet) {
+      throw new Error(`${definition.sheet} sheet not found`);
+    }
+    return sheet;
+  };
+
+  // Writes run one at a time so an update's find-and-save can't interleave
+  // with another write from this process (there is no cross-process lock)
+  let pending = Promise.resolve();
+  const exclusive = task => {
+    const run = pending.then(task, task);
+    pending = run.catch(() => {});
+    return run;
+  };
+
+  async function findRow(where) {
+    const rows = await getSheet().getRows();
+    return rows.find(row => matchesWhere(normalizeRecord(row.toObject()), where)) || null;
+  }
+
+  return {
+    name,
+
+    async list(where = {}) {
+      const rows = await getSheet().getRows();
+      return rows
+        .map(rowToRecord)
+        .filter(record => matchesWhere(record, where));
+    },
+
+    async findOne(where = {}) {
+      const row = await findRow(where);
+      return row ? rowToRecord(row) : null;
+    },
+
+    async insert(record) {
+      const sheet = getSheet();
+      const values = normalizeRecord(record);
+      const unique = definition.unique || [];
+      if (unique.length === 0) {
+        await ensureHeaders(sheet, Object.keys(values));
+        return rowToRecord(await sheet.addRow(values));
+      }
+
+      // Checked and added under the write lock, so within this process a
+      // unique value can't be inserted twice
+      return exclusive(async () => {
+        const rows = await sheet.getRows();
+        for (const field of unique) {
+          if (rows.some(row => normalizeRecord(row.toObject())[field] === values[field])) {
+            throw duplicateKeyError(name, field, values[field]);
+          }
+        }
+        await ensureHeaders(sheet, Object.keys(values));
+        return rowToRecord(await sheet.addRow(values));
+      });
+    },
+
+    update(where, patch) {
+      return exclusive(async () => {
+        const row = await findRow(where);
+        if (!row) return null;
+
+        const values = normalizeRecord(patch);
+        await ensureHeaders(getSheet(), Object.keys(values));
+        row.assign(values);
+        await row.save();
+        return rowToRecord(row);
+      });
+    },
+
+    remove(where) {
+      return exclusive(async () => {
+        const rows = await getSheet().getRows();
+        const matching = rows.filter(row => matchesWhere(normalizeRecord(row.toObject()), where));
+        // Delete bottom-up so earlier deletions don't shift later row numbers
+        for (const row of matching.reverse()) {
+          await row.delete();
+        }
+        return matching.length;
+      });
+    }
+  };
+}
+
+function createSheetsStore(collections, { sheetId, serviceAccount }) {
+  let doc;
+  const getDoc = () => {
+    if (!doc) {
+      throw new Error('Google Sheets not initialized');
+    }
+    return doc;
+  };
+
+  const repositories = {};
+  for (const [name, definition] of Object.entries(collections)) {
+    repositories[name] = createSheetsRepository(name, definition, getDoc);
+  }
+
+  async function init() {
+    if (!serviceAccount || !sheetId) {
+      throw new Error('Google Sheets backend requires FIREBASE_ADMIN_SDK credentials and GOOGLE_SHEETS_ID');
+    }
+
+    const jwt = new JWT({
+      email: serviceAccount.client_email,
+      key: serviceAccount.private_key,
+      scopes: ['https://www.googleapis.com/auth/spreadsheets']
+    });
+
+    doc = new GoogleSpreadsheet(sheetId, jwt);
+    await doc.loadInfo();
+
+    // Create sheets if they don't exist and make sure every known column has a header
+    for (const definition of Object.values(collections)) {
+      const sheet = doc.sheetsByTitle[definition.sheet];
+      if (!sheet) {
+        await doc.addSheet({ title: definition.sheet, headerValues: definition.columns });
+        continue;
+      }
+
+      try {
+        await sheet.loadHeaderRow();
+      } catch {
+        // Empty header row
+        await sheet.setHeaderRow(definition.columns);
+        continue;
+      }
+
+      await ensureHeaders(sheet, definition.columns);
+    }
+  }
+
+  return {
+    backend: 'sheets',
+    repositories,
+    init,
+    // Exposed for the sheet debugging endpoint
+    getDoc
+  };
+}
+
+module.exports = { createSheetsStore };
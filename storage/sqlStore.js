@@ -0,0 +1,249 @@
+const { normalizeRecord, toStoredValue, assertKnownFields, duplicateKeyError } = require('./records');
+
+// SQL backend for SQLite (better-sqlite3) and Postgres (pg). Each collection is
+// a table of TEXT columns plus an auto-incrementing `_seq` key that preserves
+// insertion order; lookup fields from the schema are indexed. Tables and
+// columns are migrated once in init(), never from the request path. Drivers
+// are required lazily so only the one in use needs to be installed.
+
+const dialects = {
+  sqlite: {
+    seqColumn: '"_seq" INTEGER PRIMARY KEY AUTOINCREMENT',
+    placeholder: () => '?',
+
+    connect({ sqlitePath }) {
+      const Database = require('better-sqlite3');
+      const db = new Database(sqlitePath || 'roleplay.db');
+      db.pragma('journal_mode = WAL');
+
+      return {
+        async query(sql, params = []) {
+          const statement = db.prepare(sql);
+          if (statement.reader) {
+            return { rows: statement.all(params), count: 0 };
+          }
+          const result = statement.run(params);
+          return { rows: [], count: result.changes };
+        },
+        async existingColumns(table) {
+          return db.prepare(`PRAGMA table_info("${table}")`).all().map(column => column.name);
+        },
+        async close() {
+          db.close();
+        }
+      };
+    }
+  },
+
+  postgres: {
+    seqColumn: '"_seq" BIGSERIAL PRIMARY KEY',
+    placeholder: index => `$${index}`,
+
+    connect({ databaseUrl }) {
+      const { Pool } = require('pg');
+      const pool = new Pool({ connectionString: databaseUrl });
+
+      return {
+        async query(sql, params = []) {
+          const result = await pool.query(sql, params);
+          return { rows: result.rows, count: result.rowCount };
+        },
+        async existingColumns(table) {
+          const result = await pool.query(
+            'SELECT column_name FROM information_schema.columns WHERE table_name = $1',
+            [table]
+          );
+          return result.rows.map(row => row.column_name);
+        },
+        async close() {
+          await pool.end();
+        }
+      };
+    }
+  }
+};
+
+// better-sqlite3 and pg codes for a unique constraint violation
+const UNIQUE_VIOLATIONS = ['SQLITE_CONSTRAINT_UNIQUE', 'SQLITE_CONSTRAINT_PRIMARYKEY', '23505'];
+
+const quote = identifier => `"${String(identifier).replace(/"/g, '""')}"`;
+
+function rowToRecord(row) {
+  const { _seq, ...fields } = row;
+  const record = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== null) record[key] = value;
+  }
+  return { ...normalizeRecord(record), _rowNumber: Number(_seq) + 1 };
+}
+
+function createSqlRepository(name, definition, connection, dialect) {
+  const table = quote(name);
+  const columns = new Set(definition.columns);
+
+  const checkFields = keys => assertKnownFields(name, columns, keys);
+
+  function buildConditions(where, params) {
+    return Object.entries(where).map(([key, expected]) => {
+      if (Array.isArray(expected)) {
+        if (expected.length === 0) return '1 = 0';
+        const placeholders = expected.map(value => {
+          params.push(toStoredValue(value));
+          return dialect.placeholder(params.length);
+        });
+        return `${quote(key)} IN (${placeholders.join(', ')})`;
+      }
+
+      const value = toStoredValue(expected);
+      params.push(value);
+      return value === ''
+        ? `COALESCE(${quote(key)}, '') = ${dialect.placeholder(params.length)}`
+        : `${quote(key)} = ${dialect.placeholder(params.length)}`;
+    });
+  }
+
+  function buildWhere(where, params) {
+    const clauses = buildConditions(where, params);
+    return clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+  }
+
+  return {
+    name,
+
+    // Creates the table, adds schema columns it is missing and builds indexes
+    async init() {
+      const columnDefinitions = definition.columns.map(column => `${quote(column)} TEXT`);
+      await connection.query(
+        `CREATE TABLE IF NOT EXISTS ${table} (${[dialect.seqColumn, ...columnDefinitions].join(', ')})`
+      );
+
+      const existing = await connection.existingColumns(name);
+      for (const column of definition.columns) {
+        if (!existing.includes(column)) {
+          await connection.query(`ALTER TABLE ${table} ADD COLUMN ${quote(column)} TEXT`);
+        }
+      }
+      // Columns added by hand (or by older versions) stay usable
+      existing.filter(column => column !== '_seq').forEach(column => columns.add(column));
+
+      for (const column of definition.indexes || []) {
+        await connection.query(
+          `CREATE INDEX IF NOT EXISTS ${quote(`idx_${name}_${column}`)} ON ${table} (${quote(column)})`
+        );
+      }
+      for (const column of definition.unique || []) {
+        await connection.query(
+          `CREATE UNIQUE INDEX IF NOT EXISTS ${quote(`uniq_${name}_${column}`)} ON ${table} (${quote(column)})`
+        );
+      }
+    },
+
+    async list(where = {}) {
+      checkFields(Object.keys(where));
+      const params = [];
+      const { rows } = await connection.query(
+        `SELECT * FROM ${table} ${buildWhere(where, params)} ORDER BY "_seq"`,
+        params
+      );
+      return rows.map(rowToRecord);
+    },
+
+    async findOne(where = {}) {
+      checkFields(Object.keys(where));
+      const params = [];
+      const { rows } = await connection.query(
+        `SELECT * FROM ${table} ${buildWhere(where, params)} ORDER BY "_seq" LIMIT 1`,
+        params
+      );
+      return rows.length > 0 ? rowToRecord(rows[0]) : null;
+    },
+
+    async insert(record) {
+      const values = normalizeRecord(record);
+      const keys = Object.keys(values);
+      checkFields(keys);
+
+      const params = keys.map(key => values[key]);
+      const sql = keys.length > 0
+        ? `INSERT INTO ${table} (${keys.map(quote).join(', ')}) VALUES (${keys.map((_, i) => dialect.placeholder(i + 1)).join(', ')}) RETURNING *`
+        : `INSERT INTO ${table} DEFAULT VALUES RETURNING *`;
+      try {
+        const { rows } = await connection.query(sql, params);
+        return rowToRecord(rows[0]);
+      } catch (error) {
+        if (!UNIQUE_VIOLATIONS.includes(error.code)) throw error;
+        const field = (definition.unique || []).find(column => error.message.includes(column)) || 'key';
+        throw duplicateKeyError(name, field, values[field]);
+      }
+    },
+
+    async update(where, patch) {
+      const values = normalizeRecord(patch);
+      const keys = Object.keys(values);
+      checkFields([...keys, ...Object.keys(where)]);
+
+      if (keys.length === 0) return this.findOne(where);
+
+      const params = keys.map(key => values[key]);
+      const assignments = keys.map((key, i) => `${quote(key)} = ${dialect.placeholder(i + 1)}`);
+      const whereClause = buildWhere(where, params);
+      // The subquery picks the row but Postgres (READ COMMITTED) doesn't re-run
+      // it after waiting on a concurrent write; only the outer WHERE is checked
+      // against the new row version. Repeating the conditions there keeps the
+      // compare-and-set from patching a row that no longer matches.
+      const recheck = buildConditions(where, params).map(clause => ` AND ${clause}`).join('');
+      const { rows } = await connection.query(
+        `UPDATE ${table} SET ${assignments.join(', ')} WHERE "_seq" = (SELECT "_seq" FROM ${table} ${whereClause} ORDER BY "_seq" LIMIT 1)${recheck} RETURNING *`,
+        params
+      );
+      return rows.length > 0 ? rowToRecord(rows[0]) : null;
+    },
+
+    async remove(where) {
+      checkFields(Object.keys(where));
+      const params = [];
+      const { count } = await connection.query(
+        `DELETE FROM ${table} ${buildWhere(where, params)}`,
+        params
+      );
+      return count;
+    }
+  };
+}
+
+function createSqlStore(collections, { dialect: dialectName, ...options }) {
+  const dialect = dialects[dialectName];
+  if (!dialect) {
+    throw new Error(`Unsupported SQL dialect: ${dialectName}`);
+  }
+
+  let connection;
+  // Repositories are created up front but only usable once init() has connected
+  const connectionProxy = {
+    query: (...args) => connection.query(...args),
+    existingColumns: (...args) => connection.existingColumns(...args)
+  };
+
+  const repositories = {};
+  for (const [name, definition] of Object.entries(collections)) {
+    repositories[name] = createSqlRepository(name, definition, connectionProxy, dialect);
+  }
+
+  return {
+    backend: dialectName,
+    repositories,
+
+    async init() {
+      connection = dialect.connect(options);
+      for (const repository of Object.values(repositories)) {
+        await repository.init();
+      }
+    },
+
+    async close() {
+      if (connection) await connection.close();
+    }
+  };
+}
+
+module.exports = { createSqlStore };
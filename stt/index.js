@@ -0,0 +1,96 @@
+const { createOpenAITranscriber } = require('./openaiTranscriber');
+const { createWhisperCppTranscriber } = require('./whisperCppTranscriber');
+const { createMockTranscriber } = require('./mockTranscriber');
+
+// Speech-to-text entry point. Every provider exposes:
+//
+//   transcribe({ audio, mimeType, language, prompt })
+//     -> { text, language, duration, segments: [{ start, end, text }] }
+//
+// `audio` is a Buffer; segment times are seconds from the start of the audio.
+//
+// STT_PROVIDER selects the backend (default openai when OPENAI_API_KEY is set).
+// The mock is only used when asked for; with no provider createSTT returns
+// null and speech input answers 503:
+//   openai       Whisper API, OPENAI_API_KEY; STT_MODEL (default whisper-1)
+//   whisper_cpp  a local whisper.cpp server at WHISPER_CPP_URL
+//                (e.g. http://localhost:8080)
+//   mock         canned transcript for offline development, see ./mockTranscriber
+//
+// Speech models tend to drop "um" and "uh". The default prompt is written
+// with fillers so they are kept for the filler word count in analyzeSession;
+// override it with STT_PROMPT.
+
+const DEFAULT_PROMPT = "Um, so, uh, I was like, hmm, thinking we could, you know, talk about your ads.";
+
+// File extension the providers use to detect the audio format
+const EXTENSIONS = {
+  'audio/webm': 'webm',
+  'video/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/m4a': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/flac': 'flac'
+};
+
+function audioFileName(mimeType) {
+  const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+  return `audio.${EXTENSIONS[type] || 'webm'}`;
+}
+
+function createProvider(name, env) {
+  switch (name) {
+    case 'openai':
+      return createOpenAITranscriber({ apiKey: env.OPENAI_API_KEY, model: env.STT_MODEL || 'whisper-1' });
+    case 'whisper_cpp':
+      return createWhisperCppTranscriber({ url: env.WHISPER_CPP_URL });
+    case 'mock':
+      return createMockTranscriber({ text: env.STT_MOCK_TEXT });
+    default:
+      throw new Error(`Unknown STT_PROVIDER: ${name}`);
+  }
+}
+
+function createSTT({ env = process.env, provider } = {}) {
+  const name = (env.STT_PROVIDER || (env.OPENAI_API_KEY ? 'openai' : '')).toLowerCase();
+  if (!provider && !name) return null;
+  const backend = provider || createProvider(name, env);
+  const defaultPrompt = env.STT_PROMPT || DEFAULT_PROMPT;
+
+  return {
+    provider: backend.name,
+    // Priced models only (see lib/usage.js); null for local and mock backends
+    model: backend.model || null,
+
+    async transcribe({ audio, mimeType, language, prompt }) {
+      const result = await backend.transcribe({
+        audio,
+        mimeType,
+        fileName: audioFileName(mimeType),
+        language,
+        prompt: prompt || defaultPrompt
+      });
+      const segments = (result.segments || [])
+        .map(segment => ({
+          start: Math.max(0, Number(segment.start) || 0),
+          end: Math.max(0, Number(segment.end) || 0),
+          text: String(segment.text || '').trim()
+        }))
+        .filter(segment => segment.text);
+      return {
+        text: (result.text || segments.map(segment => segment.text).join(' ')).trim(),
+        language: result.language || language || null,
+        duration: result.duration || (segments.length > 0 ? segments[segments.length - 1].end : 0),
+        segments
+      };
+    }
+  };
+}
+
+module.exports = { createSTT };
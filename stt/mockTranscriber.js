@@ -0,0 +1,28 @@
+// Offline transcriber for development. Ignores the audio and returns
+// STT_MOCK_TEXT (or a default line with fillers), one segment per sentence
+// timed at about 150 words a minute.
+
+const DEFAULT_TEXT = "Um, hi, this is Alex from Google. Uh, do you have a minute to talk about your ads?";
+const SECONDS_PER_WORD = 0.4;
+
+function createMockTranscriber({ text } = {}) {
+  const transcript = text || DEFAULT_TEXT;
+
+  return {
+    name: 'mock',
+
+    async transcribe({ language }) {
+      const sentences = transcript.split(/(?<=[.!?])\s+/);
+      const segments = [];
+      let start = 0;
+      for (const sentence of sentences.map(part => part.trim()).filter(Boolean)) {
+        const end = start + sentence.split(/\s+/).length * SECONDS_PER_WORD;
+        segments.push({ start, end: Math.round(end * 100) / 100, text: sentence });
+        start = Math.round(end * 100) / 100;
+      }
+      return { text: transcript, language: language || 'en', duration: start, segments };
+    }
+  };
+}
+
+module.exports = { createMockTranscriber };
@@ -0,0 +1,31 @@
+// OpenAI Whisper API. The SDK is required lazily like the LLM provider's.
+
+function createOpenAITranscriber({ apiKey, model }) {
+  const OpenAI = require('openai');
+  const { toFile } = require('openai');
+  const client = new OpenAI({ apiKey });
+
+  return {
+    name: 'openai',
+    model,
+
+    async transcribe({ audio, mimeType, fileName, language, prompt }) {
+      const result = await client.audio.transcriptions.create({
+        file: await toFile(audio, fileName, { type: mimeType }),
+        model,
+        response_format: 'verbose_json',
+        timestamp_granularities: ['segment'],
+        ...(language && { language }),
+        ...(prompt && { prompt })
+      });
+      return {
+        text: result.text,
+        language: result.language,
+        duration: result.duration,
+        segments: result.segments || []
+      };
+    }
+  };
+}
+
+module.exports = { createOpenAITranscriber };
@@ -0,0 +1,35 @@
+const axios = require('axios');
+
+// Local whisper.cpp server (examples/server in the whisper.cpp repo), which
+// takes a multipart upload on /inference. Run it with --convert to accept
+// formats other than 16 kHz WAV.
+
+function createWhisperCppTranscriber({ url }) {
+  if (!url) {
+    throw new Error('WHISPER_CPP_URL is required for the whisper_cpp STT provider');
+  }
+
+  return {
+    name: 'whisper_cpp',
+
+    async transcribe({ audio, mimeType, fileName, language, prompt }) {
+      const form = new FormData();
+      form.append('file', new Blob([audio], { type: mimeType || 'application/octet-stream' }), fileName);
+      form.append('response_format', 'verbose_json');
+      form.append('temperature', '0');
+      if (language) form.append('language', language);
+      if (prompt) form.append('prompt', prompt);
+
+      const response = await axios.post(`${url.replace(/\/$/, '')}/inference`, form);
+      const data = response.data;
+      return {
+        text: data.text,
+        language: data.language,
+        duration: data.duration,
+        segments: data.segments || []
+      };
+    }
+  };
+}
+
+module.exports = { createWhisperCppTranscriber };
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEAL_OUTCOMES,
+  loadBuyerState,
+  applyRepMove,
+  buyerGuidance,
+  finalizeOutcome,
+  buyerSnapshot,
+  summarizeBuyerState
+} = require('../lib/buyerState');
+
+test('loadBuyerState starts fresh and falls back per field', () => {
+  assert.deepEqual(loadBuyerState(null), { interest: 40, trust: 40, patience: 80, outcome: null, outcomeAtTurn: null, timeline: [] });
+  assert.equal(loadBuyerState('{broken').interest, 40);
+
+  const state = loadBuyerState(JSON.stringify({ interest: 70, trust: 'x', patience: 0, outcome: 'won' }));
+  assert.equal(state.interest, 70);
+  assert.equal(state.trust, 40);
+  // 0 is a real level, not a missing one
+  assert.equal(state.patience, 0);
+  assert.equal(state.outcome, null);
+});
+
+test('applyRepMove books a meeting once interest and trust are high enough', () => {
+  const state = loadBuyerState(null);
+  assert.equal(applyRepMove(state, 'What are your growth goals? I understand.', { turnIndex: 1 }), null);
+  assert.equal(applyRepMove(state, 'How would more customers help? That makes sense', { turnIndex: 3 }), null);
+  assert.equal(applyRepMove(state, 'I understand, how about revenue? Let us schedule a demo', { turnIndex: 5 }), 'meeting_booked');
+
+  assert.deepEqual(buyerSnapshot(state), { interest: 76, trust: 67, patience: 74, outcome: 'meeting_booked' });
+  assert.equal(state.outcomeAtTurn, 5);
+  assert.deepEqual(state.timeline[0].reasons, ['asked a discovery question', 'talked about business value', 'acknowledged the buyer']);
+  // Nothing moves once the call is decided
+  assert.equal(applyRepMove(state, 'Sign up today', { turnIndex: 7 }), null);
+  assert.equal(state.timeline.length, 3);
+});
+
+test('applyRepMove loses the buyer after pushy replies', () => {
+  const state = loadBuyerState(null);
+  assert.equal(applyRepMove(state, 'Sign up today', { turnIndex: 1 }), null);
+  assert.equal(applyRepMove(state, 'Sign up today', { turnIndex: 3 }), null);
+  assert.equal(applyRepMove(state, 'Sign up today', { turnIndex: 5 }), 'lost');
+  assert.ok(state.timeline[0].reasons.includes('pushed for a commitment'));
+  assert.ok(state.timeline[0].reasons.includes('gave a very short reply'));
+});
+
+test('applyRepMove weighs closed objections', () => {
+  const resolved = loadBuyerState(null);
+  applyRepMove(resolved, 'Here is how it works for you', { turnIndex: 1, objectionClosed: { status: 'resolved' } });
+  assert.deepEqual([resolved.interest, resolved.trust], [45, 50]);
+
+  const unresolved = loadBuyerState(null);
+  applyRepMove(unresolved, 'Here is how it works for you', { turnIndex: 1, objectionClosed: { status: 'unresolved' } });
+  assert.deepEqual([unresolved.trust, unresolved.patience], [32, 68]);
+});
+
+test('buyerGuidance follows the state and declines early next steps', () => {
+  const state = loadBuyerState(null);
+  applyRepMove(state, 'Can we schedule a meeting next week please', { turnIndex: 1 });
+  assert.equal(state.outcome, null);
+
+  const guidance = buyerGuidance(state, null);
+  assert.match(guidance, /Your interest: curious but unconvinced/);
+  assert.match(guidance, /Your patience: plenty/);
+  assert.match(guidance, /Decline for now/);
+  assert.match(buyerGuidance(state, 'meeting_booked'), /Agree to the meeting/);
+  assert.match(buyerGuidance(state, 'lost'), /end the conversation/);
+});
+
+test('finalizeOutcome decides between follow up and lost', () => {
+  const keen = loadBuyerState(JSON.stringify({ interest: 60, trust: 45, patience: 50 }));
+  assert.equal(finalizeOutcome(keen), 'follow_up');
+  const cold = loadBuyerState(null);
+  assert.equal(finalizeOutcome(cold), 'lost');
+  const booked = loadBuyerState(JSON.stringify({ outcome: 'meeting_booked' }));
+  assert.equal(finalizeOutcome(booked), 'meeting_booked');
+  assert.ok(DEAL_OUTCOMES.includes(finalizeOutcome(loadBuyerState(null))));
+});
+
+test('summarizeBuyerState reports the final levels and timeline', () => {
+  const state = loadBuyerState(null);
+  applyRepMove(state, 'What results matter most to you?', { turnIndex: 1 });
+  const summary = summarizeBuyerState(state);
+  assert.deepEqual(summary.final, { interest: 52, trust: 43, patience: 78 });
+  assert.equal(summary.outcome, null);
+  assert.equal(summary.timeline.length, 1);
+});
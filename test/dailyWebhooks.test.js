@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const {
+  signatureError,
+  eventRoomName,
+  sessionPatchForEvent,
+  parseWebVTT
+} = require('../lib/dailyWebhooks');
+
+const SECRET = Buffer.from('daily-webhook-secret').toString('base64');
+const NOW = new Date('2026-01-05T10:00:00.000Z');
+const TIMESTAMP = String(NOW.getTime() / 1000);
+const BODY = JSON.stringify({ type: 'participant.joined', payload: { room: 'room-1' } });
+
+const sign = (timestamp, body) => crypto
+  .createHmac('sha256', Buffer.from(SECRET, 'base64'))
+  .update(`${timestamp}.${body}`)
+  .digest('base64');
+
+test('signatureError accepts a correctly signed delivery', () => {
+  assert.equal(signatureError({ secret: SECRET, timestamp: TIMESTAMP, signature: sign(TIMESTAMP, BODY), rawBody: BODY, now: NOW }), null);
+  // Millisecond timestamps are accepted too
+  const ms = String(NOW.getTime());
+  assert.equal(signatureError({ secret: SECRET, timestamp: ms, signature: sign(ms, BODY), rawBody: BODY, now: NOW }), null);
+});
+
+test('signatureError rejects missing, stale and forged deliveries', () => {
+  const signature = sign(TIMESTAMP, BODY);
+  assert.equal(signatureError({ secret: SECRET, timestamp: TIMESTAMP, rawBody: BODY, now: NOW }), 'Missing webhook signature headers');
+  assert.equal(signatureError({ secret: SECRET, timestamp: TIMESTAMP, signature, rawBody: '', now: NOW }), 'Missing request body');
+
+  const stale = String(NOW.getTime() / 1000 - 301);
+  assert.equal(
+    signatureError({ secret: SECRET, timestamp: stale, signature: sign(stale, BODY), rawBody: BODY, now: NOW }),
+    'Webhook timestamp is outside the allowed window'
+  );
+  assert.equal(signatureError({ secret: SECRET, timestamp: TIMESTAMP, signature, rawBody: `${BODY} `, now: NOW }), 'Invalid webhook signature');
+  assert.equal(signatureError({ secret: SECRET, timestamp: TIMESTAMP, signature: 'c2hvcnQ=', rawBody: BODY, now: NOW }), 'Invalid webhook signature');
+});
+
+test('eventRoomName reads either room field', () => {
+  assert.equal(eventRoomName({ payload: { room: 'a' } }), 'a');
+  assert.equal(eventRoomName({ payload: { room_name: 'b' } }), 'b');
+  assert.equal(eventRoomName({}), null);
+});
+
+test('sessionPatchForEvent tracks participants and the rep join and leave times', () => {
+  const session = { userId: 'rep-1', participants: '' };
+  const joined = sessionPatchForEvent(session, {
+    type: 'participant.joined',
+    event_ts: 1767607200,
+    payload: { session_id: 'p1', user_id: 'rep-1', user_name: 'Rep', joined_at: 1767607200 }
+  });
+  assert.equal(joined.joinedAt, '2026-01-05T10:00:00.000Z');
+  assert.equal(joined.leftAt, '');
+
+  session.participants = joined.participants;
+  const left = sessionPatchForEvent(session, {
+    type: 'participant.left',
+    event_ts: 1767607500,
+    payload: { session_id: 'p1', user_id: 'rep-1', duration: 299.6 }
+  });
+  const [participant] = JSON.parse(left.participants);
+  assert.equal(participant.leftAt, '2026-01-05T10:05:00.000Z');
+  assert.equal(participant.duration, 300);
+  assert.equal(left.leftAt, '2026-01-05T10:05:00.000Z');
+
+  // Other participants don't touch the rep's times
+  const guest = sessionPatchForEvent(session, { type: 'participant.joined', payload: { session_id: 'p2', user_id: 'guest' } });
+  assert.equal(guest.joinedAt, undefined);
+  assert.equal(JSON.parse(guest.participants).length, 2);
+});
+
+test('sessionPatchForEvent stores recordings and ignores other events', () => {
+  assert.deepEqual(
+    sessionPatchForEvent({}, { type: 'recording.ready-to-download', payload: { recording_id: 'r1', duration: 61.4, start_ts: 1767607200 } }),
+    { recordingId: 'r1', recordingDuration: 61, recordingStartedAt: '2026-01-05T10:00:00.000Z' }
+  );
+  assert.equal(sessionPatchForEvent({}, { type: 'transcript.ready-to-download', payload: {} }), null);
+});
+
+test('parseWebVTT reads cues with voice tags or name prefixes', () => {
+  const vtt = [
+    'WEBVTT',
+    '',
+    '1',
+    '00:00:01.000 --> 00:00:03.500 align:start',
+    '<v salesperson>Hi, thanks for <b>joining</b></v>',
+    '',
+    '01:04.250 --> 01:06.000',
+    'buyer: Happy to be here',
+    '',
+    '00:00:07.000 --> 00:00:08.000',
+    'No speaker here',
+    '',
+    'NOTE a comment',
+    '',
+    '00:00:09.000 --> 00:00:10.000',
+    '<v buyer></v>'
+  ].join('\r\n');
+
+  assert.deepEqual(parseWebVTT(vtt), [
+    { start: 1, end: 3.5, speaker: 'salesperson', text: 'Hi, thanks for joining' },
+    { start: 64.25, end: 66, speaker: 'buyer', text: 'Happy to be here' },
+    { start: 7, end: 8, speaker: null, text: 'No speaker here' }
+  ]);
+  assert.deepEqual(parseWebVTT(null), []);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  validatePathInput,
+  parseSteps,
+  formatPath,
+  sessionScores,
+  computePathProgress
+} = require('../lib/learningPaths');
+
+const step = overrides => ({ scenarioId: 's1', requirements: [{ score: 'discovery_score', min: 4 }], ...overrides });
+
+test('validatePathInput accepts a complete path', () => {
+  const { values, errors } = validatePathInput({ name: ' Onboarding ', description: 'First week', steps: [step({ title: 'Warm up' })], is_active: true });
+  assert.deepEqual(errors, []);
+  assert.equal(values.name, 'Onboarding');
+  assert.deepEqual(JSON.parse(values.steps), [{ scenarioId: 's1', title: 'Warm up', requirements: [{ score: 'discovery_score', min: 4 }] }]);
+  assert.equal(values.is_active, true);
+});
+
+test('validatePathInput requires name and steps unless partial', () => {
+  const fields = validatePathInput({}).errors.map(error => error.field);
+  assert.deepEqual(fields, ['name', 'steps']);
+  assert.deepEqual(validatePathInput({ is_active: false }, { partial: true }), { values: { is_active: false }, errors: [] });
+  assert.equal(validatePathInput([]).errors[0].message, 'Request body must be an object');
+});
+
+test('validatePathInput rejects unknown fields at every level', () => {
+  const { errors } = validatePathInput({
+    name: 'Path',
+    active: true,
+    steps: [{ scenarioId: 's1', requirement: [], requirements: [{ score: 'discovery_score', min: 4, max: 5 }] }]
+  });
+  assert.deepEqual(errors, [
+    { field: 'active', message: 'Unknown field active' },
+    { field: 'steps[0].requirement', message: 'Unknown field requirement' },
+    { field: 'steps[0].requirements[0].max', message: 'Unknown field max' }
+  ]);
+});
+
+test('validatePathInput ignores the read-only fields of a fetched path', () => {
+  const fetched = formatPath({ id: 'p1', name: 'Path', steps: JSON.stringify([step()]), createdBy: 'u1', createdAt: '2026-01-01' });
+  assert.deepEqual(validatePathInput(fetched).errors, []);
+});
+
+test('validatePathInput checks steps and requirements', () => {
+  const { errors } = validatePathInput({
+    name: 'Path',
+    steps: [step({ scenarioId: ' ' }), step({ requirements: [{ score: 'Discovery', min: 101 }] }), 'x']
+  });
+  assert.deepEqual(errors.map(error => error.field), [
+    'steps[0].scenarioId',
+    'steps[1].requirements[0].score',
+    'steps[1].requirements[0].min',
+    'steps[2]'
+  ]);
+});
+
+test('formatPath and parseSteps read stored records', () => {
+  const path = formatPath({ id: 'p1', name: 'Path', steps: 'not json', is_active: 'FALSE', createdBy: 'u1', createdAt: 'c' });
+  assert.deepEqual(path.steps, []);
+  assert.equal(path.is_active, false);
+  assert.equal(path.description, '');
+  assert.deepEqual(parseSteps({ steps: JSON.stringify([step()]) }), [step()]);
+});
+
+test('sessionScores combines rubric, evaluation and confidence scores', () => {
+  const scores = sessionScores({
+    keyMetrics: JSON.stringify({
+      rubric_results: [{ key: 'discovery_score', score: 2 }, { key: 'business_value_score', score: 3 }],
+      overall_effectiveness_score: 3
+    }),
+    evaluation: JSON.stringify({ dimensions: [{ key: 'discovery_score', score: 4 }] }),
+    confidenceScore: '72'
+  });
+  assert.deepEqual(scores, { discovery_score: 4, business_value_score: 3, overall_effectiveness_score: 3, confidenceScore: 72 });
+});
+
+test('computePathProgress completes, unlocks and locks steps in order', () => {
+  const steps = [
+    { scenarioId: 's1', scenarioIds: ['s1', 'scenario-1'], scenarioTitle: 'First', requirements: [{ score: 'discovery_score', min: 4 }] },
+    { scenarioId: 's2', scenarioIds: ['s2'], scenarioTitle: 'Second', requirements: [] },
+    { scenarioId: 's3', scenarioIds: ['s3'], scenarioTitle: 'Third', requirements: [] }
+  ];
+  const feedbackFor = (sessionId, discovery) => ({
+    sessionId,
+    keyMetrics: JSON.stringify({ rubric_results: [{ key: 'discovery_score', score: discovery }] })
+  });
+  const progress = computePathProgress({
+    path: { id: 'p1', name: 'Path' },
+    steps,
+    sessions: [
+      { id: 'a', scenarioId: 'scenario-1', endTime: '2026-01-01T10:00:00Z' },
+      { id: 'b', scenarioId: 's1', endTime: '2026-01-02T10:00:00Z' },
+      { id: 'c', scenarioId: 's3', endTime: '2026-01-03T10:00:00Z' },
+      { id: 'unscored', scenarioId: 's2' }
+    ],
+    feedback: [feedbackFor('a', 3), feedbackFor('b', 5), feedbackFor('c', 1)]
+  });
+
+  assert.deepEqual(progress.steps.map(entry => entry.status), ['completed', 'unlocked', 'locked']);
+  assert.deepEqual(progress.steps[0].requirements, [{ score: 'discovery_score', min: 4, best: 5, met: true }]);
+  assert.equal(progress.steps[0].attempts, 2);
+  assert.equal(progress.steps[0].lastAttemptAt, '2026-01-02T10:00:00Z');
+  assert.equal(progress.steps[1].attempts, 0);
+  assert.equal(progress.completedSteps, 1);
+  assert.equal(progress.percentComplete, 33);
+  assert.equal(progress.completed, false);
+  assert.equal(progress.position, 1);
+  assert.equal(progress.currentStep.title, 'Second');
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_RUBRIC } = require('../lib/rubrics');
+const { evaluateWithLLM } = require('../lib/llmEvaluator');
+
+const TURNS = [{ speaker: 'user', message: 'What are your goals this year?' }];
+
+test('evaluateWithLLM hands the job signal to the LLM and stops once it is aborted', async () => {
+  const controller = new AbortController();
+  const calls = [];
+  const llm = {
+    async complete(request) {
+      calls.push(request);
+      // The job times out while the first request is in flight
+      controller.abort();
+      throw new Error('This operation was aborted');
+    }
+  };
+
+  await assert.rejects(
+    evaluateWithLLM({ llm, rubric: DEFAULT_RUBRIC, turns: TURNS, signal: controller.signal }),
+    { name: 'AbortError' }
+  );
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].signal, controller.signal);
+});
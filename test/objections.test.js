@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  loadObjectionTracker,
+  addressesObjection,
+  applyRepTurn,
+  nextObjectionToRaise,
+  markRaised,
+  objectionGuidance,
+  summarizeObjections,
+  objectionRecommendations
+} = require('../lib/objections');
+
+const OBJECTIONS = ['Google Ads is too expensive', 'We tried ads before and it did not work'];
+
+test('loadObjectionTracker keeps saved progress for objections still listed', () => {
+  const stored = JSON.stringify([
+    { objection: OBJECTIONS[0], status: 'resolved', raisedAtTurn: 3, closedAtTurn: 5, repAttempts: 1 },
+    { objection: 'Removed objection', status: 'raised', raisedAtTurn: 7, closedAtTurn: null, repAttempts: 0 }
+  ]);
+  const tracker = loadObjectionTracker(stored, OBJECTIONS);
+
+  assert.equal(tracker.length, 2);
+  assert.equal(tracker[0].status, 'resolved');
+  assert.deepEqual(tracker[1], { objection: OBJECTIONS[1], status: 'pending', raisedAtTurn: null, closedAtTurn: null, repAttempts: 0 });
+  assert.equal(loadObjectionTracker('not json', OBJECTIONS)[0].status, 'pending');
+});
+
+test('addressesObjection needs engagement and substance', () => {
+  assert.equal(addressesObjection(OBJECTIONS[0], 'I understand. For example, similar shops saw a 3x return'), true);
+  assert.equal(addressesObjection(OBJECTIONS[0], 'Expensive? We can start small with a pilot'), true);
+  assert.equal(addressesObjection(OBJECTIONS[0], 'I understand how you feel'), false);
+  assert.equal(addressesObjection(OBJECTIONS[0], 'Let me show you our dashboard'), false);
+});
+
+test('objections are raised after the opening and closed by the rep', () => {
+  const tracker = loadObjectionTracker(null, OBJECTIONS);
+
+  assert.equal(nextObjectionToRaise(tracker, 1, null), null);
+  const first = nextObjectionToRaise(tracker, 2, null);
+  assert.equal(first.objection, OBJECTIONS[0]);
+  markRaised(first, 3);
+  assert.equal(nextObjectionToRaise(tracker, 3, null), null);
+
+  assert.equal(applyRepTurn(tracker, 'Anyway, moving on', 4), null);
+  const closed = applyRepTurn(tracker, 'Still moving on', 6);
+  assert.equal(closed.status, 'unresolved');
+  assert.equal(closed.closedAtTurn, 6);
+  // The next objection waits a turn after one closes
+  assert.equal(nextObjectionToRaise(tracker, 4, closed), null);
+
+  const second = nextObjectionToRaise(tracker, 5, null);
+  markRaised(second, 9);
+  assert.equal(applyRepTurn(tracker, 'That makes sense, and this time we track results weekly', 10).status, 'resolved');
+  assert.equal(nextObjectionToRaise(tracker, 6, null), null);
+});
+
+test('objectionGuidance tells the persona what to do next', () => {
+  const tracker = loadObjectionTracker(null, OBJECTIONS);
+  assert.equal(objectionGuidance(tracker, null, null), '');
+  assert.match(objectionGuidance(tracker, tracker[0], null), /raise this concern.*too expensive/);
+
+  markRaised(tracker[0], 3);
+  assert.match(objectionGuidance(tracker, null, null), /still waiting for a real answer/);
+
+  tracker[0].status = 'resolved';
+  assert.match(objectionGuidance(tracker, null, tracker[0]), /answered your concern/);
+  tracker[0].status = 'unresolved';
+  assert.match(objectionGuidance(tracker, null, tracker[0]), /still not convinced/);
+});
+
+test('summarizeObjections and objectionRecommendations report the outcome', () => {
+  const tracker = loadObjectionTracker(null, [...OBJECTIONS, 'Third']);
+  Object.assign(tracker[0], { status: 'resolved', raisedAtTurn: 3, closedAtTurn: 5 });
+  Object.assign(tracker[1], { status: 'raised', raisedAtTurn: 7 });
+
+  const summary = summarizeObjections(tracker);
+  assert.deepEqual(summary.objections.map(entry => entry.status), ['resolved', 'open', 'pending']);
+  assert.equal(summary.raised_count, 2);
+  assert.equal(summary.resolved_count, 1);
+  assert.equal(summary.resolution_rate, 50);
+  assert.equal(summarizeObjections(loadObjectionTracker(null, OBJECTIONS)).resolution_rate, null);
+
+  const tips = objectionRecommendations(summary);
+  assert.equal(tips.length, 1);
+  assert.match(tips[0], /We tried ads before/);
+  assert.deepEqual(objectionRecommendations(null), []);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MASTERY_SCORE,
+  buildSkillHistory,
+  recommendPractice,
+  practiceTips
+} = require('../lib/practiceRecommendations');
+
+const DAY = 24 * 60 * 60 * 1000;
+const BASE = Date.parse('2026-01-05T10:00:00.000Z');
+const day = days => new Date(BASE + days * DAY).toISOString();
+
+const feedbackFor = (sessionId, scores) => ({
+  sessionId,
+  keyMetrics: JSON.stringify({
+    rubric_results: Object.entries(scores).map(([key, score]) => ({ key, name: key.replace(/_score$/, ''), score })),
+    overall_effectiveness_score: 3
+  }),
+  confidenceScore: '60'
+});
+
+const SESSIONS = [
+  { id: 'a', scenarioId: 'older', startTime: day(0), endTime: day(0) },
+  { id: 'b', scenarioId: 'older', startTime: day(1), endTime: day(1) }
+];
+const FEEDBACK = [
+  feedbackFor('b', { discovery_score: 2, business_value_score: 5 }),
+  feedbackFor('a', { discovery_score: 2, business_value_score: 4 })
+];
+const SCENARIOS = [
+  { id: 'disc-easy', title: 'Easy discovery', sales_skill_area: 'Discovery', difficulty: 'Easy' },
+  { id: 'disc-hard', title: 'Hard discovery', sales_skill_area: 'Discovery', difficulty: 'Hard' },
+  { id: 'value', title: 'Closing on ROI', sales_skill_area: 'Closing', coaching_focus: 'ROI', difficulty: 'Advanced' }
+];
+
+test('buildSkillHistory lists each rubric score oldest session first', () => {
+  const history = buildSkillHistory({ sessions: SESSIONS, feedback: FEEDBACK });
+  assert.deepEqual(history.map(skill => skill.key), ['discovery_score', 'business_value_score']);
+  assert.equal(history[1].name, 'business_value');
+  assert.deepEqual(history[1].entries.map(entry => entry.score), [4, 5]);
+  assert.equal(history[1].entries[0].at, day(0));
+});
+
+test('recommendPractice puts weak skills first and schedules reviews', () => {
+  const plan = recommendPractice({ sessions: SESSIONS, feedback: FEEDBACK, scenarios: SCENARIOS, now: new Date(BASE + 10 * DAY) });
+
+  const [discovery, value] = plan.skills;
+  assert.equal(discovery.status, 'weak');
+  assert.equal(discovery.averageScore, 2);
+  assert.equal(discovery.priority, 3);
+  assert.equal(value.status, 'review_due');
+  assert.ok(value.averageScore >= MASTERY_SCORE);
+  // Two sessions in a row at mastery: a six day interval
+  assert.equal(value.nextReviewAt, day(7));
+
+  assert.deepEqual(plan.recommendations.map(entry => [entry.dimension, entry.scenario.id]), [
+    ['discovery_score', 'disc-easy'],
+    ['business_value_score', 'value']
+  ]);
+  assert.match(plan.recommendations[0].reason, /^Work on discovery \(Discovery\): your recent average is 2\/5 over 2 session\(s\)$/);
+  assert.match(plan.recommendations[1].reason, /^Review business_value \(Closing\): you mastered it/);
+});
+
+test('recommendPractice skips mastered skills until their review is due', () => {
+  const plan = recommendPractice({ sessions: SESSIONS, feedback: FEEDBACK, scenarios: SCENARIOS, now: new Date(BASE + 2 * DAY) });
+  assert.equal(plan.skills[1].status, 'mastered');
+  assert.deepEqual(plan.recommendations.map(entry => entry.dimension), ['discovery_score']);
+});
+
+test('recommendPractice passes over scenarios played in the last day', () => {
+  const now = new Date(BASE + 10 * DAY);
+  const sessions = [...SESSIONS, { id: 'c', scenarioId: 'disc-easy', startTime: new Date(now - 60 * 60 * 1000).toISOString() }];
+  const plan = recommendPractice({ sessions, feedback: FEEDBACK, scenarios: SCENARIOS, now, limit: 1 });
+  assert.deepEqual(plan.recommendations.map(entry => entry.scenario.id), ['disc-hard']);
+});
+
+test('recommendPractice starts new reps on the easiest scenarios', () => {
+  const plan = recommendPractice({ sessions: [], feedback: [], scenarios: SCENARIOS, limit: 2 });
+  assert.deepEqual(plan.skills, []);
+  assert.deepEqual(plan.recommendations.map(entry => [entry.scenario.id, entry.status]), [['disc-easy', 'new'], ['disc-hard', 'new']]);
+  assert.deepEqual(practiceTips(plan.recommendations), []);
+});
+
+test('practiceTips turns recommendations into coaching tips', () => {
+  const plan = recommendPractice({ sessions: SESSIONS, feedback: FEEDBACK, scenarios: SCENARIOS, now: new Date(BASE + 10 * DAY) });
+  const tips = practiceTips(plan.recommendations);
+  assert.equal(tips.length, 2);
+  assert.match(tips[0], /^Practice next: "Easy discovery"\. Work on discovery/);
+});
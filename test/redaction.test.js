@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DETECTOR_IDS,
+  createRedactor,
+  createRedactorFromEnv,
+  mergeDetections
+} = require('../lib/redaction');
+
+const redactor = createRedactor({ secret: 'test-secret' });
+
+test('redact replaces each detector match with a token', () => {
+  const { text, detections } = redactor.redact(
+    'Email jane@example.com or call 415-555-0123, card 4111 1111 1111 1111, ssn 123-45-6789'
+  );
+
+  assert.match(text, /^Email \[EMAIL_[0-9a-f]{6}\] or call \[PHONE_[0-9a-f]{6}\], card \[CARD_[0-9a-f]{6}\], ssn \[SSN_[0-9a-f]{6}\]$/);
+  assert.deepEqual(detections, { email: 1, phone: 1, card: 1, ssn: 1 });
+});
+
+test('redact gives the same value the same token within a scope only', () => {
+  const first = redactor.redact('jane@example.com', { scope: 'a' }).text;
+  assert.equal(redactor.redact('JANE@example.com', { scope: 'a' }).text, first);
+  assert.notEqual(redactor.redact('jane@example.com', { scope: 'b' }).text, first);
+});
+
+test('redact finds cued and capitalized names but not roles or greetings', () => {
+  assert.match(redactor.redact('hi, my name is jane doe').text, /^hi, my name is \[NAME_[0-9a-f]{6}\]$/);
+  assert.match(redactor.redact('Our Account Executive Jane Doe will call').text, /^Our Account Executive \[NAME_[0-9a-f]{6}\] will call$/);
+  assert.equal(redactor.redact('Hello Sales Manager, Good Monday').text, 'Hello Sales Manager, Good Monday');
+  assert.equal(redactor.redact('I can speak with you tomorrow').text, 'I can speak with you tomorrow');
+});
+
+test('redact leaves allow-listed terms alone', () => {
+  assert.equal(redactor.redact('We run Performance Max and Quality Score checks').text, 'We run Performance Max and Quality Score checks');
+  assert.equal(redactor.redact('Ask Maria Lopez', { allow: ['Maria Lopez'] }).text, 'Ask Maria Lopez');
+});
+
+test('createRedactor turns off disabled detectors and rejects unknown ones', () => {
+  const withoutEmail = createRedactor({ disabled: ['email'], secret: 's' });
+  assert.deepEqual(withoutEmail.detectors, DETECTOR_IDS.filter(id => id !== 'email'));
+  assert.equal(withoutEmail.redact('jane@example.com').text, 'jane@example.com');
+  assert.throws(() => createRedactor({ disabled: ['address'] }), /Unknown PII detector\(s\): address/);
+});
+
+test('createRedactorFromEnv requires a secret outside development', () => {
+  assert.throws(() => createRedactorFromEnv({ NODE_ENV: 'production' }), /PII_TOKEN_SECRET is required/);
+
+  const fromEnv = createRedactorFromEnv({
+    PII_TOKEN_SECRET: 'test-secret',
+    PII_DISABLED_DETECTORS: 'name, ssn',
+    PII_ALLOW_LIST: 'Acme Plumbing'
+  });
+  assert.deepEqual(fromEnv.detectors, ['email', 'card', 'phone']);
+  assert.equal(fromEnv.redact('jane@example.com', { scope: 's' }).text, redactor.redact('jane@example.com', { scope: 's' }).text);
+});
+
+test('mergeDetections adds counts per detector', () => {
+  assert.deepEqual(mergeDetections({ email: 1 }, { email: 2, phone: 1 }), { email: 3, phone: 1 });
+  assert.deepEqual(mergeDetections({ email: 1 }, undefined), { email: 1 });
+});
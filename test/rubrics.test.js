@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_RUBRIC,
+  evaluateRubric,
+  rubricRecommendations,
+  regexSafetyError,
+  validateRubricDefinition
+} = require('../lib/rubrics');
+
+const criterion = overrides => ({
+  key: 'discovery_score',
+  name: 'Discovery',
+  weight: 1,
+  count: 'messages',
+  signals: [{ phrase: 'goal' }],
+  thresholds: [{ min: 0, score: 1 }, { min: 1, score: 3 }, { min: 2, score: 5 }],
+  ...overrides
+});
+
+test('evaluateRubric scores the default rubric from the rep messages', () => {
+  const analysis = evaluateRubric(DEFAULT_RUBRIC, [
+    'What are your goals?',
+    'We improve ROI and revenue growth',
+    'I understand, for example'
+  ]);
+
+  assert.equal(analysis.discovery_score, 2);
+  assert.equal(analysis.product_knowledge_score, 1);
+  assert.equal(analysis.objection_handling_score, 3);
+  assert.equal(analysis.business_value_score, 3);
+  // ceil of the weighted average (2 + 1 + 3 + 3) / 4
+  assert.equal(analysis.overall_effectiveness_score, 3);
+  assert.deepEqual(analysis.rubric, { id: 'default', name: DEFAULT_RUBRIC.name });
+  assert.deepEqual(analysis.rubric_results[0].matched, ['goal', 'what']);
+});
+
+test('evaluateRubric counts distinct signals in signals mode', () => {
+  const rubric = {
+    id: 'r',
+    name: 'R',
+    criteria: [criterion({ count: 'signals', signals: [{ phrase: 'cpc' }, { phrase: 'ctr' }, { phrase: 'roas' }] })]
+  };
+  const analysis = evaluateRubric(rubric, ['Your CPC is high', 'and CTR low', 'CPC again']);
+  assert.equal(analysis.rubric_results[0].count, 2);
+  assert.equal(analysis.discovery_score, 5);
+});
+
+test('evaluateRubric matches regex signals and skips unsafe ones', () => {
+  const rubric = {
+    id: 'r',
+    name: 'R',
+    criteria: [criterion({ signals: [{ regex: '\\bgoals?\\b' }, { regex: '(a+)+$' }] })]
+  };
+  const analysis = evaluateRubric(rubric, ['Our goal is growth', `${'a'.repeat(40)}!`]);
+  assert.equal(analysis.rubric_results[0].count, 1);
+  assert.deepEqual(analysis.rubric_results[0].matched, ['\\bgoals?\\b']);
+});
+
+test('rubricRecommendations lists tips for criteria below their threshold', () => {
+  const rubric = {
+    criteria: [
+      criterion({ recommendation: 'Ask about goals' }),
+      criterion({ key: 'value_score', recommendation: 'Talk about value', recommendBelow: 5 })
+    ]
+  };
+  assert.deepEqual(rubricRecommendations(rubric, { discovery_score: 3, value_score: 4 }), ['Talk about value']);
+});
+
+test('regexSafetyError accepts ordinary patterns', () => {
+  for (const source of ['\\bbudget\\b', 'cost(s)?', 'ro(i|as)', '\\d{1,3}%', '[a-z]+ campaigns?', '(per|a) month']) {
+    assert.equal(regexSafetyError(source), null, source);
+  }
+});
+
+test('regexSafetyError rejects nested quantifiers, repeated alternations and backreferences', () => {
+  for (const source of ['(a+)+', '(a|a)*', '(\\w+\\s?)*', '((ab)*)+', '(a{1,5}){2,}', '(x+)+?y']) {
+    assert.match(regexSafetyError(source), /nested quantifiers/, source);
+  }
+  assert.match(regexSafetyError('(a)\\1'), /backreferences/);
+  assert.match(regexSafetyError('(?<x>a)\\k<x>'), /backreferences/);
+});
+
+test('validateRubricDefinition accepts the built-in rubric', () => {
+  assert.deepEqual(validateRubricDefinition(DEFAULT_RUBRIC), []);
+});
+
+test('validateRubricDefinition reports each problem by field', () => {
+  const errors = validateRubricDefinition({
+    name: 'R',
+    criteria: [
+      criterion({ signals: [{ regex: '(a+)+' }, { regex: 'ok', flags: 'g' }, { regex: '(' }] }),
+      criterion({ weight: 11, thresholds: [{ min: 2, score: 3 }, { min: 1, score: 4 }] })
+    ],
+    overall: { method: 'median' }
+  });
+  const fields = errors.map(error => error.field);
+
+  assert.ok(errors.some(error => error.field === 'criteria[0].signals[0]' && /Unsafe regex/.test(error.message)));
+  assert.ok(fields.includes('criteria[0].signals[1].flags'));
+  assert.ok(errors.some(error => error.field === 'criteria[0].signals[2]' && /Invalid regex/.test(error.message)));
+  assert.ok(errors.some(error => error.field === 'criteria[1].key' && /Duplicate/.test(error.message)));
+  assert.ok(fields.includes('criteria[1].weight'));
+  assert.ok(fields.includes('criteria[1].thresholds'));
+  assert.ok(fields.includes('overall.method'));
+});
+
+test('validateRubricDefinition needs a weighted criterion', () => {
+  const errors = validateRubricDefinition({ name: 'R', criteria: [criterion({ weight: 0 })] });
+  assert.deepEqual(errors, [{ field: 'criteria', message: 'At least one criterion needs a weight above 0' }]);
+});
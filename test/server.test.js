@@ -0,0 +1,227 @@
+// End-to-end: a rep chats with a persona, ends the session and gets the
+// analysis and feedback. Runs on in-memory storage with the scripted LLM
+// (llm/mockProvider.js), with Firebase auth stubbed so a bearer token is
+// taken as the user id.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.NODE_ENV = 'test';
+process.env.STORAGE_BACKEND = 'memory';
+process.env.LLM_PROVIDER = 'mock';
+process.env.ADMIN_EMAILS = 'boss@example.com';
+delete process.env.OPENAI_API_KEY;
+delete process.env.LLM_MOCK_SCRIPT;
+
+const firebaseAdmin = require.resolve('firebase-admin');
+require.cache[firebaseAdmin] = {
+  id: firebaseAdmin,
+  filename: firebaseAdmin,
+  loaded: true,
+  exports: {
+    initializeApp() {},
+    credential: { cert() {} },
+    auth: () => ({
+      verifyIdToken: async token => ({ uid: token, email: `${token}@example.com` }),
+      setCustomUserClaims: async () => {},
+      getUser: async uid => ({ uid, customClaims: {} })
+    })
+  }
+};
+
+// The server logs every step of every request. Keep it quiet: the output is
+// noise here, and the Node 20 runner, which reads test results from the same
+// stdout, can fail to parse it.
+console.log = () => {};
+
+const { app, db, jobs, initServer } = require('../server');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  await initServer();
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+async function api(user, method, path, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${user}`, 'Content-Type': 'application/json' },
+    ...(body !== undefined && { body: JSON.stringify(body) })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const createScenario = (overrides = {}) => api('boss', 'POST', '/api/scenarios', {
+  title: 'Dental practice discovery',
+  status: 'published',
+  description: 'A dentist considering Google Ads',
+  difficulty: 'Easy',
+  ai_character_name: 'Bob',
+  ai_character_role: 'Owner',
+  ai_character_personality: 'Busy and skeptical',
+  business_vertical: 'Dental',
+  sales_skill_area: 'Discovery',
+  key_objections: ['It sounds too expensive for us'],
+  estimated_duration: 10,
+  ...overrides
+});
+
+test('chat, end, analysis and feedback for a practice session', async () => {
+  const scenario = await createScenario();
+  assert.equal(scenario.status, 201, JSON.stringify(scenario.body));
+  const scenarioId = scenario.body.id;
+
+  const started = await api('rep', 'POST', '/api/sessions/start', { scenarioId });
+  assert.equal(started.status, 200);
+  const { sessionId } = started.body;
+
+  const messages = [
+    'Hi Bob, how is marketing going for the practice?',
+    'What are your goals for new patients this year?',
+    'I understand the cost concern. For example, similar practices track a 3x return'
+  ];
+  for (const userMessage of messages) {
+    const reply = await api('rep', 'POST', '/api/ai/chat', { sessionId, scenarioId, userMessage });
+    assert.equal(reply.status, 200);
+    assert.equal(reply.body.character, 'Bob');
+    assert.ok(reply.body.response.length > 0);
+    assert.ok(reply.body.buyer);
+  }
+
+  const ended = await api('rep', 'POST', '/api/sessions/end', { sessionId, wait: true });
+  assert.equal(ended.status, 200, JSON.stringify(ended.body));
+  assert.equal(ended.body.job.status, 'succeeded');
+  const result = ended.body.analysis;
+  assert.equal(result.rubric.id, 'default');
+  assert.ok(result.overall_effectiveness_score >= 1 && result.overall_effectiveness_score <= 5);
+  assert.equal(result.evaluation.source, 'llm');
+  // The persona raised the scenario's objection and the last reply answered it
+  assert.deepEqual(result.objections.objections.map(entry => [entry.objection, entry.status]), [
+    ['It sounds too expensive for us', 'resolved']
+  ]);
+  assert.ok(['meeting_booked', 'follow_up', 'lost'].includes(result.buyer.outcome));
+
+  const analysis = await api('rep', 'GET', `/api/sessions/${sessionId}/analysis`);
+  assert.equal(analysis.status, 200);
+  assert.equal(analysis.body.status, 'succeeded');
+  assert.deepEqual(analysis.body.result, ended.body.analysis);
+
+  const details = await api('rep', 'GET', `/api/sessions/${sessionId}/details`);
+  assert.equal(details.status, 200);
+  assert.ok(details.body.feedback, 'feedback is stored for the session');
+  assert.ok(details.body.feedback.aiFeedback);
+  assert.ok(details.body.feedback.evaluation);
+
+  // Only the rep (or their manager) can see the session
+  assert.equal((await api('someone-else', 'GET', `/api/sessions/${sessionId}/analysis`)).status, 404);
+  // A completed session can't be ended twice
+  assert.equal((await api('rep', 'POST', '/api/sessions/end', { sessionId })).status, 409);
+});
+
+test('sessions only start on published scenarios', async () => {
+  const draft = await createScenario({ title: 'Work in progress', status: 'draft' });
+  assert.equal(draft.status, 201, JSON.stringify(draft.body));
+
+  const onDraft = await api('rep', 'POST', '/api/sessions/start', { scenarioId: draft.body.id });
+  assert.deepEqual(onDraft, { status: 409, body: { error: 'Scenario is not published' } });
+  const onUnknown = await api('rep', 'POST', '/api/sessions/start', { scenarioId: 'no-such-scenario' });
+  assert.deepEqual(onUnknown, { status: 404, body: { error: 'Scenario not found' } });
+});
+
+test('concurrent chat messages both move the buyer', async t => {
+  const scenario = await createScenario({ title: 'Concurrent chat' });
+  const { body: { sessionId } } = await api('rep', 'POST', '/api/sessions/start', { scenarioId: scenario.body.id });
+
+  // Hold the first two persona state writes until both requests have planned
+  // their reply from the same stored state, so the writes really race
+  const update = db.sessions.update;
+  let waiting = [];
+  db.sessions.update = async (where, patch) => {
+    if (patch.buyerState && waiting) {
+      await new Promise(resolve => {
+        waiting.push(resolve);
+        if (waiting.length === 2) {
+          waiting.forEach(release => release());
+          waiting = null;
+        }
+      });
+    }
+    return update.call(db.sessions, where, patch);
+  };
+  t.after(() => {
+    db.sessions.update = update;
+  });
+
+  const replies = await Promise.all([
+    'What are your goals for new patients?',
+    'How do you measure results today?'
+  ].map(userMessage => api('rep', 'POST', '/api/ai/chat', { sessionId, userMessage })));
+  assert.deepEqual(replies.map(reply => reply.status), [200, 200]);
+
+  const ended = await api('rep', 'POST', '/api/sessions/end', { sessionId, wait: true });
+  assert.equal(ended.status, 200, JSON.stringify(ended.body));
+  assert.equal(ended.body.analysis.buyer.timeline.length, 2);
+});
+
+test('Google Ads coaching needs something the rep said', async () => {
+  const scenario = await createScenario({ title: 'Coaching' });
+  const { body: { sessionId } } = await api('rep', 'POST', '/api/sessions/start', { scenarioId: scenario.body.id });
+
+  const empty = await api('rep', 'POST', '/api/sessions/analyze-google-ads', { sessionId });
+  assert.equal(empty.status, 400);
+  assert.equal(empty.body.error, 'No conversation to analyze');
+  assert.deepEqual(await db.usage.list({ sessionId, useCase: 'coaching' }), []);
+
+  await api('rep', 'POST', '/api/ai/chat', { sessionId, userMessage: 'What are your goals for Search Campaigns?' });
+  const coached = await api('rep', 'POST', '/api/sessions/analyze-google-ads', { sessionId });
+  assert.equal(coached.status, 200);
+  assert.equal(coached.body.analysis.user_message_count, 1);
+  assert.ok(coached.body.analysis.aiFeedback);
+  assert.equal((await db.usage.list({ sessionId, useCase: 'coaching' })).length, 1);
+});
+
+test('a re-run analysis replaces the session feedback instead of adding a row', async () => {
+  const scenario = await createScenario({ title: 'Re-run analysis' });
+  const { body: { sessionId } } = await api('rep', 'POST', '/api/sessions/start', { scenarioId: scenario.body.id });
+  await api('rep', 'POST', '/api/ai/chat', { sessionId, userMessage: 'What are your goals for new patients?' });
+  const ended = await api('rep', 'POST', '/api/sessions/end', { sessionId, wait: true });
+  assert.equal(ended.body.job.status, 'succeeded');
+
+  const rerun = await jobs.enqueue('session_analysis', { sessionId, userId: 'rep', role: 'learner' });
+  assert.equal((await jobs.waitFor(rerun.id, 10000)).status, 'succeeded');
+  assert.equal((await db.feedback.list({ sessionId })).length, 1);
+});
+
+test('analysis events close the stream for a job that finished before the subscription', async t => {
+  const scenario = await createScenario({ title: 'Analysis events' });
+  const { body: { sessionId } } = await api('rep', 'POST', '/api/sessions/start', { scenarioId: scenario.body.id });
+  await api('rep', 'POST', '/api/ai/chat', { sessionId, userMessage: 'What are your goals for new patients?' });
+  await api('rep', 'POST', '/api/sessions/end', { sessionId, wait: true });
+
+  // The route's first read sees the job still running; it finishes before
+  // the route subscribes, so no status change is ever published
+  const get = jobs.get;
+  let stale = true;
+  jobs.get = async id => {
+    const job = await get.call(jobs, id);
+    if (!stale) return job;
+    stale = false;
+    return { ...job, status: 'running' };
+  };
+  t.after(() => {
+    jobs.get = get;
+  });
+
+  const response = await fetch(`${baseUrl}/api/sessions/${sessionId}/analysis/events`, {
+    headers: { Authorization: 'Bearer rep' },
+    signal: AbortSignal.timeout(5000)
+  });
+  const events = [...(await response.text()).matchAll(/^event: (\w+)$/gm)].map(match => match[1]);
+  assert.deepEqual(events, ['done']);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  loadLifecycleConfig,
+  getSessionState,
+  transitionError,
+  lastActivityAt,
+  staleTransition,
+  activeDuration
+} = require('../lib/sessionLifecycle');
+
+const BASE = Date.parse('2026-01-05T10:00:00.000Z');
+const at = minutes => new Date(BASE + minutes * 60 * 1000);
+const iso = minutes => at(minutes).toISOString();
+
+const config = loadLifecycleConfig({});
+
+test('loadLifecycleConfig reads minutes and seconds with defaults', () => {
+  assert.deepEqual(config, { idleTimeoutMs: 30 * 60000, pauseTimeoutMs: 1440 * 60000, sweepIntervalMs: 60000 });
+  assert.deepEqual(
+    loadLifecycleConfig({ SESSION_IDLE_TIMEOUT_MINUTES: '5', SESSION_PAUSE_TIMEOUT_MINUTES: 'soon', SESSION_SWEEP_INTERVAL_SECONDS: '0' }),
+    { idleTimeoutMs: 5 * 60000, pauseTimeoutMs: 1440 * 60000, sweepIntervalMs: 0 }
+  );
+});
+
+test('transitionError allows only the documented moves', () => {
+  assert.equal(getSessionState({}), 'active');
+  assert.equal(transitionError({}, 'paused'), null);
+  assert.equal(transitionError({ status: 'paused' }, 'active'), null);
+  assert.equal(transitionError({ status: 'paused' }, 'completed'), null);
+  assert.equal(transitionError({ status: 'active' }, 'expired'), 'Cannot change session from active to expired');
+  assert.equal(transitionError({ status: 'completed' }, 'active'), 'Session is already completed');
+  assert.equal(transitionError({ status: 'abandoned' }, 'completed'), 'Session is already abandoned');
+});
+
+test('lastActivityAt is the latest of start, resume and turns', () => {
+  const session = { startTime: iso(0), resumedAt: iso(10) };
+  assert.deepEqual(lastActivityAt(session), at(10));
+  assert.deepEqual(lastActivityAt(session, [{ timestamp: iso(12) }, { timestamp: 'bad' }]), at(12));
+  assert.equal(lastActivityAt({}), null);
+});
+
+test('staleTransition abandons idle sessions and expires old pauses', () => {
+  const active = { status: 'active', startTime: iso(0) };
+  assert.equal(staleTransition(active, [{ timestamp: iso(10) }], config, at(39)), null);
+  assert.deepEqual(staleTransition(active, [{ timestamp: iso(10) }], config, at(40)), {
+    to: 'abandoned',
+    reason: 'No activity for 30 minutes'
+  });
+
+  const paused = { status: 'paused', startTime: iso(0), pausedAt: iso(5) };
+  assert.equal(staleTransition(paused, [], config, at(60)), null);
+  assert.equal(staleTransition(paused, [], config, at(5 + 1440)).to, 'expired');
+  assert.equal(staleTransition({ status: 'completed', startTime: iso(0) }, [], config, at(5000)), null);
+});
+
+test('activeDuration leaves out paused time, including a pause in progress', () => {
+  assert.equal(activeDuration({ startTime: iso(0) }, at(10)), 10 * 60000);
+  assert.equal(activeDuration({ status: 'active', startTime: iso(0), pausedMs: String(4 * 60000) }, at(10)), 6 * 60000);
+  assert.equal(activeDuration({ status: 'paused', startTime: iso(0), pausedMs: String(2 * 60000), pausedAt: iso(8) }, at(20)), 6 * 60000);
+  assert.equal(activeDuration({ startTime: 'never' }, at(10)), 0);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+const { createMemoryStore } = require('../storage/memoryStore');
+const { createSqlStore } = require('../storage/sqlStore');
+
+const collectionName = `cas_test_${process.pid}`;
+const collections = {
+  [collectionName]: { columns: ['id', 'status', 'attempts', 'note'], indexes: ['id'] }
+};
+
+test('createStorage falls back to memory only in development and test', () => {
+  assert.equal(createStorage({ env: { NODE_ENV: 'test' } }).backend, 'memory');
+  assert.equal(createStorage({ env: { NODE_ENV: 'development' } }).backend, 'memory');
+  assert.equal(createStorage({ env: { NODE_ENV: 'production', STORAGE_BACKEND: 'memory' } }).backend, 'memory');
+  assert.throws(() => createStorage({ env: { NODE_ENV: 'production' } }), /No storage configured/);
+  assert.throws(() => createStorage({ env: {} }), /No storage configured/);
+});
+
+// Two callers read the same queued job and race to claim it
+async function raceClaims(repository) {
+  await repository.insert({ id: 'job-1', status: 'queued', attempts: 0 });
+  const claims = await Promise.all(['a', 'b'].map(worker =>
+    repository.update({ id: 'job-1', status: 'queued', attempts: 0 }, { status: 'running', attempts: 1, note: worker })
+  ));
+  return claims.filter(Boolean);
+}
+
+test('memory update() lets only one of two concurrent compare-and-sets win', async () => {
+  const store = createMemoryStore(collections);
+  await store.init();
+  const won = await raceClaims(store.repositories[collectionName]);
+  assert.equal(won.length, 1);
+});
+
+test('sqlite update() lets only one of two concurrent compare-and-sets win', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roleplay-store-'));
+  const store = createSqlStore(collections, { dialect: 'sqlite', sqlitePath: path.join(dir, 'test.db') });
+  await store.init();
+  t.after(async () => {
+    await store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  const repository = store.repositories[collectionName];
+
+  const won = await raceClaims(repository);
+  assert.equal(won.length, 1);
+  assert.equal((await repository.findOne({ id: 'job-1' })).note, won[0].note);
+
+  // IN lists and '' (missing field) conditions bind in the right order too
+  await repository.insert({ id: 'job-2', status: 'queued' });
+  const updated = await repository.update({ status: ['queued', 'failed'], note: '', id: 'job-2' }, { status: 'running' });
+  assert.equal(updated.id, 'job-2');
+  assert.equal(await repository.update({ id: 'job-2', status: ['queued'] }, { status: 'done' }), null);
+});
+
+// Holds a row lock from a second connection so the store's UPDATE has to wait
+// for a concurrent write, which is where a stale subquery would let it through
+test('postgres update() re-checks the condition after waiting on a concurrent write', {
+  skip: !process.env.DATABASE_URL && 'DATABASE_URL not set'
+}, async t => {
+  const { Client } = require('pg');
+  const store = createSqlStore(collections, { dialect: 'postgres', databaseUrl: process.env.DATABASE_URL });
+  await store.init();
+  const other = new Client({ connectionString: process.env.DATABASE_URL });
+  await other.connect();
+  t.after(async () => {
+    await other.query(`DROP TABLE IF EXISTS "${collectionName}"`);
+    await other.end();
+    await store.close();
+  });
+  const repository = store.repositories[collectionName];
+  await repository.insert({ id: 'job-1', status: 'queued', attempts: '0' });
+
+  await other.query('BEGIN');
+  await other.query(`UPDATE "${collectionName}" SET status = 'running' WHERE id = 'job-1'`);
+  const claim = repository.update({ id: 'job-1', status: 'queued' }, { status: 'running', note: 'late' });
+  await new Promise(resolve => setTimeout(resolve, 200));
+  await other.query('COMMIT');
+
+  assert.equal(await claim, null);
+  assert.equal((await repository.findOne({ id: 'job-1' })).note, undefined);
+});
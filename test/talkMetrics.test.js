@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTurnTiming, computeTalkMetrics, parseStoredTalkMetrics } = require('../lib/talkMetrics');
+
+const BASE = Date.parse('2026-01-05T10:00:00.000Z');
+const at = seconds => new Date(BASE + seconds * 1000).toISOString();
+const words = count => Array(count).fill('word').join(' ');
+
+const turn = (speaker, start, end, wordTotal = 5) => ({
+  speaker,
+  message: words(wordTotal),
+  startedAt: at(start),
+  endedAt: at(end)
+});
+
+test('parseTurnTiming accepts both timestamps or neither', () => {
+  assert.deepEqual(parseTurnTiming({}), { startedAt: null, endedAt: null });
+  assert.deepEqual(parseTurnTiming({ startedAt: at(0), endedAt: at(2) }), { startedAt: at(0), endedAt: at(2) });
+  assert.match(parseTurnTiming({ startedAt: at(0) }).error, /must both be ISO timestamps/);
+  assert.match(parseTurnTiming({ startedAt: 'soon', endedAt: at(2) }).error, /must both be ISO timestamps/);
+  assert.match(parseTurnTiming({ startedAt: at(2), endedAt: at(0) }).error, /must not be before/);
+});
+
+test('computeTalkMetrics measures talk time, pace, monologues and interruptions', () => {
+  const metrics = computeTalkMetrics([
+    turn('user', 0, 10, 20),
+    turn('persona', 12, 20),
+    // The rep cuts in a second before the buyer finishes
+    turn('user', 19, 30, 10),
+    turn('user', 31, 35, 5),
+    // ...and the buyer does the same
+    turn('persona', 34, 40),
+    turn('user', 42, 44, 10),
+    { speaker: 'user', message: 'untimed' }
+  ]);
+
+  assert.deepEqual(metrics, {
+    source: 'turns',
+    timedTurns: 6,
+    repTalkSeconds: 27,
+    buyerTalkSeconds: 14,
+    talkListenRatio: 66,
+    wordsPerMinute: 100,
+    longestMonologueSeconds: 16,
+    averageResponseLatencySeconds: 2,
+    interruptions: 1,
+    interruptedByBuyer: 1,
+    overlapSeconds: 2
+  });
+});
+
+test('computeTalkMetrics prefers the video transcript when the rep is in it', () => {
+  const transcript = [
+    { speaker: 'salesperson', start: 0, end: 6, text: words(10) },
+    { speaker: 'buyer', start: 7, end: 9, text: words(3) }
+  ];
+  const metrics = computeTalkMetrics([turn('user', 0, 60)], transcript);
+  assert.equal(metrics.source, 'daily_transcript');
+  assert.equal(metrics.repTalkSeconds, 6);
+  assert.equal(metrics.talkListenRatio, 75);
+
+  // A transcript without the rep falls back to the turns
+  assert.equal(computeTalkMetrics([turn('user', 0, 60)], [transcript[1]]).source, 'turns');
+});
+
+test('computeTalkMetrics is null without timed rep speech', () => {
+  assert.equal(computeTalkMetrics([], null), null);
+  assert.equal(computeTalkMetrics([turn('persona', 0, 5), { speaker: 'user', message: 'hi' }]), null);
+});
+
+test('parseStoredTalkMetrics reads the Feedback column', () => {
+  assert.deepEqual(parseStoredTalkMetrics({ talkMetrics: '{"talkListenRatio":50}' }), { talkListenRatio: 50 });
+  assert.equal(parseStoredTalkMetrics({ talkMetrics: '' }), null);
+  assert.equal(parseStoredTalkMetrics({ talkMetrics: '{' }), null);
+  assert.equal(parseStoredTalkMetrics(null), null);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_PRICING,
+  TOKENS_PER_AUDIO_SECOND,
+  loadUsageConfig,
+  estimateCost,
+  quotaWindow,
+  addToTotals,
+  checkQuota
+} = require('../lib/usage');
+
+const NOW = new Date('2026-01-05T10:00:00.000Z');
+const { quotas } = loadUsageConfig({});
+const dayStart = quotaWindow('day', NOW).start.toISOString();
+
+// A learner's totals row after the given calls, all today
+function totalsAfter(calls) {
+  return calls.reduce((row, usage) => ({ ...row, ...addToTotals(row, usage) }), { periodStart: dayStart });
+}
+
+test('estimateCost prices tokens, audio minutes and characters', () => {
+  assert.equal(estimateCost(DEFAULT_PRICING, 'gpt-4o-mini-2024-07-18', { prompt_tokens: 1000000, completion_tokens: 1000000 }), 0.75);
+  assert.equal(estimateCost(DEFAULT_PRICING, 'whisper-1', { audio_seconds: 90 }), 0.009);
+  assert.equal(estimateCost(DEFAULT_PRICING, 'tts-1', { characters: 2000 }), 0.03);
+  assert.equal(estimateCost(DEFAULT_PRICING, null, { audio_seconds: 90 }), null);
+});
+
+test('addToTotals keeps running audio and character totals', () => {
+  const { periodStart, ...totals } = totalsAfter([{ totalTokens: 100, costUsd: 0.01 }, { audioSeconds: 12.5 }, { characters: 300, costUsd: 0.0045 }]);
+  assert.equal(periodStart, dayStart);
+  assert.deepEqual(totals, {
+    calls: 3,
+    totalTokens: 100,
+    audioSeconds: 12.5,
+    characters: 300,
+    costUsd: 0.0145
+  });
+});
+
+test('speech-to-text usage alone goes over the default quota', () => {
+  const limit = quotas.learner.tokens;
+  // Unpriced (local or mock) transcription: no tokens and no cost
+  const under = totalsAfter([{ audioSeconds: limit / TOKENS_PER_AUDIO_SECOND - 60 }]);
+  assert.equal(checkQuota(quotas, 'learner', under, { now: NOW }).exceeded, false);
+
+  const over = totalsAfter([{ audioSeconds: limit / TOKENS_PER_AUDIO_SECOND - 60 }, { audioSeconds: 60 }]);
+  const status = checkQuota(quotas, 'learner', over, { now: NOW });
+  assert.equal(status.exceeded, true);
+  assert.equal(status.used.tokens, limit);
+});
+
+test('text-to-speech characters count against the token quota', () => {
+  const status = checkQuota(quotas, 'learner', totalsAfter([{ characters: 400000 }]), { now: NOW });
+  assert.equal(status.used.tokens, 100000);
+  assert.equal(status.exceeded, true);
+});
+
+test('checkQuota ignores totals from an earlier window and unlimited roles', () => {
+  const yesterday = { ...totalsAfter([{ totalTokens: 500000 }]), periodStart: '2026-01-04T00:00:00.000Z' };
+  assert.equal(checkQuota(quotas, 'learner', yesterday, { now: NOW }).exceeded, false);
+  assert.deepEqual(checkQuota(quotas, 'admin', totalsAfter([{ totalTokens: 10000000 }]), { now: NOW }), { limited: false, exceeded: false });
+});
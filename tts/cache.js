@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+
+// Synthesized audio keyed by hash. Least recently used entries drop out of
+// memory first; with `dir` set, entries are also written to disk and survive
+// restarts (the disk copy is never evicted).
+
+const EXTENSIONS = { 'audio/mpeg': 'mp3', 'audio/wav': 'wav' };
+
+function createAudioCache({ maxEntries = 200, dir } = {}) {
+  const entries = new Map();
+  if (dir) fs.mkdirSync(dir, { recursive: true });
+
+  function remember(key, value) {
+    entries.delete(key);
+    entries.set(key, value);
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  return {
+    async get(key) {
+      if (entries.has(key)) {
+        const value = entries.get(key);
+        remember(key, value);
+        return value;
+      }
+      if (!dir) return null;
+
+      for (const [mimeType, extension] of Object.entries(EXTENSIONS)) {
+        try {
+          const audio = await fs.promises.readFile(path.join(dir, `${key}.${extension}`));
+          remember(key, { audio, mimeType });
+          return { audio, mimeType };
+        } catch {
+          // Not cached in this format
+        }
+      }
+      return null;
+    },
+
+    async set(key, value) {
+      remember(key, value);
+      if (dir && EXTENSIONS[value.mimeType]) {
+        await fs.promises.writeFile(path.join(dir, `${key}.${EXTENSIONS[value.mimeType]}`), value.audio);
+      }
+    }
+  };
+}
+
+module.exports = { createAudioCache };
@@ -0,0 +1,56 @@
+const { spawn } = require('child_process');
+
+// Offline speech with espeak-ng (apt install espeak-ng / brew install
+// espeak-ng). Robotic, but needs no network or keys. Voices are espeak voice
+// names such as en-us or en-gb+f3.
+
+const WORDS_PER_MINUTE = 170;
+
+// Styles nudge the pitch (espeak's 0 - 99 scale, 50 is normal)
+const STYLE_PITCH = {
+  brisk: 55,
+  warm: 60,
+  measured: 45,
+  curt: 40
+};
+
+const TIMEOUT_MS = 15000;
+
+function createEspeakSpeech({ command }) {
+  return {
+    name: 'local',
+
+    synthesize({ text, voice, rate, style }) {
+      const args = [
+        '--stdout',
+        '-v', voice || 'en-us',
+        '-s', String(Math.round(WORDS_PER_MINUTE * (rate || 1))),
+        '-p', String(STYLE_PITCH[style] || 50),
+        text
+      ];
+
+      return new Promise((resolve, reject) => {
+        const child = spawn(command, args);
+        const chunks = [];
+        let stderr = '';
+        const timer = setTimeout(() => child.kill(), TIMEOUT_MS);
+
+        child.stdout.on('data', chunk => chunks.push(chunk));
+        child.stderr.on('data', chunk => { stderr += chunk; });
+        child.on('error', error => {
+          clearTimeout(timer);
+          reject(new Error(`Could not run ${command}: ${error.message}`));
+        });
+        child.on('close', code => {
+          clearTimeout(timer);
+          if (code !== 0) {
+            return reject(new Error(`${command} exited with ${code}: ${stderr.trim()}`));
+          }
+          resolve({ audio: Buffer.concat(chunks), mimeType: 'audio/wav' });
+        });
+      });
+    }
+  };
+}
+
+module.exports = { createEspeakSpeech };
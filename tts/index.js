@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const { createOpenAISpeech } = require('./openaiSpeech');
+const { createEspeakSpeech } = require('./espeakSpeech');
+const { createMockSpeech } = require('./mockSpeech');
+const { createAudioCache } = require('./cache');
+
+// Text-to-speech for the buyer persona. Every provider exposes:
+//
+//   synthesize({ text, voice, rate, style, instructions }) -> { audio: Buffer, mimeType }
+//
+// `voice` is a provider voice name (scenario voice_id, else TTS_DEFAULT_VOICE),
+// `rate` a speed multiplier around 1 and `style` a short tone word such as
+// brisk or warm (see lib/voiceProfiles.js).
+//
+// TTS_PROVIDER selects the backend (default openai when OPENAI_API_KEY is set,
+// otherwise local):
+//   openai  OpenAI speech API; TTS_MODEL (default tts-1). Styles are sent as
+//           instructions to models that take them (gpt-4o-mini-tts).
+//   local   espeak-ng on this machine, offline; TTS_ESPEAK_PATH (default espeak-ng)
+//   mock    a short tone per reply, for tests
+//
+// Audio is cached by a hash of the text and voice settings, so canned replies
+// that come up again aren't synthesized again. TTS_CACHE_SIZE entries are kept
+// in memory (default 200); set TTS_CACHE_DIR to keep them on disk as well.
+
+function createProvider(name, env) {
+  switch (name) {
+    case 'openai':
+      return createOpenAISpeech({ apiKey: env.OPENAI_API_KEY, model: env.TTS_MODEL || 'tts-1' });
+    case 'local':
+      return createEspeakSpeech({ command: env.TTS_ESPEAK_PATH || 'espeak-ng' });
+    case 'mock':
+      return createMockSpeech();
+    default:
+      throw new Error(`Unknown TTS_PROVIDER: ${name}`);
+  }
+}
+
+function createTTS({ env = process.env, provider } = {}) {
+  const name = (env.TTS_PROVIDER || (env.OPENAI_API_KEY ? 'openai' : 'local')).toLowerCase();
+  const backend = provider || createProvider(name, env);
+  const cache = createAudioCache({
+    maxEntries: parseInt(env.TTS_CACHE_SIZE) || 200,
+    dir: env.TTS_CACHE_DIR
+  });
+
+  function cacheKey(request) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([backend.name, request.voice, request.rate, request.style, request.instructions, request.text]))
+      .digest('hex');
+  }
+
+  return {
+    provider: backend.name,
+    // Priced models only (see lib/usage.js); null for local and mock backends
+    model: backend.model || null,
+
+    // Resolves { audio, mimeType, key, cached }
+    async synthesize({ text, voice, rate = 1, style, instructions }) {
+      const request = { text, voice: voice || env.TTS_DEFAULT_VOICE || null, rate, style: style || null, instructions: instructions || null };
+      const key = cacheKey(request);
+
+      const hit = await cache.get(key);
+      if (hit) {
+        return { ...hit, key, cached: true };
+      }
+
+      const result = await backend.synthesize(request);
+      await cache.set(key, result);
+      return { ...result, key, cached: false };
+    }
+  };
+}
+
+module.exports = { createTTS };
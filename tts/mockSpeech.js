@@ -0,0 +1,38 @@
+// Test provider: a quiet 440 Hz tone, 60 ms per word, as 8 kHz mono WAV
+
+const SAMPLE_RATE = 8000;
+
+function toneWav(seconds) {
+  const samples = Math.max(1, Math.round(seconds * SAMPLE_RATE));
+  const buffer = Buffer.alloc(44 + samples * 2);
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + samples * 2, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // mono
+  buffer.writeUInt32LE(SAMPLE_RATE, 24);
+  buffer.writeUInt32LE(SAMPLE_RATE * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(samples * 2, 40);
+  for (let i = 0; i < samples; i++) {
+    buffer.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 440 * i / SAMPLE_RATE) * 2000), 44 + i * 2);
+  }
+  return buffer;
+}
+
+function createMockSpeech() {
+  return {
+    name: 'mock',
+
+    async synthesize({ text, rate }) {
+      const words = text.split(/\s+/).filter(Boolean).length;
+      return { audio: toneWav(words * 0.06 / (rate || 1)), mimeType: 'audio/wav' };
+    }
+  };
+}
+
+module.exports = { createMockSpeech };
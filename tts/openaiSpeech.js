@@ -0,0 +1,29 @@
+// OpenAI speech API. Voices: alloy, echo, fable, onyx, nova, shimmer and more.
+
+// Models that take free-text delivery instructions
+const INSTRUCTABLE_MODELS = ['gpt-4o-mini-tts'];
+
+function createOpenAISpeech({ apiKey, model }) {
+  const OpenAI = require('openai');
+  const client = new OpenAI({ apiKey });
+
+  return {
+    name: 'openai',
+    model,
+
+    async synthesize({ text, voice, rate, instructions }) {
+      const response = await client.audio.speech.create({
+        model,
+        voice: voice || 'alloy',
+        input: text,
+        // The API accepts 0.25 - 4
+        speed: Math.min(4, Math.max(0.25, rate || 1)),
+        response_format: 'mp3',
+        ...(instructions && INSTRUCTABLE_MODELS.some(name => model.startsWith(name)) && { instructions })
+      });
+      return { audio: Buffer.from(await response.arrayBuffer()), mimeType: 'audio/mpeg' };
+    }
+  };
+}
+
+module.exports = { createOpenAISpeech };
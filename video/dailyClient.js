@@ -0,0 +1,60 @@
+const axios = require('axios');
+
+// Daily.co REST client (https://docs.daily.co/reference/rest-api)
+const DAILY_API_URL = 'https://api.daily.co/v1';
+const DAILY_TIMEOUT_MS = 15000;
+
+function createDailyClient({ apiKey, apiUrl = DAILY_API_URL } = {}) {
+  if (!apiKey) {
+    throw new Error('DAILY_API_KEY is required for the daily video provider');
+  }
+
+  const http = axios.create({
+    baseURL: apiUrl,
+    timeout: DAILY_TIMEOUT_MS,
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  return {
+    name: 'daily',
+
+    async createRoom({ name, privacy, properties }) {
+      const response = await http.post('/rooms', { name, privacy, properties });
+      return { name: response.data.name, url: response.data.url, properties: response.data.config || properties };
+    },
+
+    async createMeetingToken(properties) {
+      const response = await http.post('/meeting-tokens', { properties });
+      return response.data.token;
+    },
+
+    // Resolves false when the room was already gone
+    async deleteRoom(name) {
+      try {
+        await http.delete(`/rooms/${encodeURIComponent(name)}`);
+        return true;
+      } catch (error) {
+        if (error.response && error.response.status === 404) return false;
+        throw error;
+      }
+    },
+
+    // WebVTT text of a finished transcription
+    async getTranscript(transcriptId) {
+      const access = await http.get(`/transcript/${encodeURIComponent(transcriptId)}/access-link`);
+      const file = await axios.get(access.data.link, { responseType: 'text', timeout: DAILY_TIMEOUT_MS });
+      return file.data;
+    },
+
+    // Short-lived download link for a cloud recording
+    async getRecordingLink(recordingId) {
+      const response = await http.get(`/recordings/${encodeURIComponent(recordingId)}/access-link`);
+      return { url: response.data.download_link, expiresAt: new Date(response.data.expires * 1000).toISOString() };
+    }
+  };
+}
+
+module.exports = { createDailyClient };
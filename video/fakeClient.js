@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+// In-memory stand-in for Daily.co used for local development and tests.
+// Rooms and tokens are kept in `rooms` / `tokens` so callers can inspect them;
+// put WebVTT text in `transcripts` (keyed by transcript id) to serve it.
+function createFakeVideoClient({ baseUrl = 'https://fake.daily.local' } = {}) {
+  const rooms = new Map();
+  const tokens = new Map();
+  const transcripts = new Map();
+
+  return {
+    name: 'fake',
+    rooms,
+    tokens,
+    transcripts,
+
+    async createRoom({ name, privacy, properties }) {
+      if (rooms.has(name)) {
+        const error = new Error(`Room ${name} already exists`);
+        error.response = { status: 400, data: { error: 'invalid-request-error', info: error.message } };
+        throw error;
+      }
+      const room = { name, url: `${baseUrl}/${name}`, privacy, properties };
+      rooms.set(name, room);
+      return { name, url: room.url, properties };
+    },
+
+    async createMeetingToken(properties) {
+      if (!rooms.has(properties.room_name)) {
+        const error = new Error(`Room ${properties.room_name} not found`);
+        error.response = { status: 404, data: { error: 'not-found' } };
+        throw error;
+      }
+      const token = `fake_${crypto.randomBytes(12).toString('hex')}`;
+      tokens.set(token, properties);
+      return token;
+    },
+
+    async deleteRoom(name) {
+      return rooms.delete(name);
+    },
+
+    async getTranscript(transcriptId) {
+      if (!transcripts.has(transcriptId)) {
+        const error = new Error(`Transcript ${transcriptId} not found`);
+        error.response = { status: 404, data: { error: 'not-found' } };
+        throw error;
+      }
+      return transcripts.get(transcriptId);
+    },
+
+    async getRecordingLink(recordingId) {
+      return {
+        url: `${baseUrl}/recordings/${recordingId}.mp4`,
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+      };
+    }
+  };
+}
+
+module.exports = { createFakeVideoClient };
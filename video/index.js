@@ -0,0 +1,31 @@
+const { createDailyClient } = require('./dailyClient');
+const { createFakeVideoClient } = require('./fakeClient');
+
+// Video rooms for practice calls. Every client exposes:
+//
+//   createRoom({ name, privacy, properties }) -> { name, url, properties }
+//   createMeetingToken(properties)            -> token string
+//   deleteRoom(name)                          -> true, or false if it was already gone
+//   getTranscript(transcriptId)               -> WebVTT text
+//   getRecordingLink(recordingId)             -> { url, expiresAt }
+//
+// Properties follow the Daily.co REST API. VIDEO_PROVIDER selects the client:
+// daily | fake. It defaults to daily when DAILY_API_KEY is set; the fake is
+// only used when asked for. Returns null when neither is configured, and the
+// video routes answer 503.
+
+function createVideoClient({ env = process.env } = {}) {
+  const provider = (env.VIDEO_PROVIDER || (env.DAILY_API_KEY ? 'daily' : '')).toLowerCase();
+  if (!provider) return null;
+
+  switch (provider) {
+    case 'daily':
+      return createDailyClient({ apiKey: env.DAILY_API_KEY, apiUrl: env.DAILY_API_URL });
+    case 'fake':
+      return createFakeVideoClient();
+    default:
+      throw new Error(`Unknown VIDEO_PROVIDER: ${provider}`);
+  }
+}
+
+module.exports = { createVideoClient };